@@ -0,0 +1,101 @@
+/**
+ * Claiming names from before accounts, run with `npm test`
+ */
+
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/db.js';
+import Profile from '../src/models/Profile.js';
+import accountService from '../src/services/accountService.js';
+
+// One profile from before accounts, updated the way MongoDB would for the filters claims use
+let legacy;
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, wanted]) => {
+    const value = doc[field];
+    if (field === 'username') return String(value).toLowerCase() === String(wanted).toLowerCase();
+    if (wanted && typeof wanted === 'object' && '$gt' in wanted) return value > wanted.$gt;
+    return value === wanted;
+  });
+}
+
+function fakeFindOneAndUpdate(filter, update) {
+  const doc = matches(legacy, filter) ? Object.assign(legacy, update.$set) : null;
+  return { collation: async () => (doc ? { ...doc } : null) };
+}
+
+const CLAIM = { password: 'a new password', guestId: null };
+
+before(() => {
+  mock.method(db, 'hasConnection', () => true);
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+  legacy = { username: 'Victim', passwordHash: null, claimCodeHash: null, claimCodeExpires: null };
+  mock.method(Profile, 'findOneAndUpdate', fakeFindOneAndUpdate);
+});
+
+describe('claim', () => {
+  it('refuses a forged bambiname cookie on its own', async () => {
+    // The route used to take the name from the cookie and nothing else
+    const result = await accountService.claim('Victim', undefined, CLAIM.password, CLAIM.guestId, '10.0.0.1');
+    assert.equal(result.success, false);
+    assert.equal(Profile.findOneAndUpdate.mock.callCount(), 0);
+    assert.equal(legacy.passwordHash, null);
+  });
+
+  it('refuses a made up code', async () => {
+    await accountService.issueClaimCode('victim');
+    const result = await accountService.claim('Victim', 'deadbeefdeadbeef', CLAIM.password, null, '10.0.0.2');
+    assert.deepEqual(result, { success: false, error: 'That claim code is wrong or has expired' });
+    assert.equal(legacy.passwordHash, null);
+  });
+
+  it('refuses a code for a name nobody gave out a code for', async () => {
+    const result = await accountService.claim('Victim', 'deadbeefdeadbeef', CLAIM.password, null, '10.0.0.3');
+    assert.equal(result.success, false);
+    assert.equal(legacy.passwordHash, null);
+  });
+
+  it('refuses an expired code', async () => {
+    const { code } = await accountService.issueClaimCode('Victim');
+    legacy.claimCodeExpires = new Date(Date.now() - 1000);
+    const result = await accountService.claim('Victim', code, CLAIM.password, null, '10.0.0.4');
+    assert.equal(result.success, false);
+    assert.equal(legacy.passwordHash, null);
+  });
+
+  it('sets the password with the code an admin gave out, once', async () => {
+    const issued = await accountService.issueClaimCode('victim');
+    assert.equal(issued.success, true);
+    assert.equal(issued.username, 'Victim');
+    assert.notEqual(legacy.claimCodeHash, issued.code);
+
+    const result = await accountService.claim('victim', issued.code.toUpperCase(), CLAIM.password, null, '10.0.0.5');
+    assert.deepEqual(result, { success: true, username: 'Victim' });
+    assert.match(legacy.passwordHash, /^\$2[aby]\$/);
+    assert.equal(legacy.claimCodeHash, null);
+
+    const again = await accountService.claim('Victim', issued.code, 'another password', null, '10.0.0.5');
+    assert.equal(again.success, false);
+  });
+
+  it('gives out no codes for names that have a password', async () => {
+    legacy.passwordHash = 'taken';
+    const result = await accountService.issueClaimCode('Victim');
+    assert.equal(result.success, false);
+    assert.equal(legacy.claimCodeHash, null);
+  });
+
+  it('stops guessing codes after too many wrong ones', async () => {
+    await accountService.issueClaimCode('Victim');
+    for (let i = 0; i < 10; i++) {
+      await accountService.claim('Victim', `guess${i}`, CLAIM.password, null, '10.0.0.6');
+    }
+    const result = await accountService.claim('Victim', 'one more', CLAIM.password, null, '10.0.0.6');
+    assert.equal(result.error, 'Too many attempts, try again in a few minutes');
+  });
+});
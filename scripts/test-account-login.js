@@ -0,0 +1,54 @@
+/**
+ * Login throttling, run with `npm test`
+ */
+
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcrypt';
+import db from '../src/config/db.js';
+import Profile from '../src/models/Profile.js';
+import accountService from '../src/services/accountService.js';
+
+const PASSWORD = 'the right password';
+const TOO_MANY = 'Too many attempts, try again in a few minutes';
+
+before(() => {
+  mock.method(db, 'hasConnection', () => true);
+  // Every name has an account, the hash is the password itself so no bcrypt rounds are spent
+  mock.method(Profile, 'findOne', ({ username }) => ({
+    collation: () => ({ select: async () => ({ username, passwordHash: PASSWORD }) })
+  }));
+  mock.method(bcrypt, 'hash', async (text) => text);
+  mock.method(bcrypt, 'compare', async (password, hash) => password === hash);
+});
+
+after(() => mock.restoreAll());
+
+const login = (username, password, ip, knownName = null) => accountService.authenticate(username, password, ip, knownName);
+
+describe('authenticate', () => {
+  it('logs in with the right password', async () => {
+    assert.deepEqual(await login('Alice', PASSWORD, '10.0.0.1'), { success: true, username: 'Alice' });
+  });
+
+  it('stops one address after too many wrong passwords, other addresses go on', async () => {
+    for (let i = 0; i < 10; i++) await login('Bob', 'wrong', '10.0.1.1');
+
+    assert.equal((await login('Bob', PASSWORD, '10.0.1.1')).error, TOO_MANY);
+    assert.equal((await login('Bob', PASSWORD, '10.0.1.2')).success, true);
+  });
+
+  it('stops new addresses once a name is failed on from everywhere', async () => {
+    for (let i = 0; i < 100; i++) await login('Carol', 'wrong', `10.1.${Math.floor(i / 9)}.${i % 9}`);
+
+    assert.equal((await login('Carol', PASSWORD, '10.2.0.1')).error, TOO_MANY);
+  });
+
+  it('lets the owner in from a browser that logged in before while the name is attacked', async () => {
+    for (let i = 0; i < 100; i++) await login('Dana', 'wrong', `10.3.${Math.floor(i / 9)}.${i % 9}`);
+
+    assert.deepEqual(await login('Dana', PASSWORD, '10.4.0.1', 'dana'), { success: true, username: 'Dana' });
+    // The cookie is for one name only
+    assert.equal((await login('Dana', PASSWORD, '10.4.0.2', 'carol')).error, TOO_MANY);
+  });
+});
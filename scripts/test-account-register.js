@@ -0,0 +1,66 @@
+/**
+ * Guests registering an account, run with `npm test`
+ */
+
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcrypt';
+import db from '../src/config/db.js';
+import Profile from '../src/models/Profile.js';
+import SessionHistory from '../src/models/SessionHistory.js';
+import AigfInteraction from '../src/models/AigfInteraction.js';
+import accountService from '../src/services/accountService.js';
+
+const GUEST = 'guest-0a1b2c3d';
+
+// Guest profiles by name, null when it expired or was never saved
+let guestProfiles;
+let created;
+
+before(() => {
+  mock.method(db, 'hasConnection', () => true);
+  mock.method(bcrypt, 'hash', async () => '$2b$04$fakehashfakehashfakehashfakehashfakehashfakehashfake');
+  mock.method(Profile, 'findOne', () => ({ collation: () => ({ select: async () => null }) }));
+  mock.method(Profile, 'create', async (fields) => created.push(fields));
+  mock.method(Profile, 'findOneAndUpdate', async (filter) => guestProfiles.get(filter.username) || null);
+  mock.method(SessionHistory, 'updateMany', async () => ({ modifiedCount: 1 }));
+  mock.method(AigfInteraction, 'updateMany', async () => ({ modifiedCount: 1 }));
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+  guestProfiles = new Map();
+  created = [];
+  SessionHistory.updateMany.mock.resetCalls();
+  AigfInteraction.updateMany.mock.resetCalls();
+});
+
+describe('register', () => {
+  it('adopts the guest profile and moves its history', async () => {
+    guestProfiles.set(GUEST, { username: GUEST });
+    const result = await accountService.register('NewBambi', 'a long password', GUEST);
+
+    assert.deepEqual(result, { success: true, username: 'NewBambi' });
+    assert.equal(created.length, 0);
+    assert.deepEqual(SessionHistory.updateMany.mock.calls[0].arguments, [{ username: GUEST }, { $set: { username: 'NewBambi' } }]);
+    assert.equal(AigfInteraction.updateMany.mock.callCount(), 1);
+  });
+
+  it('moves the history of a guest without a profile', async () => {
+    const result = await accountService.register('NewBambi', 'a long password', GUEST);
+
+    assert.deepEqual(result, { success: true, username: 'NewBambi' });
+    assert.equal(created.length, 1);
+    assert.deepEqual(SessionHistory.updateMany.mock.calls[0].arguments, [{ username: GUEST }, { $set: { username: 'NewBambi' } }]);
+    assert.deepEqual(AigfInteraction.updateMany.mock.calls[0].arguments, [{ username: GUEST }, { $set: { username: 'NewBambi' } }]);
+  });
+
+  it('moves nothing without a guest identity', async () => {
+    const result = await accountService.register('NewBambi', 'a long password', 'not-a-guest');
+
+    assert.equal(result.success, true);
+    assert.equal(created.length, 1);
+    assert.equal(SessionHistory.updateMany.mock.callCount(), 0);
+  });
+});
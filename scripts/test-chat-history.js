@@ -0,0 +1,202 @@
+/**
+ * Threads, history pages and search of chat messages, run with `npm test`
+ */
+
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import sessionService from '../src/services/sessionService.js';
+
+const { ChatMessage } = sessionService;
+
+// The chat collection, queried through the few operators the history statics use
+let messages;
+
+const same = (value, wanted) => String(value ?? null) === String(wanted ?? null);
+
+function matches(doc, query) {
+  return Object.entries(query).every(([field, wanted]) => {
+    const value = doc[field];
+    if (wanted instanceof RegExp) return wanted.test(value);
+    if (wanted && typeof wanted === 'object' && !(wanted instanceof mongoose.Types.ObjectId)) {
+      if ('$in' in wanted) return wanted.$in.some(item => same(value, item));
+      if ('$lt' in wanted && !(String(value) < String(wanted.$lt))) return false;
+      if ('$gt' in wanted && !(String(value) > String(wanted.$gt))) return false;
+      return true;
+    }
+    return same(value, wanted);
+  });
+}
+
+function query(results) {
+  const chain = {
+    sort(order) {
+      const [[field, direction]] = Object.entries(order);
+      results = [...results].sort((a, b) => (String(a[field]) < String(b[field]) ? -direction : direction));
+      return chain;
+    },
+    limit(count) {
+      results = results.slice(0, count);
+      return chain;
+    },
+    lean: async () => results.map(doc => ({ ...doc }))
+  };
+  return chain;
+}
+
+// Adds a message, ids grow in sending order like ObjectIds do
+function send(fields) {
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    username: 'Bambi',
+    data: `message ${messages.length}`,
+    room: 'lobby',
+    timestamp: new Date(Date.now() + messages.length * 1000),
+    deletedAt: null,
+    ...fields
+  };
+  messages.push(doc);
+  return doc;
+}
+
+let readyState;
+
+before(() => {
+  // withDbConnection only runs its callback with a connection
+  readyState = Object.getOwnPropertyDescriptor(mongoose.connection, 'readyState');
+  Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+
+  mock.method(ChatMessage, 'find', (filter) => query(messages.filter(doc => matches(doc, filter))));
+  mock.method(ChatMessage, 'findOne', (filter) => ({ lean: async () => messages.find(doc => matches(doc, filter)) || null }));
+  mock.method(ChatMessage, 'findById', (id) => ({ lean: async () => messages.find(doc => same(doc._id, id)) || null }));
+});
+
+after(() => {
+  if (readyState) Object.defineProperty(mongoose.connection, 'readyState', readyState);
+  else delete mongoose.connection.readyState;
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  messages = [];
+});
+
+describe('getThread', () => {
+  it('returns the root and every reply oldest first, from any message in it', async () => {
+    const root = send({ data: 'root' });
+    const first = send({ data: 'first', replyTo: root._id, threadRoot: root._id });
+    send({ data: 'elsewhere' });
+    const second = send({ data: 'second', replyTo: first._id, threadRoot: root._id });
+
+    for (const id of [root._id, second._id]) {
+      const thread = await ChatMessage.getThread(String(id));
+      assert.equal(thread.root.data, 'root');
+      assert.deepEqual(thread.replies.map(reply => reply.data), ['first', 'second']);
+    }
+  });
+
+  it('quotes the message each reply answers', async () => {
+    const root = send({ data: 'root' });
+    const reply = send({ data: 'reply', replyTo: root._id, threadRoot: root._id });
+    send({ data: 'reply to reply', replyTo: reply._id, threadRoot: root._id });
+
+    const thread = await ChatMessage.getThread(String(root._id));
+    assert.deepEqual(thread.replies.map(message => message.reply.data), ['root', 'reply']);
+  });
+
+  it('keeps deleted messages as tombstones', async () => {
+    const root = send({ data: 'root', deletedAt: new Date() });
+    send({ data: 'reply', replyTo: root._id, threadRoot: root._id });
+
+    const thread = await ChatMessage.getThread(String(root._id));
+    assert.equal(sessionService.describeMessage(thread.root).data, '');
+    assert.equal(thread.replies[0].reply.deleted, true);
+  });
+
+  it('is null for unknown and malformed ids', async () => {
+    assert.equal(await ChatMessage.getThread(String(new mongoose.Types.ObjectId())), null);
+    assert.equal(await ChatMessage.getThread('not-an-id'), null);
+  });
+});
+
+describe('getMessagesPage', () => {
+  // Ten lobby messages between messages of another room
+  const fill = () => Array.from({ length: 10 }, (_, i) => {
+    send({ room: 'den', data: `den ${i}` });
+    return send({ room: i % 2 ? 'lobby' : null, data: `lobby ${i}` });
+  });
+  const texts = (page) => page.messages.map(message => message.data);
+
+  it('returns the newest page, oldest first', async () => {
+    fill();
+    const page = await ChatMessage.getMessagesPage('lobby', { limit: 3 });
+    assert.deepEqual(texts(page), ['lobby 7', 'lobby 8', 'lobby 9']);
+    assert.deepEqual([page.hasOlder, page.hasNewer], [true, false]);
+  });
+
+  it('pages back and forth from a message id', async () => {
+    const lobby = fill();
+    const older = await ChatMessage.getMessagesPage('lobby', { before: String(lobby[2]._id), limit: 5 });
+    assert.deepEqual(texts(older), ['lobby 0', 'lobby 1']);
+    assert.equal(older.hasOlder, false);
+
+    const newer = await ChatMessage.getMessagesPage('lobby', { after: String(lobby[6]._id), limit: 2 });
+    assert.deepEqual(texts(newer), ['lobby 7', 'lobby 8']);
+    assert.equal(newer.hasNewer, true);
+  });
+
+  it('centres a page on a message', async () => {
+    const lobby = fill();
+    const page = await ChatMessage.getMessagesPage('lobby', { around: String(lobby[5]._id), limit: 5 });
+    assert.deepEqual(texts(page), ['lobby 3', 'lobby 4', 'lobby 5', 'lobby 6', 'lobby 7']);
+    assert.deepEqual([page.hasOlder, page.hasNewer], [true, true]);
+  });
+
+  it('is null for a cursor of another room or no message id', async () => {
+    fill();
+    const den = messages.find(message => message.room === 'den');
+    assert.equal(await ChatMessage.getMessagesPage('lobby', { around: String(den._id) }), null);
+    assert.equal(await ChatMessage.getMessagesPage('lobby', { before: 'nope' }), null);
+  });
+
+  it('keeps the page size between 1 and 100', async () => {
+    Array.from({ length: 120 }, () => send({}));
+    assert.equal((await ChatMessage.getMessagesPage('lobby', { limit: 500 })).messages.length, 100);
+    assert.equal((await ChatMessage.getMessagesPage('lobby', { limit: -4 })).messages.length, 1);
+  });
+});
+
+describe('searchMessages', () => {
+  it('finds messages by author in the given rooms, newest first, without deleted ones', async () => {
+    send({ username: 'Ann', data: 'one' });
+    send({ username: 'Ann', data: 'two', room: 'den' });
+    send({ username: 'Ann', data: 'three', room: 'secret' });
+    send({ username: 'ann', data: 'four', room: null });
+    send({ username: 'Ann', data: 'gone', deletedAt: new Date() });
+    send({ username: 'Bob', data: 'five' });
+
+    const result = await ChatMessage.searchMessages(['lobby', 'den'], { username: 'ANN' });
+    assert.deepEqual(result.messages.map(message => message.data), ['four', 'two', 'one']);
+    assert.equal(result.hasMore, false);
+  });
+
+  it('pages through results', async () => {
+    const sent = Array.from({ length: 5 }, () => send({ username: 'Ann' }));
+    const first = await ChatMessage.searchMessages(['lobby'], { username: 'Ann', limit: 3 });
+    assert.equal(first.hasMore, true);
+
+    const next = await ChatMessage.searchMessages(['lobby'], { username: 'Ann', limit: 3, before: first.messages.at(-1)._id });
+    assert.deepEqual(next.messages.map(message => String(message._id)), [sent[1], sent[0]].map(message => String(message._id)));
+    assert.equal(next.hasMore, false);
+  });
+
+  it('needs something to search for', async () => {
+    send({});
+    assert.deepEqual(await ChatMessage.searchMessages(['lobby'], {}), { messages: [], hasMore: false });
+  });
+
+  it('treats an author name as text, not a pattern', async () => {
+    send({ username: 'Ann' });
+    assert.equal((await ChatMessage.searchMessages(['lobby'], { username: '.*' })).messages.length, 0);
+  });
+});
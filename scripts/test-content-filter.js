@@ -0,0 +1,153 @@
+/**
+ * Content filter normalization, rules, policies and streaming, run with `npm test`
+ * Uses the rules in src/config/contentFilter.json
+ */
+
+import { after, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/db.js';
+import ContentFlag from '../src/models/ContentFlag.js';
+import contentFilterService from '../src/services/contentFilterService.js';
+import { REDACTION } from '../src/services/limitsService.js';
+
+const { normalize, moderateText, screenText, createStreamFilter } = contentFilterService;
+
+// Streams the chunks through a filter, returns what went out chunk by chunk
+function stream(chunks, options = {}) {
+  const sent = [];
+  const filter = createStreamFilter(options, text => sent.push(text));
+  const beforeFlush = [];
+  for (const chunk of chunks) {
+    filter.push(chunk);
+    beforeFlush.push(sent.join(''));
+  }
+  filter.flush();
+  return { sent, beforeFlush, output: sent.join(''), filter };
+}
+
+describe('normalize', () => {
+  it('folds case, accents, lookalike letters and invisible characters', () => {
+    assert.equal(normalize('ÚNDÉRÄGE').text, 'underage');
+    assert.equal(normalize('k​i­d').text, 'kid');
+    // Cyrillic к and Greek ι
+    assert.equal(normalize('кιd').text, 'kid');
+    assert.equal(normalize('ﬁ').text, 'fi');
+  });
+
+  it('keeps where each character came from', () => {
+    const { text, starts, ends } = normalize('a​é😀b');
+    assert.equal(text, 'ae😀b');
+    assert.deepEqual(starts, [0, 2, 3, 3, 5]);
+    assert.deepEqual(ends, [1, 3, 5, 5, 6]);
+  });
+
+  it('folds repeated letters only when asked, keeping the whole run', () => {
+    assert.equal(normalize('kiiiid').text, 'kiiiid');
+    const collapsed = normalize('kiiiid!!', true);
+    assert.equal(collapsed.text, 'kid!!');
+    assert.equal(collapsed.ends[1], 5);
+  });
+});
+
+describe('moderateText', () => {
+  it('masks phrases however they are written', () => {
+    for (const written of ['kid', 'KID', 'k1d', 'k.i.d', 'kiiid', 'кіd', 'k​id']) {
+      const result = moderateText(`my ${written} here`);
+      assert.equal(result.text, `my ${REDACTION} here`, written);
+      assert.deepEqual(result.hits.map(hit => hit.rule), ['minors'], written);
+    }
+  });
+
+  it('leaves words that only contain a phrase alone', () => {
+    assert.equal(moderateText('my kidney and skidding').masked, 0);
+  });
+
+  it('blocks, masks and flags by rule', () => {
+    assert.equal(moderateText('i\'m 15 years old').blocked, true);
+
+    const flagged = moderateText('she says she is 16 yo');
+    assert.equal(flagged.blocked, false);
+    assert.equal(flagged.flagged, true);
+    assert.equal(flagged.text, 'she says she is 16 yo');
+  });
+
+  it('applies rules only in their contexts', () => {
+    assert.equal(moderateText('my little one', { context: 'chat' }).masked, 0);
+    assert.equal(moderateText('my little one', { context: 'collar' }).text, `my ${REDACTION} one`);
+  });
+
+  it('checks private messages like chat', () => {
+    assert.equal(moderateText('i am 12 years old', { context: 'dm' }).blocked, true);
+    assert.equal(moderateText('a teen', { context: 'dm' }).text, `a ${REDACTION}`);
+  });
+
+  it('blocks names instead of masking them', () => {
+    const result = moderateText('Kiddie Bambi', { context: 'username' });
+    assert.equal(result.blocked, true);
+  });
+
+  it('lets policies make rules stricter but never turn locked ones down', () => {
+    assert.equal(moderateText('a kid', { policy: 'strict' }).blocked, true);
+    assert.equal(moderateText('a little doll', { context: 'collar', policy: 'relaxed' }).flagged, true);
+    assert.equal(moderateText('a kid', { policy: 'relaxed' }).text, `a ${REDACTION}`);
+    assert.equal(moderateText('a kid', { policy: 'no-such-policy' }).text, `a ${REDACTION}`);
+  });
+});
+
+describe('screenText', () => {
+  after(() => mock.restoreAll());
+
+  it('records flagged private messages for review', async () => {
+    mock.method(db, 'hasConnection', () => true);
+    const create = mock.method(ContentFlag, 'create', async () => ({}));
+
+    const result = await screenText('she is 16 yo', { context: 'dm', username: 'Sender' });
+    assert.equal(result.flagged, true);
+    assert.equal(create.mock.callCount(), 1);
+    assert.deepEqual(
+      { ...create.mock.calls[0].arguments[0] },
+      { context: 'dm', room: null, username: 'Sender', rules: ['age-mention'], categories: ['minors'], text: 'she is 16 yo' }
+    );
+
+    await screenText('nothing to see', { context: 'dm', username: 'Sender' });
+    assert.equal(create.mock.callCount(), 1);
+  });
+});
+
+describe('createStreamFilter', () => {
+  it('holds back text that may still be part of a match', () => {
+    const { beforeFlush, output } = stream(['hello ', 'there']);
+    assert.deepEqual(beforeFlush, ['', '']);
+    assert.equal(output, 'hello there');
+  });
+
+  it('sends everything but the held back tail once there is enough', () => {
+    const long = 'word '.repeat(100);
+    const sent = [];
+    const filter = createStreamFilter({}, text => sent.push(text));
+    filter.push(long);
+
+    const out = sent.join('');
+    assert.ok(out.length > 0 && out.length < long.length);
+    assert.equal(filter.text(), long);
+  });
+
+  it('never sends a phrase split across chunks', () => {
+    const { sent, output, filter } = stream(['my k', '1', 'd is ', 'here and so is a t', 'een']);
+    assert.equal(output, `my ${REDACTION} is here and so is a ${REDACTION}`);
+    assert.ok(sent.every(chunk => !/k1d|teen/.test(chunk)));
+    assert.equal(filter.masked(), 2);
+  });
+
+  it('waits for the word to end before masking at the end of a chunk', () => {
+    assert.equal(stream(['a kid', 'ney bean']).output, 'a kidney bean');
+    assert.equal(stream(['a kid', '']).output, `a ${REDACTION}`);
+  });
+
+  it('masks what would be blocked, a streamed reply can not be taken back', () => {
+    const { output, filter } = stream(['then I\'m 1', '5 years old ok']);
+    assert.ok(!output.includes('15 years'));
+    assert.ok(output.includes(REDACTION));
+    assert.equal(filter.hits().find(hit => hit.rule === 'underage-self').action, 'mask');
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Context window planning tests, run with `npm test`
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, planContext, summarizeTurns, withSummary } from '../src/services/llm/contextWindow.js';
+import { MockProvider } from '../src/services/llm/mockProvider.js';
+
+// A message of about the given number of tokens
+const turn = (role, tokens, label = '') => ({ role, content: label + 'x'.repeat(tokens * 4 - label.length) });
+
+describe('estimateTokens', () => {
+  it('counts about four characters per token', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens('abcd'), 1);
+    assert.equal(estimateTokens('abcde'), 2);
+    assert.equal(estimateTokens(null), 0);
+  });
+});
+
+describe('planContext', () => {
+  it('keeps everything that fits', () => {
+    const turns = [turn('user', 10), turn('assistant', 10), turn('user', 10)];
+    const plan = planContext({ systemPrompt: 'system', turns, budget: 1000, reserveTokens: 100 });
+    assert.deepEqual(plan.keep, turns);
+    assert.deepEqual(plan.fold, []);
+  });
+
+  it('folds the oldest turns when the budget runs out', () => {
+    const turns = [];
+    for (let i = 0; i < 10; i++) turns.push(turn('user', 100, `u${i}`), turn('assistant', 100, `a${i}`));
+    const plan = planContext({ systemPrompt: 'system', turns, budget: 1200, reserveTokens: 100 });
+
+    assert.ok(plan.fold.length > 0);
+    assert.deepEqual([...plan.fold, ...plan.keep], turns);
+    assert.equal(plan.keep[0].role, 'user');
+    assert.equal(plan.keep.at(-1), turns.at(-1));
+  });
+
+  it('never starts the kept turns on a reply', () => {
+    const turns = [turn('user', 300), turn('assistant', 100), turn('user', 100), turn('assistant', 50), turn('user', 10)];
+    const plan = planContext({ systemPrompt: '', turns, budget: 800, reserveTokens: 100 });
+    assert.notEqual(plan.keep[0].role, 'assistant');
+  });
+
+  it('always keeps the newest prompt, cut to what fits', () => {
+    const prompt = { role: 'user', content: 'start ' + 'x'.repeat(20000) + ' the question' };
+    const turns = [turn('user', 50), turn('assistant', 50), prompt];
+    const plan = planContext({ systemPrompt: 'system', turns, budget: 2000, reserveTokens: 200 });
+
+    assert.equal(plan.keep.length, 1);
+    assert.equal(plan.keep[0].role, 'user');
+    assert.ok(plan.keep[0].content.endsWith('the question'));
+    assert.ok(plan.keep[0].content.length < prompt.content.length);
+    assert.deepEqual(plan.fold, turns.slice(0, 2));
+    // The turn in the session is left whole
+    assert.ok(prompt.content.startsWith('start'));
+  });
+
+  it('keeps some of the newest prompt even when the system prompt takes the whole budget', () => {
+    const turns = [turn('user', 500)];
+    const plan = planContext({ systemPrompt: 'y'.repeat(8000), turns, budget: 1000, reserveTokens: 100 });
+    assert.equal(plan.keep.length, 1);
+    assert.ok(plan.keep[0].content.length > 0);
+    assert.deepEqual(plan.fold, []);
+  });
+});
+
+describe('summarizeTurns', () => {
+  it('asks the model for a summary of the folded turns', async () => {
+    const summary = await summarizeTurns(new MockProvider(), 'mock-model', 'earlier', [
+      { role: 'user', content: 'hello' },
+      { role: 'assistant', content: 'hi' }
+    ]);
+    assert.match(summary, /Summary so far:\nearlier/);
+    assert.match(summary, /User: hello\nAssistant: hi/);
+  });
+});
+
+describe('withSummary', () => {
+  it('adds the summary to the system prompt', () => {
+    assert.equal(withSummary('persona', ''), 'persona');
+    assert.match(withSummary('persona', 'they talked'), /^persona\n\nSUMMARY OF THE EARLIER CONVERSATION:\nthey talked$/);
+  });
+});
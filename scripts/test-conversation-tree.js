@@ -0,0 +1,94 @@
+/**
+ * Conversation tree tests, run with `npm test`
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMessageId, describeBranch, ensureMessageIds, findLeaf, getBranch, getChildren } from '../src/utils/conversationTree.js';
+
+// user 1 -> assistant 2 -> user 3 -> assistant 4
+//                       -> user 5 (edited prompt) -> assistant 6
+//        -> assistant 7 (regenerated)
+const tree = () => [
+  { messageId: 'm1', parentId: null, role: 'user', content: 'hi' },
+  { messageId: 'm2', parentId: 'm1', role: 'assistant', content: 'hello' },
+  { messageId: 'm3', parentId: 'm2', role: 'user', content: 'how are you' },
+  { messageId: 'm4', parentId: 'm3', role: 'assistant', content: 'good' },
+  { messageId: 'm5', parentId: 'm2', role: 'user', content: 'how are you doing' },
+  { messageId: 'm6', parentId: 'm5', role: 'assistant', content: 'great' },
+  { messageId: 'm7', parentId: 'm1', role: 'assistant', content: 'hey' }
+];
+
+const ids = (messages) => messages.map(message => message.messageId);
+
+describe('createMessageId', () => {
+  it('creates distinct ids', () => {
+    const created = new Set(Array.from({ length: 100 }, createMessageId));
+    assert.equal(created.size, 100);
+    for (const id of created) assert.match(id, /^msg_/);
+  });
+});
+
+describe('ensureMessageIds', () => {
+  it('chains legacy messages in stored order', () => {
+    const messages = ensureMessageIds([
+      { _id: 'a', role: 'user', content: 'one' },
+      { _id: 'b', role: 'assistant', content: 'two' },
+      { role: 'user', content: 'three' }
+    ]);
+
+    assert.deepEqual(messages.map(message => message.parentId), [null, 'a', 'b']);
+    assert.equal(messages[0].messageId, 'a');
+    assert.match(messages[2].messageId, /^msg_/);
+  });
+
+  it('leaves messages that have ids alone', () => {
+    const messages = tree();
+    ensureMessageIds(messages);
+    assert.deepEqual(messages, tree());
+  });
+});
+
+describe('getChildren', () => {
+  it('lists children oldest first', () => {
+    assert.deepEqual(ids(getChildren(tree(), 'm2')), ['m3', 'm5']);
+    assert.deepEqual(ids(getChildren(tree(), null)), ['m1']);
+  });
+});
+
+describe('getBranch', () => {
+  it('follows parents from the leaf to the root', () => {
+    assert.deepEqual(ids(getBranch(tree(), 'm6')), ['m1', 'm2', 'm5', 'm6']);
+    assert.deepEqual(ids(getBranch(tree(), 'm4')), ['m1', 'm2', 'm3', 'm4']);
+  });
+
+  it('defaults to the last stored message', () => {
+    assert.deepEqual(ids(getBranch(tree())), ['m1', 'm7']);
+    assert.deepEqual(getBranch([]), []);
+  });
+
+  it('stops on a parent loop', () => {
+    const looped = [
+      { messageId: 'x', parentId: 'y', role: 'user' },
+      { messageId: 'y', parentId: 'x', role: 'assistant' }
+    ];
+    assert.deepEqual(ids(getBranch(looped, 'y')), ['x', 'y']);
+  });
+});
+
+describe('findLeaf', () => {
+  it('follows the newest child down', () => {
+    assert.equal(findLeaf(tree(), 'm2'), 'm6');
+    assert.equal(findLeaf(tree(), 'm1'), 'm7');
+    assert.equal(findLeaf(tree(), 'm4'), 'm4');
+  });
+});
+
+describe('describeBranch', () => {
+  it('lists the alternatives of every turn', () => {
+    const branch = describeBranch(tree(), 'm6');
+    assert.deepEqual(branch.map(turn => turn.siblings), [['m1'], ['m2', 'm7'], ['m3', 'm5'], ['m6']]);
+    assert.equal(branch[2].content, 'how are you doing');
+    assert.equal(branch[0].incomplete, false);
+  });
+});
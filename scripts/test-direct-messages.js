@@ -0,0 +1,141 @@
+/**
+ * Private messages, blocks and consent, run with `npm test`
+ */
+
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import db from '../src/config/db.js';
+import DirectConversation from '../src/models/DirectConversation.js';
+import DirectMessage from '../src/models/DirectMessage.js';
+import Profile from '../src/models/Profile.js';
+import consentService from '../src/services/consentService.js';
+import directMessageService from '../src/services/directMessageService.js';
+import permissionService from '../src/services/permissionService.js';
+
+const consented = () => ({ ageConfirmedAt: new Date(), acceptedAt: new Date(), termsVersion: consentService.currentTermsVersion() });
+
+// Profiles by name, blocks as 'owner>blocked' and grants of messages as 'from>to'
+let profiles;
+let blocks;
+let grants;
+let saved;
+
+before(() => {
+  mock.method(db, 'hasConnection', () => true);
+  mock.method(Profile, 'findOne', (query) => ({ lean: async () => profiles.get(query.username) || null }));
+  mock.method(permissionService, 'isBlocked', async (owner, username) => blocks.has(`${owner}>${username}`));
+  mock.method(permissionService, 'canDeliver', async (from, to, kind) => kind === 'messages' && grants.has(`${from}>${to}`));
+  mock.method(DirectConversation, 'findOneAndUpdate', () => ({ lean: async () => ({ _id: new mongoose.Types.ObjectId() }) }));
+  mock.method(DirectConversation, 'updateOne', async () => ({}));
+  mock.method(DirectMessage, 'create', async (fields) => {
+    const message = { ...fields, _id: new mongoose.Types.ObjectId(), createdAt: new Date() };
+    saved.push(message);
+    return message;
+  });
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+  profiles = new Map([
+    ['Ann', { username: 'Ann', consent: consented() }],
+    ['Bob', { username: 'Bob', consent: consented() }],
+    ['New', { username: 'New', consent: null }]
+  ]);
+  blocks = new Set();
+  grants = new Set(['Bob>Ann', 'Bob>New']);
+  saved = [];
+});
+
+describe('sendMessage', () => {
+  it('saves a message the receiver allowed', async () => {
+    const result = await directMessageService.sendMessage('Bob', 'Ann', ' hi ');
+    assert.equal(result.success, true);
+    assert.equal(result.message.data, 'hi');
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].to, 'Ann');
+  });
+
+  it('needs an account on both sides', async () => {
+    assert.equal((await directMessageService.sendMessage('guest-0a1b2c3d', 'Ann', 'hi')).success, false);
+    assert.equal((await directMessageService.sendMessage('anonBambi', 'Ann', 'hi')).success, false);
+    assert.equal((await directMessageService.sendMessage('Bob', 'guest-0a1b2c3d', 'hi')).success, false);
+    assert.equal((await directMessageService.sendMessage('Bob', 'bob', 'hi')).success, false);
+    assert.equal(saved.length, 0);
+  });
+
+  it('refuses empty, too long and messages to nobody', async () => {
+    assert.equal((await directMessageService.sendMessage('Bob', 'Ann', '   ')).success, false);
+    assert.equal((await directMessageService.sendMessage('Bob', 'Ann', 'x'.repeat(2001))).success, false);
+    assert.match((await directMessageService.sendMessage('Bob', 'Ghost', 'hi')).error, /doesn't exist/);
+  });
+
+  it('is denied without permission to send messages', async () => {
+    const result = await directMessageService.sendMessage('Ann', 'Bob', 'hi');
+    assert.equal(result.success, false);
+    assert.equal(result.denied, true);
+    assert.equal(saved.length, 0);
+  });
+
+  it('looks sent but is dropped when the receiver blocked the sender', async () => {
+    blocks.add('Ann>Bob');
+    const result = await directMessageService.sendMessage('Bob', 'Ann', 'hi');
+    assert.equal(result.success, true);
+    assert.equal(result.dropped, true);
+    assert.equal(result.message.id, null);
+    assert.equal(saved.length, 0);
+  });
+
+  it('asks the sender to unblock a user they blocked', async () => {
+    blocks.add('Bob>Ann');
+    const result = await directMessageService.sendMessage('Bob', 'Ann', 'hi');
+    assert.match(result.error, /Unblock Ann/);
+    assert.equal(saved.length, 0);
+  });
+
+  it('waits until the receiver accepted the current terms', async () => {
+    const result = await directMessageService.sendMessage('Bob', 'New', 'hi');
+    assert.match(result.error, /can't receive messages yet/);
+
+    profiles.get('New').consent = { ...consented(), termsVersion: consentService.currentTermsVersion() - 1 };
+    assert.equal((await directMessageService.sendMessage('Bob', 'New', 'hi')).success, false);
+    assert.equal(saved.length, 0);
+  });
+});
+
+describe('conversations', () => {
+  it('are only readable by their participants', async () => {
+    const conversation = { _id: new mongoose.Types.ObjectId(), participants: [{ username: 'Ann', unread: 0 }, { username: 'Bob', unread: 1 }] };
+    const findOne = mock.method(DirectConversation, 'findOne', (query) => ({
+      lean: async () => (query.key.split('|').includes('eve') ? null : conversation)
+    }));
+    const find = mock.method(DirectMessage, 'find', () => ({
+      sort: () => ({ limit: () => ({ lean: async () => [{ _id: 'm1', from: 'Ann', to: 'Bob', data: 'hi', createdAt: new Date() }] }) })
+    }));
+
+    assert.equal((await directMessageService.getMessages('Bob', 'Ann')).length, 1);
+    assert.deepEqual(await directMessageService.getMessages('Eve', 'Ann'), []);
+    assert.deepEqual(await directMessageService.getMessages('guest-0a1b2c3d', 'Ann'), []);
+
+    findOne.mock.restore();
+    find.mock.restore();
+  });
+
+  it('hold back messages from someone blocked since they were sent', async () => {
+    const waiting = [
+      { _id: 'm1', from: 'Bob', to: 'Ann', data: 'one', createdAt: new Date() },
+      { _id: 'm2', from: 'Eve', to: 'Ann', data: 'two', createdAt: new Date() }
+    ];
+    const find = mock.method(DirectMessage, 'find', () => ({ sort: () => ({ limit: () => ({ lean: async () => waiting }) }) }));
+    const updateMany = mock.method(DirectMessage, 'updateMany', async () => ({}));
+    blocks.add('Ann>Eve');
+
+    const messages = await directMessageService.takeUndelivered('Ann');
+    assert.deepEqual(messages.map(message => message.id), ['m1']);
+    assert.equal(updateMany.mock.callCount(), 1);
+
+    find.mock.restore();
+    updateMany.mock.restore();
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Distress detection and AIGF pauses, run with `npm test`
+ * Uses the phrases in src/config/distress.json
+ */
+
+import { after, afterEach, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/db.js';
+import DistressEvent from '../src/models/DistressEvent.js';
+import distressService from '../src/services/distressService.js';
+
+const MINUTE = 60 * 1000;
+let socketCount = 0;
+
+const newSocket = (username = 'anonBambi') => ({ id: `socket-${++socketCount}`, bambiUsername: username });
+
+before(() => {
+  mock.method(db, 'hasConnection', () => true);
+  mock.method(DistressEvent, 'create', async () => ({ _id: 'event-1' }));
+  mock.method(DistressEvent, 'updateOne', async () => ({}));
+});
+
+after(() => mock.restoreAll());
+afterEach(() => mock.timers.reset());
+
+describe('scoreMessage', () => {
+  it('scores each phrase once with its category', () => {
+    const result = distressService.scoreMessage('I want to die, I want to die, I feel hopeless');
+    assert.equal(result.score, 7);
+    assert.deepEqual(result.categories.sort(), ['crisis', 'suicide']);
+  });
+
+  it('matches curly apostrophes, stretched spaces and word endings', () => {
+    assert.ok(distressService.scoreMessage('I can’t   take it anymore').score > 0);
+    assert.ok(distressService.scoreMessage('I overdosed once').score > 0);
+  });
+
+  it('ignores phrases inside other words and plain messages', () => {
+    assert.equal(distressService.scoreMessage('unhopeless').score, 0);
+    assert.equal(distressService.scoreMessage('good girl, sleep now').score, 0);
+  });
+});
+
+describe('assessMessage', () => {
+  it('adds up smaller signs within the window', () => {
+    const key = distressService.pauseKey(newSocket());
+    const now = Date.now();
+    assert.equal(distressService.assessMessage(key, 'I feel hopeless', now).distress, false);
+    assert.equal(distressService.assessMessage(key, 'and worthless', now + MINUTE).distress, false);
+    const third = distressService.assessMessage(key, 'I need help', now + 2 * MINUTE);
+    assert.equal(third.distress, true);
+    assert.equal(third.total, 6);
+  });
+
+  it('forgets scores older than the window', () => {
+    const key = distressService.pauseKey(newSocket());
+    const now = Date.now();
+    distressService.assessMessage(key, 'I feel hopeless', now);
+    distressService.assessMessage(key, 'and worthless', now);
+    assert.equal(distressService.assessMessage(key, 'I need help', now + 11 * MINUTE).total, 2);
+  });
+
+  it('never reports a message without signs of distress', () => {
+    const key = distressService.pauseKey(newSocket());
+    distressService.assessMessage(key, 'I want to die');
+    assert.equal(distressService.assessMessage(key, 'hello').distress, false);
+  });
+});
+
+describe('pauses', () => {
+  it('pause a user across their sockets and log no name or text', async () => {
+    const socket = newSocket('Bambi');
+    const key = distressService.pauseKey(socket);
+    const assessment = distressService.assessMessage(key, 'I want to kill myself');
+
+    await distressService.pauseUser(key, 'aigf', assessment);
+    assert.equal(distressService.isPaused(newSocket('Bambi')), true);
+    assert.equal(distressService.isPaused(newSocket()), false);
+    assert.deepEqual(DistressEvent.create.mock.calls.at(-1).arguments[0], { source: 'aigf', score: 6, categories: ['suicide'] });
+    assert.ok(distressService.supportMessage(socket).pausedUntil);
+
+    assert.equal(await distressService.resumeUser(key), true);
+    assert.equal(distressService.isPaused(socket), false);
+  });
+
+  it('run out after pauseMinutes', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const socket = newSocket();
+    const key = distressService.pauseKey(socket);
+    await distressService.pauseUser(key, 'chat', distressService.assessMessage(key, 'I want to kill myself'));
+
+    mock.timers.tick(14 * MINUTE);
+    assert.equal(distressService.isPaused(socket), true);
+    mock.timers.tick(MINUTE);
+    assert.equal(distressService.isPaused(socket), false);
+  });
+});
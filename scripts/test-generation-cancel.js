@@ -0,0 +1,98 @@
+/**
+ * Generation cancellation tests, run with `npm test`
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GenerationScheduler } from '../src/services/llm/generationScheduler.js';
+import { MockProvider } from '../src/services/llm/mockProvider.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('cancelQueued', () => {
+  it('drops matching waiting jobs with an aborted error', async () => {
+    let release;
+    const scheduler = new GenerationScheduler({ maxConcurrent: 1 });
+    const running = scheduler.enqueue('a', () => new Promise(resolve => { release = resolve; }), { socketId: 's1' });
+    const mine = scheduler.enqueue('b', async () => 'b', { socketId: 's2' });
+    const other = scheduler.enqueue('c', async () => 'c', { socketId: 's3' });
+    await tick();
+
+    assert.equal(scheduler.cancelQueued(job => job.meta.socketId === 's2', 'stopped'), 1);
+    await assert.rejects(mine, { code: 'aborted', message: 'Generation stopped' });
+    assert.equal(scheduler.stats().queued, 1);
+
+    release('a');
+    assert.equal(await running, 'a');
+    assert.equal(await other, 'c');
+  });
+
+  it('leaves running jobs alone', async () => {
+    let release;
+    const scheduler = new GenerationScheduler();
+    const running = scheduler.enqueue('a', () => new Promise(resolve => { release = resolve; }));
+    await tick();
+
+    assert.equal(scheduler.cancelQueued(() => true), 0);
+    assert.equal(scheduler.isBusy('a'), true);
+    release('done');
+    assert.equal(await running, 'done');
+  });
+
+  it('takes a user out of the rotation once nothing of theirs waits', async () => {
+    let release;
+    const scheduler = new GenerationScheduler({ maxConcurrent: 1 });
+    const running = scheduler.enqueue('a', () => new Promise(resolve => { release = resolve; }));
+    const waiting = scheduler.enqueue('b', async () => 'b');
+    await tick();
+
+    scheduler.cancelQueued(job => job.userKey === 'b');
+    await assert.rejects(waiting, { code: 'aborted' });
+    assert.equal(scheduler.stats().waitingUsers, 0);
+
+    release();
+    await running;
+  });
+});
+
+describe('superseding a prompt', () => {
+  it('drops the waiting prompt of the same conversation only', async () => {
+    let release;
+    const scheduler = new GenerationScheduler({ maxConcurrent: 1 });
+    const running = scheduler.enqueue('a', () => new Promise(resolve => { release = resolve; }), { socketId: 's1', sessionId: 'c1' });
+    const older = scheduler.enqueue('b', async () => 'older', { socketId: 's2', sessionId: 'c2' });
+    const otherConversation = scheduler.enqueue('b', async () => 'other', { socketId: 's2', sessionId: 'c3' });
+    await tick();
+
+    // What the worker does before queueing a newer prompt for c2
+    const sessionId = 'c2';
+    assert.equal(scheduler.cancelQueued(job => job.meta.sessionId === sessionId, 'superseded'), 1);
+    const newer = scheduler.enqueue('b', async () => 'newer', { socketId: 's2', sessionId: 'c2' });
+
+    await assert.rejects(older, { code: 'aborted', message: 'Generation superseded' });
+    release('a');
+    assert.equal(await running, 'a');
+    assert.equal(await otherConversation, 'other');
+    assert.equal(await newer, 'newer');
+  });
+});
+
+describe('aborting a streamed reply', () => {
+  it('stops the provider and keeps what was streamed', async () => {
+    const controller = new AbortController();
+    let partial = '';
+    const chat = new MockProvider({ delay: 1 }).chat({
+      messages: [{ role: 'user', content: 'one two three four five six' }],
+      stream: true,
+      signal: controller.signal,
+      onDelta: (delta) => {
+        partial += delta;
+        if (partial.split(' ').length > 3) controller.abort('stopped');
+      }
+    });
+
+    await assert.rejects(chat, { code: 'aborted' });
+    assert.ok(partial.length > 0);
+    assert.ok(!partial.includes('six'));
+  });
+});
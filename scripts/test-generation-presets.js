@@ -0,0 +1,68 @@
+/**
+ * Generation presets unlocked by level, run with `npm test`
+ * Uses the presets in src/config/generationPresets.json
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  clampToModel,
+  listPresets,
+  resolvePreset,
+  validatePresetChoice
+} from '../src/services/llm/generationPresets.js';
+
+describe('validatePresetChoice', () => {
+  it('allows presets the level has unlocked', () => {
+    const choice = validatePresetChoice('focused', 1);
+    assert.equal(choice.valid, true);
+    assert.equal(choice.preset.name, 'focused');
+  });
+
+  it('refuses presets above the level', () => {
+    const choice = validatePresetChoice('creative', 2);
+    assert.equal(choice.valid, false);
+    assert.match(choice.error, /unlocks at level 3/);
+  });
+
+  it('refuses unknown names and anything but a string', () => {
+    assert.equal(validatePresetChoice('turbo', 10).valid, false);
+    assert.equal(validatePresetChoice({ name: 'balanced' }, 10).valid, false);
+  });
+});
+
+describe('listPresets', () => {
+  it('marks which presets the level has unlocked', () => {
+    const unlocked = Object.fromEntries(listPresets(1).map(preset => [preset.name, preset.unlocked]));
+    assert.equal(unlocked.balanced, true);
+    assert.equal(unlocked.focused, true);
+    assert.equal(unlocked['long-form'], false);
+    assert.equal(listPresets(0).filter(preset => preset.isDefault).length, 1);
+  });
+});
+
+describe('resolvePreset', () => {
+  it('falls back to the default for a preset no longer unlocked', () => {
+    assert.equal(resolvePreset('creative', { level: 0 }).preset, 'balanced');
+    assert.equal(resolvePreset('creative', { level: 3 }).preset, 'creative');
+  });
+
+  it('falls back to the default for an unknown preset', () => {
+    assert.equal(resolvePreset('turbo').preset, 'balanced');
+  });
+
+  it('clamps parameters to the model limits', () => {
+    assert.equal(resolvePreset('long-form', { level: 2 }).params.maxTokens, 8192);
+    assert.equal(resolvePreset('long-form', { level: 2, modelId: 'l3-sthenomaid-8b' }).params.maxTokens, 4096);
+  });
+});
+
+describe('clampToModel', () => {
+  it('replaces values that are not numbers and keeps integers whole', () => {
+    const params = clampToModel({ maxTokens: 100.7, temperature: 'hot', topP: 0.9, topK: 0.2, frequencyPenalty: 5, presencePenalty: 0 }, 'any');
+    assert.equal(params.maxTokens, 100);
+    assert.equal(typeof params.temperature, 'number');
+    assert.equal(params.topK, 1);
+    assert.equal(params.frequencyPenalty, 2);
+  });
+});
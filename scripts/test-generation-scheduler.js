@@ -0,0 +1,117 @@
+/**
+ * Generation scheduler tests, run with `npm test`
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GenerationScheduler } from '../src/services/llm/generationScheduler.js';
+
+// A task that runs until it is released
+function deferred(log, name) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  const task = async () => {
+    log.push(`start ${name}`);
+    await done;
+    log.push(`end ${name}`);
+    return name;
+  };
+  return { task, release };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('GenerationScheduler', () => {
+  it('runs one generation per user at a time', async () => {
+    const log = [];
+    const scheduler = new GenerationScheduler({ maxConcurrent: 2 });
+    const first = deferred(log, 'a1');
+    const second = deferred(log, 'a2');
+
+    const results = [scheduler.enqueue('a', first.task), scheduler.enqueue('a', second.task)];
+    await tick();
+    assert.deepEqual(log, ['start a1']);
+    assert.equal(scheduler.isBusy('a'), true);
+
+    first.release();
+    await tick();
+    assert.deepEqual(log, ['start a1', 'end a1', 'start a2']);
+
+    second.release();
+    assert.deepEqual(await Promise.all(results), ['a1', 'a2']);
+    assert.equal(scheduler.isBusy('a'), false);
+  });
+
+  it('takes users in turn under the concurrency cap', async () => {
+    const log = [];
+    const scheduler = new GenerationScheduler({ maxConcurrent: 1, maxQueuedPerUser: 3 });
+    const jobs = { a1: deferred(log, 'a1'), a2: deferred(log, 'a2'), a3: deferred(log, 'a3'), b1: deferred(log, 'b1') };
+
+    const results = [
+      scheduler.enqueue('a', jobs.a1.task),
+      scheduler.enqueue('a', jobs.a2.task),
+      scheduler.enqueue('a', jobs.a3.task),
+      scheduler.enqueue('b', jobs.b1.task)
+    ];
+    for (const name of ['a1', 'a2', 'b1', 'a3']) {
+      await tick();
+      jobs[name].release();
+    }
+    await Promise.all(results);
+
+    // b joined while a was already waiting its turn, it goes before a's third job
+    assert.deepEqual(log.filter(entry => entry.startsWith('start')), ['start a1', 'start a2', 'start b1', 'start a3']);
+  });
+
+  it('limits how many jobs a user has waiting', async () => {
+    const scheduler = new GenerationScheduler({ maxQueuedPerUser: 1 });
+    const running = deferred([], 'running');
+    const first = scheduler.enqueue('a', running.task);
+    await tick();
+
+    const waiting = scheduler.enqueue('a', async () => 'waiting');
+    await assert.rejects(scheduler.enqueue('a', async () => 'extra'), { code: 'rate_limited' });
+
+    running.release();
+    assert.equal(await first, 'running');
+    assert.equal(await waiting, 'waiting');
+  });
+
+  it('reports queue positions as jobs move up', async () => {
+    const positions = [];
+    const scheduler = new GenerationScheduler({
+      maxConcurrent: 1,
+      onPosition: (job, position) => positions.push(`${job.meta.name}:${position}`)
+    });
+    const running = deferred([], 'a');
+
+    const results = [
+      scheduler.enqueue('a', running.task, { name: 'a' }),
+      scheduler.enqueue('b', async () => 'b', { name: 'b' })
+    ];
+    await tick();
+    assert.deepEqual(positions, ['a:0', 'b:1']);
+
+    running.release();
+    await Promise.all(results);
+    assert.deepEqual(positions, ['a:0', 'b:1', 'b:0']);
+  });
+
+  it('tells whether a job is running or waiting', async () => {
+    const scheduler = new GenerationScheduler({ maxConcurrent: 1 });
+    const running = deferred([], 'a');
+    const results = [
+      scheduler.enqueue('a', running.task, { sessionId: 's1' }),
+      scheduler.enqueue('b', async () => 'b', { sessionId: 's2' })
+    ];
+    await tick();
+
+    assert.equal(scheduler.hasJob(job => job.meta.sessionId === 's1'), true);
+    assert.equal(scheduler.hasJob(job => job.meta.sessionId === 's2'), true);
+    assert.equal(scheduler.hasJob(job => job.meta.sessionId === 's3'), false);
+
+    running.release();
+    await Promise.all(results);
+    assert.equal(scheduler.hasJob(() => true), false);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Hard limits on AIGF replies, run with `npm test`
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import limitsService, { REDACTION } from '../src/services/limitsService.js';
+
+const limits = { blockedTopics: ['spiders', 'deep water'], blockedTriggers: ['GOOD GIRL'] };
+
+describe('validateLimits', () => {
+  it('cleans and dedupes the lists', () => {
+    const check = limitsService.validateLimits({ blockedTopics: ' Spiders \nspiders\n\ndeep   water', blockedTriggers: ['good girl'] });
+    assert.deepEqual(check, { valid: true, limits: { blockedTopics: ['Spiders', 'deep water'], blockedTriggers: ['GOOD GIRL'] } });
+  });
+
+  it('refuses unknown triggers, long topics and too many entries', () => {
+    assert.match(limitsService.validateLimits({ blockedTriggers: ['NOT A TRIGGER'] }).error, /Unknown trigger/);
+    assert.equal(limitsService.validateLimits({ blockedTopics: ['x'.repeat(61)] }).valid, false);
+    assert.equal(limitsService.validateLimits({ blockedTopics: Array.from({ length: 51 }, (_, i) => `topic ${i}`) }).valid, false);
+  });
+});
+
+describe('allowedTriggers', () => {
+  it('drops blocked triggers in any case', () => {
+    assert.deepEqual(limitsService.allowedTriggers(['good girl', 'BAMBI SLEEP'], limits), ['BAMBI SLEEP']);
+  });
+});
+
+describe('redact', () => {
+  it('replaces whole words and phrases only', () => {
+    const result = limitsService.redact('Spiders in DEEP\n water, but not spidersilk', limits);
+    assert.equal(result.text, `${REDACTION} in ${REDACTION}, but not spidersilk`);
+    assert.equal(result.count, 2);
+  });
+});
+
+describe('createStreamRedactor', () => {
+  it('redacts a term split across chunks', () => {
+    let sent = '';
+    const redactor = limitsService.createStreamRedactor(limits, text => { sent += text; });
+    for (const delta of ['you are such a go', 'od g', 'irl, and sp', 'iders']) redactor.push(delta);
+    redactor.flush();
+
+    assert.equal(sent, `you are such a ${REDACTION}, and ${REDACTION}`);
+    assert.equal(redactor.count(), 2);
+  });
+
+  it('keeps a longer word that starts with a term', () => {
+    let sent = '';
+    const redactor = limitsService.createStreamRedactor(limits, text => { sent += text; });
+    redactor.push('spiders');
+    redactor.push('ilk');
+    redactor.flush();
+    assert.equal(sent, 'spidersilk');
+  });
+});
+
+describe('enforceLimits', () => {
+  it('regenerates once, then redacts', async () => {
+    const clean = await limitsService.enforceLimits('about spiders', limits, async () => 'about cats');
+    assert.equal(clean.content, 'about cats');
+    assert.deepEqual(clean.moderation, { violations: 1, regenerated: true, redacted: 0 });
+
+    const stubborn = await limitsService.enforceLimits('about spiders', limits, async () => 'still spiders');
+    assert.equal(stubborn.content, `still ${REDACTION}`);
+    assert.deepEqual(stubborn.moderation, { violations: 2, regenerated: true, redacted: 1 });
+  });
+
+  it('leaves replies without violations alone', async () => {
+    let called = false;
+    const result = await limitsService.enforceLimits('hello', limits, async () => { called = true; });
+    assert.equal(result.content, 'hello');
+    assert.equal(called, false);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * LLM provider layer tests, run with `npm test`
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProvider, listProviders, LLMProviderError } from '../src/services/llm/index.js';
+import { normalizeHttpError } from '../src/services/llm/errors.js';
+import { MockProvider } from '../src/services/llm/mockProvider.js';
+
+describe('createProvider', () => {
+  it('creates every registered provider', () => {
+    for (const name of listProviders()) {
+      assert.equal(createProvider(name).name, name);
+    }
+  });
+
+  it('rejects unknown providers with a bad_request error', () => {
+    assert.throws(() => createProvider('nope'), (error) => error instanceof LLMProviderError && error.code === 'bad_request');
+  });
+});
+
+describe('MockProvider', () => {
+  const messages = [
+    { role: 'system', content: 'You are a test' },
+    { role: 'user', content: 'first' },
+    { role: 'assistant', content: 'Mock reply to: first' },
+    { role: 'user', content: 'hello there bambi' }
+  ];
+
+  it('lists and selects its one model', async () => {
+    const provider = new MockProvider();
+    assert.deepEqual((await provider.listModels()).map(model => model.id), ['mock-model']);
+    assert.equal(await provider.selectModel('anything'), 'mock-model');
+  });
+
+  it('echoes the last user message', async () => {
+    const result = await new MockProvider().chat({ messages });
+    assert.equal(result.content, 'Mock reply to: hello there bambi');
+    assert.equal(result.finishReason, 'stop');
+  });
+
+  it('cuts the reply to maxTokens words', async () => {
+    const result = await new MockProvider().chat({ messages, params: { maxTokens: 3 } });
+    assert.equal(result.content, 'Mock reply to:');
+  });
+
+  it('streams word by word and returns the same text', async () => {
+    const deltas = [];
+    const result = await new MockProvider().chat({ messages, stream: true, onDelta: delta => deltas.push(delta) });
+    assert.ok(deltas.length > 1);
+    assert.equal(deltas.join(''), result.content);
+  });
+
+  it('stops streaming when aborted', async () => {
+    const controller = new AbortController();
+    const deltas = [];
+    const chat = new MockProvider().chat({
+      messages,
+      stream: true,
+      signal: controller.signal,
+      onDelta: (delta) => {
+        deltas.push(delta);
+        controller.abort();
+      }
+    });
+    await assert.rejects(chat, (error) => error instanceof LLMProviderError && error.code === 'aborted');
+    assert.equal(deltas.length, 1);
+  });
+
+  it('rejects an already aborted request', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(new MockProvider().chat({ messages, signal: controller.signal }), { code: 'aborted' });
+  });
+});
+
+describe('normalizeHttpError', () => {
+  const cases = [
+    [{ code: 'ECONNREFUSED' }, 'unavailable'],
+    [{ code: 'ECONNABORTED' }, 'timeout'],
+    [{ code: 'ERR_CANCELED' }, 'aborted'],
+    [{ response: { status: 401 } }, 'unauthorized'],
+    [{ response: { status: 503 } }, 'unavailable'],
+    [{ response: { status: 422 } }, 'bad_request'],
+    [{}, 'unknown']
+  ];
+
+  for (const [details, code] of cases) {
+    it(`maps ${JSON.stringify(details)} to ${code}`, () => {
+      const error = normalizeHttpError(Object.assign(new Error('failed'), details), 'test');
+      assert.equal(error.code, code);
+      assert.equal(error.provider, 'test');
+    });
+  }
+
+  it('only retries unavailable and timed out requests', () => {
+    assert.equal(new LLMProviderError('x', { code: 'timeout' }).retryable, true);
+    assert.equal(new LLMProviderError('x', { code: 'bad_request' }).retryable, false);
+  });
+});
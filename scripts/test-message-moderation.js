@@ -0,0 +1,147 @@
+/**
+ * Edit and delete windows of chat messages, run with `npm test`
+ */
+
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import config from '../src/config/config.js';
+import db from '../src/config/db.js';
+import ModerationAudit from '../src/models/ModerationAudit.js';
+import moderationService from '../src/services/moderationService.js';
+import roomService from '../src/services/roomService.js';
+import sessionService from '../src/services/sessionService.js';
+
+const MINUTE = 60 * 1000;
+const windows = { edit: config.CHAT_EDIT_WINDOW_MINUTES, delete: config.CHAT_DELETE_WINDOW_MINUTES };
+
+const room = {
+  slug: 'den',
+  name: 'Den',
+  visibility: 'public',
+  owner: 'Owner',
+  moderators: ['Mod'],
+  members: ['Owner', 'Mod', 'Author'],
+  settings: { allowGuests: true, historyLimit: 50, slowModeSeconds: 0, contentPolicy: 'standard' }
+};
+
+let message;
+let audits;
+
+// A message by Author sent the given number of minutes ago
+const sentAgo = (minutes, fields = {}) => {
+  message = {
+    _id: new mongoose.Types.ObjectId(),
+    username: 'Author',
+    data: 'original text',
+    room: 'den',
+    timestamp: new Date(Date.now() - minutes * MINUTE),
+    deletedAt: null,
+    ...fields
+  };
+  return String(message._id);
+};
+
+before(() => {
+  config.CHAT_EDIT_WINDOW_MINUTES = 15;
+  config.CHAT_DELETE_WINDOW_MINUTES = 60;
+  mock.method(db, 'hasConnection', () => true);
+  mock.method(roomService, 'getRoom', async (slug) => (slug === 'den' ? room : null));
+  mock.method(sessionService.ChatMessage, 'findById', (id) => ({
+    lean: async () => (message && String(message._id) === String(id) ? { ...message } : null)
+  }));
+  mock.method(sessionService.ChatMessage, 'findOneAndUpdate', (query, update) => ({
+    lean: async () => {
+      if (message.deletedAt) return null;
+      Object.assign(message, update.$set);
+      return { ...message };
+    }
+  }));
+  mock.method(ModerationAudit, 'create', async (entry) => audits.push(entry));
+});
+
+after(() => {
+  config.CHAT_EDIT_WINDOW_MINUTES = windows.edit;
+  config.CHAT_DELETE_WINDOW_MINUTES = windows.delete;
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  audits = [];
+});
+
+describe('editMessage', () => {
+  it('lets the author edit within the edit window', async () => {
+    const id = sentAgo(10);
+    const result = await moderationService.editMessage(id, 'Author', 'new text');
+
+    assert.equal(result.success, true);
+    assert.equal(result.role, 'author');
+    assert.equal(message.data, 'new text');
+    assert.deepEqual({ before: audits[0].before, after: audits[0].after, role: audits[0].role }, { before: 'original text', after: 'new text', role: 'author' });
+  });
+
+  it('refuses the author after the edit window', async () => {
+    const id = sentAgo(16);
+    const result = await moderationService.editMessage(id, 'Author', 'new text');
+    assert.match(result.error, /only be changed for 15 minutes/);
+    assert.equal(message.data, 'original text');
+    assert.equal(audits.length, 0);
+  });
+
+  it('refuses other users', async () => {
+    const id = sentAgo(1);
+    assert.match((await moderationService.editMessage(id, 'Stranger', 'new text')).error, /your own messages/);
+    assert.equal(audits.length, 0);
+  });
+
+  it('lets moderators edit any time, with a reason', async () => {
+    const id = sentAgo(600);
+    assert.match((await moderationService.editMessage(id, 'Mod', 'cleaned up')).error, /Say why/);
+
+    const result = await moderationService.editMessage(id, 'Mod', 'cleaned up', 'personal details');
+    assert.equal(result.success, true);
+    assert.equal(result.role, 'moderator');
+    assert.equal(audits[0].reason, 'personal details');
+  });
+
+  it('refuses unchanged and empty text', async () => {
+    const id = sentAgo(1);
+    assert.equal((await moderationService.editMessage(id, 'Author', 'original text')).success, false);
+    assert.equal((await moderationService.editMessage(id, 'Author', '  ')).success, false);
+  });
+
+  it('refuses anonymous users, even on anonymous messages', async () => {
+    const id = sentAgo(1, { username: 'anonBambi' });
+    assert.equal((await moderationService.editMessage(id, 'anonBambi', 'new text')).success, false);
+  });
+});
+
+describe('deleteMessage', () => {
+  it('lets the author delete within the delete window, after the edit window', async () => {
+    const id = sentAgo(30);
+    const result = await moderationService.deleteMessage(id, 'Author');
+
+    assert.equal(result.success, true);
+    assert.equal(message.data, '');
+    assert.ok(message.deletedAt);
+    assert.equal(audits[0].before, 'original text');
+  });
+
+  it('refuses the author after the delete window', async () => {
+    const id = sentAgo(61);
+    assert.match((await moderationService.deleteMessage(id, 'Author')).error, /only be changed for 60 minutes/);
+    assert.equal(message.deletedAt, null);
+  });
+
+  it('lets moderators delete with a reason and keeps tombstones deleted', async () => {
+    const id = sentAgo(600);
+    assert.equal((await moderationService.deleteMessage(id, 'Owner', 'spam')).success, true);
+    assert.match((await moderationService.deleteMessage(id, 'Owner', 'spam')).error, /no longer exists/);
+    assert.equal(audits.length, 1);
+  });
+
+  it('refuses ids that are not message ids', async () => {
+    assert.equal((await moderationService.deleteMessage('not-an-id', 'Mod', 'spam')).success, false);
+  });
+});
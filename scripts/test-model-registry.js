@@ -0,0 +1,89 @@
+/**
+ * Model registry fallback and level locks, run with `npm test`
+ * Uses the metadata in src/config/models.json
+ */
+
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config/config.js';
+import db from '../src/config/db.js';
+import { LLMProviderError } from '../src/services/llm/errors.js';
+import { ModelRegistry, shouldFailOver } from '../src/services/llm/modelRegistry.js';
+
+const saved = { model: config.LLM_MODEL, fallbacks: config.LLM_FALLBACK_MODELS };
+let discovered;
+
+const provider = {
+  name: 'fake',
+  listModels: async () => {
+    if (!discovered) throw new LLMProviderError('connection refused', { code: 'unavailable', provider: 'fake' });
+    return discovered.map(id => ({ id }));
+  }
+};
+
+before(() => {
+  mock.method(db, 'hasConnection', () => false);
+});
+
+after(() => {
+  config.LLM_MODEL = saved.model;
+  config.LLM_FALLBACK_MODELS = saved.fallbacks;
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  config.LLM_MODEL = 'l3-sthenomaid-8b';
+  config.LLM_FALLBACK_MODELS = ['llama-3-8b'];
+  discovered = ['l3-sthenomaid-8b', 'mistral-7b-instruct', 'llama-3-8b'];
+});
+
+describe('candidates', () => {
+  it('puts the preferred model first, then LLM_MODEL and the fallbacks', async () => {
+    const registry = new ModelRegistry({ provider });
+    assert.deepEqual(await registry.candidates('mistral', { level: 2 }), ['mistral-7b-instruct', 'l3-sthenomaid-8b', 'llama-3-8b']);
+  });
+
+  it('skips a model locked for the level', async () => {
+    const registry = new ModelRegistry({ provider });
+    assert.deepEqual(await registry.candidates('mistral', { level: 0 }), ['l3-sthenomaid-8b', 'llama-3-8b']);
+  });
+
+  it('tries a model in its failure cooldown last', async () => {
+    const registry = new ModelRegistry({ provider });
+    await registry.refresh();
+    registry.markFailure('l3-sthenomaid-8b', new Error('timed out'));
+
+    assert.deepEqual(await registry.candidates(), ['llama-3-8b', 'l3-sthenomaid-8b']);
+    registry.markSuccess('l3-sthenomaid-8b');
+    assert.deepEqual(await registry.candidates(), ['l3-sthenomaid-8b', 'llama-3-8b']);
+  });
+
+  it('uses whatever the provider has when nothing configured is loaded', async () => {
+    discovered = ['qwen-14b'];
+    const registry = new ModelRegistry({ provider });
+    assert.deepEqual(await registry.candidates(), ['qwen-14b']);
+  });
+
+  it('fails with no_models when discovery fails and nothing is known', async () => {
+    discovered = null;
+    const registry = new ModelRegistry({ provider });
+    await assert.rejects(registry.candidates(), { code: 'no_models' });
+  });
+});
+
+describe('validateChoice', () => {
+  it('checks the level a model unlocks at', async () => {
+    const registry = new ModelRegistry({ provider });
+    assert.equal((await registry.validateChoice('mistral-7b-instruct', 1)).valid, false);
+    assert.equal((await registry.validateChoice('mistral-7b-instruct', 2)).valid, true);
+    assert.equal((await registry.validateChoice('gpt-5', 9)).valid, false);
+  });
+});
+
+describe('shouldFailOver', () => {
+  it('fails over on provider outages only', () => {
+    assert.equal(shouldFailOver(new LLMProviderError('down', { code: 'unavailable' })), true);
+    assert.equal(shouldFailOver(new LLMProviderError('stopped', { code: 'aborted' })), false);
+    assert.equal(shouldFailOver(new Error('bug')), false);
+  });
+});
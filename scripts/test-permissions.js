@@ -0,0 +1,136 @@
+/**
+ * Permissions and blocks for targeted events, run with `npm test`
+ */
+
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/db.js';
+import Profile from '../src/models/Profile.js';
+import permissionService from '../src/services/permissionService.js';
+
+// Saved permissions by user name, the way the Profile documents hold them
+let profiles;
+let runs = 0;
+
+// Names are new for every test so nothing is served from the cache of an earlier one
+const user = (name) => `${name}${runs}`;
+
+before(() => {
+  mock.method(db, 'hasConnection', () => true);
+  mock.method(Profile, 'findOne', (query) => ({
+    lean: async () => (profiles.has(query.username) ? { permissions: profiles.get(query.username) } : null)
+  }));
+  mock.method(Profile, 'updateOne', async (query, update) => {
+    profiles.set(query.username, update.$set.permissions);
+  });
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+  runs++;
+  profiles = new Map();
+  Profile.findOne.mock.resetCalls();
+});
+
+afterEach(() => mock.timers.reset());
+
+describe('canDeliver', () => {
+  it('lets users target themselves and nobody target guests or anonymous users', async () => {
+    assert.equal(await permissionService.canDeliver(user('Ann'), user('ann'), 'audio'), true);
+    assert.equal(await permissionService.canDeliver(user('Ann'), 'guest-0a1b2c3d', 'audio'), false);
+    assert.equal(await permissionService.canDeliver(user('Ann'), 'anonBambi', 'audio'), false);
+    assert.equal(await permissionService.canDeliver('guest-0a1b2c3d', user('Ann'), 'audio'), false);
+  });
+
+  it('allows only the kinds that were granted', async () => {
+    await permissionService.grant(user('Ann'), user('Bob'), ['audio']);
+    assert.equal(await permissionService.canDeliver(user('Bob'), user('Ann'), 'audio'), true);
+    assert.equal(await permissionService.canDeliver(user('bob'), user('ann'), 'audio'), true);
+    assert.equal(await permissionService.canDeliver(user('Bob'), user('Ann'), 'collar'), false);
+    assert.equal(await permissionService.canDeliver(user('Eve'), user('Ann'), 'audio'), false);
+  });
+
+  it('reads the profile of a user who is not cached', async () => {
+    profiles.set(user('Ann'), { grants: [{ username: user('Bob'), kinds: ['messages'] }], blocked: [user('Eve')] });
+
+    assert.equal(await permissionService.canDeliver(user('Bob'), user('Ann'), 'messages'), true);
+    assert.equal(await permissionService.isBlocked(user('Ann'), user('Eve')), true);
+    assert.equal(Profile.findOne.mock.callCount(), 1);
+  });
+
+  it('shares one profile read between concurrent checks', async () => {
+    profiles.set(user('Ann'), { grants: [{ username: user('Bob'), kinds: ['audio'] }], blocked: [] });
+
+    const results = await Promise.all([
+      permissionService.canDeliver(user('Bob'), user('Ann'), 'audio'),
+      permissionService.canDeliver(user('Bob'), user('Ann'), 'audio'),
+      permissionService.isBlocked(user('Ann'), user('Bob'))
+    ]);
+    assert.deepEqual(results, [true, true, false]);
+    assert.equal(Profile.findOne.mock.callCount(), 1);
+  });
+
+  it('reads the profile again once the cached entry expired', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    profiles.set(user('Ann'), { grants: [], blocked: [] });
+    await permissionService.canDeliver(user('Bob'), user('Ann'), 'audio');
+
+    // Changed by another server process
+    profiles.set(user('Ann'), { grants: [{ username: user('Bob'), kinds: ['audio'] }], blocked: [] });
+    mock.timers.tick(29 * 60 * 1000);
+    assert.equal(await permissionService.canDeliver(user('Bob'), user('Ann'), 'audio'), false);
+    mock.timers.tick(30 * 60 * 1000);
+    assert.equal(await permissionService.canDeliver(user('Bob'), user('Ann'), 'audio'), true);
+    assert.equal(Profile.findOne.mock.callCount(), 2);
+  });
+});
+
+describe('blocks', () => {
+  it('take back grants and stop delivery', async () => {
+    await permissionService.grant(user('Ann'), user('Bob'), ['audio', 'messages']);
+    await permissionService.block(user('Ann'), user('Bob'));
+
+    assert.equal(await permissionService.canDeliver(user('Bob'), user('Ann'), 'audio'), false);
+    assert.equal(await permissionService.isBlocked(user('Ann'), user('BOB')), true);
+    assert.deepEqual(profiles.get(user('Ann')), { grants: [], blocked: [user('Bob')] });
+
+    await permissionService.unblock(user('Ann'), user('Bob'));
+    assert.equal(await permissionService.isBlocked(user('Ann'), user('Bob')), false);
+    assert.equal(await permissionService.canDeliver(user('Bob'), user('Ann'), 'audio'), false);
+  });
+
+  it('drop permission requests without telling the sender', async () => {
+    await permissionService.block(user('Ann'), user('Bob'));
+    const result = await permissionService.requestPermission(user('Bob'), user('Ann'), ['audio']);
+
+    assert.deepEqual(result, { success: true, dropped: true });
+    assert.equal((await permissionService.listPermissions(user('Ann'))).incoming.length, 0);
+  });
+});
+
+describe('requests', () => {
+  it('grant only the missing kinds once accepted', async () => {
+    await permissionService.grant(user('Ann'), user('Bob'), ['audio']);
+    const { request } = await permissionService.requestPermission(user('Bob'), user('Ann'), ['audio', 'triggers']);
+    assert.deepEqual(request.kinds, ['triggers']);
+
+    // Only the user who was asked can answer
+    assert.equal((await permissionService.respondToRequest(user('Bob'), request.requestId, true)).success, false);
+    assert.equal((await permissionService.respondToRequest(user('Ann'), request.requestId, true)).success, true);
+    assert.equal(await permissionService.canDeliver(user('Bob'), user('Ann'), 'triggers'), true);
+  });
+
+  it('refuse kinds that do not exist and guests asking', async () => {
+    assert.equal((await permissionService.requestPermission(user('Bob'), user('Ann'), ['everything'])).success, false);
+    assert.equal((await permissionService.requestPermission('guest-0a1b2c3d', user('Ann'), ['audio'])).success, false);
+  });
+
+  it('are gone once declined', async () => {
+    const { request } = await permissionService.requestPermission(user('Bob'), user('Ann'), ['collar']);
+    await permissionService.respondToRequest(user('Ann'), request.requestId, false);
+
+    assert.equal(await permissionService.canDeliver(user('Bob'), user('Ann'), 'collar'), false);
+    assert.equal((await permissionService.respondToRequest(user('Ann'), request.requestId, true)).success, false);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Admin routes for persona overrides, run with `npm test`
+ */
+
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import config from '../src/config/config.js';
+import db from '../src/config/db.js';
+import PersonaTemplate from '../src/models/PersonaTemplate.js';
+import personasRouter from '../src/routes/personas.js';
+
+const TOKEN = 'test-admin-token';
+const adminToken = config.ADMIN_TOKEN;
+let server;
+let baseUrl;
+
+async function send(method, path, body, token = TOKEN) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  config.ADMIN_TOKEN = TOKEN;
+  mock.method(db, 'hasConnection', () => true);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/personas', personasRouter);
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  config.ADMIN_TOKEN = adminToken;
+  mock.restoreAll();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  mock.method(PersonaTemplate, 'findOneAndUpdate', (filter, update) => ({
+    lean: async () => ({ ...filter, ...update.$set })
+  }));
+  mock.method(PersonaTemplate, 'deleteOne', async (filter) => ({ deletedCount: filter.version === 2 ? 1 : 0 }));
+});
+
+describe('persona admin routes', () => {
+  it('need the admin token', async () => {
+    const { status } = await send('PUT', '/api/personas/admin/bambisleep/2', { template: 'Hi {{username}}' }, 'wrong');
+    assert.equal(status, 401);
+    assert.equal(PersonaTemplate.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('save a version', async () => {
+    const { status, body } = await send('PUT', '/api/personas/admin/bambisleep/2', { template: 'Hi {{username}}', enabled: false });
+    assert.equal(status, 200);
+    assert.deepEqual(PersonaTemplate.findOneAndUpdate.mock.calls[0].arguments[0], { name: 'bambisleep', version: 2 });
+    assert.equal(body.data.override.enabled, false);
+  });
+
+  it('refuse bad names, versions and templates', async () => {
+    assert.equal((await send('PUT', '/api/personas/admin/bambi%20sleep/2', { template: 'x' })).status, 400);
+    assert.equal((await send('PUT', '/api/personas/admin/bambisleep/0', { template: 'x' })).status, 400);
+    assert.equal((await send('PUT', '/api/personas/admin/bambisleep/2', { template: '' })).status, 400);
+    assert.equal((await send('PUT', '/api/personas/admin/bambisleep/2', { template: 'x', enabled: 'yes' })).status, 400);
+    assert.equal(PersonaTemplate.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('remove a version', async () => {
+    assert.equal((await send('DELETE', '/api/personas/admin/bambisleep/2')).status, 200);
+    assert.equal((await send('DELETE', '/api/personas/admin/bambisleep/3')).status, 404);
+  });
+});
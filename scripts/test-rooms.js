@@ -0,0 +1,245 @@
+/**
+ * Room access, room changes and the history routes, run with `npm test`
+ */
+
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import config from '../src/config/config.js';
+import db from '../src/config/db.js';
+import ChatRoom from '../src/models/ChatRoom.js';
+import Profile from '../src/models/Profile.js';
+import consentService from '../src/services/consentService.js';
+import roomService from '../src/services/roomService.js';
+import sessionService from '../src/services/sessionService.js';
+import chatRouter from '../src/routes/chat.js';
+
+const rootId = new mongoose.Types.ObjectId();
+const rooms = new Map();
+const siteModerators = config.CHAT_MODERATORS;
+let server;
+let baseUrl;
+let requestUser;
+
+const room = (slug, { visibility = 'public', members = [], historyLimit = 50, allowGuests = true } = {}) => ({
+  slug,
+  name: slug,
+  description: '',
+  visibility,
+  owner: 'Owner',
+  moderators: ['Mod'],
+  members: ['Owner', ...members],
+  settings: { allowGuests, audioTriggers: true, historyLimit, slowModeSeconds: 0, contentPolicy: 'standard' }
+});
+
+const message = (roomSlug, fields = {}) => ({
+  _id: rootId,
+  username: 'Owner',
+  data: 'hello',
+  room: roomSlug,
+  timestamp: new Date(),
+  ...fields
+});
+
+async function get(path) {
+  const response = await fetch(`${baseUrl}${path}`, { headers: { accept: 'application/json' } });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  mock.method(consentService, 'getConsent', async () => ({
+    ageConfirmedAt: new Date(),
+    acceptedAt: new Date(),
+    termsVersion: consentService.currentTermsVersion()
+  }));
+  mock.method(roomService, 'getRoom', async (slug) => rooms.get(slug) || null);
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.session = { username: requestUser };
+    next();
+  });
+  app.use('/chat', chatRouter);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  config.CHAT_MODERATORS = siteModerators;
+  mock.restoreAll();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  rooms.clear();
+  rooms.set('open', room('open'));
+  rooms.set('no-history', room('no-history', { historyLimit: 0 }));
+  rooms.set('secret', room('secret', { visibility: 'private', members: ['Member'] }));
+  requestUser = 'Member';
+});
+
+describe('access', () => {
+  it('lets anyone with an account into public rooms and guests only where allowed', () => {
+    assert.equal(roomService.canAccess(room('open'), 'Member'), true);
+    assert.equal(roomService.canAccess(room('open'), 'guest-0a1b2c3d'), true);
+    assert.equal(roomService.canAccess(room('open', { allowGuests: false }), 'guest-0a1b2c3d'), false);
+    assert.equal(roomService.canAccess(room('open', { allowGuests: false }), 'anonBambi'), false);
+    assert.equal(roomService.canAccess(null, 'Member'), false);
+  });
+
+  it('keeps private rooms to members and moderators', () => {
+    const secret = room('secret', { visibility: 'private', members: ['Member'] });
+    assert.equal(roomService.canAccess(secret, 'Member'), true);
+    assert.equal(roomService.canAccess(secret, 'Mod'), true);
+    assert.equal(roomService.canAccess(secret, 'Stranger'), false);
+  });
+
+  it('keeps the history of a room with a history limit of 0 from everyone', () => {
+    const noHistory = room('no-history', { historyLimit: 0 });
+    assert.equal(roomService.canAccess(noHistory, 'Owner'), true);
+    assert.equal(roomService.canReadHistory(noHistory, 'Owner'), false);
+    assert.equal(roomService.canReadHistory(room('open'), 'Member'), true);
+    assert.equal(roomService.canReadHistory(room('secret', { visibility: 'private' }), 'Stranger'), false);
+  });
+
+  it('knows site moderators, but not guests with their name', () => {
+    config.CHAT_MODERATORS = ['SiteMod'];
+    assert.equal(roomService.isModerator(room('open'), 'sitemod'), true);
+    assert.equal(roomService.isModerator(room('open'), 'Member'), false);
+    assert.equal(roomService.isSiteModerator('guest-0a1b2c3d'), false);
+    config.CHAT_MODERATORS = siteModerators;
+  });
+
+  it('shows the member list of a private room only to the people running it', () => {
+    const secret = room('secret', { visibility: 'private', members: ['Member'] });
+    assert.deepEqual(roomService.describeRoom(secret, 'Owner').members, ['Owner', 'Member']);
+    assert.equal(roomService.describeRoom(secret, 'Member').members, undefined);
+  });
+});
+
+describe('room changes', () => {
+  // Rooms in the database by slug, the service caches what it loaded so every test uses its own slug
+  const stored = new Map();
+
+  before(() => {
+    mock.method(db, 'hasConnection', () => true);
+    mock.method(ChatRoom, 'findOne', (query) => ({ lean: async () => stored.get(query.slug) || null }));
+    mock.method(ChatRoom, 'findOneAndUpdate', (query, update) => {
+      const doc = stored.get(query.slug);
+      for (const [field, value] of Object.entries(update.$addToSet || {})) {
+        if (!doc[field].includes(value)) doc[field].push(value);
+      }
+      for (const [field, value] of Object.entries(update.$pull || {})) {
+        doc[field] = doc[field].filter(item => item !== value);
+      }
+      for (const [field, value] of Object.entries(update.$set || {})) {
+        if (field.startsWith('settings.')) doc.settings[field.slice(9)] = value;
+        else doc[field] = value;
+      }
+      return { lean: async () => structuredClone(doc) };
+    });
+    mock.method(Profile, 'exists', async (query) => query.username !== 'Nobody');
+  });
+
+  it('refuses to join a private room without an invite', async () => {
+    stored.set('private-join', room('private-join', { visibility: 'private' }));
+    const result = await roomService.joinRoom('private-join', 'Stranger');
+    assert.equal(result.success, false);
+  });
+
+  it('lets moderators invite, and nobody else', async () => {
+    stored.set('private-invite', room('private-invite', { visibility: 'private' }));
+
+    assert.equal((await roomService.inviteToRoom('private-invite', 'Stranger', 'Friend')).success, false);
+    assert.equal((await roomService.inviteToRoom('private-invite', 'Mod', 'guest-0a1b2c3d')).success, false);
+    assert.equal((await roomService.inviteToRoom('private-invite', 'Mod', 'Nobody')).success, false);
+
+    const invited = await roomService.inviteToRoom('private-invite', 'Mod', 'Friend');
+    assert.equal(invited.success, true);
+    assert.equal((await roomService.joinRoom('private-invite', 'Friend')).success, true);
+  });
+
+  it('checks settings and who changes them', async () => {
+    stored.set('settings', room('settings'));
+
+    assert.equal((await roomService.updateSettings('settings', 'Member', { historyLimit: 10 })).success, false);
+    assert.equal((await roomService.updateSettings('settings', 'Owner', { historyLimit: 201 })).success, false);
+    assert.equal((await roomService.updateSettings('settings', 'Owner', { slowModeSeconds: -1 })).success, false);
+    assert.equal((await roomService.updateSettings('settings', 'Owner', { contentPolicy: 'anything goes' })).success, false);
+
+    const result = await roomService.updateSettings('settings', 'Mod', { historyLimit: 0, allowGuests: 0 });
+    assert.equal(result.success, true);
+    assert.equal(result.room.settings.historyLimit, 0);
+    assert.equal(result.room.settings.allowGuests, false);
+    assert.equal(roomService.canReadHistory(result.room, 'Owner'), false);
+  });
+
+  it('lets only the owner choose moderators among the members', async () => {
+    stored.set('moderators', room('moderators', { members: ['Member'] }));
+
+    assert.equal((await roomService.setModerator('moderators', 'Mod', 'Member', true)).success, false);
+    assert.equal((await roomService.setModerator('moderators', 'Owner', 'Stranger', true)).success, false);
+    assert.equal((await roomService.setModerator('lobby', 'Owner', 'Member', true)).success, false);
+
+    const result = await roomService.setModerator('moderators', 'Owner', 'Member', true);
+    assert.equal(result.success, true);
+    assert.equal(roomService.isModerator(result.room, 'Member'), true);
+  });
+
+  it('keeps owners in their room and everyone in the lobby', async () => {
+    stored.set('leave', room('leave', { members: ['Member'] }));
+    assert.equal((await roomService.leaveRoom('leave', 'Owner')).success, false);
+    assert.equal((await roomService.leaveRoom('lobby', 'Member')).success, false);
+    assert.equal((await roomService.leaveRoom('leave', 'Member')).success, true);
+  });
+});
+
+describe('thread route', () => {
+  const threadIn = (roomSlug) => mock.method(sessionService.ChatMessage, 'getThread', async () => ({
+    root: message(roomSlug),
+    replies: [message(roomSlug, { _id: new mongoose.Types.ObjectId(), data: 'reply', replyTo: rootId, threadRoot: rootId })]
+  }));
+
+  it('returns the thread for users who may read the room history', async () => {
+    const getThread = threadIn('open');
+    const { status, body } = await get(`/chat/thread/${rootId}`);
+    getThread.mock.restore();
+
+    assert.equal(status, 200);
+    assert.equal(body.data.room, 'open');
+    assert.equal(body.data.replies.length, 1);
+  });
+
+  it('hides threads of a room that keeps no history', async () => {
+    const getThread = threadIn('no-history');
+    const { status, body } = await get(`/chat/thread/${rootId}`);
+    getThread.mock.restore();
+
+    assert.equal(status, 404);
+    assert.equal(body.success, false);
+  });
+
+  it('hides threads of a private room from non members', async () => {
+    requestUser = 'Stranger';
+    const getThread = threadIn('secret');
+    const { status } = await get(`/chat/thread/${rootId}`);
+    getThread.mock.restore();
+
+    assert.equal(status, 404);
+  });
+});
+
+describe('history route', () => {
+  it('refuses a room that keeps no history', async () => {
+    const getMessagesPage = mock.method(sessionService.ChatMessage, 'getMessagesPage', async () => ({ messages: [], hasOlder: false, hasNewer: false }));
+    const { status } = await get('/chat/history?room=no-history');
+    getMessagesPage.mock.restore();
+
+    assert.equal(status, 404);
+    assert.equal(getMessagesPage.mock.callCount(), 0);
+  });
+});
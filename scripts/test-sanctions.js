@@ -0,0 +1,150 @@
+/**
+ * Flood limits, slow mode and hashed addresses of sanctions, run with `npm test`
+ */
+
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import config from '../src/config/config.js';
+import db from '../src/config/db.js';
+import Sanction from '../src/models/Sanction.js';
+import sanctionService from '../src/services/sanctionService.js';
+
+let created;
+
+const room = (slowModeSeconds = 0) => ({
+  slug: 'lobby',
+  owner: 'Owner',
+  moderators: ['Mod'],
+  members: [],
+  settings: { slowModeSeconds }
+});
+
+// Sends until the flood limits stop the sender, returns the refusal
+async function flood(sender, text = (i) => `message ${i}`) {
+  for (let i = 0; i < 50; i++) {
+    const result = await sanctionService.checkMessage(sender, room(), text(i));
+    if (!result.allowed) return { result, sent: i };
+  }
+  return { result: null, sent: 50 };
+}
+
+before(() => {
+  mock.method(db, 'hasConnection', () => true);
+  mock.method(Sanction, 'find', () => ({ lean: async () => [] }));
+  mock.method(Sanction, 'create', async (fields) => {
+    const sanction = { ...fields, _id: new mongoose.Types.ObjectId(), createdAt: new Date() };
+    created.push(sanction);
+    return { toObject: () => sanction };
+  });
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+  created = [];
+});
+
+describe('checkMessage', () => {
+  it('mutes a user who sends more than CHAT_FLOOD_MESSAGES in the window', async () => {
+    const { result, sent } = await flood({ username: 'Fast', ipHash: 'address-fast' });
+
+    assert.equal(sent, config.CHAT_FLOOD_MESSAGES);
+    assert.match(result.error, /muted for \d+ minutes/);
+    assert.equal(created.length, 1);
+    assert.equal(created[0].type, 'mute');
+    assert.equal(created[0].username, 'Fast');
+    assert.equal(created[0].ipHash, null);
+    assert.equal(created[0].issuedBy, sanctionService.SYSTEM);
+    assert.ok(sanctionService.findMute('fast', null));
+  });
+
+  it('mutes a user who repeats one message CHAT_FLOOD_DUPLICATES times', async () => {
+    const { sent } = await flood({ username: 'Echo', ipHash: 'address-echo' }, (i) => (i % 2 ? 'Same  TEXT' : 'same text'));
+
+    assert.equal(sent, config.CHAT_FLOOD_DUPLICATES - 1);
+    assert.equal(created[0].reason, 'Sending the same message again and again');
+  });
+
+  it('mutes a flooding guest by address too, so a new guest identity stays muted', async () => {
+    await flood({ username: 'guest-0badf00d', ipHash: 'address-guest' });
+
+    assert.equal(created[0].username, 'guest-0badf00d');
+    assert.equal(created[0].ipHash, 'address-guest');
+    assert.ok(sanctionService.findMute('guest-12345678', 'address-guest'));
+  });
+
+  it('mutes anonymous visitors by address only', async () => {
+    await flood({ username: 'anonBambi', ipHash: 'address-anon' });
+
+    assert.equal(created[0].username, null);
+    assert.equal(created[0].ipHash, 'address-anon');
+    assert.equal(sanctionService.findMute('anonBambi', 'address-other'), null);
+  });
+
+  it('leaves moderators of the room alone', async () => {
+    const { result } = await flood({ username: 'Mod', ipHash: 'address-mod' }, () => 'same');
+    assert.equal(result, null);
+    assert.equal(created.length, 0);
+  });
+
+  it('holds back messages in slow mode', async () => {
+    const sender = { username: 'Slow', ipHash: 'address-slow' };
+    assert.equal((await sanctionService.checkMessage(sender, room(30), 'first')).allowed, true);
+
+    const second = await sanctionService.checkMessage(sender, room(30), 'second');
+    assert.equal(second.allowed, false);
+    assert.match(second.error, /^Slow mode is on, wait \d+s/);
+    assert.equal(created.length, 0);
+  });
+});
+
+describe('addressHash', () => {
+  const trustProxy = config.TRUST_PROXY;
+  after(() => { config.TRUST_PROXY = trustProxy; });
+
+  it('hashes the same address the same way, without keeping it', () => {
+    const hash = sanctionService.addressHash({ address: '::ffff:203.0.113.7' });
+    assert.equal(hash, sanctionService.addressHash({ address: '203.0.113.7' }));
+    assert.match(hash, /^[0-9a-f]{64}$/);
+    assert.equal(sanctionService.addressHash({}), null);
+  });
+
+  it('takes the entry our proxy added to X-Forwarded-For, only with TRUST_PROXY', () => {
+    const request = { address: '10.0.0.1', headers: { 'x-forwarded-for': '198.51.100.1, 203.0.113.7' } };
+
+    config.TRUST_PROXY = false;
+    assert.equal(sanctionService.addressHash(request), sanctionService.addressHash({ address: '10.0.0.1' }));
+
+    config.TRUST_PROXY = true;
+    assert.equal(sanctionService.addressHash(request), sanctionService.addressHash({ address: '203.0.113.7' }));
+  });
+});
+
+describe('addressKey', () => {
+  const saved = { NODE_ENV: config.NODE_ENV, SESSION_SECRET: config.SESSION_SECRET, ADDRESS_HASH_SECRET: config.ADDRESS_HASH_SECRET };
+  after(() => Object.assign(config, saved));
+
+  // A fresh copy of the module, the key is only worked out once
+  const freshService = async (name) => (await import(`../src/services/sanctionService.js?${name}`)).default;
+
+  it('refuses to run in production without a secret', async () => {
+    Object.assign(config, { NODE_ENV: 'production', SESSION_SECRET: '', ADDRESS_HASH_SECRET: '' });
+    const service = await freshService('production');
+    assert.throws(() => service.addressKey(), /ADDRESS_HASH_SECRET/);
+  });
+
+  it('uses ADDRESS_HASH_SECRET before SESSION_SECRET', async () => {
+    Object.assign(config, { NODE_ENV: 'production', SESSION_SECRET: 'session', ADDRESS_HASH_SECRET: 'address' });
+    assert.equal((await freshService('both')).addressKey(), 'address');
+
+    Object.assign(config, { ADDRESS_HASH_SECRET: '' });
+    assert.equal((await freshService('session')).addressKey(), 'session');
+  });
+
+  it('keeps the same key across restarts outside production', async () => {
+    Object.assign(config, { NODE_ENV: 'development', SESSION_SECRET: '', ADDRESS_HASH_SECRET: '' });
+    const first = (await freshService('first')).addressKey();
+    assert.equal((await freshService('second')).addressKey(), first);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Break reminders and wind-downs of the wellbeing service, run with `npm test`
+ */
+
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config/config.js';
+import db from '../src/config/db.js';
+import wellbeingService from '../src/services/wellbeingService.js';
+
+const MINUTE = 60 * 1000;
+const idleReset = config.WELLBEING_IDLE_RESET_MINUTES;
+let socketCount = 0;
+
+const newSocket = (username = 'anonBambi') => ({ id: `socket-${++socketCount}`, bambiUsername: username });
+const actionsFor = (socket) => wellbeingService.dueActions()
+  .filter(action => action.key === wellbeingService.sessionKey(socket))
+  .map(action => action.action);
+
+before(() => {
+  config.WELLBEING_IDLE_RESET_MINUTES = 60;
+  mock.method(db, 'hasConnection', () => false);
+});
+
+after(() => {
+  config.WELLBEING_IDLE_RESET_MINUTES = idleReset;
+  mock.restoreAll();
+});
+
+beforeEach(() => mock.timers.enable({ apis: ['Date'], now: Date.now() }));
+afterEach(() => mock.timers.reset());
+
+describe('validateWellbeingSettings', () => {
+  it('accepts limits in range and 0 for no reminders', () => {
+    assert.deepEqual(wellbeingService.validateWellbeingSettings({ sessionLimitMinutes: '45', breakReminderMinutes: 0 }), {
+      valid: true,
+      settings: { sessionLimitMinutes: 45, breakReminderMinutes: 0 }
+    });
+  });
+
+  it('refuses limits out of range', () => {
+    assert.equal(wellbeingService.validateWellbeingSettings({ sessionLimitMinutes: 5, breakReminderMinutes: 20 }).valid, false);
+    assert.equal(wellbeingService.validateWellbeingSettings({ sessionLimitMinutes: 60, breakReminderMinutes: 2 }).valid, false);
+    assert.equal(wellbeingService.validateWellbeingSettings({ sessionLimitMinutes: 60.5, breakReminderMinutes: 20 }).valid, false);
+  });
+});
+
+describe('session limits', () => {
+  it('sends break reminders, then winds down at the limit', () => {
+    const socket = newSocket();
+    wellbeingService.recordActivity(socket, { sessionLimitMinutes: 30, breakReminderMinutes: 10 });
+
+    mock.timers.tick(10 * MINUTE);
+    assert.deepEqual(actionsFor(socket), ['break']);
+    assert.deepEqual(actionsFor(socket), []);
+
+    wellbeingService.recordActivity(socket);
+    mock.timers.tick(20 * MINUTE);
+    assert.deepEqual(actionsFor(socket), ['wind-down']);
+    assert.equal(wellbeingService.isWindingDown(socket), true);
+  });
+
+  it('keeps winding down while the user stays active', () => {
+    const socket = newSocket();
+    wellbeingService.recordActivity(socket, { sessionLimitMinutes: 10, breakReminderMinutes: 0 });
+    mock.timers.tick(10 * MINUTE);
+    assert.deepEqual(actionsFor(socket), ['wind-down']);
+
+    mock.timers.tick(30 * MINUTE);
+    assert.equal(wellbeingService.recordActivity(socket).windingDown, true);
+    assert.deepEqual(actionsFor(socket), []);
+    assert.equal(wellbeingService.isWindingDown(socket), true);
+  });
+
+  it('ends the wind-down after a long enough rest', () => {
+    const socket = newSocket();
+    wellbeingService.recordActivity(socket, { sessionLimitMinutes: 10, breakReminderMinutes: 0 });
+    mock.timers.tick(10 * MINUTE);
+    actionsFor(socket);
+
+    mock.timers.tick(60 * MINUTE);
+    actionsFor(socket);
+    assert.equal(wellbeingService.isWindingDown(socket), false);
+  });
+
+  it('tracks a user across their sockets and anonymous users per socket', () => {
+    const phone = newSocket('Bambi');
+    const laptop = newSocket('Bambi');
+    wellbeingService.recordActivity(phone, { sessionLimitMinutes: 10, breakReminderMinutes: 0 });
+    mock.timers.tick(10 * MINUTE);
+    wellbeingService.dueActions();
+
+    assert.equal(wellbeingService.isWindingDown(laptop), true);
+    assert.equal(wellbeingService.isWindingDown(newSocket()), false);
+  });
+});
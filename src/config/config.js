@@ -39,6 +39,38 @@ const configSchemas = {
   WORKER_TIMEOUT: { type: 'number', default: 60000, min: 1000 },
   LOG_LEVEL: { type: 'string', default: 'info', enum: ['error', 'warn', 'info', 'debug'] },
   GIT_WEBHOOK_SECRET: { type: 'string', default: '', sensitive: true },
+  ADMIN_TOKEN: { type: 'string', default: '', sensitive: true },
+  AIGF_STREAMING: { type: 'boolean', default: true },
+  AIGF_PERSONA: { type: 'string', default: null },
+  SAFEWORD_DEFAULT: { type: 'string', default: 'red' },
+  TERMS_VERSION: { type: 'number', default: 1, min: 1 },
+  SESSION_SECRET: { type: 'string', default: '', sensitive: true },
+  ADDRESS_HASH_SECRET: { type: 'string', default: '', sensitive: true },
+  SESSION_MAX_AGE_DAYS: { type: 'number', default: 30, min: 1, max: 365 },
+  GUEST_MAX_AGE_DAYS: { type: 'number', default: 30, min: 1, max: 365 },
+  CHAT_MODERATORS: { type: 'array', default: [] },
+  CHAT_EDIT_WINDOW_MINUTES: { type: 'number', default: 15, min: 0, max: 1440 },
+  CHAT_DELETE_WINDOW_MINUTES: { type: 'number', default: 60, min: 0, max: 1440 },
+  CHAT_FLOOD_MESSAGES: { type: 'number', default: 8, min: 2, max: 100 },
+  CHAT_FLOOD_DUPLICATES: { type: 'number', default: 3, min: 2, max: 20 },
+  CHAT_FLOOD_WINDOW_SECONDS: { type: 'number', default: 10, min: 1, max: 300 },
+  CHAT_FLOOD_MUTE_MINUTES: { type: 'number', default: 5, min: 1, max: 1440 },
+  TRUST_PROXY: { type: 'boolean', default: false },
+  WELLBEING_SESSION_LIMIT_MINUTES: { type: 'number', default: 60, min: 10, max: 480 },
+  WELLBEING_BREAK_REMINDER_MINUTES: { type: 'number', default: 20, min: 0, max: 240 },
+  WELLBEING_IDLE_RESET_MINUTES: { type: 'number', default: 10, min: 1, max: 120 },
+  LLM_PROVIDER: { type: 'string', default: 'lmstudio', enum: ['lmstudio', 'ollama', 'llamacpp', 'openai', 'mock'] },
+  LMS_HOST: { type: 'string', default: 'localhost' },
+  LMS_PORT: { type: 'number', default: 7777, min: 1, max: 65535 },
+  LLM_API_URL: { type: 'string', default: null },
+  LLM_API_KEY: { type: 'string', default: '', sensitive: true },
+  LLM_MODEL: { type: 'string', default: 'l3-sthenomaidblackroot-8b-v1' },
+  LLM_TIMEOUT: { type: 'number', default: 120000, min: 1000 },
+  LLM_CONTEXT_TOKENS: { type: 'number', default: 8192, min: 512 },
+  LLM_CONTEXT_BUDGETS: { type: 'array', default: [] },
+  LLM_FALLBACK_MODELS: { type: 'array', default: [] },
+  LLM_MAX_CONCURRENT: { type: 'number', default: 1, min: 1, max: 32 },
+  LLM_MAX_QUEUED_PER_USER: { type: 'number', default: 3, min: 1, max: 20 },
 };
 
 /**
@@ -126,6 +158,10 @@ function buildConfig() {
   if (!config.KOKORO_API_URL) {
     config.KOKORO_API_URL = `http://${config.KOKORO_HOST}:${config.KOKORO_PORT}/v1`;
   }
+
+  if (!config.LLM_API_URL) {
+    config.LLM_API_URL = `http://${config.LMS_HOST}:${config.LMS_PORT}`;
+  }
   
   return config;
 }
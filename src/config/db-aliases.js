@@ -80,6 +80,26 @@ export async function getUserInteractionModel() {
   return getModel('UserInteraction', 'chat');
 }
 
+export async function getDirectConversationModel() {
+  return getModel('DirectConversation', 'chat');
+}
+
+export async function getDirectMessageModel() {
+  return getModel('DirectMessage', 'chat');
+}
+
+export async function getModerationAuditModel() {
+  return getModel('ModerationAudit', 'chat');
+}
+
+export async function getSanctionModel() {
+  return getModel('Sanction', 'chat');
+}
+
+export async function getContentFlagModel() {
+  return getModel('ContentFlag', 'chat');
+}
+
 // AIGF models
 export async function getAigfInteractionModel() {
   return getModel('AigfInteraction', 'aigfLogs');
@@ -92,5 +112,10 @@ export default {
   // getEnhancedChatMessageModel, // Removed - consolidated into sessionService
   getAudioInteractionModel,
   getUserInteractionModel,
+  getDirectConversationModel,
+  getDirectMessageModel,
+  getModerationAuditModel,
+  getSanctionModel,
+  getContentFlagModel,
   getAigfInteractionModel
 };
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Login sessions for express-session, removed by MongoDB once they expire
+const AuthSessionSchema = new mongoose.Schema({
+  // Session id from the signed cookie
+  _id: {
+    type: String,
+    required: true
+  },
+  session: {
+    type: Object,
+    required: true
+  },
+  expires: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }
+  }
+}, { minimize: false });
+
+// Export both the schema and model to allow reuse in workers
+const AuthSession = mongoose.models.AuthSession || mongoose.model('AuthSession', AuthSessionSchema);
+
+// Add schema to the export for worker thread registration
+AuthSession.schema = AuthSessionSchema;
+
+export default AuthSession;
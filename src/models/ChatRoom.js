@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// Chat rooms opened by users, the lobby is built in (see roomService)
+const ChatRoomSchema = new mongoose.Schema({
+  // Short name used in socket events and saved on each ChatMessage
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 40
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 200
+  },
+  // Public rooms are listed for everyone, private rooms only for their members
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    default: 'public'
+  },
+  // Null for the lobby
+  owner: {
+    type: String,
+    default: null
+  },
+  moderators: {
+    type: [String],
+    default: []
+  },
+  members: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  // Changed by the owner and moderators
+  settings: {
+    allowGuests: { type: Boolean, default: true },
+    audioTriggers: { type: Boolean, default: true },
+    historyLimit: { type: Number, default: 50, min: 0, max: 200 },
+    // Seconds between two messages of the same user, moderators are exempt
+    slowModeSeconds: { type: Number, default: 0, min: 0, max: 3600 },
+    // Content filter policy from src/config/contentFilter.json
+    contentPolicy: { type: String, default: 'standard' }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Export both the schema and model to allow reuse in workers
+const ChatRoom = mongoose.models.ChatRoom || mongoose.model('ChatRoom', ChatRoomSchema);
+
+// Add schema to the export for worker thread registration
+ChatRoom.schema = ChatRoomSchema;
+
+export default ChatRoom;
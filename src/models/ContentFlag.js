@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// A text that hit a flag rule of the content filter, kept for moderators to review (see contentFilterService)
+const ContentFlagSchema = new mongoose.Schema({
+  context: {
+    type: String,
+    enum: ['chat', 'dm', 'collar', 'username', 'aigf'],
+    required: true,
+    index: true
+  },
+  // Room it was sent in, null outside rooms
+  room: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Who wrote it, for AIGF replies who they were for
+  username: {
+    type: String,
+    default: null
+  },
+  rules: {
+    type: [String],
+    default: []
+  },
+  categories: {
+    type: [String],
+    default: []
+  },
+  // The text as written, cut to 500 characters
+  text: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  reviewedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  reviewedBy: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+// Export both the schema and model to allow reuse in workers
+const ContentFlag = mongoose.models.ContentFlag || mongoose.model('ContentFlag', ContentFlagSchema);
+
+// Add schema to the export for worker thread registration
+ContentFlag.schema = ContentFlagSchema;
+
+export default ContentFlag;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// One per pair of users, holds what the DM inbox shows (see directMessageService)
+const DirectConversationSchema = new mongoose.Schema({
+  // Both lowercased names sorted and joined with '|', so a pair only ever has one conversation
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  participants: [{
+    _id: false,
+    username: { type: String, required: true },
+    // Messages the user hasn't read yet
+    unread: { type: Number, default: 0, min: 0 },
+    lastReadAt: { type: Date, default: null }
+  }],
+  lastMessage: {
+    from: { type: String, default: null },
+    preview: { type: String, default: '' },
+    sentAt: { type: Date, default: null }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+DirectConversationSchema.index({ 'participants.username': 1, updatedAt: -1 });
+
+// Export both the schema and model to allow reuse in workers
+const DirectConversation = mongoose.models.DirectConversation || mongoose.model('DirectConversation', DirectConversationSchema);
+
+// Add schema to the export for worker thread registration
+DirectConversation.schema = DirectConversationSchema;
+
+export default DirectConversation;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Private message between two users, kept with the chat messages
+const DirectMessageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DirectConversation',
+    required: true
+  },
+  from: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  // Null until one of the receiver's sockets got it, undelivered messages are sent on their next connect
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DirectMessageSchema.index({ conversation: 1, createdAt: -1 });
+DirectMessageSchema.index({ to: 1, deliveredAt: 1 });
+
+// Export both the schema and model to allow reuse in workers
+const DirectMessage = mongoose.models.DirectMessage || mongoose.model('DirectMessage', DirectMessageSchema);
+
+// Add schema to the export for worker thread registration
+DirectMessage.schema = DirectMessageSchema;
+
+export default DirectMessage;
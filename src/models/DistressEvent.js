@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// One document per distress hit, anonymized: no user name and nothing the user wrote
+const DistressEventSchema = new mongoose.Schema({
+  // Where the message came from
+  source: {
+    type: String,
+    enum: ['aigf', 'chat'],
+    required: true
+  },
+  // Score of the message and the user's recent ones
+  score: {
+    type: Number,
+    required: true
+  },
+  // Phrase categories that matched, e.g. suicide, self-harm, crisis
+  categories: {
+    type: [String],
+    default: []
+  },
+  // Time until the user resumed the AIGF, unset when the pause ran out
+  pausedMs: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+// Export both the schema and model to allow reuse in workers
+const DistressEvent = mongoose.models.DistressEvent || mongoose.model('DistressEvent', DistressEventSchema);
+
+// Add schema to the export for worker thread registration
+DistressEvent.schema = DistressEventSchema;
+
+export default DistressEvent;
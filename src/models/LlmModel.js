@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// Admin settings for a discovered model, applied over src/config/models.json
+const LlmModelSchema = new mongoose.Schema({
+  modelId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  displayName: {
+    type: String,
+    default: null
+  },
+  contextLength: {
+    type: Number,
+    default: null,
+    min: 512
+  },
+  minLevel: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  defaultPreset: {
+    type: String,
+    default: null
+  },
+  enabled: {
+    type: Boolean,
+    default: null
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Export both the schema and model to allow reuse in workers
+const LlmModel = mongoose.models.LlmModel || mongoose.model('LlmModel', LlmModelSchema);
+
+// Add schema to the export for worker thread registration
+LlmModel.schema = LlmModelSchema;
+
+export default LlmModel;
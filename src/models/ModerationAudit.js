@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// Who edited or deleted a chat message, why, and what it said before (see moderationService)
+const ModerationAuditSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['edit', 'delete'],
+    required: true
+  },
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatMessage',
+    required: true,
+    index: true
+  },
+  room: {
+    type: String,
+    default: 'lobby',
+    index: true
+  },
+  // User who made the change and whose message it was
+  actor: {
+    type: String,
+    required: true,
+    index: true
+  },
+  author: {
+    type: String,
+    required: true
+  },
+  // author for changes to your own message, moderator otherwise
+  role: {
+    type: String,
+    enum: ['author', 'moderator'],
+    required: true
+  },
+  reason: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  // Text before and after the change, after is empty for deletes
+  before: {
+    type: String,
+    default: ''
+  },
+  after: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+// Export both the schema and model to allow reuse in workers
+const ModerationAudit = mongoose.models.ModerationAudit || mongoose.model('ModerationAudit', ModerationAuditSchema);
+
+// Add schema to the export for worker thread registration
+ModerationAudit.schema = ModerationAuditSchema;
+
+export default ModerationAudit;
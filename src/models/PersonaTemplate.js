@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Database override for the persona templates in src/config/personas.json
+const PersonaTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  // Disabled versions are ignored so a bad edit can be rolled back without deleting it
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PersonaTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+
+// Export both the schema and model to allow reuse in workers
+const PersonaTemplate = mongoose.models.PersonaTemplate || mongoose.model('PersonaTemplate', PersonaTemplateSchema);
+
+// Add schema to the export for worker thread registration
+PersonaTemplate.schema = PersonaTemplateSchema;
+
+export default PersonaTemplate;
@@ -11,10 +11,69 @@ const ProfileSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // bcrypt hash, never loaded unless asked for; null for names only ever held by a cookie
+  passwordHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordSetAt: {
+    type: Date,
+    default: null
+  },
+  // sha256 of the one time code an admin gave out to claim a name from before accounts
+  claimCodeHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  claimCodeExpires: {
+    type: Date,
+    default: null
+  },
+  // Set for guest-xxxxxxxx profiles only, MongoDB removes them once it passes
+  guestUntil: {
+    type: Date,
+    default: null,
+    index: { expireAfterSeconds: 0 }
+  },
   preferences: {
     type: Object,
     default: {}
   },
+  // AIGF settings saved per section by the worker (triggers, collar, generation...)
+  systemControls: {
+    type: Object,
+    default: {}
+  },
+  // Age attestation and content consent, asked again when TERMS_VERSION changes
+  consent: {
+    ageConfirmedAt: { type: Date, default: null },
+    acceptedAt: { type: Date, default: null },
+    termsVersion: { type: Number, default: null }
+  },
+  // Time spent in AIGF, spiral and binaural sessions, kept by the wellbeing timers
+  usageStats: {
+    totalSessionMs: { type: Number, default: 0 },
+    sessionCount: { type: Number, default: 0 },
+    longestSessionMs: { type: Number, default: 0 },
+    breakReminders: { type: Number, default: 0 },
+    windDowns: { type: Number, default: 0 },
+    lastSessionAt: { type: Date, default: null }
+  },
+  // Who may send this user targeted audio, triggers, collar text or private messages, and whose events are dropped
+  permissions: {
+    grants: {
+      type: [{
+        _id: false,
+        username: { type: String, required: true },
+        kinds: { type: [String], default: [] },
+        grantedAt: { type: Date, default: Date.now }
+      }],
+      default: []
+    },
+    blocked: { type: [String], default: [] }
+  },
   lastActive: {
     type: Date,
     default: Date.now
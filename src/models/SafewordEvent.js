@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// One document per safeword use, never the words around it
+const SafewordEventSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Where the safeword came from
+  source: {
+    type: String,
+    enum: ['aigf', 'chat', 'button'],
+    required: true
+  },
+  // Time until the user left the grounding screen, set on release
+  heldMs: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+// Export both the schema and model to allow reuse in workers
+const SafewordEvent = mongoose.models.SafewordEvent || mongoose.model('SafewordEvent', SafewordEventSchema);
+
+// Add schema to the export for worker thread registration
+SafewordEvent.schema = SafewordEventSchema;
+
+export default SafewordEvent;
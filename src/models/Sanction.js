@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// A mute, kick or ban of a user in one room or everywhere (see sanctionService)
+const SanctionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['mute', 'kick', 'ban'],
+    required: true
+  },
+  // Who it is for, by name and by hashed address (either can be missing)
+  username: {
+    type: String,
+    default: null,
+    index: true
+  },
+  ipHash: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Null for every room
+  room: {
+    type: String,
+    default: null
+  },
+  // Moderator who gave it, system for flood limits
+  issuedBy: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  // Null for permanent, a kick without minutes ends the moment it is given
+  expiresAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  liftedAt: {
+    type: Date,
+    default: null
+  },
+  liftedBy: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+// Export both the schema and model to allow reuse in workers
+const Sanction = mongoose.models.Sanction || mongoose.model('Sanction', SanctionSchema);
+
+// Add schema to the export for worker thread registration
+Sanction.schema = SanctionSchema;
+
+export default Sanction;
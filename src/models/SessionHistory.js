@@ -1,6 +1,15 @@
 import mongoose from 'mongoose';
+import { describeBranch, ensureMessageIds } from '../utils/conversationTree.js';
 
 const messageSchema = new mongoose.Schema({
+  // Messages form a tree so regenerated and edited turns are kept as alternatives
+  messageId: {
+    type: String
+  },
+  parentId: {
+    type: String,
+    default: null
+  },
   role: {
     type: String,
     enum: ['system', 'user', 'assistant'],
@@ -13,6 +22,11 @@ const messageSchema = new mongoose.Schema({
   timestamp: {
     type: Date,
     default: Date.now
+  },
+  // Assistant turns cut short by stop, disconnect or a newer prompt
+  incomplete: {
+    type: Boolean,
+    default: false
   }
 });
 
@@ -28,6 +42,11 @@ const SessionHistorySchema = new mongoose.Schema({
     index: true
   },
   messages: [messageSchema],
+  // Last message of the branch the user is currently on
+  activeLeafId: {
+    type: String,
+    default: null
+  },
   metadata: {
     type: Object,
     default: {}
@@ -59,6 +78,20 @@ SessionHistorySchema.methods.addMessage = function(role, content) {
   return this;
 };
 
+// Find the most recent conversation a user can pick up again
+SessionHistorySchema.statics.findLatestForUser = function(username) {
+  return this.findOne({ username, 'messages.1': { $exists: true } })
+    .sort({ lastUpdatedAt: -1 });
+};
+
+// Recent user and assistant turns of the active branch, oldest first, for display
+SessionHistorySchema.methods.getTranscript = function(limit = 20) {
+  ensureMessageIds(this.messages);
+  return describeBranch(this.messages, this.activeLeafId)
+    .filter(message => message.role !== 'system')
+    .slice(-limit);
+};
+
 // Export both the schema and model to allow reuse in workers
 const SessionHistory = mongoose.models.SessionHistory || mongoose.model('SessionHistory', SessionHistorySchema);
 
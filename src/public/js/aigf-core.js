@@ -11,6 +11,8 @@ const textarea = document.getElementById('textarea');
 const submit = document.getElementById('submit');
 const response = document.getElementById('response');
 const userPrompt = document.getElementById('user-prompt');
+const stopButton = document.getElementById('stop');
+const regenerateButton = document.getElementById('regenerate');
 
 // Check for missing critical elements
 if (!textarea) console.warn('textarea element not found');
@@ -25,6 +27,13 @@ const audio = window.audio;
 let text = '';
 let state = true;
 
+// Control network node id, set once registration succeeds
+let controlNodeId = null;
+
+// Ids of the latest AIGF turn, used to regenerate or edit it
+let lastTurn = null;
+let editingMessageId = null;
+
 // Share arrays with other scripts
 window._textArray = _textArray;
 window._audioArray = _audioArray;
@@ -32,7 +41,6 @@ window._audioArray = _audioArray;
 // Enhanced control network integration
 function initializeControlNetwork() {
   // Initialize bambi control network integration
-  let controlNodeId = null;
   if (window.bambiControlNetwork && typeof window.bambiControlNetwork.registerControlNode === 'function') {
     const nodeId = `aigf-core-${Date.now()}`;
     const success = window.bambiControlNetwork.registerControlNode(nodeId, 'USER_INTERFACE', {
@@ -159,6 +167,13 @@ function showSystemMessage(message) {
     }
 }
 
+// Notices from the chat panels (rooms, threads, private messages, permissions and moderation)
+function notify(message) {
+    if (message) {
+        showSystemMessage(message);
+    }
+}
+
 let debounceTimeout;
 let isProcessing = false;
 
@@ -184,18 +199,8 @@ if (submit) {
 }
 
 document.addEventListener("DOMContentLoaded", () => {
-    // Fix cookie parsing to handle empty cookie strings
-    const cookies = {};
-    if (document.cookie) {
-        document.cookie.split(";").forEach(cookie => {
-            const parts = cookie.split("=").map(c => c.trim());
-            if (parts.length === 2) {
-                cookies[parts[0]] = parts[1];
-            }
-        });
-    }
-
-    let username = decodeURIComponent(cookies['bambiname'] || 'anonBambi').replace(/%20/g, ' ');
+    // The server renders the logged in user into the page
+    let username = document.body.dataset.username || 'anonBambi';
     window.username = username;
     
     // Initialize control network integration
@@ -280,7 +285,14 @@ function handleClick() {
     }
     
     if (userPrompt) userPrompt.textContent = message;
-    socket.emit('message', message);
+    if (editingMessageId) {
+        // Resend the edited prompt on a new branch
+        socket.emit('aigf:edit', { messageId: editingMessageId, content: message });
+        editingMessageId = null;
+    } else {
+        socket.emit('message', message);
+    }
+    setGenerating(true);
 
     if (textarea) {
         textarea.value = '';
@@ -288,15 +300,19 @@ function handleClick() {
     }
 }
 
-socket.on('response', async (message) => {
-    const messageText = message;
-    const sentences = messageText.split(/(?<=[:;,.!?]["']?)\s+/g);
-    
+const SENTENCE_SPLIT = /(?<=[:;,.!?]["']?)\s+/g;
+
+// Streaming state for progressively rendered responses
+let streamBuffer = '';
+let streamElement = null;
+const streamedSentences = new Set();
+
+function reportResponseReceived(messageText, sentenceCount) {
     // Send response processing through control network
     if (controlNodeId && window.bambiControlNetwork && typeof window.bambiControlNetwork.processControlSignal === 'function') {
         window.bambiControlNetwork.processControlSignal('AI_RESPONSE_RECEIVED', {
             content: messageText,
-            sentenceCount: sentences.length,
+            sentenceCount: sentenceCount,
             timestamp: Date.now(),
             source: 'AIGF_CORE'
         }, controlNodeId);
@@ -306,18 +322,300 @@ socket.on('response', async (message) => {
             window.bambiControlNetwork.updateNodeActivity(controlNodeId);
         }
     }
+}
+
+function queueSentence(sentence) {
+    _textArray.push(sentence);
+    if (state) {
+        handleAudioEnded();
+    }
+}
+
+// Streamed sentences are only remembered until they are spoken, or dropped from the queue
+function forgetStreamedSentences() {
+    for (const sentence of streamedSentences) {
+        if (sentence !== text && !_textArray.includes(sentence)) {
+            streamedSentences.delete(sentence);
+        }
+    }
+}
+
+function resetStream() {
+    if (streamElement) {
+        streamElement.classList.remove('streaming-response');
+    }
+    streamElement = null;
+    streamBuffer = '';
+    forgetStreamedSentences();
+}
+
+// The stop button is only offered while a reply is on its way, regenerate once one has arrived
+function setGenerating(active) {
+    if (stopButton) stopButton.style.display = active ? '' : 'none';
+    if (regenerateButton) regenerateButton.style.display = !active && lastTurn ? '' : 'none';
+}
+
+function stopGeneration() {
+    socket.emit('stop');
+    setGenerating(false);
+}
+
+function regenerateReply() {
+    if (!lastTurn) return;
+    socket.emit('aigf:regenerate');
+    setGenerating(true);
+}
+
+// Clicking the last prompt loads it back into the textarea for editing
+function editLastPrompt() {
+    if (!lastTurn || !textarea) return;
+    editingMessageId = lastTurn.user.messageId;
+    textarea.value = lastTurn.user.content;
+    textarea.focus();
+}
+
+if (stopButton) {
+    stopButton.addEventListener('click', stopGeneration);
+}
+if (regenerateButton) {
+    regenerateButton.addEventListener('click', regenerateReply);
+}
+if (userPrompt && userPrompt.tagName !== 'INPUT') {
+    userPrompt.title = 'Click to edit and resend';
+    userPrompt.addEventListener('click', editLastPrompt);
+}
+
+socket.on('response', async (message) => {
+    const messageText = message;
+    const sentences = messageText.split(SENTENCE_SPLIT);
+
+    // A plain response (e.g. an error) ends any stream in progress
+    resetStream();
+    setGenerating(false);
+    reportResponseReceived(messageText, sentences.length);
 
     for (let sentence of sentences) {
-        _textArray.push(sentence);
-        console.log('Text array:', _textArray);
-        if (state) {
-            handleAudioEnded();
+        queueSentence(sentence);
+    }
+    applyUppercaseStyle();
+});
+
+socket.on('response:chunk', (chunk) => {
+    if (typeof chunk !== 'string' || !response) return;
+
+    // Render the text as it arrives
+    if (!streamElement) {
+        streamElement = document.createElement('p');
+        streamElement.className = 'streaming-response';
+        if (response.firstChild) {
+            response.insertBefore(streamElement, response.firstChild);
+        } else {
+            response.appendChild(streamElement);
         }
-        sentence = '';
     }
+    streamElement.textContent += chunk;
+
+    // Speak each sentence as soon as it is complete, keep the rest buffered
+    streamBuffer += chunk;
+    const parts = streamBuffer.split(SENTENCE_SPLIT);
+    streamBuffer = parts.pop();
+    for (const sentence of parts) {
+        streamedSentences.add(sentence);
+        queueSentence(sentence);
+    }
+});
+
+socket.on('response:end', (message) => {
+    if (streamBuffer.trim()) {
+        streamedSentences.add(streamBuffer);
+        queueSentence(streamBuffer);
+    }
+
+    // Replace the streamed text with the final assembled response
+    if (streamElement && typeof message === 'string') {
+        streamElement.textContent = message;
+    }
+    resetStream();
+    setGenerating(false);
+
+    reportResponseReceived(message, String(message).split(SENTENCE_SPLIT).length);
     applyUppercaseStyle();
 });
 
+// Show where the next reply is in the generation queue
+socket.on('aigf:queue', (data) => {
+    if (!response) return;
+
+    let status = document.getElementById('aigf-queue-status');
+    if (!data || !data.queued) {
+        if (status) status.remove();
+        return;
+    }
+
+    if (!status) {
+        status = document.createElement('p');
+        status.id = 'aigf-queue-status';
+        status.className = 'system-message';
+        response.insertBefore(status, response.firstChild);
+    }
+    status.textContent = `You are #${data.position} in line, your reply will start soon`;
+});
+
+// The chosen model failed before answering and another one took over
+socket.on('aigf:model:failover', (data) => {
+    if (!response || !data) return;
+
+    const notice = document.createElement('p');
+    notice.className = 'system-message';
+    notice.textContent = `${data.from} is unavailable, answering with ${data.to}`;
+    response.insertBefore(notice, response.firstChild);
+});
+
+// The server wants age verification and consent first, or again after the terms changed
+socket.on('consent:required', (data) => {
+    setGenerating(false);
+    const next = encodeURIComponent(window.location.pathname + window.location.search);
+    window.location.href = `${data?.url || '/consent'}?next=${next}`;
+});
+
+// Offer to continue the previous AIGF conversation after a reload or on another device
+socket.on('aigf:session:available', (session) => {
+    if (!session || !response || document.getElementById('session-resume')) return;
+
+    const prompt = document.createElement('div');
+    prompt.id = 'session-resume';
+    prompt.className = 'session-resume';
+
+    const label = document.createElement('span');
+    const lastUpdated = session.lastUpdatedAt ? new Date(session.lastUpdatedAt).toLocaleString() : '';
+    label.textContent = `Continue your previous session${lastUpdated ? ` from ${lastUpdated}` : ''}?`;
+
+    const resumeButton = document.createElement('button');
+    resumeButton.textContent = 'Continue';
+    resumeButton.addEventListener('click', () => {
+        socket.emit('aigf:session:resume', { sessionId: session.sessionId });
+        prompt.remove();
+    });
+
+    const newButton = document.createElement('button');
+    newButton.textContent = 'Start new';
+    newButton.addEventListener('click', () => {
+        socket.emit('aigf:session:new');
+        prompt.remove();
+    });
+
+    prompt.append(label, resumeButton, newButton);
+    response.insertBefore(prompt, response.firstChild);
+});
+
+// Render stored turns with switches between alternative replies
+function renderTranscript(transcript) {
+    // Newest messages sit on top, so insert oldest first
+    for (const message of transcript || []) {
+        const turnElement = document.createElement('div');
+        turnElement.className = 'session-turn';
+        turnElement.title = 'Double-click to continue from here';
+        turnElement.addEventListener('dblclick', () => {
+            socket.emit('aigf:fork', { messageId: message.messageId });
+        });
+
+        const messageElement = document.createElement('p');
+        messageElement.className = message.role === 'user' ? 'session-history user-turn' : 'session-history';
+        if (message.incomplete) messageElement.classList.add('incomplete-response');
+        messageElement.textContent = message.content;
+        turnElement.appendChild(messageElement);
+
+        const siblings = message.siblings || [];
+        if (siblings.length > 1) {
+            turnElement.appendChild(createAlternativeSwitcher(message.messageId, siblings));
+        }
+
+        response.insertBefore(turnElement, response.firstChild);
+    }
+    rememberLastTurn(transcript);
+    applyUppercaseStyle();
+}
+
+function createAlternativeSwitcher(messageId, siblings) {
+    const index = siblings.indexOf(messageId);
+    const switcher = document.createElement('span');
+    switcher.className = 'turn-alternatives';
+
+    const showAlternative = (target) => {
+        if (target < 0 || target >= siblings.length) return;
+        socket.emit('aigf:fork', { messageId: siblings[target], toLeaf: true });
+    };
+
+    const previous = document.createElement('button');
+    previous.textContent = '‹';
+    previous.disabled = index <= 0;
+    previous.addEventListener('click', () => showAlternative(index - 1));
+
+    const label = document.createElement('span');
+    label.textContent = `${index + 1}/${siblings.length}`;
+
+    const next = document.createElement('button');
+    next.textContent = '›';
+    next.disabled = index >= siblings.length - 1;
+    next.addEventListener('click', () => showAlternative(index + 1));
+
+    switcher.append(previous, label, next);
+    return switcher;
+}
+
+function rememberLastTurn(transcript) {
+    const turns = transcript || [];
+    const assistant = [...turns].reverse().find(message => message.role === 'assistant');
+    const user = assistant && turns.find(message => message.messageId === assistant.parentId);
+
+    lastTurn = user ? { user, assistant } : null;
+    setGenerating(false);
+}
+
+socket.on('aigf:session:resumed', (session) => {
+    if (!session || !response) return;
+
+    renderTranscript(session.transcript);
+    showSystemMessage('Previous session restored');
+});
+
+// The conversation moved to another branch after a fork or a switch between alternatives
+socket.on('aigf:branch', (branch) => {
+    if (!branch || !response) return;
+
+    resetStream();
+    response.innerHTML = '';
+    renderTranscript(branch.transcript);
+});
+
+socket.on('aigf:turn', (turn) => {
+    if (!turn || !turn.user || !turn.assistant) return;
+    lastTurn = turn;
+    setGenerating(false);
+});
+
+socket.on('aigf:session:error', (data) => {
+    showError(data?.error || 'Could not restore your session');
+});
+
+socket.on('response:cancelled', (data) => {
+    // Drop sentences that were waiting to be spoken
+    _textArray.length = 0;
+
+    if (streamElement) {
+        streamElement.classList.add('incomplete-response');
+    }
+    resetStream();
+    setGenerating(false);
+
+    const queueStatus = document.getElementById('aigf-queue-status');
+    if (queueStatus) queueStatus.remove();
+
+    if (data && data.reason === 'stopped') {
+        showSystemMessage('Reply stopped');
+    }
+});
+
 socket.on('chat message', (messageData) => {
     displayChatMessage(messageData);
 });
@@ -332,6 +630,11 @@ function displayChatMessage(messageData) {
         <span class="chat-username"><a href="/profile/${messageData.username}" class="username-link">${messageData.username}</a>:</span>
         <span class="chat-message">${messageData.data}</span>
     `;
+
+    // Quote, reply button and thread link on the chat page
+    if (window.chatThreads) {
+        window.chatThreads.decorate(li, messageData);
+    }
     
     chatResponse.appendChild(li);
     chatResponse.scrollTop = chatResponse.scrollHeight;
@@ -354,6 +657,10 @@ function handleAudioPlay() {
     const duration = audio.duration * 1000;
     new Promise(resolve => setTimeout(resolve, duration));
     flashTrigger(text, duration);
+
+    // Streamed sentences are already on screen
+    if (streamedSentences.delete(text)) return;
+
     const messageElement = document.createElement('p');
     messageElement.textContent = text;
     console.log('Text reply: ', messageElement.textContent);
@@ -380,7 +687,27 @@ function cleanup() {
     if (submit) {
         submit.removeEventListener('click', handleClick);
     }
+    if (stopButton) {
+        stopButton.removeEventListener('click', stopGeneration);
+    }
+    if (regenerateButton) {
+        regenerateButton.removeEventListener('click', regenerateReply);
+    }
+    if (userPrompt) {
+        userPrompt.removeEventListener('click', editLastPrompt);
+    }
     socket.off('response');
+    socket.off('response:chunk');
+    socket.off('response:end');
+    socket.off('response:cancelled');
+    socket.off('aigf:queue');
+    socket.off('aigf:model:failover');
+    socket.off('consent:required');
+    socket.off('aigf:session:available');
+    socket.off('aigf:session:resumed');
+    socket.off('aigf:branch');
+    socket.off('aigf:turn');
+    socket.off('aigf:session:error');
     socket.off('reconnect');
     socket.off('disconnect');
     socket.off('message');
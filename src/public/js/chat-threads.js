@@ -0,0 +1,249 @@
+// Chat threads - reply to a message, show what a reply quotes, open a whole thread, edit and delete messages
+(function() {
+  const socket = window.socket || (typeof io === 'function' ? io() : null);
+  const chatResponse = document.getElementById('chat-response');
+  const replying = document.getElementById('chat-replying');
+  const replyingText = document.getElementById('chat-replying-text');
+  const replyingCancel = document.getElementById('chat-replying-cancel');
+  const chatInput = document.getElementById('chat-message');
+  const threadPanel = document.getElementById('chat-thread');
+  const threadMessages = document.getElementById('chat-thread-messages');
+  const threadClose = document.getElementById('chat-thread-close');
+
+  if (!socket || !chatResponse) return;
+
+  const me = document.body.dataset.username || '';
+
+  // Message the next chat message replies to, and the thread open in the panel
+  let replyTo = null;
+  let openThread = null;
+
+  const repliesLabel = (count) => count === 1 ? '1 reply' : `${count} replies`;
+
+  function button(className, text) {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.className = className;
+    element.textContent = text;
+    return element;
+  }
+
+  function quote(reply) {
+    const blockquote = document.createElement('blockquote');
+    blockquote.className = 'chat-quote';
+    blockquote.dataset.quoteId = reply.id;
+
+    const name = document.createElement('span');
+    name.className = 'chat-quote-username';
+    name.textContent = reply.username;
+
+    blockquote.append(name, reply.deleted ? ': message deleted' : `: ${reply.data}`);
+    return blockquote;
+  }
+
+  function threadLink(threadRoot, text, count) {
+    const link = button('chat-thread-link', text);
+    link.dataset.thread = threadRoot;
+    if (count !== undefined) link.dataset.replyCount = count;
+    return link;
+  }
+
+  // Count a new reply on the thread's first message, wherever it is shown
+  function countReply(threadRoot) {
+    document.querySelectorAll(`li[data-message-id="${CSS.escape(threadRoot)}"]`).forEach(li => {
+      let link = li.querySelector(`.chat-thread-link[data-thread="${CSS.escape(threadRoot)}"]`);
+      if (!link) {
+        link = threadLink(threadRoot, '', 0);
+        li.appendChild(link);
+      }
+      link.dataset.replyCount = (parseInt(link.dataset.replyCount, 10) || 0) + 1;
+      link.textContent = repliesLabel(parseInt(link.dataset.replyCount, 10));
+    });
+  }
+
+  function markEdited(li) {
+    if (li.querySelector('.chat-edited')) return;
+    const edited = document.createElement('span');
+    edited.className = 'chat-edited';
+    edited.textContent = ' (edited)';
+    li.querySelector('.chat-message').after(edited);
+  }
+
+  // Tombstones keep their place, only the text and the buttons go
+  function markDeleted(li) {
+    li.classList.add('chat-deleted');
+    li.querySelector('.chat-message').textContent = 'Message deleted';
+    li.querySelectorAll('.chat-reply, .chat-edit, .chat-delete, .chat-edited').forEach(element => element.remove());
+  }
+
+  function updateQuotes(id, text) {
+    document.querySelectorAll(`.chat-quote[data-quote-id="${CSS.escape(id)}"]`).forEach(blockquote => {
+      blockquote.lastChild.textContent = `: ${text}`;
+    });
+  }
+
+  /**
+   * Add the quote, reply, edit and delete buttons and thread link to a rendered chat message
+   * Edit and delete show on your own messages, and on all of them in rooms you moderate
+   * @param {HTMLElement} li - Message element
+   * @param {Object} message - { id, username, reply, threadRoot, replyCount, editedAt, deleted }
+   */
+  function decorate(li, message) {
+    if (!message || !message.id) return;
+    li.dataset.messageId = message.id;
+    if (me && me !== 'anonBambi' && message.username === me) li.classList.add('own');
+
+    if (message.reply) li.prepend(quote(message.reply));
+    li.append(button('chat-reply', 'Reply'), button('chat-edit', 'Edit'), button('chat-delete', 'Delete'));
+    if (message.editedAt) markEdited(li);
+    if (message.deleted) markDeleted(li);
+
+    if (message.threadRoot) {
+      li.appendChild(threadLink(message.threadRoot, 'View thread'));
+    } else if (message.replyCount > 0) {
+      li.appendChild(threadLink(message.id, repliesLabel(message.replyCount), message.replyCount));
+    }
+  }
+
+  function startReply(li) {
+    const username = li.querySelector('.chat-username a');
+    const text = li.querySelector('.chat-message');
+    replyTo = li.dataset.messageId;
+    replyingText.textContent = `Replying to ${username ? username.textContent : ''}: ${text ? text.textContent : ''}`;
+    replying.hidden = false;
+    if (chatInput) chatInput.focus();
+  }
+
+  function cancelReply() {
+    replyTo = null;
+    replying.hidden = true;
+  }
+
+  /**
+   * Id of the message being replied to, cleared once taken
+   * @returns {string|null}
+   */
+  function takeReplyTo() {
+    const id = replyTo;
+    cancelReply();
+    return id;
+  }
+
+  function threadItem(message) {
+    const li = document.createElement('li');
+
+    const time = document.createElement('span');
+    time.className = 'chat-time';
+    time.textContent = new Date(message.timestamp).toLocaleTimeString([], { hour12: false });
+
+    const name = document.createElement('span');
+    name.className = 'chat-username';
+    name.textContent = `${message.username}:`;
+
+    const text = document.createElement('span');
+    text.className = 'chat-message';
+    text.textContent = message.deleted ? 'Message deleted' : message.data;
+
+    li.append(time, ' - ', name, ' ', text);
+    if (message.reply && message.replyTo !== openThread) li.prepend(quote(message.reply));
+    return li;
+  }
+
+  async function showThread(id) {
+    try {
+      const response = await fetch(`/chat/thread/${encodeURIComponent(id)}`, { headers: { Accept: 'application/json' } });
+      const result = await response.json();
+      if (!result.success) return notify(result.error);
+
+      openThread = result.data.root.id;
+      threadMessages.innerHTML = '';
+      threadMessages.append(threadItem(result.data.root), ...result.data.replies.map(threadItem));
+      threadPanel.hidden = false;
+    } catch (error) {
+      console.error('Error loading thread:', error);
+      notify('Could not load the thread');
+    }
+  }
+
+  function closeThread() {
+    openThread = null;
+    threadPanel.hidden = true;
+  }
+
+  // Moderators changing someone else's message are asked why
+  function askReason(li) {
+    if (li.classList.contains('own')) return '';
+    return window.prompt('Why? Moderation changes are recorded with a reason.');
+  }
+
+  function editMessage(li) {
+    const text = li.querySelector('.chat-message');
+    const data = window.prompt('Edit message', text ? text.textContent : '');
+    if (data === null || !data.trim()) return;
+
+    const reason = askReason(li);
+    if (reason === null) return;
+    socket.emit('chat:edit', { id: li.dataset.messageId, data: data.trim(), reason });
+  }
+
+  function deleteMessage(li) {
+    if (!window.confirm('Delete this message?')) return;
+
+    const reason = askReason(li);
+    if (reason === null) return;
+    socket.emit('chat:delete', { id: li.dataset.messageId, reason });
+  }
+
+  function handleClick(e) {
+    const li = e.target.closest('li');
+    if (e.target.classList.contains('chat-reply') && li) {
+      startReply(li);
+    } else if (e.target.classList.contains('chat-edit') && li) {
+      editMessage(li);
+    } else if (e.target.classList.contains('chat-delete') && li) {
+      deleteMessage(li);
+    } else if (e.target.classList.contains('chat-thread-link')) {
+      showThread(e.target.dataset.thread);
+    }
+  }
+
+  chatResponse.addEventListener('click', handleClick);
+  if (replyingCancel) replyingCancel.addEventListener('click', cancelReply);
+  if (threadClose) threadClose.addEventListener('click', closeThread);
+
+  socket.on('chat message', function(message) {
+    if (!message.threadRoot) return;
+    countReply(message.threadRoot);
+    if (message.threadRoot === openThread) threadMessages.appendChild(threadItem(message));
+  });
+
+  socket.on('chat:edited', function(data) {
+    chatResponse.querySelectorAll(`li[data-message-id="${CSS.escape(data.id)}"]`).forEach(li => {
+      li.querySelector('.chat-message').textContent = data.data;
+      markEdited(li);
+    });
+    updateQuotes(data.id, data.data);
+  });
+
+  socket.on('chat:deleted', function(data) {
+    chatResponse.querySelectorAll(`li[data-message-id="${CSS.escape(data.id)}"]`).forEach(markDeleted);
+    updateQuotes(data.id, 'message deleted');
+    if (replyTo === data.id) cancelReply();
+  });
+
+  socket.on('reply', function(data) {
+    notify(`${data.from} replied to you: ${data.message}`);
+  });
+
+  socket.on('chat:error', function(data) {
+    notify(data.error);
+  });
+
+  // Threads belong to a room, switching rooms closes the panel and drops the reply
+  socket.on('room:history', function() {
+    cancelReply();
+    closeThread();
+  });
+
+  window.chatThreads = { decorate, takeReplyTo };
+})();
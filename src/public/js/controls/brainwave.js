@@ -270,6 +270,12 @@ document.addEventListener('DOMContentLoaded', function() {
   window.addEventListener('beforeunload', function() {
     if (isPlaying) stopBinaural();
   });
+
+  // Wellbeing timers check and stop playback
+  window.bambiBrainwave = {
+    isPlaying: () => isPlaying,
+    stop: stopBinaural
+  };
   
   // Start initialization
   init();
@@ -0,0 +1,140 @@
+// Direct messages - inbox, one conversation at a time and sending private messages
+(function() {
+  const socket = window.socket || (typeof io === 'function' ? io() : null);
+  const inbox = document.getElementById('dm-inbox');
+  const unreadBadge = document.getElementById('dm-unread');
+  const conversation = document.getElementById('dm-conversation');
+  const withTitle = document.getElementById('dm-with');
+  const messageList = document.getElementById('dm-messages');
+  const closeButton = document.getElementById('dm-close');
+  const olderButton = document.getElementById('dm-older');
+  const form = document.getElementById('dm-form');
+  const toInput = document.getElementById('dm-to');
+  const textInput = document.getElementById('dm-text');
+
+  if (!socket || !inbox) return;
+
+  const me = document.body.dataset.username || '';
+
+  // User whose conversation is open, null while the inbox shows
+  let openWith = null;
+  let oldest = null;
+
+  const sameName = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+  function messageItem(message) {
+    const li = document.createElement('li');
+    li.className = sameName(message.from, me) ? 'dm-own' : '';
+
+    const time = document.createElement('span');
+    time.className = 'chat-time';
+    time.textContent = new Date(message.timestamp).toLocaleTimeString([], { hour12: false });
+
+    const text = document.createElement('span');
+    text.className = 'chat-message';
+    text.textContent = message.data;
+
+    li.append(time, ` ${message.from}: `, text);
+    return li;
+  }
+
+  function renderInbox(data) {
+    const unread = data.unread || 0;
+    unreadBadge.textContent = unread;
+    unreadBadge.hidden = unread === 0;
+
+    inbox.innerHTML = '';
+    if (!data.conversations || data.conversations.length === 0) {
+      const li = document.createElement('li');
+      li.textContent = 'No messages yet';
+      inbox.appendChild(li);
+      return;
+    }
+
+    data.conversations.forEach(item => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = item.unread > 0 ? 'dm-has-unread' : '';
+      button.textContent = item.unread > 0 ? `${item.with} (${item.unread})` : item.with;
+      if (item.lastMessage) button.title = `${item.lastMessage.from}: ${item.lastMessage.preview}`;
+      button.addEventListener('click', function() {
+        openConversation(item.with);
+      });
+
+      const li = document.createElement('li');
+      li.appendChild(button);
+      inbox.appendChild(li);
+    });
+  }
+
+  function openConversation(username) {
+    openWith = username;
+    oldest = null;
+    withTitle.textContent = username;
+    toInput.value = username;
+    messageList.innerHTML = '';
+    inbox.hidden = true;
+    conversation.hidden = false;
+    socket.emit('dm:history', { with: username });
+    socket.emit('dm:read', { with: username });
+  }
+
+  function closeConversation() {
+    openWith = null;
+    conversation.hidden = true;
+    inbox.hidden = false;
+    socket.emit('dm:inbox');
+  }
+
+  socket.on('dm:inbox', renderInbox);
+
+  socket.on('dm:history', function(data) {
+    if (!sameName(data.with, openWith)) return;
+
+    const items = (data.messages || []).map(messageItem);
+    if (data.before) {
+      messageList.prepend(...items);
+    } else {
+      messageList.innerHTML = '';
+      messageList.append(...items);
+      messageList.scrollTop = messageList.scrollHeight;
+    }
+    if (data.messages && data.messages.length > 0) oldest = data.messages[0].timestamp;
+    olderButton.hidden = !data.messages || data.messages.length === 0;
+  });
+
+  socket.on('dm:message', function(message) {
+    const other = sameName(message.from, me) ? message.to : message.from;
+    if (sameName(other, openWith)) {
+      messageList.appendChild(messageItem(message));
+      messageList.scrollTop = messageList.scrollHeight;
+      if (!sameName(message.from, me)) socket.emit('dm:read', { with: other });
+    } else if (!sameName(message.from, me)) {
+      notify(message.offline ? `${message.from} sent you a message while you were away` : `New message from ${message.from}`);
+    }
+  });
+
+  socket.on('dm:error', function(data) {
+    notify(data.error);
+  });
+
+  // Offline messages and the inbox come on connect, this covers a script loaded after it
+  if (socket.connected) socket.emit('dm:inbox');
+
+  closeButton.addEventListener('click', closeConversation);
+
+  olderButton.addEventListener('click', function() {
+    if (openWith && oldest) socket.emit('dm:history', { with: openWith, before: oldest });
+  });
+
+  form.addEventListener('submit', function(e) {
+    e.preventDefault();
+    const to = toInput.value.trim();
+    const data = textInput.value.trim();
+    if (!to || !data) return;
+
+    if (!sameName(to, openWith)) openConversation(to);
+    socket.emit('dm:send', { to, data });
+    textInput.value = '';
+  });
+})();
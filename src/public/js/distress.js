@@ -0,0 +1,66 @@
+// Distress - shows support resources out of character while the AIGF is paused
+(function() {
+  const socket = window.socket || (typeof io === 'function' ? io() : null);
+  const supportScreen = document.getElementById('support-screen');
+  const supportMessage = document.getElementById('support-message');
+  const supportResources = document.getElementById('support-resources');
+  const supportPaused = document.getElementById('support-paused');
+  const closeButton = document.getElementById('support-close');
+  const resumeButton = document.getElementById('support-resume');
+
+  if (!socket || !supportScreen) return;
+
+  function showSupport(support) {
+    if (!support) return;
+
+    // The persona's voice shouldn't keep going over this
+    if (window.tts && typeof window.tts.flushTTS === 'function') {
+      window.tts.flushTTS();
+    } else if (window._textArray) {
+      window._textArray.length = 0;
+    }
+    if (typeof setGenerating === 'function') setGenerating(false);
+
+    supportMessage.textContent = support.message;
+
+    supportResources.innerHTML = '';
+    (support.resources || []).forEach(resource => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = resource.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = resource.name;
+      item.appendChild(link);
+      if (resource.description) {
+        item.appendChild(document.createTextNode(` - ${resource.description}`));
+      }
+      supportResources.appendChild(item);
+    });
+
+    supportPaused.textContent = support.pausedUntil
+      ? `The AIGF is paused until ${new Date(support.pausedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`
+      : '';
+
+    supportScreen.hidden = false;
+    if (closeButton) closeButton.focus();
+  }
+
+  function hideSupport() {
+    supportScreen.hidden = true;
+  }
+
+  if (closeButton) {
+    closeButton.addEventListener('click', hideSupport);
+  }
+
+  if (resumeButton) {
+    resumeButton.addEventListener('click', function() {
+      socket.emit('distress:resume');
+      hideSupport();
+    });
+  }
+
+  socket.on('distress:support', showSupport);
+  socket.on('distress:resumed', hideSupport);
+})();
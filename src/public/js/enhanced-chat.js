@@ -1,6 +1,6 @@
 /**
  * Enhanced Chat Features for BambiSleep Chat
- * Handles URL formatting, user mentions, and audio triggers
+ * Handles URL formatting, user mentions, audio triggers, scrolling back through history and search
  */
 
 // Initialize when document is ready
@@ -20,6 +20,258 @@ function setupEnhancedChat() {
   setupURLHandling(socket);
   setupUserMentions(socket);
   setupAudioTriggers(socket);
+  setupChatHistory(socket);
+  setupChatSearch();
+}
+
+/**
+ * Build the list item for a chat message sent by the server
+ * @param {Object} message - { id, username, data, timestamp, ... }
+ * @returns {HTMLElement}
+ */
+function createChatMessage(message) {
+  const li = document.createElement('li');
+
+  const time = document.createElement('span');
+  time.className = 'chat-time';
+  time.textContent = new Date(message.timestamp).toLocaleTimeString([], { hour12: false });
+
+  const link = document.createElement('a');
+  link.href = `/profile/${encodeURIComponent(message.username)}`;
+  link.className = 'username-link';
+  link.textContent = message.username;
+
+  const name = document.createElement('span');
+  name.className = 'chat-username';
+  name.append(link, ':');
+
+  const text = document.createElement('span');
+  text.className = 'chat-message';
+  text.textContent = message.data;
+
+  li.append(time, ' - ', name, ' ', text);
+  if (window.chatThreads) window.chatThreads.decorate(li, message);
+  return li;
+}
+
+/**
+ * Set up infinite scroll through the room's history
+ * Scrolling to the top loads older messages. After jumping to a message
+ * from search, scrolling to the bottom loads the newer ones up to now.
+ */
+function setupChatHistory(socket) {
+  const chatResponse = document.getElementById('chat-response');
+  const header = document.getElementById('room-header');
+  if (!chatResponse || !header) return;
+
+  const EDGE = 40;
+  let loading = false;
+  let hasOlder = true;
+  let hasNewer = false;
+
+  // Message a search result links to, shown once its room is open
+  let focus = document.body.dataset.focusMessage
+    ? { room: document.body.dataset.focusRoom || 'lobby', message: document.body.dataset.focusMessage }
+    : null;
+
+  const messageItems = () => chatResponse.querySelectorAll('li[data-message-id]');
+
+  function request(cursor) {
+    loading = true;
+    socket.emit('chat:history', cursor);
+  }
+
+  // The focused message's room has to be open before its history can be loaded
+  function openFocus() {
+    if (!focus) return;
+    if (focus.room === header.dataset.room) {
+      request({ around: focus.message });
+      focus = null;
+    } else {
+      socket.emit('room:join', { room: focus.room });
+    }
+  }
+
+  /**
+   * Show a message in its room's history, with the messages around it
+   * @param {string} room - Room slug
+   * @param {string} message - Message id
+   */
+  function jumpTo(room, message) {
+    focus = { room, message };
+    openFocus();
+  }
+
+  // Newer pages can meet live messages, those already shown are skipped
+  function insertNewer(li) {
+    const id = li.dataset.messageId;
+    if (chatResponse.querySelector(`li[data-message-id="${CSS.escape(id)}"]`)) return;
+    const next = [...messageItems()].find(item => item.dataset.messageId > id);
+    chatResponse.insertBefore(li, next || null);
+  }
+
+  function highlight(id) {
+    const li = chatResponse.querySelector(`li[data-message-id="${CSS.escape(id)}"]`);
+    if (!li) return;
+    li.classList.add('chat-focus');
+    li.scrollIntoView({ block: 'center' });
+    setTimeout(() => li.classList.remove('chat-focus'), 3000);
+  }
+
+  socket.on('chat:history', function(data) {
+    loading = false;
+    if (data.room !== header.dataset.room) return;
+    const items = (data.messages || []).map(createChatMessage);
+
+    if (data.around) {
+      chatResponse.innerHTML = '';
+      chatResponse.append(...items);
+      hasOlder = data.hasOlder;
+      hasNewer = data.hasNewer;
+      highlight(data.around);
+    } else if (data.before) {
+      // Keep what was on screen in place while older messages go above it
+      const height = chatResponse.scrollHeight;
+      chatResponse.prepend(...items);
+      chatResponse.scrollTop += chatResponse.scrollHeight - height;
+      hasOlder = data.hasOlder;
+    } else if (data.after) {
+      items.forEach(insertNewer);
+      hasNewer = data.hasNewer;
+    }
+  });
+
+  // A room was opened, its newest messages are shown
+  socket.on('room:history', function(data) {
+    loading = false;
+    hasOlder = Boolean(data.messages && data.messages.length > 0);
+    hasNewer = false;
+    if (focus && data.room.slug === focus.room) openFocus();
+  });
+
+  socket.on('chat:error', function() {
+    loading = false;
+  });
+
+  // The room couldn't be opened, the message stays out of reach
+  socket.on('room:error', function() {
+    focus = null;
+  });
+
+  chatResponse.addEventListener('scroll', function() {
+    if (loading) return;
+    const items = messageItems();
+    if (items.length === 0) return;
+
+    if (hasOlder && chatResponse.scrollTop < EDGE) {
+      request({ before: items[0].dataset.messageId });
+    } else if (hasNewer && chatResponse.scrollHeight - chatResponse.scrollTop - chatResponse.clientHeight < EDGE) {
+      request({ after: items[items.length - 1].dataset.messageId });
+    }
+  });
+
+  // A search result opened the page
+  if (focus) {
+    if (socket.connected) {
+      openFocus();
+    } else {
+      socket.once('connect', openFocus);
+    }
+  }
+
+  window.chatHistory = { jumpTo };
+}
+
+/**
+ * Set up searching the chat
+ * Results link to the message in its room's history
+ */
+function setupChatSearch() {
+  const form = document.getElementById('chat-search');
+  const results = document.getElementById('chat-search-results');
+  const moreButton = document.getElementById('chat-search-more');
+  if (!form || !results) return;
+
+  let lastQuery = null;
+  let oldest = null;
+
+  // Dates are whole days in the user's own time zone
+  function dayBoundary(value, end) {
+    if (!value) return '';
+    return new Date(`${value}T${end ? '23:59:59.999' : '00:00:00'}`).toISOString();
+  }
+
+  function resultItem(result) {
+    const link = document.createElement('a');
+    link.href = result.link;
+    link.className = 'chat-search-link';
+    link.textContent = `${result.username}: ${result.data}`;
+    link.addEventListener('click', function(e) {
+      if (!window.chatHistory) return;
+      e.preventDefault();
+      window.chatHistory.jumpTo(result.room, result.id);
+    });
+
+    const time = document.createElement('span');
+    time.className = 'chat-time';
+    time.textContent = new Date(result.timestamp).toLocaleString([], { hour12: false });
+
+    const li = document.createElement('li');
+    li.append(time, ' ', `#${result.room} `, link);
+    return li;
+  }
+
+  async function search(query, before) {
+    const params = new URLSearchParams(query);
+    if (before) params.set('before', before);
+
+    try {
+      const response = await fetch(`/chat/search?${params}`, { headers: { Accept: 'application/json' } });
+      const result = await response.json();
+      if (!result.success) {
+        if (typeof showSystemMessage === 'function') showSystemMessage(result.error);
+        return;
+      }
+
+      if (!before) results.innerHTML = '';
+      if (!before && result.data.results.length === 0) {
+        const li = document.createElement('li');
+        li.textContent = 'Nothing found';
+        results.appendChild(li);
+      }
+      results.append(...result.data.results.map(resultItem));
+      oldest = result.data.results.length > 0 ? result.data.results[result.data.results.length - 1].id : oldest;
+      moreButton.hidden = !result.data.hasMore;
+    } catch (error) {
+      console.error('Error searching chat:', error);
+    }
+  }
+
+  form.addEventListener('submit', function(e) {
+    e.preventDefault();
+    const query = {};
+    const fields = {
+      q: document.getElementById('chat-search-q').value.trim(),
+      author: document.getElementById('chat-search-author').value.trim(),
+      mention: document.getElementById('chat-search-mention').value.trim(),
+      from: dayBoundary(document.getElementById('chat-search-from').value, false),
+      to: dayBoundary(document.getElementById('chat-search-to').value, true)
+    };
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value) query[key] = value;
+    });
+    if (document.getElementById('chat-search-room').checked) {
+      query.room = document.getElementById('room-header')?.dataset.room || 'lobby';
+    }
+
+    lastQuery = query;
+    oldest = null;
+    search(query);
+  });
+
+  moreButton.addEventListener('click', function() {
+    if (lastQuery && oldest) search(lastQuery, oldest);
+  });
 }
 
 /**
@@ -0,0 +1,100 @@
+// Moderation - notices of mutes, kicks and bans, and the tools to give and lift them
+(function() {
+  const socket = window.socket || (typeof io === 'function' ? io() : null);
+  const form = document.getElementById('mod-sanction');
+  const list = document.getElementById('mod-sanctions');
+  const refreshButton = document.getElementById('mod-refresh');
+
+  if (!socket) return;
+
+  const labels = { mute: 'muted', kick: 'kicked', ban: 'banned' };
+
+  function until(sanction) {
+    if (!sanction.expiresAt) return 'for good';
+    return `until ${new Date(sanction.expiresAt).toLocaleString([], { hour12: false })}`;
+  }
+
+  function where(sanction) {
+    return sanction.room ? `in ${sanction.room}` : 'in every room';
+  }
+
+  // What the user it is for is told
+  function noticeText(sanction) {
+    const reason = sanction.reason ? ` (${sanction.reason})` : '';
+    if (sanction.type === 'kick' && new Date(sanction.expiresAt) <= new Date(sanction.createdAt)) {
+      return `You were kicked ${where(sanction)}${reason}`;
+    }
+    return `You are ${labels[sanction.type]} ${where(sanction)} ${until(sanction)}${reason}`;
+  }
+
+  function sanctionItem(sanction) {
+    const li = document.createElement('li');
+    li.textContent = `${sanction.username || 'an address'} ${labels[sanction.type]} ${where(sanction)} ${until(sanction)} by ${sanction.issuedBy}: ${sanction.reason} `;
+
+    const lift = document.createElement('button');
+    lift.type = 'button';
+    lift.textContent = 'Lift';
+    lift.addEventListener('click', function() {
+      socket.emit('mod:lift', { id: sanction.id });
+    });
+
+    li.appendChild(lift);
+    return li;
+  }
+
+  socket.on('sanction', function(sanction) {
+    notify(noticeText(sanction));
+  });
+
+  socket.on('sanction:lifted', function(sanction) {
+    notify(`You are no longer ${labels[sanction.type]} ${where(sanction)}`);
+  });
+
+  if (!form || !list) return;
+
+  function refresh() {
+    socket.emit('mod:sanctions');
+  }
+
+  socket.on('mod:sanctions', function(data) {
+    list.innerHTML = '';
+    if (!data.sanctions || data.sanctions.length === 0) {
+      const li = document.createElement('li');
+      li.textContent = 'No active sanctions';
+      list.appendChild(li);
+      return;
+    }
+    data.sanctions.forEach(sanction => list.appendChild(sanctionItem(sanction)));
+  });
+
+  socket.on('mod:sanctioned', function(sanction) {
+    notify(`${sanction.username} ${labels[sanction.type]} ${where(sanction)}`);
+    refresh();
+  });
+
+  socket.on('mod:lifted', function(sanction) {
+    notify(`Lifted the ${sanction.type} of ${sanction.username || 'an address'}`);
+    refresh();
+  });
+
+  socket.on('mod:error', function(data) {
+    notify(data.error);
+  });
+
+  refreshButton.addEventListener('click', refresh);
+
+  form.addEventListener('submit', function(e) {
+    e.preventDefault();
+    const minutes = document.getElementById('mod-minutes').value;
+    const everywhere = document.getElementById('mod-everywhere');
+    socket.emit('mod:sanction', {
+      type: document.getElementById('mod-type').value,
+      username: document.getElementById('mod-username').value.trim(),
+      minutes: minutes === '' ? null : parseInt(minutes, 10),
+      reason: document.getElementById('mod-reason').value.trim(),
+      byAddress: document.getElementById('mod-by-address').checked,
+      everywhere: Boolean(everywhere && everywhere.checked)
+    });
+    form.reset();
+  });
+})();
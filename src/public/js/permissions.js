@@ -0,0 +1,80 @@
+// Permissions - answer requests from other users and hear back about your own
+(function() {
+  const socket = window.socket || (typeof io === 'function' ? io() : null);
+  const requestNotice = document.getElementById('permission-request');
+  const requestText = document.getElementById('permission-request-text');
+  const acceptButton = document.getElementById('permission-accept');
+  const declineButton = document.getElementById('permission-decline');
+  const blockButton = document.getElementById('permission-request-block');
+
+  const KIND_LABELS = { audio: 'audio', triggers: 'triggers', collar: 'collar text', messages: 'private messages' };
+
+  if (!socket || !requestNotice) return;
+
+  // Requests are answered one at a time
+  const queue = [];
+
+  const describeKinds = (kinds) => (kinds || []).map(kind => KIND_LABELS[kind] || kind).join(', ');
+
+  function showNext() {
+    const request = queue[0];
+    if (!request) {
+      requestNotice.hidden = true;
+      return;
+    }
+    requestText.textContent = `${request.from} would like to send you ${describeKinds(request.kinds)}.`;
+    requestNotice.hidden = false;
+  }
+
+  function answer(accept) {
+    const request = queue.shift();
+    if (request) {
+      socket.emit('permission:respond', { requestId: request.requestId, accept });
+    }
+    showNext();
+  }
+
+  acceptButton.addEventListener('click', function() {
+    answer(true);
+  });
+
+  declineButton.addEventListener('click', function() {
+    answer(false);
+  });
+
+  blockButton.addEventListener('click', function() {
+    const request = queue.shift();
+    if (request) {
+      socket.emit('permission:block', { username: request.from });
+    }
+    showNext();
+  });
+
+  socket.on('permission:request', function(request) {
+    if (!request || queue.some(queued => queued.requestId === request.requestId)) return;
+    queue.push(request);
+    if (queue.length === 1) showNext();
+  });
+
+  // Requests answered in another tab disappear here too
+  socket.on('permissions', function(data) {
+    const open = new Set((data && data.incoming || []).map(request => request.requestId));
+    const before = queue[0];
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (!open.has(queue[i].requestId)) queue.splice(i, 1);
+    }
+    if (queue[0] !== before) showNext();
+  });
+
+  socket.on('permission:granted', function(data) {
+    notify(`${data.username} allowed you to send ${describeKinds(data.kinds)}`);
+  });
+
+  socket.on('permission:declined', function(data) {
+    notify(`${data.username} declined your request`);
+  });
+
+  socket.on('permission:denied', function(data) {
+    notify(`${data.targetUsername} hasn't allowed you to send ${describeKinds([data.kind])}, ask them first from the Permissions panel`);
+  });
+})();
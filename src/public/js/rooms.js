@@ -0,0 +1,160 @@
+// Rooms - switch between chat rooms, open new ones and run the ones you own
+(function() {
+  const socket = window.socket || (typeof io === 'function' ? io() : null);
+  const header = document.getElementById('room-header');
+  const roomList = document.getElementById('room-list');
+  const chatResponse = document.getElementById('chat-response');
+  const title = document.getElementById('room-title');
+  const description = document.getElementById('room-description');
+  const leaveButton = document.getElementById('room-leave');
+  const tools = document.getElementById('room-tools');
+  const createForm = document.getElementById('room-create');
+  const inviteForm = document.getElementById('room-invite');
+  const settingsForm = document.getElementById('room-settings');
+  const moderatorForm = document.getElementById('room-moderator');
+
+  if (!socket || !header || !roomList) return;
+
+  let current = header.dataset.room || 'lobby';
+
+  function addLine(className, parts) {
+    const li = document.createElement('li');
+    if (className) li.className = className;
+    parts.forEach(part => li.appendChild(part));
+    chatResponse.appendChild(li);
+    chatResponse.scrollTop = chatResponse.scrollHeight;
+    return li;
+  }
+
+  // Built by enhanced-chat.js, which also loads earlier messages on scroll
+  function renderMessage(message) {
+    chatResponse.appendChild(createChatMessage(message));
+    chatResponse.scrollTop = chatResponse.scrollHeight;
+  }
+
+  function renderHeader(room) {
+    current = room.slug;
+    header.dataset.room = room.slug;
+    title.textContent = room.name;
+    description.textContent = room.description || '';
+    leaveButton.hidden = room.slug === 'lobby' || !room.member;
+
+    tools.hidden = !room.moderator;
+    chatResponse.classList.toggle('moderating', Boolean(room.moderator));
+    inviteForm.hidden = room.visibility !== 'private';
+    document.getElementById('room-allow-guests').checked = room.settings.allowGuests;
+    document.getElementById('room-audio-triggers').checked = room.settings.audioTriggers;
+    document.getElementById('room-history-limit').value = room.settings.historyLimit;
+    document.getElementById('room-slow-mode').value = room.settings.slowModeSeconds || 0;
+    document.getElementById('room-content-policy').value = room.settings.contentPolicy || 'standard';
+  }
+
+  function renderRooms(rooms) {
+    roomList.innerHTML = '';
+    rooms.forEach(room => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = room.visibility === 'private' ? `🔒 ${room.name}` : room.name;
+      button.title = room.description || '';
+      button.className = room.slug === current ? 'active' : '';
+      button.addEventListener('click', function() {
+        if (room.slug !== current) socket.emit('room:join', { room: room.slug });
+      });
+
+      const li = document.createElement('li');
+      li.appendChild(button);
+      roomList.appendChild(li);
+    });
+  }
+
+  socket.on('rooms', function(data) {
+    if (data.current) current = data.current;
+    renderRooms(data.rooms || []);
+  });
+
+  socket.on('room:history', function(data) {
+    renderHeader(data.room);
+    chatResponse.innerHTML = '';
+    if (!data.messages || data.messages.length === 0) {
+      addLine('system-message', [document.createTextNode('No messages yet. Be the first to chat!')]);
+    }
+    (data.messages || []).forEach(renderMessage);
+  });
+
+  socket.on('room:updated', function(room) {
+    if (room.slug === current) renderHeader(room);
+  });
+
+  socket.on('room:joined', function(data) {
+    if (data.room === current) addLine('system-message', [document.createTextNode(`${data.username} joined`)]);
+  });
+
+  socket.on('room:left', function(data) {
+    if (data.room === current) addLine('system-message', [document.createTextNode(`${data.username} left`)]);
+  });
+
+  socket.on('room:invited', function(data) {
+    notify(`${data.from} invited you to ${data.room.name}`);
+  });
+
+  socket.on('room:error', function(data) {
+    notify(data.error);
+  });
+
+  // The server puts a reconnected socket back in the lobby
+  socket.on('connect', function() {
+    if (current !== 'lobby') {
+      socket.emit('room:join', { room: current });
+    } else {
+      socket.emit('room:list');
+    }
+  });
+  if (socket.connected) socket.emit('room:list');
+
+  createForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+    const name = document.getElementById('room-name');
+    socket.emit('room:create', {
+      name: name.value.trim(),
+      visibility: document.getElementById('room-private').checked ? 'private' : 'public'
+    });
+    name.value = '';
+  });
+
+  leaveButton.addEventListener('click', function() {
+    socket.emit('room:leave', { room: current });
+  });
+
+  inviteForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+    const username = document.getElementById('room-invite-user');
+    socket.emit('room:invite', { room: current, username: username.value.trim() });
+    username.value = '';
+  });
+
+  // One form, the button pressed says whether to add or remove
+  moderatorForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+    const username = document.getElementById('room-moderator-user');
+    socket.emit('room:moderator', {
+      room: current,
+      username: username.value.trim(),
+      moderator: e.submitter ? e.submitter.dataset.moderator === 'true' : true
+    });
+    username.value = '';
+  });
+
+  settingsForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+    socket.emit('room:settings', {
+      room: current,
+      settings: {
+        allowGuests: document.getElementById('room-allow-guests').checked,
+        audioTriggers: document.getElementById('room-audio-triggers').checked,
+        historyLimit: parseInt(document.getElementById('room-history-limit').value, 10) || 0,
+        slowModeSeconds: parseInt(document.getElementById('room-slow-mode').value, 10) || 0,
+        contentPolicy: document.getElementById('room-content-policy').value
+      }
+    });
+  });
+})();
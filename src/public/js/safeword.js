@@ -0,0 +1,76 @@
+// Safeword - halts everything for this user and shows a calm grounding screen
+(function() {
+  const socket = window.socket || (typeof io === 'function' ? io() : null);
+  const safewordButton = document.getElementById('safeword-btn');
+  const groundingScreen = document.getElementById('grounding-screen');
+  const releaseButton = document.getElementById('grounding-release');
+
+  if (!socket || !groundingScreen) return;
+
+  // Stop everything that could still be playing, speaking or spinning on this page
+  function haltEverything() {
+    if (window.tts && typeof window.tts.flushTTS === 'function') {
+      window.tts.flushTTS();
+    } else {
+      if (window._textArray) window._textArray.length = 0;
+      if (window._audioArray) window._audioArray.length = 0;
+    }
+
+    if (window.bambiAudio && typeof window.bambiAudio.stopContinuousPlayback === 'function') {
+      window.bambiAudio.stopContinuousPlayback();
+    }
+    document.querySelectorAll('audio').forEach(audio => audio.pause());
+
+    const spiralsToggle = document.getElementById('spirals-enable');
+    if (spiralsToggle && spiralsToggle.checked) {
+      spiralsToggle.checked = false;
+      spiralsToggle.dispatchEvent(new Event('change'));
+    }
+    const eyeCursor = document.getElementById('eyeCursor');
+    if (eyeCursor) eyeCursor.style.display = 'none';
+
+    // The server already cleared them for the AIGF, keep the toggles in line
+    document.querySelectorAll('.toggle-input:checked').forEach(toggle => {
+      toggle.checked = false;
+    });
+    localStorage.setItem('bambiActiveTriggers', '[]');
+
+    if (typeof setGenerating === 'function') setGenerating(false);
+  }
+
+  function showGrounding() {
+    groundingScreen.hidden = false;
+    document.body.classList.add('safeword-active');
+    if (releaseButton) releaseButton.focus();
+  }
+
+  function hideGrounding() {
+    groundingScreen.hidden = true;
+    document.body.classList.remove('safeword-active');
+  }
+
+  if (safewordButton) {
+    safewordButton.addEventListener('click', function() {
+      // Act locally first, the server does the rest
+      haltEverything();
+      showGrounding();
+      socket.emit('safeword');
+    });
+  }
+
+  if (releaseButton) {
+    releaseButton.addEventListener('click', function() {
+      socket.emit('safeword:release');
+      hideGrounding();
+    });
+  }
+
+  socket.on('safeword', function(data) {
+    if (data && data.active) {
+      haltEverything();
+      showGrounding();
+    } else {
+      hideGrounding();
+    }
+  });
+})();
@@ -1,10 +1,15 @@
 // Instead of using let currentVoice, use the globally shared one
 window.currentVoice = window.currentVoice || 'af_bella'; // Default voice
 
+// Control network node id for TTS, set once registration succeeds
+let ttsControlNodeId = null;
+
+// Bumped by flushTTS so audio still being fetched is dropped instead of played
+let ttsGeneration = 0;
+
 // Enhanced control network integration
 function initializeTTSControlNetwork() {
   // Initialize bambi control network integration for TTS
-  let controlNodeId = null;
   if (window.bambiControlNetwork && typeof window.bambiControlNetwork.registerControlNode === 'function') {
     const nodeId = `tts-${Date.now()}`;
     const success = window.bambiControlNetwork.registerControlNode(nodeId, 'AUDIO_PROCESSOR', {
@@ -42,7 +47,7 @@ function initializeTTSControlNetwork() {
     });
     
     if (success) {
-      controlNodeId = nodeId;
+      ttsControlNodeId = nodeId;
       console.log(`📡 TTS successfully registered with control network: ${nodeId}`);
     }
   } else {
@@ -53,7 +58,7 @@ function initializeTTSControlNetwork() {
         console.log(`🎛️ TTS Control Signal (fallback): ${signalType}`, signalData);
       },
       registerControlNode: function(nodeId, nodeType, nodeData) {
-        controlNodeId = nodeId;
+        ttsControlNodeId = nodeId;
         console.log(`📡 TTS registered as control node (fallback): ${nodeId}`);
         return true;
       }
@@ -76,16 +81,16 @@ function setVoice(voice) {
         window.currentVoice = voice;
         
         // Send voice change through control network
-        if (controlNodeId && window.bambiControlNetwork && typeof window.bambiControlNetwork.processControlSignal === 'function') {
+        if (ttsControlNodeId && window.bambiControlNetwork && typeof window.bambiControlNetwork.processControlSignal === 'function') {
             window.bambiControlNetwork.processControlSignal('TTS_VOICE_CHANGED', {
                 voice: voice,
                 timestamp: Date.now(),
                 source: 'TEXT2SPEECH'
-            }, controlNodeId);
+            }, ttsControlNodeId);
             
             // Update node activity
             if (typeof window.bambiControlNetwork.updateNodeActivity === 'function') {
-                window.bambiControlNetwork.updateNodeActivity(controlNodeId);
+                window.bambiControlNetwork.updateNodeActivity(ttsControlNodeId);
             }
         }
     }
@@ -100,17 +105,17 @@ function arrayPush(array, e) {
     }
     
     // Send TTS request through control network
-    if (controlNodeId && window.bambiControlNetwork && typeof window.bambiControlNetwork.processControlSignal === 'function') {
+    if (ttsControlNodeId && window.bambiControlNetwork && typeof window.bambiControlNetwork.processControlSignal === 'function') {
         window.bambiControlNetwork.processControlSignal('TTS_REQUEST', {
             text: e,
             voice: window.currentVoice,
             timestamp: Date.now(),
             source: 'TEXT2SPEECH'
-        }, controlNodeId);
+        }, ttsControlNodeId);
         
         // Update node activity
         if (typeof window.bambiControlNetwork.updateNodeActivity === 'function') {
-            window.bambiControlNetwork.updateNodeActivity(controlNodeId);
+            window.bambiControlNetwork.updateNodeActivity(ttsControlNodeId);
         }
     }
 
@@ -140,13 +145,14 @@ async function do_tts(array) {
 
     let currentURL = arrayShift(array);
     if (!currentURL) return;
+    const generation = ttsGeneration;
       // Send TTS processing start through control network
-    if (controlNodeId && window.bambiControlNetwork && typeof window.bambiControlNetwork.processControlSignal === 'function') {
+    if (ttsControlNodeId && window.bambiControlNetwork && typeof window.bambiControlNetwork.processControlSignal === 'function') {
         window.bambiControlNetwork.processControlSignal('TTS_PROCESSING_START', {
             url: currentURL,
             timestamp: Date.now(),
             source: 'TEXT2SPEECH'
-        }, controlNodeId);
+        }, ttsControlNodeId);
     }
     
     let retries = 2; // Number of retry attempts
@@ -173,6 +179,9 @@ async function do_tts(array) {
             
             // Get audio data as blob
             const audioBlob = await response.blob();
+
+            // The queue was flushed while this was being synthesized
+            if (generation !== ttsGeneration) return;
             
             // Create object URL from blob
             const audioUrl = URL.createObjectURL(audioBlob);
@@ -189,12 +198,12 @@ async function do_tts(array) {
                     console.log("Audio metadata loaded, duration:", window.audio.duration);
                     if (messageEl) messageEl.textContent = "Playing...";
                       // Send audio playback start through control network
-                    if (controlNodeId && window.bambiControlNetwork && typeof window.bambiControlNetwork.processControlSignal === 'function') {
+                    if (ttsControlNodeId && window.bambiControlNetwork && typeof window.bambiControlNetwork.processControlSignal === 'function') {
                         window.bambiControlNetwork.processControlSignal('TTS_PLAYBACK_START', {
                             duration: window.audio.duration,
                             timestamp: Date.now(),
                             source: 'TEXT2SPEECH'
-                        }, controlNodeId);
+                        }, ttsControlNodeId);
                     }
                     
                     window.audio.play().catch(e => {
@@ -207,11 +216,11 @@ async function do_tts(array) {
                     console.log("Audio playback ended");
                     if (messageEl) messageEl.textContent = "Finished!";
                       // Send audio playback end through control network
-                    if (controlNodeId && window.bambiControlNetwork && typeof window.bambiControlNetwork.processControlSignal === 'function') {
+                    if (ttsControlNodeId && window.bambiControlNetwork && typeof window.bambiControlNetwork.processControlSignal === 'function') {
                         window.bambiControlNetwork.processControlSignal('TTS_PLAYBACK_END', {
                             timestamp: Date.now(),
                             source: 'TEXT2SPEECH'
-                        }, controlNodeId);
+                        }, ttsControlNodeId);
                     }
                     
                     // Release the blob URL to free memory
@@ -230,12 +239,12 @@ async function do_tts(array) {
                     if (messageEl) messageEl.textContent = "Error playing audio: " + 
                         (window.audio.error ? window.audio.error.message : "Unknown error");
                       // Send audio error through control network
-                    if (controlNodeId && window.bambiControlNetwork && typeof window.bambiControlNetwork.processControlSignal === 'function') {
+                    if (ttsControlNodeId && window.bambiControlNetwork && typeof window.bambiControlNetwork.processControlSignal === 'function') {
                         window.bambiControlNetwork.processControlSignal('TTS_PLAYBACK_ERROR', {
                             error: window.audio.error ? window.audio.error.message : "Unknown error",
                             timestamp: Date.now(),
                             source: 'TEXT2SPEECH'
-                        }, controlNodeId);
+                        }, ttsControlNodeId);
                     }
                     
                     // Release the blob URL on error
@@ -255,12 +264,12 @@ async function do_tts(array) {
                 console.error("Fetch error:", error);
                 if (messageEl) messageEl.textContent = "Error fetching audio: " + error.message;
                   // Send TTS error through control network
-                if (controlNodeId && window.bambiControlNetwork && typeof window.bambiControlNetwork.processControlSignal === 'function') {
+                if (ttsControlNodeId && window.bambiControlNetwork && typeof window.bambiControlNetwork.processControlSignal === 'function') {
                     window.bambiControlNetwork.processControlSignal('TTS_PROCESSING_ERROR', {
                         error: error.message,
                         timestamp: Date.now(),
                         source: 'TEXT2SPEECH'
-                    }, controlNodeId);
+                    }, ttsControlNodeId);
                 }
                 
                 // Process next item in queue if any
@@ -275,6 +284,26 @@ async function do_tts(array) {
     }
 }
 
+/**
+ * Stop playback and drop everything waiting to be spoken
+ */
+function flushTTS() {
+    ttsGeneration++;
+
+    if (window._textArray) window._textArray.length = 0;
+    if (window._audioArray) window._audioArray.length = 0;
+
+    if (window.audio) {
+        window.audio.onended = null;
+        window.audio.pause();
+        window.audio.removeAttribute('src');
+        window.audio.load();
+    }
+
+    const messageEl = document.querySelector("#message");
+    if (messageEl) messageEl.textContent = "";
+}
+
 /**
  * Fetch available TTS voices from the server
  * @returns {Promise<Array>} - Array of available voices
@@ -298,5 +327,6 @@ window.tts = {
     arrayPush,
     arrayShift,
     setVoice,
-    fetchAvailableVoices
+    fetchAvailableVoices,
+    flushTTS
 };
\ No newline at end of file
@@ -0,0 +1,96 @@
+// Wellbeing - break reminders and a gentle wind-down when the session limit is reached
+(function() {
+  const socket = window.socket || (typeof io === 'function' ? io() : null);
+  const breakNotice = document.getElementById('wellbeing-break');
+  const breakText = document.getElementById('wellbeing-break-text');
+  const breakClose = document.getElementById('wellbeing-break-close');
+  const wakeUpScreen = document.getElementById('wake-up-screen');
+  const wakeUpSession = document.getElementById('wake-up-session');
+  const wakeUpButton = document.getElementById('wake-up-release');
+
+  // How often the page reports spirals or binaural beats that are playing
+  const ACTIVITY_INTERVAL = 60000;
+  const SPIRAL_FADE_MS = 60000;
+
+  if (!socket || !wakeUpScreen) return;
+
+  function spiralsActive() {
+    const spiralsToggle = document.getElementById('spirals-enable');
+    return Boolean(spiralsToggle && spiralsToggle.checked);
+  }
+
+  function binauralActive() {
+    return Boolean(window.bambiBrainwave && window.bambiBrainwave.isPlaying());
+  }
+
+  // Spirals and binaural beats run here without talking to the server, so report them
+  setInterval(function() {
+    if (socket.connected && (spiralsActive() || binauralActive())) {
+      socket.emit('wellbeing:activity');
+    }
+  }, ACTIVITY_INTERVAL);
+
+  function fadeOutSpirals() {
+    const eyeCursor = document.getElementById('eyeCursor');
+    if (!spiralsActive()) return;
+
+    const turnOff = function() {
+      const spiralsToggle = document.getElementById('spirals-enable');
+      if (spiralsToggle && spiralsToggle.checked) {
+        spiralsToggle.checked = false;
+        spiralsToggle.dispatchEvent(new Event('change'));
+      }
+      if (eyeCursor) {
+        eyeCursor.style.transition = '';
+        eyeCursor.style.opacity = '';
+      }
+    };
+
+    if (!eyeCursor) return turnOff();
+    eyeCursor.style.transition = `opacity ${SPIRAL_FADE_MS}ms linear`;
+    eyeCursor.style.opacity = '0';
+    setTimeout(turnOff, SPIRAL_FADE_MS);
+  }
+
+  function windDown(session) {
+    if (binauralActive()) window.bambiBrainwave.stop();
+    fadeOutSpirals();
+
+    // The server dropped them from the AIGF prompt, keep the toggles in line
+    document.querySelectorAll('.toggle-input:checked').forEach(toggle => {
+      toggle.checked = false;
+    });
+    localStorage.setItem('bambiActiveTriggers', '[]');
+
+    if (wakeUpSession && session) {
+      wakeUpSession.textContent = `You have been in for ${session.elapsedMinutes} minutes, your limit is ${session.sessionLimitMinutes}.`;
+    }
+    wakeUpScreen.hidden = false;
+    if (wakeUpButton) wakeUpButton.focus();
+  }
+
+  function showBreakReminder(session) {
+    if (!breakNotice || !breakText || !session) return;
+    breakText.textContent = `You have been in for ${session.elapsedMinutes} minutes. Take a short break: stretch, have some water and look away from the screen.`;
+    breakNotice.hidden = false;
+  }
+
+  if (breakClose) {
+    breakClose.addEventListener('click', function() {
+      breakNotice.hidden = true;
+    });
+  }
+
+  if (wakeUpButton) {
+    wakeUpButton.addEventListener('click', function() {
+      socket.emit('wellbeing:wake');
+      wakeUpScreen.hidden = true;
+    });
+  }
+
+  socket.on('wellbeing:break', showBreakReminder);
+  socket.on('wellbeing:wind-down', windDown);
+  socket.on('wellbeing:awake', function() {
+    wakeUpScreen.hidden = true;
+  });
+})();
@@ -0,0 +1,181 @@
+import express from 'express';
+import Logger from '../utils/logger.js';
+import footerConfig from '../config/footer.config.js';
+import accountService from '../services/accountService.js';
+import { startSession, endSession, safeNext, sessionUsername, guestUsername, clearGuest, rememberLogin, knownLogin } from '../utils/auth.js';
+
+const router = express.Router();
+const logger = new Logger('AuthRoute');
+
+// Base path for this router
+export const basePath = '/auth';
+
+const TITLES = {
+  login: 'Log in',
+  register: 'Create an account',
+  claim: 'Claim your BambiName'
+};
+
+// Name from before accounts, the browser sets it so it only suggests which name to claim
+function legacyUsername(req) {
+  try {
+    return req.cookies?.bambiname ? decodeURIComponent(req.cookies.bambiname) : null;
+  } catch {
+    return null;
+  }
+}
+
+function renderAuth(req, res, mode, { next, error = null, username = '', legacy = null, status = 200 }) {
+  res.status(status).render('auth', {
+    title: `${TITLES[mode]} | BambiSleep.Chat`,
+    mode,
+    heading: TITLES[mode],
+    next,
+    error,
+    username,
+    legacy,
+    footer: footerConfig
+  });
+}
+
+// Someone already logged in has nothing to do on these pages
+function redirectIfLoggedIn(req, res, next) {
+  if (sessionUsername(req)) return res.redirect(safeNext(req.query.next || req.body?.next));
+  next();
+}
+
+router.get('/login', redirectIfLoggedIn, async (req, res) => {
+  try {
+    const legacy = legacyUsername(req);
+    renderAuth(req, res, 'login', {
+      next: safeNext(req.query.next),
+      legacy: await accountService.isClaimable(legacy) ? legacy : null
+    });
+  } catch (error) {
+    logger.error(`Error rendering login page: ${error.message}`);
+    res.status(500).send('Error rendering page');
+  }
+});
+
+router.post('/login', redirectIfLoggedIn, async (req, res) => {
+  const next = safeNext(req.body.next);
+  const username = String(req.body.username || '').trim();
+
+  try {
+    const result = await accountService.authenticate(username, req.body.password, req.ip, knownLogin(req));
+    if (!result.success) {
+      return renderAuth(req, res, 'login', {
+        next,
+        username,
+        error: result.error,
+        legacy: result.claimable && legacyUsername(req) === username ? username : null,
+        status: 401
+      });
+    }
+
+    await startSession(req, result.username);
+    rememberLogin(res, result.username);
+    logger.info(`${result.username} logged in`);
+    res.redirect(next);
+  } catch (error) {
+    logger.error(`Error logging in: ${error.message}`);
+    res.status(500).send('Error logging in');
+  }
+});
+
+router.get('/register', redirectIfLoggedIn, (req, res) => {
+  renderAuth(req, res, 'register', { next: safeNext(req.query.next) });
+});
+
+router.post('/register', redirectIfLoggedIn, async (req, res) => {
+  const next = safeNext(req.body.next);
+  const username = String(req.body.username || '').trim();
+
+  try {
+    if (req.body.password !== req.body.confirmPassword) {
+      return renderAuth(req, res, 'register', { next, username, error: 'The passwords do not match', status: 400 });
+    }
+
+    // A guest's XP, settings and AIGF history become the new account's
+    const result = await accountService.register(username, req.body.password, guestUsername(req));
+    if (!result.success) {
+      return renderAuth(req, res, 'register', {
+        next,
+        username,
+        error: result.error,
+        legacy: result.claimable && legacyUsername(req) === username ? username : null,
+        status: 400
+      });
+    }
+
+    await startSession(req, result.username);
+    clearGuest(res);
+    res.redirect(next);
+  } catch (error) {
+    logger.error(`Error registering: ${error.message}`);
+    res.status(500).send('Error creating account');
+  }
+});
+
+// Names from before accounts are claimed with a one time code from the admins
+router.get('/claim', redirectIfLoggedIn, async (req, res) => {
+  try {
+    const legacy = legacyUsername(req);
+    renderAuth(req, res, 'claim', {
+      next: safeNext(req.query.next),
+      username: await accountService.isClaimable(legacy) ? legacy : ''
+    });
+  } catch (error) {
+    logger.error(`Error rendering claim page: ${error.message}`);
+    res.status(500).send('Error rendering page');
+  }
+});
+
+router.post('/claim', redirectIfLoggedIn, async (req, res) => {
+  const next = safeNext(req.body.next);
+  const username = String(req.body.username || '').trim();
+
+  try {
+    if (req.body.password !== req.body.confirmPassword) {
+      return renderAuth(req, res, 'claim', { next, username, error: 'The passwords do not match', status: 400 });
+    }
+
+    const result = await accountService.claim(username, req.body.claimCode, req.body.password, guestUsername(req), req.ip);
+    if (!result.success) {
+      return renderAuth(req, res, 'claim', { next, username, error: result.error, status: 400 });
+    }
+
+    await startSession(req, result.username);
+    res.clearCookie('bambiname', { path: '/' });
+    clearGuest(res);
+    res.redirect(next);
+  } catch (error) {
+    logger.error(`Error claiming ${username}: ${error.message}`);
+    res.status(500).send('Error claiming BambiName');
+  }
+});
+
+// Ends the session here and on every socket that was opened with it
+router.post('/logout', async (req, res) => {
+  const sessionId = req.sessionID;
+  const username = sessionUsername(req);
+
+  try {
+    await endSession(req);
+    res.clearCookie('bambi.sid', { path: '/' });
+
+    if (username && global.io) {
+      for (const socket of global.io.sockets.sockets.values()) {
+        if (socket.request.sessionID === sessionId) socket.disconnect(true);
+      }
+      logger.info(`${username} logged out`);
+    }
+
+    res.redirect('/');
+  } catch (error) {
+    logger.error(`Error logging out: ${error.message}`);
+    res.status(500).send('Error logging out');
+  }
+});
+
+export default router;
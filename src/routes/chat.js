@@ -5,6 +5,10 @@ import footerConfig from '../config/footer.config.js';
 import config from '../config/config.js';
 import Profile from '../models/Profile.js';
 import bambiIndustrialControlSystem from '../services/bambiControlNetwork.js';
+import { requireConsent } from '../utils/consentGate.js';
+import { currentUsername } from '../utils/auth.js';
+import roomService from '../services/roomService.js';
+import contentFilterService from '../services/contentFilterService.js';
 
 const router = express.Router();
 const logger = new Logger('Chat');
@@ -12,17 +16,21 @@ const logger = new Logger('Chat');
 // Base path for this router
 export const basePath = '/chat';
 
-// Main chat page
-router.get('/', async (req, res) => {
+// Main chat page, only after age verification and consent
+router.get('/', requireConsent, async (req, res) => {
   try {
-    // Get username from cookie
-    const username = req.cookies?.bambiname 
-      ? decodeURIComponent(req.cookies.bambiname) 
-      : 'anonBambi';
+    // Get username from the login session or guest identity
+    const username = currentUsername(req) || 'anonBambi';
+    // The page opens in the lobby, the room switcher loads other rooms over the socket
+    const lobby = await roomService.getRoom(roomService.LOBBY);
+    // Search results link to a message, the page scrolls its history to it
+    const focus = req.query.message
+      ? { room: String(req.query.room || roomService.LOBBY), message: String(req.query.message) }
+      : null;
       // Get recent chat messages for the chat history
     let chatMessages = [];
     try {
-      chatMessages = await sessionService.ChatMessage.getRecentMessages(50);
+      chatMessages = await sessionService.ChatMessage.getRecentMessages(lobby.settings.historyLimit, lobby.slug);
       logger.info(`Retrieved ${chatMessages.length} messages for chat history`);
     } catch (error) {
       logger.error(`Error fetching chat messages: ${error.message}`);
@@ -33,7 +41,7 @@ router.get('/', async (req, res) => {
     let profile = null;
     if (username && username !== 'anonBambi') {
       try {
-        profile = await Profile.findByUsername(username);
+        profile = await Profile.findOne({ username }).lean();
       } catch (error) {
         logger.error(`Error fetching profile for ${username}:`, error);
       }
@@ -80,6 +88,10 @@ router.get('/', async (req, res) => {
       username,
       footerLinks,
       footer: footerConfig,
+      room: roomService.describeRoom(lobby, username),
+      siteModerator: roomService.isSiteModerator(username),
+      contentPolicies: contentFilterService.policyNames(),
+      focus,
       chatMessages,
       triggers,
       controlNetworkStatus,
@@ -93,6 +105,10 @@ router.get('/', async (req, res) => {
       username: '',
       footerLinks: config?.FOOTER_LINKS || footerConfig?.links || [],
       footer: footerConfig,
+      room: null,
+      siteModerator: false,
+      contentPolicies: [],
+      focus: null,
       chatMessages: [],
       triggers: [],
       controlNetworkStatus: null,
@@ -101,4 +117,141 @@ router.get('/', async (req, res) => {
   }
 });
 
+// A message with every reply in its thread, for users who may read the history of the room it was sent in
+router.get('/thread/:id', requireConsent, async (req, res) => {
+  try {
+    const username = currentUsername(req) || 'anonBambi';
+    const thread = await sessionService.ChatMessage.getThread(req.params.id);
+    const room = thread ? await roomService.getRoom(thread.root.room || roomService.LOBBY) : null;
+
+    if (!thread || !roomService.canReadHistory(room, username)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Thread not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        room: room.slug,
+        root: sessionService.describeMessage(thread.root),
+        replies: thread.replies.map(sessionService.describeMessage)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error fetching thread ${req.params.id}: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load the thread',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Where a message sits in the chat, the page opens its room and scrolls to it
+const messageLink = (message) => `/chat?room=${encodeURIComponent(message.room || roomService.LOBBY)}&message=${message._id}`;
+
+// A page of a room's history, before, after or around a message id
+router.get('/history', requireConsent, async (req, res) => {
+  try {
+    const username = currentUsername(req) || 'anonBambi';
+    const room = await roomService.getRoom(req.query.room || roomService.LOBBY);
+
+    if (!roomService.canReadHistory(room, username)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { before, after, around, limit } = req.query;
+    const page = await sessionService.ChatMessage.getMessagesPage(room.slug, { before, after, around, limit });
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        room: room.slug,
+        messages: page.messages.map(sessionService.describeMessage),
+        hasOlder: page.hasOlder,
+        hasNewer: page.hasNewer
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error fetching chat history: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load the chat history',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Search messages by words, author, mention and date in one room or every room the user can read
+router.get('/search', requireConsent, async (req, res) => {
+  try {
+    const username = currentUsername(req) || 'anonBambi';
+    const { q, author, mention, from, to, before, limit } = req.query;
+
+    if (!q && !author && !mention && !from && !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search for words, an author, a mention or dates',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let rooms;
+    if (req.query.room) {
+      const room = await roomService.getRoom(req.query.room);
+      if (!roomService.canReadHistory(room, username)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Room not found',
+          timestamp: new Date().toISOString()
+        });
+      }
+      rooms = [room.slug];
+    } else {
+      rooms = (await roomService.listRooms(username))
+        .filter(room => room.settings.historyLimit > 0)
+        .map(room => room.slug);
+    }
+
+    const result = await sessionService.ChatMessage.searchMessages(rooms, {
+      q, username: author, mention, from, to, before, limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        results: result.messages.map(message => ({
+          ...sessionService.describeMessage(message),
+          link: messageLink(message)
+        })),
+        hasMore: result.hasMore
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error searching chat messages: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search the chat',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,66 @@
+import express from 'express';
+import Logger from '../utils/logger.js';
+import footerConfig from '../config/footer.config.js';
+import consentService from '../services/consentService.js';
+import { currentUsername, isGuest, safeNext } from '../utils/auth.js';
+
+const router = express.Router();
+const logger = new Logger('ConsentRoute');
+
+// Base path for this router
+export const basePath = '/consent';
+
+async function renderConsent(req, res, { username, next, error = null, status = 200 }) {
+  const consent = await consentService.getConsent(username);
+
+  res.status(status).render('consent', {
+    title: 'Before you continue | BambiSleep.Chat',
+    username: username || '',
+    guest: isGuest(username),
+    next,
+    error,
+    termsVersion: consentService.currentTermsVersion(),
+    // Someone who agreed to older terms is told why they are asked again
+    termsChanged: Boolean(consent?.termsVersion) && !consentService.hasCurrentConsent(consent),
+    footer: footerConfig
+  });
+}
+
+// Age attestation and content terms, recorded for the logged in user or guest identity
+router.get('/', async (req, res) => {
+  try {
+    await renderConsent(req, res, { username: currentUsername(req), next: safeNext(req.query.next) });
+  } catch (error) {
+    logger.error(`Error rendering consent page: ${error.message}`);
+    res.status(500).send('Error rendering page');
+  }
+});
+
+// Record consent and continue to the page that asked for it
+router.post('/', async (req, res) => {
+  const next = safeNext(req.body.next);
+  const username = currentUsername(req);
+
+  try {
+    const result = await consentService.recordConsent(username, {
+      ageConfirmed: req.body.ageConfirmed === 'on',
+      termsAccepted: req.body.termsAccepted === 'on'
+    });
+
+    if (!result.success) {
+      return await renderConsent(req, res, {
+        username,
+        next,
+        error: result.error,
+        status: 400
+      });
+    }
+
+    res.redirect(next);
+  } catch (error) {
+    logger.error(`Error recording consent: ${error.message}`);
+    res.status(500).send('Error recording consent');
+  }
+});
+
+export default router;
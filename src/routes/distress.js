@@ -0,0 +1,65 @@
+import express from 'express';
+import Logger from '../utils/logger.js';
+import DistressEvent from '../models/DistressEvent.js';
+import { requireAdmin } from '../utils/adminAuth.js';
+
+const router = express.Router();
+const logger = new Logger('DistressRoutes');
+
+// Base path for this router
+export const basePath = '/api/distress';
+
+const MAX_DAYS = 90;
+const RECENT_LIMIT = 50;
+
+// Anonymized distress hits for moderators, with totals per category and source
+// Query: days (1-90, default 7)
+router.get('/admin', requireAdmin, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), MAX_DAYS);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const match = { createdAt: { $gte: since } };
+
+    const [recent, byCategory, bySource] = await Promise.all([
+      DistressEvent.find(match).sort({ createdAt: -1 }).limit(RECENT_LIMIT).lean(),
+      DistressEvent.aggregate([
+        { $match: match },
+        { $unwind: '$categories' },
+        { $group: { _id: '$categories', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]),
+      DistressEvent.aggregate([
+        { $match: match },
+        { $group: { _id: '$source', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        days,
+        total: bySource.reduce((sum, entry) => sum + entry.count, 0),
+        byCategory: byCategory.map(entry => ({ category: entry._id, count: entry.count })),
+        bySource: bySource.map(entry => ({ source: entry._id, count: entry.count })),
+        recent: recent.map(event => ({
+          id: event._id,
+          source: event.source,
+          score: event.score,
+          categories: event.categories,
+          pausedMs: event.pausedMs,
+          createdAt: event.createdAt
+        }))
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error listing distress events: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list distress events',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+export default router;
@@ -8,6 +8,7 @@ import config from '../config/config.js'; // Add this import
 import { getModel, withDbConnection } from '../config/db.js';
 import sessionService from '../services/sessionService.js';
 import bambiControlNetwork from '../services/bambiControlNetwork.js';
+import { currentUsername } from '../utils/auth.js';
 
 const logger = new Logger('RouteManager');
 const router = express.Router();
@@ -83,12 +84,7 @@ router.get('/', async (req, res) => {
   try {
     // Simplified route for debugging - minimal database calls
     let profile = null;
-    let username = '';
-    
-    // Get username from cookie if available
-    if (req.cookies?.bambiname) {
-      username = decodeURIComponent(req.cookies.bambiname);
-    }
+    const username = currentUsername(req) || '';
     
     // Simplified data for testing
     const footerLinks = config?.FOOTER_LINKS || footerConfig?.links || [];
@@ -171,10 +167,8 @@ router.get('/api/profile/:username/data', async (req, res) => {
       });
     }
     
-    // Verify that this is the user's own profile using the cookie
-    const bambinameCookie = req.cookies?.bambiname;
-    
-    if (bambinameCookie && decodeURIComponent(bambinameCookie) !== username) {
+    // Verify that this is the user's own profile using the login session or guest identity
+    if (currentUsername(req) !== username) {
       return res.status(403).json({ 
         success: false,
         error: 'Unauthorized access to profile',
@@ -0,0 +1,125 @@
+import express from 'express';
+import Logger from '../utils/logger.js';
+import { hasConnection } from '../config/db.js';
+import { getModelRegistry } from '../services/llm/modelRegistry.js';
+import { getPreset } from '../services/llm/generationPresets.js';
+import { requireAdmin } from '../utils/adminAuth.js';
+
+const router = express.Router();
+const logger = new Logger('Models');
+
+// Base path for this router
+export const basePath = '/api/models';
+
+// Models users can pick from
+router.get('/', async (req, res) => {
+  try {
+    const models = await getModelRegistry().list();
+    res.json({
+      success: true,
+      data: { models },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error listing models: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list models',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Every known model including disabled ones, with health
+router.get('/admin', requireAdmin, async (req, res) => {
+  try {
+    const registry = getModelRegistry();
+    if (req.query.refresh === 'true') {
+      await registry.refresh(true);
+    }
+
+    const models = await registry.list({ includeDisabled: true });
+    res.json({
+      success: true,
+      data: { models, discoveryError: registry.discoveryError },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error listing models for admin: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list models',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Update admin metadata for a model, the model id must be URL encoded
+// Body: enabled, displayName, contextLength, minLevel, defaultPreset (null resets a field)
+router.put('/admin/:modelId', requireAdmin, async (req, res) => {
+  try {
+    if (!hasConnection()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Database unavailable, model settings cannot be saved',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { modelId } = req.params;
+    const body = req.body || {};
+    const update = {};
+
+    if (body.enabled !== undefined) {
+      if (body.enabled !== null && typeof body.enabled !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'enabled must be a boolean', timestamp: new Date().toISOString() });
+      }
+      update.enabled = body.enabled;
+    }
+    if (body.displayName !== undefined) {
+      update.displayName = body.displayName === null ? null : String(body.displayName).trim().slice(0, 100);
+    }
+    for (const field of ['contextLength', 'minLevel']) {
+      if (body[field] !== undefined) {
+        const value = body[field] === null ? null : Number(body[field]);
+        if (value !== null && (!Number.isInteger(value) || value < 0)) {
+          return res.status(400).json({ success: false, error: `${field} must be a positive integer`, timestamp: new Date().toISOString() });
+        }
+        update[field] = value;
+      }
+    }
+    if (body.defaultPreset !== undefined) {
+      if (body.defaultPreset !== null && !getPreset(body.defaultPreset)) {
+        return res.status(400).json({ success: false, error: `Unknown generation preset: ${body.defaultPreset}`, timestamp: new Date().toISOString() });
+      }
+      update.defaultPreset = body.defaultPreset;
+    }
+
+    const { default: LlmModel } = await import('../models/LlmModel.js');
+    await LlmModel.findOneAndUpdate(
+      { modelId },
+      { $set: { ...update, updatedBy: 'admin', updatedAt: new Date() } },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    // The worker picks the change up on its next registry refresh
+    const registry = getModelRegistry();
+    await registry.refresh(true);
+    logger.info(`Model ${modelId} updated: ${JSON.stringify(update)}`);
+
+    res.json({
+      success: true,
+      data: { model: await registry.get(modelId) },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error updating model: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update model',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+export default router;
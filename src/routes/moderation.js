@@ -0,0 +1,208 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Logger from '../utils/logger.js';
+import moderationService from '../services/moderationService.js';
+import sanctionService from '../services/sanctionService.js';
+import contentFilterService from '../services/contentFilterService.js';
+import roomService from '../services/roomService.js';
+import accountService from '../services/accountService.js';
+import { requireAdmin } from '../utils/adminAuth.js';
+import { currentUsername } from '../utils/auth.js';
+
+const router = express.Router();
+const logger = new Logger('ModerationRoutes');
+
+// Base path for this router
+export const basePath = '/api/moderation';
+
+// Site moderators use their login, everyone else needs the admin token
+function requireModerator(req, res, next) {
+  const username = currentUsername(req);
+  if (roomService.isSiteModerator(username)) {
+    req.moderator = username;
+    return next();
+  }
+  return requireAdmin(req, res, next);
+}
+
+// Edits and deletes of chat messages, newest first, with the text before and after
+// Query: room, actor, messageId, limit (1-200, default 50)
+router.get('/audit', requireAdmin, async (req, res) => {
+  try {
+    const { room, actor, messageId, limit } = req.query;
+    if (messageId && !mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid message id',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const entries = await moderationService.listAudit({ room, actor, messageId, limit });
+
+    res.json({
+      success: true,
+      data: entries.map(entry => ({
+        id: entry._id,
+        action: entry.action,
+        messageId: entry.messageId,
+        room: entry.room,
+        actor: entry.actor,
+        author: entry.author,
+        role: entry.role,
+        reason: entry.reason,
+        before: entry.before,
+        after: entry.after,
+        createdAt: entry.createdAt
+      })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error listing moderation audit: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list the moderation audit',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Mutes, kicks and bans, newest first, active ones unless all=true
+// Query: room (also lists those for every room), username, all, limit (1-200, default 50)
+router.get('/sanctions', requireModerator, async (req, res) => {
+  try {
+    const { room, username, limit } = req.query;
+    const sanctions = await sanctionService.listSanctions({ room, username, all: req.query.all === 'true', limit });
+
+    res.json({
+      success: true,
+      data: sanctions.map(sanctionService.describeSanction),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error listing sanctions: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list the sanctions',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Lift a sanction before it expires, the user can come back or talk again right away
+router.delete('/sanctions/:id', requireModerator, async (req, res) => {
+  try {
+    const result = await sanctionService.liftSanction(req.params.id, req.moderator || 'admin', { admin: req.isAdmin === true });
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: sanctionService.describeSanction(result.sanction),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error lifting sanction ${req.params.id}: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to lift the sanction',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Texts that hit a flag rule of the content filter, newest first, unreviewed ones unless all=true
+// Query: room, context (chat, dm, collar, username, aigf), all, limit (1-200, default 50)
+router.get('/flags', requireModerator, async (req, res) => {
+  try {
+    const { room, context, limit } = req.query;
+    if (context && !contentFilterService.CONTEXTS.includes(context)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid context',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const flags = await contentFilterService.listFlags({ room, context, all: req.query.all === 'true', limit });
+
+    res.json({
+      success: true,
+      data: flags.map(contentFilterService.describeFlag),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error listing content flags: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list the content flags',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Mark a flagged text as reviewed so it leaves the queue
+router.post('/flags/:id/review', requireModerator, async (req, res) => {
+  try {
+    const result = await contentFilterService.reviewFlag(req.params.id, req.moderator || 'admin');
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: contentFilterService.describeFlag(result.flag),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error reviewing content flag ${req.params.id}: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to review the content flag',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// A one time code to claim a BambiName from before accounts, given out once an admin knows whose name it is
+// Body: username
+router.post('/claims', requireAdmin, async (req, res) => {
+  try {
+    const result = await accountService.issueClaimCode(req.body?.username);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        username: result.username,
+        code: result.code,
+        expiresAt: result.expiresAt
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error issuing a claim code: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue a claim code',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,220 @@
+import express from 'express';
+import Logger from '../utils/logger.js';
+import db, { getModel, withDbConnection } from '../config/db.js';
+import personaService from '../services/personaService.js';
+import { allowedTriggers, promptLimits, validateLimits } from '../services/limitsService.js';
+import { currentUsername } from '../utils/auth.js';
+import { requireAdmin } from '../utils/adminAuth.js';
+
+const router = express.Router();
+const logger = new Logger('Personas');
+
+// Base path for this router
+export const basePath = '/api/personas';
+
+const NAME_PATTERN = /^[a-z0-9_-]{1,40}$/i;
+const TEMPLATE_MAX = 20000;
+
+// Persona name and version of an admin request, null when they are not valid
+function overrideKey(params) {
+  const version = Number(params.version);
+  if (!NAME_PATTERN.test(params.name) || !Number.isInteger(version) || version < 1) return null;
+  return { name: params.name, version };
+}
+
+const databaseUnavailable = (res) => res.status(503).json({
+  success: false,
+  error: 'Database unavailable, persona overrides cannot be changed',
+  timestamp: new Date().toISOString()
+});
+
+const invalidOverride = (res, error) => res.status(400).json({
+  success: false,
+  error,
+  timestamp: new Date().toISOString()
+});
+
+// List personas and their versions
+router.get('/', async (req, res) => {
+  try {
+    const personas = await personaService.listPersonas();
+    res.json({
+      success: true,
+      data: { personas },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error listing personas: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list personas',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Render the final system prompt a user would get
+// Query: username, persona, version, triggers (comma separated), collar (collar text)
+router.get('/preview', async (req, res) => {
+  try {
+    const current = currentUsername(req);
+    const username = req.query.username || current || 'anonBambi';
+
+    // Only your own prompt can be previewed
+    if (username !== 'anonBambi' && username !== current) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized access to persona preview',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Start from the user's saved controls, query parameters take precedence
+    let systemControls = {};
+    if (username !== 'anonBambi' && db.hasConnection()) {
+      const Profile = getModel('Profile');
+      const profile = await withDbConnection(async () => {
+        return await Profile.findOne({ username }).lean();
+      }, { requireConnection: false });
+      systemControls = profile?.systemControls || {};
+    }
+
+    const triggers = req.query.triggers
+      ? String(req.query.triggers).split(',').map(t => t.trim()).filter(Boolean)
+      : systemControls.triggers?.activeTriggers || [];
+    const collarText = req.query.collar !== undefined
+      ? String(req.query.collar)
+      : systemControls.collar?.enabled ? systemControls.collar.text || '' : '';
+
+    const savedLimits = systemControls.limits ? validateLimits(systemControls.limits) : { valid: false };
+    const limits = savedLimits.valid ? savedLimits.limits : null;
+
+    const { prompt, persona } = await personaService.renderPersonaPrompt({
+      username,
+      triggers: allowedTriggers(triggers, limits),
+      collar: Boolean(collarText),
+      collarText,
+      limits: promptLimits(limits),
+      persona: req.query.persona || null,
+      version: req.query.version ? parseInt(req.query.version, 10) : null
+    });
+
+    res.json({
+      success: true,
+      data: { persona, prompt },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error rendering persona preview: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render persona preview',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Every database override including disabled ones
+router.get('/admin', requireAdmin, async (req, res) => {
+  try {
+    if (!db.hasConnection()) return databaseUnavailable(res);
+
+    const { default: PersonaTemplate } = await import('../models/PersonaTemplate.js');
+    const overrides = await PersonaTemplate.find({}).sort({ name: 1, version: 1 }).lean();
+    res.json({
+      success: true,
+      data: { overrides },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error listing persona overrides: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list persona overrides',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Create or replace a persona version, replacing a file version with the same number
+// Body: template, description, enabled
+router.put('/admin/:name/:version', requireAdmin, async (req, res) => {
+  try {
+    const key = overrideKey(req.params);
+    if (!key) return invalidOverride(res, 'Persona names are letters, digits, - and _, versions start at 1');
+
+    const body = req.body || {};
+    if (typeof body.template !== 'string' || !body.template.trim() || body.template.length > TEMPLATE_MAX) {
+      return invalidOverride(res, `template must be text of at most ${TEMPLATE_MAX} characters`);
+    }
+    if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+      return invalidOverride(res, 'enabled must be a boolean');
+    }
+    if (!db.hasConnection()) return databaseUnavailable(res);
+
+    const { default: PersonaTemplate } = await import('../models/PersonaTemplate.js');
+    const override = await PersonaTemplate.findOneAndUpdate(
+      key,
+      {
+        $set: {
+          template: body.template,
+          description: String(body.description || '').trim().slice(0, 200),
+          enabled: body.enabled !== false,
+          createdBy: 'admin',
+          createdAt: new Date()
+        }
+      },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+
+    // Prompts are rendered from the database on every new conversation, no reload needed
+    logger.info(`Persona ${key.name} v${key.version} saved (${override.enabled ? 'enabled' : 'disabled'})`);
+    res.json({
+      success: true,
+      data: { override },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error saving persona override: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save persona override',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Remove a database override, a file version with the same number applies again
+router.delete('/admin/:name/:version', requireAdmin, async (req, res) => {
+  try {
+    const key = overrideKey(req.params);
+    if (!key) return invalidOverride(res, 'Persona names are letters, digits, - and _, versions start at 1');
+    if (!db.hasConnection()) return databaseUnavailable(res);
+
+    const { default: PersonaTemplate } = await import('../models/PersonaTemplate.js');
+    const { deletedCount } = await PersonaTemplate.deleteOne(key);
+    if (!deletedCount) {
+      return res.status(404).json({
+        success: false,
+        error: 'No such persona override',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.info(`Persona ${key.name} v${key.version} override removed`);
+    res.json({
+      success: true,
+      data: { removed: key },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error removing persona override: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove persona override',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+export default router;
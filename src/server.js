@@ -8,6 +8,7 @@ import audioTriggers from './utils/audioTriggers.js';
 import axios from 'axios';
 import bambiControlNetwork from './services/bambiControlNetwork.js';
 import bnncsRoutes from './routes/bnncs.js';
+import personasRouter, { basePath as personasBasePath } from './routes/personas.js';
 import config from './config/config.js';
 import cookieParser from 'cookie-parser';
 import cors from 'cors';
@@ -17,12 +18,31 @@ import express from 'express';
 import { fileURLToPath } from 'url';
 import fileUpload from 'express-fileupload';
 import footerConfig from './config/footer.config.js';
-import { promises as fsPromises } from 'fs';
 import healthRoute from './routes/health.js';
 import helmet from 'helmet';
 import helpRoute from './routes/help.js';
 import http from 'http';
 import indexRoute from './routes/index.js';
+import { listPresets } from './services/llm/generationPresets.js';
+import { getModelRegistry } from './services/llm/modelRegistry.js';
+import safewordService from './services/safewordService.js';
+import wellbeingService from './services/wellbeingService.js';
+import distressService from './services/distressService.js';
+import permissionService from './services/permissionService.js';
+import roomService from './services/roomService.js';
+import directMessageService from './services/directMessageService.js';
+import moderationService from './services/moderationService.js';
+import sanctionService from './services/sanctionService.js';
+import contentFilterService from './services/contentFilterService.js';
+import modelsRouter, { basePath as modelsBasePath } from './routes/models.js';
+import consentRouter, { basePath as consentBasePath } from './routes/consent.js';
+import distressRouter, { basePath as distressBasePath } from './routes/distress.js';
+import authRouter, { basePath as authBasePath } from './routes/auth.js';
+import moderationRouter, { basePath as moderationBasePath } from './routes/moderation.js';
+import { cookieSecret, sessionMiddleware, sessionUsername, currentUsername, guestIdentity, isGuest } from './utils/auth.js';
+import accountService from './services/accountService.js';
+import { requireConsent } from './utils/consentGate.js';
+import consentService from './services/consentService.js';
 import mongoose from 'mongoose';
 import os from 'os';
 import path from 'path';
@@ -175,6 +195,11 @@ const scheduledTasks = {
     return task;
   },
 
+  stopTask(name) {
+    this.tasks.filter(task => task.name === name).forEach(task => clearInterval(task.timer));
+    this.tasks = this.tasks.filter(task => task.name !== name);
+  },
+
   stopAll() {
     this.tasks.forEach(task => {
       clearInterval(task.timer);
@@ -583,6 +608,9 @@ async function initializeApp() {
     const app = express();
     const server = http.createServer(app);
 
+    // Behind a reverse proxy req.ip is the address it saw, only its own hop is trusted so clients can't pick one
+    app.set('trust proxy', config.TRUST_PROXY ? 1 : false);
+
     // Set up view engine
     app.set('view engine', 'ejs');
     app.set('views', path.join(__dirname, 'views'));
@@ -598,14 +626,13 @@ async function initializeApp() {
       }
     });
     
+    // Sockets get the login session or guest identity of the page that opened them
+    io.engine.use(cookieParser(cookieSecret()));
+    io.engine.use(sessionMiddleware());
+
     // Make io globally available for control network
     global.io = io;
 
-    // Load filtered words for content moderation
-    const filteredWords = JSON.parse(await fsPromises.readFile(
-      path.join(__dirname, 'filteredWords.json'), 'utf8'
-    ));
-    
     // Verify DB connection before proceeding with robust health check
     const db = await import('./config/db.js');
     const dbInitResults = await db.default.connectAllDatabases(3);
@@ -620,6 +647,12 @@ async function initializeApp() {
     // Register models after DB connection
     await registerModels();
 
+    // Without a stable address key production stops here, not on the first connection
+    sanctionService.addressKey();
+
+    // Bans are checked on every connection, from memory
+    await sanctionService.loadSanctions();
+
     // Add a route to check database status
     dbRoutes.push('/api/db-status');
       // Define an API route to check DB health
@@ -712,7 +745,7 @@ async function initializeApp() {
 
     // Set up socket handlers with shared store for workers
     const socketStore = new Map();
-    setupSocketHandlers(io, socketStore, filteredWords);
+    setupSocketHandlers(io, socketStore);
 
     // Set up error handlers
     setupErrorHandlers(app);
@@ -777,7 +810,15 @@ function setupMiddleware(app) {
   app.use(cors());
   app.use(express.json());
   app.use(express.urlencoded({ extended: true }));
-  app.use(cookieParser());
+  app.use(cookieParser(cookieSecret()));
+  app.use(sessionMiddleware());
+  app.use(guestIdentity);
+  // Pages show who is logged in, or the guest name of everyone else
+  app.use((req, res, next) => {
+    res.locals.username = currentUsername(req) || '';
+    res.locals.loggedIn = Boolean(sessionUsername(req));
+    next();
+  });
   app.use(express.static(path.join(__dirname, 'public')));
   app.use(fileUpload({
     limits: { fileSize: 50 * 1024 * 1024 }
@@ -833,12 +874,12 @@ function setupMiddleware(app) {
  */
 async function setupRoutes(app) {  try {
     logger.info('🛤️ Setting up routes...');
-    app.get('/', (req, res) => {
+    app.get('/', requireConsent, (req, res) => {
       try {
         // Simplified data for the main page
         res.render('index', { 
           profile: null,
-          username: req.cookies?.bambiname ? decodeURIComponent(req.cookies.bambiname) : '',
+          username: currentUsername(req) || '',
           footerLinks: [],
           footer: { links: [] },
           chatMessages: [],
@@ -860,7 +901,13 @@ async function setupRoutes(app) {  try {
     const basicRoutes = [
       { path: '/psychodelic', handler: psychodelicRouter, dbRequired: false },
       { path: '/psychodelic-trigger-mania', handler: psychodelicTriggerManiaRouter, dbRequired: false },
-      { path: chatBasePath, handler: chatRouter, dbRequired: true }
+      { path: chatBasePath, handler: chatRouter, dbRequired: true },
+      { path: personasBasePath, handler: personasRouter, dbRequired: false },
+      { path: modelsBasePath, handler: modelsRouter, dbRequired: false },
+      { path: authBasePath, handler: authRouter, dbRequired: true },
+      { path: consentBasePath, handler: consentRouter, dbRequired: true },
+      { path: distressBasePath, handler: distressRouter, dbRequired: true },
+      { path: moderationBasePath, handler: moderationRouter, dbRequired: true }
     ];
       // Import and setup docs router
     const docsRouter = await import('./routes/docs.js');
@@ -1053,6 +1100,64 @@ async function fetchTTSFromKokoro(text, voice = config.KOKORO_DEFAULT_VOICE) {
   }
 }
 
+// Number of recent AIGF messages sent with a resume offer
+const AIGF_TRANSCRIPT_LIMIT = 20;
+
+// How often session limits and break reminders are checked, and how long spirals take to fade at a wind-down
+const WELLBEING_CHECK_INTERVAL = 30000;
+const WIND_DOWN_FADE_MS = 60000;
+
+/**
+ * Create a stable id for a new AIGF conversation
+ * @param {string} username - Owner of the conversation
+ * @returns {string} - Conversation id, also used as the SessionHistory sessionId
+ */
+function createConversationId(username) {
+  const suffix = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  return `conv_${encodeURIComponent(username)}_${suffix}`;
+}
+
+/**
+ * Find a stored AIGF conversation belonging to a user
+ * @param {string} username - Owner of the conversation
+ * @param {string} [sessionId] - Specific conversation, defaults to the most recent one
+ * @returns {Promise<Object|null>} - SessionHistory document or null if not found
+ */
+async function findStoredConversation(username, sessionId = null) {
+  try {
+    if (!username || username === 'anonBambi') return null;
+
+    await registerModels();
+
+    const SessionHistory = mongoose.models.SessionHistory;
+    if (!SessionHistory) return null;
+
+    return sessionId
+      ? await SessionHistory.findOne({ sessionId, username })
+      : await SessionHistory.findLatestForUser(username);
+  } catch (error) {
+    logger.error(`Error finding stored conversation for ${username}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Offer the user's latest AIGF conversation so the client can continue it
+ * @param {Socket} socket - Socket of the connecting user
+ */
+async function offerConversationResume(socket) {
+  const stored = await findStoredConversation(socket.bambiUsername);
+  if (!stored) return;
+
+  socket.emit('aigf:session:available', {
+    sessionId: stored.sessionId,
+    title: stored.title,
+    lastUpdatedAt: stored.lastUpdatedAt,
+    messageCount: stored.messages.length,
+    transcript: stored.getTranscript(AIGF_TRANSCRIPT_LIMIT)
+  });
+}
+
 /**
  * Get profile data for a username
  * @param {string} username - Username to look up
@@ -1116,9 +1221,8 @@ async function updateProfileXP(username, xp) {
  * 
  * @param {SocketIO.Server} io - Socket.io server instance
  * @param {Map} socketStore - Map to store socket and worker references
- * @param {string[]} filteredWords - List of words to filter
  */
-function setupSocketHandlers(io, socketStore, filteredWords) {
+function setupSocketHandlers(io, socketStore) {
   try {
     // Initialize the LMStudio worker thread
     const lmstudio = new Worker(path.join(__dirname, 'workers/lmstudio.js'));
@@ -1136,7 +1240,7 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
 
       // Start a new worker after a short delay
       setTimeout(() => {
-        setupSocketHandlers(io, socketStore, filteredWords);
+        setupSocketHandlers(io, socketStore);
       }, 1000);
     });
 
@@ -1145,12 +1249,40 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
       try {
         if (msg.type === "log") {
           logger.info(msg.data, msg.socketId);
-        } else if (msg.type === 'response') {
+        } else if (msg.type === 'response:cancelled') {
+          // Generation stopped early - no XP and no AIGF interaction log
+          io.to(msg.socketId).emit('response:cancelled', msg.data);
+        } else if (msg.type === 'turn:complete') {
+          // Message ids of the finished turn, used for regenerate and edit
+          io.to(msg.socketId).emit('aigf:turn', msg.data);
+        } else if (msg.type === 'branch:update') {
+          io.to(msg.socketId).emit('aigf:branch', msg.data);
+        } else if (msg.type === 'queue:update') {
+          // Position in the AIGF generation queue, 0 once the reply has started
+          io.to(msg.socketId).emit('aigf:queue', msg.data);
+        } else if (msg.type === 'model:failover') {
+          // The chosen model failed before answering, the reply comes from the next one in the chain
+          getModelRegistry().markFailure(msg.data.from, new Error(msg.data.reason));
+          io.to(msg.socketId).emit('aigf:model:failover', msg.data);
+        } else if (msg.type === 'response:chunk') {
+          // Forward partial streamed text to client as it arrives
+          io.to(msg.socketId).emit('response:chunk', msg.data);
+        } else if (msg.type === 'response' || msg.type === 'response:end') {
           // Convert object responses to strings
           const responseData = typeof msg.data === 'object' ? JSON.stringify(msg.data) : msg.data;
 
-          // Send response to client
-          io.to(msg.socketId).emit("response", responseData);
+          // Send response to client - 'response:end' closes a streamed response
+          io.to(msg.socketId).emit(msg.type, responseData);
+
+          // Replies that hit a flag rule of the content filter are kept for review
+          if (msg.meta?.content?.flagged) {
+            await contentFilterService.recordFlag({
+              context: 'aigf',
+              username: msg.meta.username,
+              text: responseData,
+              hits: msg.meta.content.hits
+            });
+          }
           
           // Log AIGF interaction - get models first
           try {
@@ -1160,12 +1292,14 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
             
             await aigfLogger.logAigfInteraction(
               AigfInteraction,
-              msg.username || 'anonymous',
+              msg.meta?.username || 'anonymous',
               'chat',
               msg.prompt || 'Unknown input',
               responseData,
               processingDuration,
-              msg.socketId
+              msg.socketId,
+              // Counts of limit violations, regenerations and redactions for this reply
+              msg.meta?.limits ? { limits: msg.meta.limits } : {}
             );
           } catch (logError) {
             logger.error(`Failed to log AIGF interaction: ${logError.message}`);
@@ -1185,9 +1319,10 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
           try {
             const AigfInteraction = await import('./models/AigfInteraction.js').then(module => module.default);
             
+            // Worker errors carry no meta, the socket they were for knows the user
             await aigfLogger.logAigfError(
               AigfInteraction,
-              msg.username || 'anonymous',
+              msg.meta?.username || socketStore.get(msg.socketId)?.username || 'anonymous',
               'chat',
               msg.prompt || 'Unknown input',
               new Error(msg.error),
@@ -1196,7 +1331,7 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
           } catch (logError) {
             logger.error(`Failed to log AIGF error: ${logError.message}`);
           }
-        } else if (msg.type === 'worker:settings:response') {
+        } else if (msg.type === 'worker:settings:response' || msg.type === 'settings:response') {
           // Forward settings response to client
           if (msg.socketId) {
             io.to(msg.socketId).emit('worker:settings:response', msg.data);
@@ -1240,7 +1375,7 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
         
         // Start a new worker after a short delay
         setTimeout(() => {
-          setupSocketHandlers(io, socketStore, filteredWords);
+          setupSocketHandlers(io, socketStore);
         }, 5000);
       }
     });
@@ -1367,21 +1502,6 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
       });
     });
 
-    // Simple filter function to avoid bad words
-    function filter(content) {
-      if (!content || !filteredWords || !filteredWords.length) return content;
-
-      if (typeof content !== 'string') {
-        content = String(content);
-      }
-
-      return content
-        .split(' ')
-        .map(word => filteredWords.includes(word.toLowerCase()) ? '[filtered]' : word)
-        .join(' ')
-        .trim();
-    }
-
     // XP system functions
     const xpSystem = {
       requirements: [1000, 2500, 4500, 7000, 12000, 36000, 112000, 332000],
@@ -1427,19 +1547,318 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
       }
     };
 
-    io.on('connection', (socket) => {
+    // Sockets of the user behind a socket, anonymous users only have the one
+    const socketsOfUser = (socket) => {
+      const username = socket.bambiUsername;
+      if (!username || username === 'anonBambi') return [socket];
+
+      const sockets = [];
+      for (const data of socketStore.values()) {
+        if (data.socket?.bambiUsername === username) sockets.push(data.socket);
+      }
+      return sockets.length > 0 ? sockets : [socket];
+    };
+
+    // Audio only reaches users who consented to it and are not on safeword hold
+    const canReceiveAudio = (socket) =>
+      consentService.hasCurrentConsent(socket.bambiData?.consent) && !safewordService.isHeld(socket);
+
+    // Broadcast audio skips users who blocked the sender, and sockets in other rooms when a room is given
+    const emitToAudioListeners = async (event, data, from = null, room = null) => {
+      for (const { socket } of [...socketStore.values()]) {
+        if (socket && canReceiveAudio(socket) && !(room && socket.bambiRoom !== room) &&
+            !(from && await permissionService.isBlocked(socket.bambiUsername, from))) {
+          socket.emit(event, data);
+        }
+      }
+    };
+
+    const socketsNamed = (username) => {
+      const name = String(username || '').toLowerCase();
+      const sockets = [];
+      for (const { socket } of socketStore.values()) {
+        if (socket && socket.bambiUsername && socket.bambiUsername.toLowerCase() === name) sockets.push(socket);
+      }
+      return sockets;
+    };
+
+    /**
+     * Check a targeted event against the receiver's grants and block list before it is sent
+     * Without a grant the sender is told so they can ask, a block drops the event silently
+     * @param {Object} socket - Sender's socket
+     * @param {string} targetUsername - Receiver
+     * @param {string} kind - audio, triggers or collar
+     * @returns {Promise<boolean>} - Whether the event may be delivered
+     */
+    const allowTargeted = async (socket, targetUsername, kind) => {
+      if (await permissionService.canDeliver(socket.bambiUsername, targetUsername, kind)) return true;
+
+      if (!await permissionService.isBlocked(targetUsername, socket.bambiUsername)) {
+        socket.emit('permission:denied', { targetUsername, kind });
+      }
+      logger.info(`Dropped targeted ${kind} from ${socket.bambiUsername} to ${targetUsername}`);
+      return false;
+    };
+
+    /**
+     * Move a socket into a chat room and tell the rooms it left and entered
+     * A socket is in one room at a time, other tabs can be elsewhere
+     * @param {Object} socket - Socket to move
+     * @param {Object} room - Room to enter
+     */
+    const switchRoom = (socket, room) => {
+      const previous = socket.bambiRoom;
+      if (previous === room.slug) return;
+
+      if (previous) {
+        socket.leave(roomService.roomChannel(previous));
+        io.to(roomService.roomChannel(previous)).emit('room:left', { room: previous, username: socket.bambiUsername });
+      }
+      socket.join(roomService.roomChannel(room.slug));
+      socket.bambiRoom = room.slug;
+      socket.to(roomService.roomChannel(room.slug)).emit('room:joined', { room: room.slug, username: socket.bambiUsername });
+    };
+
+    // Recent messages of a room, as many as its history setting allows
+    const sendRoomHistory = async (socket, room) => {
+      const limit = room.settings.historyLimit;
+      const messages = limit > 0 ? await sessionService.ChatMessage.getRecentMessages(limit, room.slug) : [];
+      socket.emit('room:history', {
+        room: roomService.describeRoom(room, socket.bambiUsername),
+        messages: messages.map(sessionService.describeMessage)
+      });
+    };
+
+    // Send a user's room list to all their tabs
+    const sendRooms = async (username) => {
+      const rooms = await roomService.listRooms(username);
+      socketsNamed(username).forEach(userSocket => userSocket.emit('rooms', { rooms, current: userSocket.bambiRoom }));
+    };
+
+    /**
+     * Validate the URLs of a saved chat message in the background
+     * The room is warned about unsafe ones
+     * @param {Object} message - Saved chat message with urls
+     * @param {Object} room - Room it was sent in
+     */
+    const checkMessageUrls = (message, room) => {
+      for (const urlObj of message.urls || []) {
+        (async () => {
+          const validation = await urlValidator.validateUrl(urlObj.url);
+          // Update URL status in database using sessionService
+          await urlValidator.updateUrlStatus(
+            sessionService.ChatMessage,
+            message._id,
+            urlObj.url,
+            validation.isClean
+          );
+
+          // If URL is unsafe, notify users
+          if (!validation.isClean) {
+            io.to(roomService.roomChannel(room.slug)).emit('unsafe url', {
+              messageId: message._id,
+              url: urlObj.url,
+              reason: validation.reason
+            });
+          }
+        })().catch(error => {
+          logger.error(`URL validation error: ${error.message}`);
+        });
+      }
+    };
+
+    /**
+     * Apply a new sanction to the sockets it covers right away
+     * Mutes only tell them, kicks and bans take them out of the room, or everywhere out of the chat
+     * @param {Object} sanction - Sanction just given
+     */
+    const enforceSanction = async (sanction) => {
+      const notice = sanctionService.describeSanction(sanction);
+      const lobby = await roomService.getRoom(roomService.LOBBY);
+
+      for (const { socket: target } of [...socketStore.values()]) {
+        if (!target || !sanctionService.covers(sanction, target.bambiUsername, target.bambiIpHash)) continue;
+
+        target.emit('sanction', notice);
+        if (sanction.type === 'mute') continue;
+
+        if (!sanction.room) {
+          target.disconnect(true);
+        } else if (target.bambiRoom === sanction.room) {
+          switchRoom(target, lobby);
+          await sendRoomHistory(target, lobby);
+        }
+      }
+    };
+
+    // Send a user's DM conversations and unread count to all their tabs
+    const sendInbox = async (username) => {
+      const inbox = await directMessageService.listConversations(username);
+      socketsNamed(username).forEach(userSocket => userSocket.emit('dm:inbox', inbox));
+    };
+
+    // Send a user's grants, blocks and open requests to all their tabs
+    const sendPermissions = async (username) => {
+      const permissions = await permissionService.listPermissions(username);
+      socketsNamed(username).forEach(userSocket => userSocket.emit('permissions', permissions));
+    };
+
+    /**
+     * Check a list of trigger names from the client
+     * @param {*} names - Trigger names as sent
+     * @returns {boolean} - Whether it is an array of short strings
+     */
+    const isTriggerList = (names) =>
+      Array.isArray(names) && names.every(name => typeof name === 'string' && name.length <= 100);
+
+    /**
+     * Check that the user behind a socket agreed to the current terms
+     * Consent given on /consent after the socket connected is read from the profile
+     * @param {Object} socket - Socket the request came from
+     * @returns {Promise<boolean>}
+     */
+    const ensureConsent = async (socket) => {
+      if (consentService.hasCurrentConsent(socket.bambiData.consent)) return true;
+
+      socket.bambiData.consent = await consentService.getConsent(socket.bambiUsername);
+      if (consentService.hasCurrentConsent(socket.bambiData.consent)) return true;
+
+      socket.emit('consent:required', {
+        termsVersion: consentService.currentTermsVersion(),
+        url: '/consent'
+      });
+      return false;
+    };
+
+    /**
+     * Halt everything for the user behind a socket
+     * The client flushes TTS, hides spirals, clears triggers and shows the grounding screen
+     * @param {Object} socket - Socket the safeword came from
+     * @param {string} source - aigf, chat or button
+     */
+    const invokeSafeword = async (socket, source) => {
+      const username = socket.bambiUsername || 'anonBambi';
+
+      for (const userSocket of socketsOfUser(socket)) {
+        userSocket.emit('safeword', { active: true });
+        lmstudio.postMessage({
+          type: 'safeword',
+          socketId: userSocket.id,
+          conversationId: userSocket.aigfConversationId,
+          username
+        });
+      }
+
+      // Spirals connections are keyed by name, anonymous ones are shared
+      if (username !== 'anonBambi') {
+        spiralsWorker.updateParameterForUser(username, 'enabled', false);
+      }
+
+      await safewordService.holdUser(safewordService.holdKey(socket), username, source);
+    };
+
+    /**
+     * Step out of character for a user whose message reads as real distress
+     * Their AIGF reply is stopped and paused, every tab shows support resources instead
+     * @param {Object} socket - Socket the message came from
+     * @param {string} source - aigf or chat
+     * @param {string} text - Message text
+     * @returns {Promise<boolean>} - Whether support was offered
+     */
+    const checkDistress = async (socket, source, text) => {
+      const key = distressService.pauseKey(socket);
+      const assessment = distressService.assessMessage(key, text);
+      if (!assessment.distress) return false;
+
+      await distressService.pauseUser(key, source, assessment);
+      const support = distressService.supportMessage(socket);
+
+      for (const userSocket of socketsOfUser(socket)) {
+        lmstudio.postMessage({
+          type: 'cancel',
+          socketId: userSocket.id,
+          reason: 'distress'
+        });
+        userSocket.emit('distress:support', support);
+      }
+      return true;
+    };
+
+    // While the AIGF is paused, prompts get the support message again instead of a reply
+    const refuseWhilePaused = (socket) => {
+      if (!distressService.isPaused(socket)) return false;
+      socket.emit('distress:support', distressService.supportMessage(socket));
+      return true;
+    };
+
+    const socketsOfSession = (key) => {
+      const sockets = [];
+      for (const { socket } of socketStore.values()) {
+        if (socket && wellbeingService.sessionKey(socket) === key) sockets.push(socket);
+      }
+      return sockets;
+    };
+
+    // Count AIGF, trigger, spiral and binaural use towards the user's session
+    const trackActivity = (socket) => wellbeingService.recordActivity(socket, socket.bambiData.wellbeing);
+
+    /**
+     * Bring a session to a gentle end once the user's limit is reached
+     * Trigger injection stops, spirals fade out and the client stops binaural audio
+     * @param {string} key - Session key
+     * @param {Object} session - Session state from the wellbeing service
+     */
+    const windDown = (key, session) => {
+      const sockets = socketsOfSession(key);
+
+      for (const userSocket of sockets) {
+        lmstudio.postMessage({
+          type: 'wind-down',
+          socketId: userSocket.id,
+          conversationId: userSocket.aigfConversationId
+        });
+        userSocket.emit('wellbeing:wind-down', session);
+      }
+
+      const username = sockets[0]?.bambiUsername;
+      if (username && username !== 'anonBambi') {
+        spiralsWorker.fadeOutForUser(username, WIND_DOWN_FADE_MS);
+      }
+    };
+
+    // Workers restart by calling this again, only the newest handlers keep the timer
+    scheduledTasks.stopTask('wellbeing');
+    scheduledTasks.addTask('wellbeing', () => {
       try {
-        // Connection setup code...
-        const cookies = socket.handshake.headers.cookie || '';
-        const cookiePairs = cookies.split(';').map(cookie => cookie.trim().split('='));
-        const cookieObj = Object.fromEntries(cookiePairs.map(pair => [pair[0], pair[1] || '']));
+        for (const { key, action, session } of wellbeingService.dueActions()) {
+          if (action === 'wind-down') {
+            windDown(key, session);
+          } else {
+            socketsOfSession(key).forEach(userSocket => userSocket.emit('wellbeing:break', session));
+          }
+        }
+      } catch (error) {
+        logger.error('Error checking wellbeing timers:', error);
+      }
+    }, WELLBEING_CHECK_INTERVAL);
 
-        const username = cookieObj.bambiname
-          ? decodeURIComponent(cookieObj.bambiname)
-          : 'anonBambi';
+    io.on('connection', (socket) => {
+      try {
+        // The name only ever comes from the login session or signed guest cookie of the handshake
+        const username = currentUsername(socket.request) || 'anonBambi';
+        socket.bambiIpHash = sanctionService.addressHash(socket.handshake);
+
+        // Banned or kicked users and addresses are turned away before anything else
+        const ban = sanctionService.findBan(username, socket.bambiIpHash);
+        if (ban) {
+          logger.info(`Refused ${ban.type} connection: ${socket.id} - User: ${username}`);
+          socket.emit('sanction', sanctionService.describeSanction(ban));
+          socket.disconnect(true);
+          return;
+        }
 
         // Store socket reference
-        socketStore.set(socket.id, { socket, username });
+        socketStore.set(socket.id, { socket, username, worker: lmstudio, files: [] });
 
         logger.info(`Socket connected: ${socket.id} - User: ${username}`);
 
@@ -1448,16 +1867,60 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
         socket.bambiData = {
           xp: 0,
           username: username,
-          sessionId: null
+          sessionId: null,
+          consent: null,
+          wellbeing: null
         };
 
+        // Everyone starts in the lobby
+        socket.join(roomService.roomChannel(roomService.LOBBY));
+        socket.bambiRoom = roomService.LOBBY;
+
+        // AIGF conversation - anonymous conversations live and die with the socket
+        socket.aigfConversationId = username === 'anonBambi' ? socket.id : createConversationId(username);
+
         if (username === 'anonBambi') {
           socket.emit('prompt username');
         } else {
+          offerConversationResume(socket);
+
+          // A new tab opened during a safeword hold starts on the grounding screen
+          if (safewordService.isHeld(socket)) {
+            socket.emit('safeword', { active: true });
+          }
+
+          // ...and one opened during a wind-down on the wake-up screen
+          if (wellbeingService.isWindingDown(socket)) {
+            socket.emit('wellbeing:wind-down', trackActivity(socket));
+          }
+
+          // Grants and blocks are checked from memory when others target this user
+          permissionService.loadPermissions(username)
+            .then(() => permissionService.listPermissions(username))
+            .then(permissions => {
+              permissions.incoming.forEach(request => socket.emit('permission:request', request));
+            })
+            .catch(error => logger.error('Error loading permissions:', error));
+
+          // Private messages that arrived while the user was away
+          directMessageService.takeUndelivered(username)
+            .then(messages => {
+              messages.forEach(message => socket.emit('dm:message', { ...message, offline: true }));
+              return directMessageService.listConversations(username);
+            })
+            .then(inbox => socket.emit('dm:inbox', inbox))
+            .catch(error => logger.error('Error delivering private messages:', error));
+
+          // Guest profiles are kept while the guest keeps visiting
+          const guestKept = isGuest(username) ? accountService.touchGuest(username) : Promise.resolve();
+
           // Load profile data if user is not anonymous
-          getProfileData(username).then(profile => {
+          guestKept.then(() => getProfileData(username)).then(profile => {
             if (profile) {
               socket.bambiData.xp = profile.xp || 0;
+              socket.bambiData.safeword = profile.systemControls?.safeword?.word || null;
+              socket.bambiData.consent = profile.consent || null;
+              socket.bambiData.wellbeing = profile.systemControls?.wellbeing || null;
               socket.emit('profile-data', { profile });
               socket.emit('profile-update', {
                 xp: profile.xp,
@@ -1467,8 +1930,6 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
           });
         }
 
-        // Add socket to global store
-        socketStore.set(socket.id, { socket, worker: lmstudio, files: [] });
         logger.info(`Client connected: ${socket.id} sockets: ${socketStore.size}`);        // Register socket in BDICS (Bambi Distributed Industrial Control System)
         bambiControlNetwork.registerControlNode(socket.id, 'USER', {
           username: socket.bambiUsername || 'anonymous',
@@ -1485,17 +1946,86 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
               return;
             }
 
+            // The safeword is never broadcast or stored
+            if (safewordService.isSafeword(msg.data, socket.bambiData.safeword)) {
+              await invokeSafeword(socket, 'chat');
+              return;
+            }
+
+            // Someone removed from a private room, or a guest in a room that no longer allows guests, goes back to the lobby
+            let room = await roomService.getRoom(socket.bambiRoom);
+            if (!roomService.canAccess(room, socket.bambiUsername)) {
+              room = await roomService.getRoom(roomService.LOBBY);
+              switchRoom(socket, room);
+              await sendRoomHistory(socket, room);
+              socket.emit('room:error', { error: 'You are no longer in that room' });
+              return;
+            }
+
+            // Muted users still read, slow mode and the flood limits pace everyone else
+            const mute = sanctionService.findMute(socket.bambiUsername, socket.bambiIpHash, room.slug);
+            if (mute) {
+              socket.emit('sanction', sanctionService.describeSanction(mute));
+              return;
+            }
+            const pace = await sanctionService.checkMessage(
+              { username: socket.bambiUsername, ipHash: socket.bambiIpHash },
+              room,
+              msg.data
+            );
+            if (!pace.allowed) {
+              socket.emit('chat:error', { error: pace.error });
+              if (pace.sanction) await enforceSanction(pace.sanction);
+              return;
+            }
+
+            // A reply's parent has to be in the room the reply is sent in
+            let parent = null;
+            if (msg.replyTo) {
+              parent = await sessionService.ChatMessage.findReplyParent(msg.replyTo, room.slug);
+              if (!parent) {
+                socket.emit('chat:error', { error: 'The message you replied to is not in this room' });
+                return;
+              }
+            }
+
+            // Blocked messages go back to the sender only, masked ones are sent as masked
+            const screened = await contentFilterService.screenText(msg.data, {
+              context: 'chat',
+              policy: room.settings.contentPolicy,
+              room: room.slug,
+              username: socket.bambiUsername
+            });
+            if (screened.blocked) {
+              socket.emit('chat:error', { error: 'That message breaks the content rules of this room' });
+              return;
+            }
+
+            // Still broadcast, the user only gets support offered privately
+            await checkDistress(socket, 'chat', msg.data);
+            msg.data = screened.text;
+
             const timestamp = new Date().toISOString();
 
+            // The id is known before saving so clients can reply to the broadcast message
+            const messageId = new mongoose.Types.ObjectId();
+
             // Create message object with consistent structure
             const messageData = {
+              id: String(messageId),
               username: socket.bambiUsername || 'anonymous',
               data: msg.data,
-              timestamp: timestamp
+              timestamp: timestamp,
+              room: room.slug
             };
+            if (parent) {
+              messageData.replyTo = String(parent._id);
+              messageData.threadRoot = String(parent.threadRoot || parent._id);
+              messageData.reply = sessionService.quoteOf(parent);
+            }
 
-            // Broadcast message to all connected clients first for responsiveness
-            io.emit('chat message', messageData);            // Process message for enhanced features (URLs, mentions, triggers)
+            // Broadcast message to the room first for responsiveness
+            io.to(roomService.roomChannel(room.slug)).emit('chat message', messageData);            // Process message for enhanced features (URLs, mentions, triggers)
             try {
               // Use sessionService for message handling
               const AudioInteraction = await import('./models/AudioInteraction.js').then(module => module.default);
@@ -1513,17 +2043,19 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
               }
               
               // Save enhanced message to database using sessionService
-              const savedMessage = await sessionService.ChatMessage.saveMessage(messageData);
+              const { id, reply, ...storedMessage } = messageData;
+              const savedMessage = await sessionService.ChatMessage.saveMessage({ ...storedMessage, _id: messageId });
               logger.debug(`Enhanced chat message saved to database: ${savedMessage._id}`);
               
               // Check for audio triggers
-              const detectedTriggers = audioTriggers.detectAudioTriggers(msg.data, triggers);
+              const detectedTriggers = room.settings.audioTriggers ? audioTriggers.detectAudioTriggers(msg.data, triggers) : [];
               if (detectedTriggers.length > 0) {
-                // Emit triggers to all clients
-                io.emit('audio triggers', {
+                // Emit triggers to clients in the room not on safeword hold
+                await emitToAudioListeners('audio triggers', {
                   username: socket.bambiUsername,
-                  triggers: detectedTriggers
-                });
+                  triggers: detectedTriggers,
+                  room: room.slug
+                }, socket.bambiUsername, room.slug);
                 
                 // Log audio interactions
                 for (const trigger of detectedTriggers) {
@@ -1543,10 +2075,14 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
               if (mentions.length > 0) {
                 // Notify mentioned users
                 for (const mention of mentions) {
-                  // Find sockets for the mentioned user
+                  // Find sockets for the mentioned user, anonBambi is nobody in particular
+                  // Mentions in a room only reach users who may read it
                   const mentionedSockets = [];
-                  for (const [id, data] of socketStore.entries()) {
-                    if (data.socket?.bambiUsername?.toLowerCase() === mention.username.toLowerCase()) {
+                  for (const [id, data] of [...socketStore.entries()]) {
+                    if (data.socket?.bambiUsername !== 'anonBambi' &&
+                        roomService.canAccess(room, data.socket?.bambiUsername) &&
+                        data.socket?.bambiUsername?.toLowerCase() === mention.username.toLowerCase() &&
+                        !await permissionService.isBlocked(data.socket.bambiUsername, socket.bambiUsername)) {
                       mentionedSockets.push(data.socket);
                     }
                   }
@@ -1556,7 +2092,8 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
                     mentionedSocket.emit('mention', {
                       from: socket.bambiUsername,
                       message: msg.data,
-                      timestamp: timestamp
+                      timestamp: timestamp,
+                      room: room.slug
                     });
                   }
                   
@@ -1570,35 +2107,33 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
                 }
               }
               
-              // Process URLs for security validation
-              if (savedMessage.urls && savedMessage.urls.length > 0) {
-                // Perform async URL validation for each URL
-                for (const urlObj of savedMessage.urls) {
-                  // Run validation in background
-                  (async () => {
-                    const validation = await urlValidator.validateUrl(urlObj.url);
-                      // Update URL status in database using sessionService
-                    await urlValidator.updateUrlStatus(
-                      sessionService.ChatMessage,
-                      savedMessage._id,
-                      urlObj.url,
-                      validation.isClean
-                    );
-                    
-                    // If URL is unsafe, notify users
-                    if (!validation.isClean) {
-                      io.emit('unsafe url', {
-                        messageId: savedMessage._id,
-                        url: urlObj.url,
-                        reason: validation.reason
-                      });
-                    }
-                  })().catch(error => {
-                    logger.error(`URL validation error: ${error.message}`);
-                  });
+              // Tell the author of the message replied to, replies to yourself or anonBambi notify nobody
+              if (parent && parent.username !== socket.bambiUsername && parent.username !== 'anonBambi') {
+                if (roomService.canAccess(room, parent.username) &&
+                    !await permissionService.isBlocked(parent.username, socket.bambiUsername)) {
+                  socketsNamed(parent.username).forEach(authorSocket => authorSocket.emit('reply', {
+                    from: socket.bambiUsername,
+                    message: msg.data,
+                    messageId: messageData.id,
+                    parentId: messageData.replyTo,
+                    threadRoot: messageData.threadRoot,
+                    timestamp: timestamp,
+                    room: room.slug
+                  }));
                 }
+
+                await userMentions.logUserReply(
+                  UserInteraction,
+                  socket.bambiUsername,
+                  parent.username,
+                  savedMessage._id,
+                  parent._id
+                );
               }
 
+              // Process URLs for security validation
+              checkMessageUrls(savedMessage, room);
+
               // Process chat message through BNNCS
               bambiControlNetwork.processControlSignal('CHAT_MESSAGE', {
                 message: msg.data,
@@ -1625,40 +2160,16 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
           }
         });
 
-        // Username setting
-        socket.on('set username', (username) => {
-          try {
-            // Store old username for reference
-            const oldUsername = socket.bambiUsername;
-            
-            // Update username
-            socket.bambiUsername = username;
-            
-            // Update socket store
-            const socketData = socketStore.get(socket.id);
-            if (socketData) {
-              socketData.username = username;
-              socketStore.set(socket.id, socketData);
-            }
-            
-            // Notify client
-            socket.emit('username set', { username });
-            
-            logger.info(`Username set: ${oldUsername} -> ${username}`);
-          } catch (error) {
-            logger.error('Error in set username handler:', error);
-          }
-        });
-
         // Get profile data
         socket.on('get-profile-data', async (data, callback) => {
           try {
             if (!callback || typeof callback !== 'function') return;
             
-            const username = data?.username || socket.bambiUsername;
-            
+            // Only the user's own profile, whatever name the client asks for
+            const username = socket.bambiUsername;
+
             if (!username || username === 'anonBambi') {
-              return callback({ success: false, error: 'No username provided' });
+              return callback({ success: false, error: 'Login required' });
             }
             
             const profile = await getProfileData(username);
@@ -1675,8 +2186,19 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
         });
 
         // Message handler for AIGF
-        socket.on("message", (message) => {
+        socket.on("message", async (message) => {
           try {
+            if (safewordService.isSafeword(message, socket.bambiData.safeword)) {
+              invokeSafeword(socket, 'aigf').catch(error => logger.error('Error handling safeword:', error));
+              return;
+            }
+
+            // The persona doesn't answer this one, support is shown out of character
+            if (await checkDistress(socket, 'aigf', message) || refuseWhilePaused(socket)) return;
+
+            if (!await ensureConsent(socket)) return;
+            trackActivity(socket);
+
             // Track when the request started for performance monitoring
             const startTime = Date.now();
             
@@ -1684,7 +2206,9 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
               type: "message",
               prompt: message,
               socketId: socket.id,
+              conversationId: socket.aigfConversationId,
               username: socket.bambiUsername,
+              level: xpSystem.calculateLevel(socket.bambiData.xp || 0),
               startTime: startTime
             });
           } catch (error) {
@@ -1711,99 +2235,849 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
           }
         });
 
-        // Handle audio play in chat
-        socket.on('play audio', async (data) => {
+        // Stop the AIGF reply being generated for this socket
+        socket.on('stop', () => {
+          lmstudio.postMessage({
+            type: 'cancel',
+            socketId: socket.id,
+            reason: 'stopped'
+          });
+        });
+
+        // Reroll the last AIGF reply, the old one is kept as an alternative
+        socket.on('aigf:regenerate', async () => {
+          if (refuseWhilePaused(socket)) return;
+          if (!await ensureConsent(socket)) return;
+          trackActivity(socket);
+
+          lmstudio.postMessage({
+            type: 'regenerate',
+            socketId: socket.id,
+            conversationId: socket.aigfConversationId,
+            username: socket.bambiUsername,
+            level: xpSystem.calculateLevel(socket.bambiData.xp || 0)
+          });
+        });
+
+        // Change an earlier prompt and answer it on a new branch
+        socket.on('aigf:edit', async (data) => {
+          if (!data || !data.messageId || typeof data.content !== 'string' || !data.content.trim()) {
+            return socket.emit('error', { message: 'Invalid edit request' });
+          }
+          if (await checkDistress(socket, 'aigf', data.content) || refuseWhilePaused(socket)) return;
+          if (!await ensureConsent(socket)) return;
+          trackActivity(socket);
+
+          lmstudio.postMessage({
+            type: 'edit',
+            socketId: socket.id,
+            conversationId: socket.aigfConversationId,
+            username: socket.bambiUsername,
+            level: xpSystem.calculateLevel(socket.bambiData.xp || 0),
+            messageId: data.messageId,
+            content: data.content
+          });
+        });
+
+        // Generation presets with the ones this user has unlocked
+        socket.on('aigf:presets', () => {
           try {
-            const audioFile = data.audioFile;
-            const targetUsername = data.targetUsername; // Optional
-            
-            if (!audioFile) {
-              return socket.emit('error', { message: 'No audio file specified' });
-            }
-            
-            // Broadcast to target or everyone
-            if (targetUsername) {
-              // Find socket for target user
-              let targetSocket = null;
-              for (const [id, data] of socketStore.entries()) {
-                if (data.socket?.bambiUsername === targetUsername) {
-                  targetSocket = data.socket;
-                  break;
-                }
-              }
-              
-              // Send to target if found
-              if (targetSocket) {
-                targetSocket.emit('play audio', {
-                  audioFile,
-                  sourceUsername: socket.bambiUsername
-                });
+            const level = xpSystem.calculateLevel(socket.bambiData.xp || 0);
+            socket.emit('aigf:presets', { presets: listPresets(level), level });
+          } catch (error) {
+            logger.error('Error listing generation presets:', error);
+            socket.emit('error', { message: 'Failed to load generation presets' });
+          }
+        });
+
+        // Models this user can pick, with health and the ones unlocked at their level
+        socket.on('aigf:models', async () => {
+          try {
+            const level = xpSystem.calculateLevel(socket.bambiData.xp || 0);
+            socket.emit('aigf:models', { models: await getModelRegistry().list({ level }), level });
+          } catch (error) {
+            logger.error('Error listing models:', error);
+            socket.emit('error', { message: 'Failed to load models' });
+          }
+        });
+
+        // Pick the model for this user's replies, null goes back to the default
+        socket.on('aigf:model:select', async (data) => {
+          try {
+            const modelId = data?.modelId || null;
+            const level = xpSystem.calculateLevel(socket.bambiData.xp || 0);
+
+            if (modelId) {
+              const choice = await getModelRegistry().validateChoice(modelId, level);
+              if (!choice.valid) {
+                return socket.emit('worker:settings:response', { success: false, section: 'model', error: choice.error });
               }
-            } else {
-              // Broadcast to everyone
-              io.emit('play audio', {
-                audioFile,
-                sourceUsername: socket.bambiUsername
-              });
-            }
-            
-            // Log audio interaction
-            try {
-              const AudioInteraction = await import('./models/AudioInteraction.js').then(module => module.default);
-              
-              await audioTriggers.logAudioInteraction(
-                AudioInteraction,
-                socket.bambiUsername,
-                audioFile,
-                'direct',
-                targetUsername
-              );
-            } catch (logError) {
-              logger.error(`Failed to log audio interaction: ${logError.message}`);
             }
-            
-            // Award XP
-            xpSystem.awardXP(socket, 1, 'audio');
+
+            // The worker keeps the choice and saves it to the profile
+            lmstudio.postMessage({
+              type: 'settings:update',
+              data: {
+                section: 'model',
+                settings: { modelId },
+                socketId: socket.id,
+                conversationId: socket.aigfConversationId,
+                username: socket.bambiUsername,
+                level
+              }
+            });
           } catch (error) {
-            logger.error('Error in play audio handler:', error);
-            socket.emit('error', { message: 'Failed to play audio' });
+            logger.error('Error selecting model:', error);
+            socket.emit('error', { message: 'Failed to select model' });
           }
         });
 
-        // Fixed triggers handler - not nested inside other handlers
-        socket.on('triggers', async (data) => {
-          logger.info('Received triggers:', data);
-
-          // Process trigger through BNNCS
-          bambiControlNetwork.processControlSignal('TRIGGER_ACTIVATION', {
-            triggerNames: data.triggerNames,
-            triggerDetails: data.triggerDetails,
-            username: socket.bambiUsername
-          }, socket.id);
+        // Continue the conversation from any earlier turn or alternative
+        socket.on('aigf:fork', (data) => {
+          if (!data || !data.messageId) {
+            return socket.emit('error', { message: 'Invalid fork request' });
+          }
 
           lmstudio.postMessage({
-            type: 'triggers',
-            triggers: data.triggerNames,
-            socketId: socket.id
+            type: 'fork',
+            socketId: socket.id,
+            conversationId: socket.aigfConversationId,
+            username: socket.bambiUsername,
+            messageId: data.messageId,
+            toLeaf: Boolean(data.toLeaf)
           });
-
-          // Award XP for using triggers
-          xpSystem.awardXP(socket, 2, 'triggers');
         });
 
-        // Collar text handling - moved outside other handlers
-        socket.on('collar', async (collarData) => {
+        // Continue a stored AIGF conversation
+        socket.on('aigf:session:resume', async (data) => {
           try {
-            const filteredCollar = filter(collarData.data);
+            const stored = await findStoredConversation(socket.bambiUsername, data?.sessionId);
+            if (!stored) {
+              return socket.emit('aigf:session:error', { error: 'Session not found' });
+            }
+
+            socket.aigfConversationId = stored.sessionId;
             lmstudio.postMessage({
-              type: 'collar',
-              data: filteredCollar,
-              socketId: socket.id
+              type: 'session:resume',
+              conversationId: stored.sessionId,
+              socketId: socket.id,
+              username: socket.bambiUsername
             });
 
-            // Emit to target socket if specified
-            if (collarData.socketId) {
-              io.to(collarData.socketId).emit('collar', filteredCollar);
+            socket.emit('aigf:session:resumed', {
+              sessionId: stored.sessionId,
+              title: stored.title,
+              transcript: stored.getTranscript(AIGF_TRANSCRIPT_LIMIT)
+            });
+          } catch (error) {
+            logger.error('Error in session resume handler:', error);
+            socket.emit('aigf:session:error', { error: 'Failed to resume session' });
+          }
+        });
+
+        // Start a fresh AIGF conversation
+        socket.on('aigf:session:new', () => {
+          socket.aigfConversationId = socket.bambiUsername === 'anonBambi'
+            ? socket.id
+            : createConversationId(socket.bambiUsername);
+          socket.emit('aigf:session:started', { sessionId: socket.aigfConversationId });
+        });
+
+        // Safeword button, always visible
+        socket.on('safeword', async () => {
+          try {
+            await invokeSafeword(socket, 'button');
+          } catch (error) {
+            logger.error('Error handling safeword:', error);
+          }
+        });
+
+        // The user left the grounding screen
+        socket.on('safeword:release', async () => {
+          try {
+            await safewordService.releaseUser(safewordService.holdKey(socket));
+            for (const userSocket of socketsOfUser(socket)) {
+              userSocket.emit('safeword', { active: false });
+            }
+          } catch (error) {
+            logger.error('Error releasing safeword hold:', error);
+          }
+        });
+
+        // The user read the support message and wants the AIGF back
+        socket.on('distress:resume', async () => {
+          try {
+            await distressService.resumeUser(distressService.pauseKey(socket));
+            for (const userSocket of socketsOfUser(socket)) {
+              userSocket.emit('distress:resumed');
+            }
+          } catch (error) {
+            logger.error('Error resuming after distress pause:', error);
+          }
+        });
+
+        // Spirals and binaural beats run in the browser, the page reports while they play
+        socket.on('wellbeing:activity', () => {
+          trackActivity(socket);
+        });
+
+        // Usage stats and the running session for the profile panel
+        socket.on('wellbeing:stats', async () => {
+          try {
+            socket.emit('wellbeing:stats', await wellbeingService.getUsage(socket, socket.bambiData.wellbeing));
+          } catch (error) {
+            logger.error('Error loading wellbeing stats:', error);
+          }
+        });
+
+        // The user is awake again, the next activity starts a new session
+        socket.on('wellbeing:wake', async () => {
+          try {
+            const sockets = socketsOfSession(wellbeingService.sessionKey(socket));
+            await wellbeingService.endSession(wellbeingService.sessionKey(socket));
+            sockets.forEach(userSocket => userSocket.emit('wellbeing:awake'));
+          } catch (error) {
+            logger.error('Error ending wellbeing session:', error);
+          }
+        });
+
+        // Handle audio play in chat
+        socket.on('play audio', async (data) => {
+          try {
+            const audioFile = data.audioFile;
+            const targetUsername = data.targetUsername; // Optional
+            
+            if (!audioFile) {
+              return socket.emit('error', { message: 'No audio file specified' });
+            }
+            if (!await ensureConsent(socket)) return;
+            trackActivity(socket);
+            
+            // Broadcast to target or everyone
+            if (targetUsername) {
+              if (!await allowTargeted(socket, targetUsername, 'audio')) return;
+
+              // Send to every tab of the target that may receive audio
+              for (const targetSocket of socketsNamed(targetUsername)) {
+                if (canReceiveAudio(targetSocket)) {
+                  targetSocket.emit('play audio', {
+                    audioFile,
+                    sourceUsername: socket.bambiUsername
+                  });
+                }
+              }
+            } else {
+              // Broadcast to everyone in the sender's room who may receive audio, if the room allows it
+              const room = await roomService.getRoom(socket.bambiRoom);
+              if (!room?.settings.audioTriggers || !roomService.canAccess(room, socket.bambiUsername)) {
+                return socket.emit('room:error', { error: 'Audio is turned off in this room' });
+              }
+              await emitToAudioListeners('play audio', {
+                audioFile,
+                sourceUsername: socket.bambiUsername,
+                room: room.slug
+              }, socket.bambiUsername, room.slug);
+            }
+            
+            // Log audio interaction
+            try {
+              const AudioInteraction = await import('./models/AudioInteraction.js').then(module => module.default);
+              
+              await audioTriggers.logAudioInteraction(
+                AudioInteraction,
+                socket.bambiUsername,
+                audioFile,
+                'direct',
+                targetUsername
+              );
+            } catch (logError) {
+              logger.error(`Failed to log audio interaction: ${logError.message}`);
+            }
+            
+            // Award XP
+            xpSystem.awardXP(socket, 1, 'audio');
+          } catch (error) {
+            logger.error('Error in play audio handler:', error);
+            socket.emit('error', { message: 'Failed to play audio' });
+          }
+        });
+
+        // Send trigger audio to one user who allowed it
+        socket.on('triggers:send', async (data) => {
+          try {
+            const targetUsername = data?.targetUsername;
+            const triggerNames = Array.isArray(data?.triggerNames) ? data.triggerNames.map(name => String(name).toUpperCase()) : [];
+
+            if (!targetUsername || triggerNames.length === 0) {
+              return socket.emit('error', { message: 'Choose a user and at least one trigger' });
+            }
+            if (!await ensureConsent(socket)) return;
+            if (!await allowTargeted(socket, targetUsername, 'triggers')) return;
+            trackActivity(socket);
+
+            const fs = await import('fs/promises');
+            const triggersPath = path.join(__dirname, 'config', 'triggers.json');
+            const known = JSON.parse(await fs.readFile(triggersPath, 'utf8')).triggers || [];
+            const selected = known.filter(trigger => triggerNames.includes(trigger.name.toUpperCase()));
+            if (selected.length === 0) {
+              return socket.emit('error', { message: 'Unknown triggers' });
+            }
+
+            for (const targetSocket of socketsNamed(targetUsername)) {
+              if (canReceiveAudio(targetSocket)) {
+                targetSocket.emit('audio triggers', {
+                  username: socket.bambiUsername,
+                  triggers: selected
+                });
+              }
+            }
+
+            const AudioInteraction = await import('./models/AudioInteraction.js').then(module => module.default);
+            for (const trigger of selected) {
+              await audioTriggers.logAudioInteraction(
+                AudioInteraction,
+                socket.bambiUsername,
+                trigger.name,
+                'trigger',
+                targetUsername
+              );
+            }
+          } catch (error) {
+            logger.error('Error in triggers:send handler:', error);
+            socket.emit('error', { message: 'Failed to send triggers' });
+          }
+        });
+
+        // Ask another user for permission to send them audio, triggers, collar text or private messages
+        socket.on('permission:request', async (data) => {
+          try {
+            const result = await permissionService.requestPermission(socket.bambiUsername, data?.targetUsername, data?.kinds);
+            if (!result.success) {
+              return socket.emit('permission:error', { error: result.error });
+            }
+
+            // Requests to someone who blocked the sender stop here
+            if (result.request) {
+              socketsNamed(result.request.to).forEach(targetSocket => targetSocket.emit('permission:request', result.request));
+            }
+            socket.emit('permission:sent', { targetUsername: data.targetUsername, kinds: data.kinds });
+            await sendPermissions(socket.bambiUsername);
+          } catch (error) {
+            logger.error('Error requesting permission:', error);
+            socket.emit('permission:error', { error: 'Failed to send the request' });
+          }
+        });
+
+        // Accept or decline a request
+        socket.on('permission:respond', async (data) => {
+          try {
+            const result = await permissionService.respondToRequest(socket.bambiUsername, data?.requestId, Boolean(data?.accept));
+            if (!result.success) {
+              return socket.emit('permission:error', { error: result.error });
+            }
+
+            socketsNamed(result.request.from).forEach(requesterSocket => {
+              requesterSocket.emit(data.accept ? 'permission:granted' : 'permission:declined', {
+                username: socket.bambiUsername,
+                kinds: result.request.kinds
+              });
+            });
+            await sendPermissions(socket.bambiUsername);
+            await sendPermissions(result.request.from);
+          } catch (error) {
+            logger.error('Error answering permission request:', error);
+            socket.emit('permission:error', { error: 'Failed to answer the request' });
+          }
+        });
+
+        // Take back permission, all kinds unless some are listed
+        socket.on('permission:revoke', async (data) => {
+          try {
+            const result = await permissionService.revoke(socket.bambiUsername, data?.username, data?.kinds || null);
+            if (!result.success) {
+              return socket.emit('permission:error', { error: result.error });
+            }
+            await sendPermissions(socket.bambiUsername);
+          } catch (error) {
+            logger.error('Error revoking permission:', error);
+            socket.emit('permission:error', { error: 'Failed to revoke permission' });
+          }
+        });
+
+        socket.on('permission:block', async (data) => {
+          try {
+            const result = await permissionService.block(socket.bambiUsername, data?.username);
+            if (!result.success) {
+              return socket.emit('permission:error', { error: result.error });
+            }
+            await sendPermissions(socket.bambiUsername);
+          } catch (error) {
+            logger.error('Error blocking user:', error);
+            socket.emit('permission:error', { error: 'Failed to block user' });
+          }
+        });
+
+        socket.on('permission:unblock', async (data) => {
+          try {
+            const result = await permissionService.unblock(socket.bambiUsername, data?.username);
+            if (!result.success) {
+              return socket.emit('permission:error', { error: result.error });
+            }
+            await sendPermissions(socket.bambiUsername);
+          } catch (error) {
+            logger.error('Error unblocking user:', error);
+            socket.emit('permission:error', { error: 'Failed to unblock user' });
+          }
+        });
+
+        socket.on('permission:list', async () => {
+          try {
+            socket.emit('permissions', await permissionService.listPermissions(socket.bambiUsername));
+          } catch (error) {
+            logger.error('Error listing permissions:', error);
+          }
+        });
+
+        // Rooms this user can see, and the one this tab is in
+        socket.on('room:list', async () => {
+          try {
+            socket.emit('rooms', { rooms: await roomService.listRooms(socket.bambiUsername), current: socket.bambiRoom });
+          } catch (error) {
+            logger.error('Error listing rooms:', error);
+          }
+        });
+
+        // Switch this tab to another room and load its history
+        socket.on('room:join', async (data) => {
+          try {
+            const ban = sanctionService.findBan(socket.bambiUsername, socket.bambiIpHash, String(data?.room || '').toLowerCase());
+            if (ban) {
+              return socket.emit('sanction', sanctionService.describeSanction(ban));
+            }
+
+            const result = await roomService.joinRoom(data?.room, socket.bambiUsername);
+            if (!result.success) {
+              return socket.emit('room:error', { error: result.error });
+            }
+
+            switchRoom(socket, result.room);
+            await sendRoomHistory(socket, result.room);
+            socket.emit('rooms', { rooms: await roomService.listRooms(socket.bambiUsername), current: socket.bambiRoom });
+          } catch (error) {
+            logger.error('Error joining room:', error);
+            socket.emit('room:error', { error: 'Failed to join the room' });
+          }
+        });
+
+        // Leave a room for good, every tab in it goes back to the lobby
+        socket.on('room:leave', async (data) => {
+          try {
+            const result = await roomService.leaveRoom(data?.room, socket.bambiUsername);
+            if (!result.success) {
+              return socket.emit('room:error', { error: result.error });
+            }
+
+            const lobby = await roomService.getRoom(roomService.LOBBY);
+            for (const userSocket of socketsOfUser(socket)) {
+              if (userSocket.bambiRoom === data.room) {
+                switchRoom(userSocket, lobby);
+                await sendRoomHistory(userSocket, lobby);
+              }
+            }
+            await sendRooms(socket.bambiUsername);
+          } catch (error) {
+            logger.error('Error leaving room:', error);
+            socket.emit('room:error', { error: 'Failed to leave the room' });
+          }
+        });
+
+        // Open a new room and move this tab into it
+        socket.on('room:create', async (data) => {
+          try {
+            const result = await roomService.createRoom(socket.bambiUsername, {
+              name: data?.name,
+              description: data?.description,
+              visibility: data?.visibility
+            });
+            if (!result.success) {
+              return socket.emit('room:error', { error: result.error });
+            }
+
+            switchRoom(socket, result.room);
+            await sendRoomHistory(socket, result.room);
+            await sendRooms(socket.bambiUsername);
+          } catch (error) {
+            logger.error('Error creating room:', error);
+            socket.emit('room:error', { error: 'Failed to create the room' });
+          }
+        });
+
+        // Owners and moderators add members to a room
+        socket.on('room:invite', async (data) => {
+          try {
+            const result = await roomService.inviteToRoom(data?.room, socket.bambiUsername, data?.username);
+            if (!result.success) {
+              return socket.emit('room:error', { error: result.error });
+            }
+
+            // Someone who blocked the inviter still gets the room in their list, just no notice
+            if (!await permissionService.isBlocked(data.username, socket.bambiUsername)) {
+              socketsNamed(data.username).forEach(invitedSocket => invitedSocket.emit('room:invited', {
+                room: roomService.describeRoom(result.room, data.username),
+                from: socket.bambiUsername
+              }));
+            }
+            await sendRooms(data.username);
+            await sendRooms(socket.bambiUsername);
+          } catch (error) {
+            logger.error('Error inviting to room:', error);
+            socket.emit('room:error', { error: 'Failed to send the invite' });
+          }
+        });
+
+        // Owners and moderators change a room's description and moderation settings
+        socket.on('room:settings', async (data) => {
+          try {
+            const result = await roomService.updateSettings(data?.room, socket.bambiUsername, data?.settings || {});
+            if (!result.success) {
+              return socket.emit('room:error', { error: result.error });
+            }
+
+            for (const { socket: roomSocket } of socketStore.values()) {
+              if (roomSocket?.bambiRoom === result.room.slug) {
+                roomSocket.emit('room:updated', roomService.describeRoom(result.room, roomSocket.bambiUsername));
+              }
+            }
+          } catch (error) {
+            logger.error('Error updating room settings:', error);
+            socket.emit('room:error', { error: 'Failed to save the room settings' });
+          }
+        });
+
+        // Owners make members moderators of their room, or take it back
+        socket.on('room:moderator', async (data) => {
+          try {
+            const result = await roomService.setModerator(data?.room, socket.bambiUsername, String(data?.username || '').trim(), Boolean(data?.moderator));
+            if (!result.success) {
+              return socket.emit('room:error', { error: result.error });
+            }
+
+            for (const { socket: roomSocket } of socketStore.values()) {
+              if (roomSocket?.bambiRoom === result.room.slug) {
+                roomSocket.emit('room:updated', roomService.describeRoom(result.room, roomSocket.bambiUsername));
+              }
+            }
+          } catch (error) {
+            logger.error('Error changing room moderators:', error);
+            socket.emit('room:error', { error: 'Failed to change the moderators' });
+          }
+        });
+
+        // Moderators mute, kick and ban in their room, site moderators also in every room at once
+        socket.on('mod:sanction', async (data) => {
+          try {
+            const username = String(data?.username || '').trim();
+
+            // An address is only known while its user is connected
+            let ipHash = null;
+            if (data?.byAddress) {
+              ipHash = socketsNamed(username).find(userSocket => userSocket.bambiIpHash)?.bambiIpHash || null;
+              if (!ipHash) {
+                return socket.emit('mod:error', { error: `${username} isn't connected, their address is unknown` });
+              }
+            }
+
+            const result = await sanctionService.issueSanction({
+              type: data?.type,
+              username,
+              ipHash,
+              room: data?.everywhere ? null : socket.bambiRoom,
+              by: socket.bambiUsername,
+              reason: data?.reason,
+              minutes: data?.minutes
+            });
+            if (!result.success) {
+              return socket.emit('mod:error', { error: result.error });
+            }
+
+            await enforceSanction(result.sanction);
+            socket.emit('mod:sanctioned', sanctionService.describeSanction(result.sanction));
+          } catch (error) {
+            logger.error('Error giving sanction:', error);
+            socket.emit('mod:error', { error: 'Failed to give the sanction' });
+          }
+        });
+
+        socket.on('mod:lift', async (data) => {
+          try {
+            const result = await sanctionService.liftSanction(data?.id, socket.bambiUsername);
+            if (!result.success) {
+              return socket.emit('mod:error', { error: result.error });
+            }
+
+            const notice = sanctionService.describeSanction(result.sanction);
+            for (const { socket: target } of socketStore.values()) {
+              if (target && sanctionService.covers(result.sanction, target.bambiUsername, target.bambiIpHash)) {
+                target.emit('sanction:lifted', notice);
+              }
+            }
+            socket.emit('mod:lifted', notice);
+          } catch (error) {
+            logger.error('Error lifting sanction:', error);
+            socket.emit('mod:error', { error: 'Failed to lift the sanction' });
+          }
+        });
+
+        // Active sanctions of the room this tab is in, site moderators see them all
+        socket.on('mod:sanctions', async () => {
+          try {
+            const room = await roomService.getRoom(socket.bambiRoom || roomService.LOBBY);
+            const siteModerator = roomService.isSiteModerator(socket.bambiUsername);
+            if (!siteModerator && !roomService.isModerator(room, socket.bambiUsername)) {
+              return socket.emit('mod:error', { error: 'Only the people running a room see its sanctions' });
+            }
+
+            const sanctions = await sanctionService.listSanctions(siteModerator ? {} : { room: room.slug });
+            socket.emit('mod:sanctions', { room: room.slug, sanctions: sanctions.map(sanctionService.describeSanction) });
+          } catch (error) {
+            logger.error('Error listing sanctions:', error);
+            socket.emit('mod:error', { error: 'Failed to list the sanctions' });
+          }
+        });
+
+        // Scroll back through the room this tab is in, a page before, after or around a message id
+        socket.on('chat:history', async (data) => {
+          try {
+            const room = await roomService.getRoom(socket.bambiRoom || roomService.LOBBY);
+            if (!roomService.canReadHistory(room, socket.bambiUsername)) {
+              return socket.emit('chat:error', { error: 'Earlier messages are not shown in this room' });
+            }
+
+            const cursor = { before: data?.before, after: data?.after, around: data?.around };
+            const page = await sessionService.ChatMessage.getMessagesPage(room.slug, { ...cursor, limit: data?.limit });
+            if (!page) {
+              return socket.emit('chat:error', { error: 'That message is not in this room' });
+            }
+
+            socket.emit('chat:history', {
+              room: room.slug,
+              ...cursor,
+              messages: page.messages.map(sessionService.describeMessage),
+              hasOlder: page.hasOlder,
+              hasNewer: page.hasNewer
+            });
+          } catch (error) {
+            logger.error('Error loading chat history:', error);
+            socket.emit('chat:error', { error: 'Failed to load earlier messages' });
+          }
+        });
+
+        // Authors edit their own messages for a while, moderators any message in their rooms
+        socket.on('chat:edit', async (data) => {
+          try {
+            if (!data || typeof data.data !== 'string') {
+              return socket.emit('chat:error', { error: 'Invalid message format' });
+            }
+
+            const result = await moderationService.editMessage(data.id, socket.bambiUsername, data.data, data.reason);
+            if (!result.success) {
+              return socket.emit('chat:error', { error: result.error });
+            }
+
+            const message = sessionService.describeMessage(result.message);
+            io.to(roomService.roomChannel(result.room.slug)).emit('chat:edited', {
+              id: message.id,
+              data: message.data,
+              editedAt: message.editedAt,
+              editedBy: result.role,
+              room: result.room.slug
+            });
+            checkMessageUrls(result.message, result.room);
+          } catch (error) {
+            logger.error('Error editing chat message:', error);
+            socket.emit('chat:error', { error: 'Failed to edit the message' });
+          }
+        });
+
+        // Deleting leaves a tombstone, tabs in the room replace the message with it
+        socket.on('chat:delete', async (data) => {
+          try {
+            const result = await moderationService.deleteMessage(data?.id, socket.bambiUsername, data?.reason);
+            if (!result.success) {
+              return socket.emit('chat:error', { error: result.error });
+            }
+
+            io.to(roomService.roomChannel(result.room.slug)).emit('chat:deleted', {
+              id: String(result.message._id),
+              deletedAt: result.message.deletedAt,
+              deletedBy: result.role,
+              room: result.room.slug
+            });
+          } catch (error) {
+            logger.error('Error deleting chat message:', error);
+            socket.emit('chat:error', { error: 'Failed to delete the message' });
+          }
+        });
+
+        // Private message to another user, delivered to all their tabs or on their next connect
+        socket.on('dm:send', async (data) => {
+          try {
+            if (!data || typeof data.data !== 'string') {
+              return socket.emit('dm:error', { error: 'Invalid message format' });
+            }
+
+            // The safeword is never sent or stored
+            if (safewordService.isSafeword(data.data, socket.bambiData.safeword)) {
+              await invokeSafeword(socket, 'chat');
+              return;
+            }
+            if (!await ensureConsent(socket)) return;
+
+            // A mute in every room covers private messages too
+            const mute = sanctionService.findMute(socket.bambiUsername, socket.bambiIpHash);
+            if (mute) {
+              return socket.emit('sanction', sanctionService.describeSanction(mute));
+            }
+
+            // Private messages get the same content rules as the lobby, blocked ones go back to the sender only
+            const screened = await contentFilterService.screenText(data.data, {
+              context: 'dm',
+              username: socket.bambiUsername
+            });
+            if (screened.blocked) {
+              return socket.emit('dm:error', { error: 'That message breaks the content rules' });
+            }
+
+            const result = await directMessageService.sendMessage(socket.bambiUsername, String(data.to || '').trim(), screened.text);
+            if (!result.success) {
+              if (result.denied) {
+                return socket.emit('permission:denied', { targetUsername: data.to, kind: 'messages' });
+              }
+              return socket.emit('dm:error', { error: result.error });
+            }
+
+            // Still sent, the user only gets support offered privately
+            await checkDistress(socket, 'chat', data.data);
+
+            // A message to someone who blocked the sender looks sent but goes nowhere
+            if (result.dropped) {
+              logger.info(`Dropped private message from ${socket.bambiUsername} to ${result.message.to}`);
+              return socketsOfUser(socket).forEach(userSocket => userSocket.emit('dm:message', result.message));
+            }
+
+            const receiverSockets = socketsNamed(result.message.to);
+            receiverSockets.forEach(receiverSocket => receiverSocket.emit('dm:message', result.message));
+            if (receiverSockets.length > 0) {
+              await directMessageService.markDelivered([result.message.id]);
+            }
+            socketsOfUser(socket).forEach(userSocket => userSocket.emit('dm:message', result.message));
+
+            await sendInbox(result.message.to);
+            await sendInbox(socket.bambiUsername);
+          } catch (error) {
+            logger.error('Error sending private message:', error);
+            socket.emit('dm:error', { error: 'Failed to send the message' });
+          }
+        });
+
+        socket.on('dm:inbox', async () => {
+          try {
+            socket.emit('dm:inbox', await directMessageService.listConversations(socket.bambiUsername));
+          } catch (error) {
+            logger.error('Error listing conversations:', error);
+          }
+        });
+
+        // Messages with one user, older pages by passing the oldest timestamp shown as before
+        socket.on('dm:history', async (data) => {
+          try {
+            const withUser = String(data?.with || '').trim();
+            const messages = await directMessageService.getMessages(socket.bambiUsername, withUser, { before: data?.before });
+            socket.emit('dm:history', { with: withUser, before: data?.before || null, messages });
+          } catch (error) {
+            logger.error('Error loading private messages:', error);
+            socket.emit('dm:error', { error: 'Failed to load the messages' });
+          }
+        });
+
+        // Opening a conversation reads it in every tab
+        socket.on('dm:read', async (data) => {
+          try {
+            if (await directMessageService.markRead(socket.bambiUsername, String(data?.with || '').trim())) {
+              await sendInbox(socket.bambiUsername);
+            }
+          } catch (error) {
+            logger.error('Error marking private messages read:', error);
+          }
+        });
+
+        // Fixed triggers handler - not nested inside other handlers
+        socket.on('triggers', async (data) => {
+          try {
+            // Trigger names only, anything else is refused before it reaches the worker
+            const triggerNames = data?.triggerNames;
+            if (!isTriggerList(triggerNames)) {
+              socket.emit('error', { message: 'Invalid triggers' });
+              return;
+            }
+
+            logger.info(`Received triggers from ${socket.id}: ${triggerNames.join(', ')}`);
+            if (!await ensureConsent(socket)) return;
+
+            // No new triggers once the session is winding down
+            if (wellbeingService.isWindingDown(socket)) {
+              return socket.emit('wellbeing:wind-down', trackActivity(socket));
+            }
+            trackActivity(socket);
+
+            // Process trigger through BNNCS
+            bambiControlNetwork.processControlSignal('TRIGGER_ACTIVATION', {
+              triggerNames,
+              triggerDetails: Array.isArray(data.triggerDetails) ? data.triggerDetails : [],
+              username: socket.bambiUsername
+            }, socket.id);
+
+            lmstudio.postMessage({
+              type: 'triggers',
+              triggers: triggerNames,
+              socketId: socket.id,
+              conversationId: socket.aigfConversationId
+            });
+
+            // Award XP for using triggers
+            xpSystem.awardXP(socket, 2, 'triggers');
+          } catch (error) {
+            logger.error('Error handling triggers:', error);
+          }
+        });
+
+        // Collar text handling - moved outside other handlers
+        socket.on('collar', async (collarData) => {
+          try {
+            if (!await ensureConsent(socket)) return;
+            trackActivity(socket);
+
+            const screened = await contentFilterService.screenText(collarData.data, {
+              context: 'collar',
+              username: socket.bambiUsername
+            });
+            if (screened.blocked) {
+              socket.emit('collar:error', { error: 'That collar text breaks the content rules' });
+              return;
+            }
+
+            const filteredCollar = screened.text;
+            lmstudio.postMessage({
+              type: 'collar',
+              data: filteredCollar,
+              socketId: socket.id,
+              conversationId: socket.aigfConversationId
+            });
+
+            // Collar text for someone else needs their permission, a socket id is resolved to its user
+            const targetUsername = collarData.targetUsername || socketStore.get(collarData.socketId)?.socket?.bambiUsername;
+            if (targetUsername && targetUsername !== socket.bambiUsername && await allowTargeted(socket, targetUsername, 'collar')) {
+              socketsNamed(targetUsername).forEach(targetSocket => targetSocket.emit('collar', filteredCollar));
             }
 
             // Award XP for collar usage
@@ -1835,9 +3109,20 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
           try {
             logger.info('Client disconnected:', socket.id, 'Reason:', reason);
 
+            // Nobody is left to receive the reply
+            lmstudio.postMessage({
+              type: 'cancel',
+              socketId: socket.id,
+              reason: 'disconnected'
+            });
+
             // Unregister from BNNCS
             bambiControlNetwork.unregisterControlNode(socket.id);
 
+            if (socket.bambiRoom) {
+              io.to(roomService.roomChannel(socket.bambiRoom)).emit('room:left', { room: socket.bambiRoom, username: socket.bambiUsername });
+            }
+
             // Get socket data and clean up
             const socketData = socketStore.get(socket.id);
             if (socketData) {
@@ -1851,7 +3136,7 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
         });
 
         // Handle settings updates from client to worker
-        socket.on('worker:settings:update', (data) => {
+        socket.on('worker:settings:update', async (data) => {
           try {
             if (!data || !data.section) {
               return socket.emit('worker:settings:response', {
@@ -1860,21 +3145,77 @@ function setupSocketHandlers(io, socketStore, filteredWords) {
               });
             }
 
+            // Triggers and the collar need consent here too, like on their own events
+            if (['triggers', 'collar'].includes(data.section) && !await ensureConsent(socket)) {
+              return socket.emit('worker:settings:response', { success: false, section: data.section, error: 'Consent required' });
+            }
+
+            // The server matches messages against the safeword, so it checks and keeps it too
+            if (data.section === 'safeword') {
+              const check = safewordService.validateSafeword(data.settings?.word);
+              if (!check.valid) {
+                return socket.emit('worker:settings:response', { success: false, section: 'safeword', error: check.error });
+              }
+
+              data.settings = { word: check.word };
+              for (const userSocket of socketsOfUser(socket)) {
+                userSocket.bambiData.safeword = check.word;
+              }
+            }
+
+            // Trigger names are checked like on the triggers event, only the checked list is forwarded and saved
+            if (data.section === 'triggers') {
+              if (!isTriggerList(data.settings?.activeTriggers)) {
+                return socket.emit('worker:settings:response', { success: false, section: 'triggers', error: 'Invalid triggers' });
+              }
+
+              data.settings = { activeTriggers: [...new Set(data.settings.activeTriggers)] };
+
+              // No new triggers once the session is winding down, clearing them is still fine
+              if (data.settings.activeTriggers.length && wellbeingService.isWindingDown(socket)) {
+                socket.emit('wellbeing:wind-down', trackActivity(socket));
+                return socket.emit('worker:settings:response', { success: false, section: 'triggers', error: 'Session is winding down' });
+              }
+            }
+
+            // Collar text goes into the system prompt, so it is screened like on the collar event
+            if (data.section === 'collar') {
+              const screened = await contentFilterService.screenText(String(data.settings?.text || ''), {
+                context: 'collar',
+                username: socket.bambiUsername
+              });
+              if (screened.blocked) {
+                return socket.emit('worker:settings:response', { success: false, section: 'collar', error: 'That collar text breaks the content rules' });
+              }
+
+              data.settings = { enabled: data.settings?.enabled, text: screened.text };
+            }
+
+            // Session limits are enforced by the server timers
+            if (data.section === 'wellbeing') {
+              const check = wellbeingService.validateWellbeingSettings(data.settings);
+              if (!check.valid) {
+                return socket.emit('worker:settings:response', { success: false, section: 'wellbeing', error: check.error });
+              }
+
+              data.settings = check.settings;
+              for (const userSocket of socketsOfUser(socket)) {
+                userSocket.bambiData.wellbeing = check.settings;
+              }
+              wellbeingService.updateSettings(socket, check.settings);
+            }
+
             // Add socket ID to identify the source
             data.socketId = socket.id;
+            data.conversationId = socket.aigfConversationId;
+            // Generation presets are unlocked by level
+            data.level = xpSystem.calculateLevel(socket.bambiData.xp || 0);
 
             // Log settings update
             logger.debug(`Settings update for ${data.section} from ${socket.id}`);
             
-            // Store username with socket if provided
-            if (data.username && !socket.username) {
-              socket.username = data.username;
-              socketStore.set(socket.id, {
-                socket,
-                username: data.username,
-                lastActivity: Date.now()
-              });
-            }
+            // Settings are saved for the logged in user, never a name from the client
+            data.username = socket.bambiUsername;
 
             // Forward settings to worker
             lmstudio.postMessage({
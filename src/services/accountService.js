@@ -0,0 +1,441 @@
+/**
+ * Account Service for BambiSleep Chat
+ *
+ * BambiNames are accounts with a bcrypt hashed password. The name a user
+ * is known by comes from their login session, never from the client.
+ *
+ * Names from before accounts were only held by the bambiname cookie, which
+ * the browser sets and anyone can forge. Their profiles have no password and
+ * are claimed once, by setting one, with a one time code an admin gives out
+ * after checking who the name belongs to. The cookie only suggests the name.
+ *
+ * Visitors who aren't logged in act as a guest-xxxxxxxx identity. Its profile
+ * expires unless the guest keeps visiting; registering turns it into the new
+ * account and claiming a name merges it into the claimed profile.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import config from '../config/config.js';
+import db from '../config/db.js';
+import Logger from '../utils/logger.js';
+import { isGuest } from '../utils/auth.js';
+import contentFilterService from './contentFilterService.js';
+
+const logger = new Logger('Accounts');
+
+export const USERNAME_PATTERN = /^[\p{L}\p{N} _.-]{2,30}$/u;
+
+const PASSWORD_MIN = 8;
+// bcrypt ignores everything after 72 bytes
+const PASSWORD_MAX_BYTES = 72;
+const BCRYPT_ROUNDS = 12;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const MAX_ATTEMPTS = 10;
+// Failures for one name from every address together, browsers that logged in as it before are let through
+const MAX_NAME_ATTEMPTS = 100;
+const ATTEMPT_WINDOW = 15 * 60 * 1000;
+// Past this many tracked keys the expired ones are dropped
+const MAX_TRACKED_ATTEMPTS = 10000;
+
+const CLAIM_CODE_BYTES = 8;
+const CLAIM_CODE_TTL = 7 * DAY;
+
+// Names that stand for nobody in particular
+const RESERVED = ['anonbambi', 'anonymous', 'admin', 'system'];
+
+// Compared against when a name doesn't exist, so a miss takes as long as a wrong password
+let dummyHash = null;
+
+// "ip|name", "name|name" and "claim|ip|name" -> { count, firstAt }
+const failedAttempts = new Map();
+
+const hashClaimCode = (code) => crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+
+/**
+ * Check a name someone wants to register
+ *
+ * @param {string} username - Proposed name
+ * @returns {{valid: boolean, username?: string, flags?: Array<Object>, error?: string}} - Flags are
+ *   content filter rules the name hit that only ask for a review
+ */
+export function validateUsername(username) {
+  const name = String(username || '').trim();
+  if (!USERNAME_PATTERN.test(name)) {
+    return { valid: false, error: 'A BambiName needs 2 to 30 letters, numbers, spaces, dots, dashes or underscores' };
+  }
+  if (RESERVED.includes(name.toLowerCase()) || /^guest-/i.test(name)) {
+    return { valid: false, error: 'That BambiName is reserved' };
+  }
+  const screened = contentFilterService.moderateText(name, { context: 'username' });
+  if (screened.blocked) {
+    return { valid: false, error: 'That BambiName is not allowed' };
+  }
+  return { valid: true, username: name, flags: screened.flagged ? screened.hits : [] };
+}
+
+/**
+ * Check a password someone wants to set
+ *
+ * @param {string} password - Proposed password
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validatePassword(password) {
+  const text = typeof password === 'string' ? password : '';
+  if (text.length < PASSWORD_MIN) {
+    return { valid: false, error: `A password needs at least ${PASSWORD_MIN} characters` };
+  }
+  if (Buffer.byteLength(text, 'utf8') > PASSWORD_MAX_BYTES) {
+    return { valid: false, error: 'That password is too long' };
+  }
+  return { valid: true };
+}
+
+async function findProfile(username, withPassword = false) {
+  const { default: Profile } = await import('../models/Profile.js');
+  const query = Profile.findOne({ username }).collation({ locale: 'en', strength: 2 });
+  return withPassword ? query.select('+passwordHash') : query;
+}
+
+function throttled(key, limit = MAX_ATTEMPTS, now = Date.now()) {
+  const entry = failedAttempts.get(key);
+  if (!entry || now - entry.firstAt >= ATTEMPT_WINDOW) {
+    failedAttempts.delete(key);
+    return false;
+  }
+  return entry.count >= limit;
+}
+
+function recordFailure(key, now = Date.now()) {
+  const entry = failedAttempts.get(key);
+  if (!entry || now - entry.firstAt >= ATTEMPT_WINDOW) {
+    failedAttempts.set(key, { count: 1, firstAt: now });
+  } else {
+    entry.count++;
+  }
+
+  if (failedAttempts.size > MAX_TRACKED_ATTEMPTS) {
+    for (const [tracked, attempt] of failedAttempts) {
+      if (now - attempt.firstAt >= ATTEMPT_WINDOW) failedAttempts.delete(tracked);
+    }
+  }
+}
+
+// AIGF conversations and their log follow the guest into the account
+async function moveGuestHistory(guestId, username) {
+  const [{ default: SessionHistory }, { default: AigfInteraction }] = await Promise.all([
+    import('../models/SessionHistory.js'),
+    import('../models/AigfInteraction.js')
+  ]);
+  await Promise.all([
+    SessionHistory.updateMany({ username: guestId }, { $set: { username } }),
+    AigfInteraction.updateMany({ username: guestId }, { $set: { username } })
+  ]);
+}
+
+// Adds a guest's XP and usage to an existing profile, the profile's own settings and consent win
+async function mergeGuest(guestId, username) {
+  const { default: Profile } = await import('../models/Profile.js');
+  const guest = await Profile.findOne({ username: guestId }).lean();
+  if (guest) {
+    const profile = await Profile.findOne({ username });
+    if (profile) {
+      profile.xp = (profile.xp || 0) + (guest.xp || 0);
+
+      const usage = profile.usageStats;
+      const guestUsage = guest.usageStats || {};
+      usage.totalSessionMs += guestUsage.totalSessionMs || 0;
+      usage.sessionCount += guestUsage.sessionCount || 0;
+      usage.breakReminders += guestUsage.breakReminders || 0;
+      usage.windDowns += guestUsage.windDowns || 0;
+      usage.longestSessionMs = Math.max(usage.longestSessionMs, guestUsage.longestSessionMs || 0);
+
+      const controls = { ...(guest.systemControls || {}), ...(profile.systemControls || {}) };
+      profile.set('systemControls', controls);
+
+      if (!profile.consent?.acceptedAt && guest.consent?.acceptedAt) {
+        profile.consent = guest.consent;
+      }
+      await profile.save();
+    }
+    await Profile.deleteOne({ _id: guest._id });
+  }
+  await moveGuestHistory(guestId, username);
+  logger.info(`Guest ${guestId} merged into ${username}`);
+}
+
+/**
+ * Keep a guest identity's profile around while the guest keeps visiting
+ *
+ * @param {string} guestId - guest-xxxxxxxx identity
+ * @returns {Promise<void>}
+ */
+export async function touchGuest(guestId) {
+  if (!isGuest(guestId) || !db.hasConnection()) return;
+
+  try {
+    const { default: Profile } = await import('../models/Profile.js');
+    await Profile.updateOne(
+      { username: guestId },
+      { $set: { guestUntil: new Date(Date.now() + config.GUEST_MAX_AGE_DAYS * DAY), lastActive: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error(`Failed to keep guest ${guestId}: ${error.message}`);
+  }
+}
+
+/**
+ * Create an account
+ * A guest who registers keeps their XP, settings and AIGF history.
+ *
+ * @param {string} username - BambiName
+ * @param {string} password - Password
+ * @param {string} [guestId] - Guest identity of the browser registering
+ * @returns {Promise<{success: boolean, username?: string, claimable?: boolean, error?: string}>}
+ */
+export async function register(username, password, guestId = null) {
+  const name = validateUsername(username);
+  if (!name.valid) return { success: false, error: name.error };
+
+  const pass = validatePassword(password);
+  if (!pass.valid) return { success: false, error: pass.error };
+
+  if (!db.hasConnection()) {
+    return { success: false, error: 'Accounts are unavailable right now, please try again later' };
+  }
+
+  try {
+    const existing = await findProfile(name.username, true);
+    if (existing) {
+      return existing.passwordHash
+        ? { success: false, error: 'That BambiName is taken' }
+        : { success: false, claimable: true, error: 'That BambiName was used before accounts existed, ask the admins for a code to claim it' };
+    }
+
+    const { default: Profile } = await import('../models/Profile.js');
+    const account = {
+      username: name.username,
+      passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      passwordSetAt: new Date()
+    };
+
+    // The guest profile becomes the account, so nothing needs copying
+    const adopted = isGuest(guestId)
+      ? await Profile.findOneAndUpdate(
+        { username: guestId },
+        { $set: { ...account, guestUntil: null } }
+      )
+      : null;
+
+    if (adopted) {
+      logger.info(`Account created for ${name.username} from guest ${guestId}`);
+    } else {
+      await Profile.create(account);
+      logger.info(`Account created for ${name.username}`);
+    }
+    // History is kept even when the guest profile expired or was never saved
+    if (isGuest(guestId)) {
+      await moveGuestHistory(guestId, name.username);
+    }
+    if (name.flags.length > 0) {
+      await contentFilterService.recordFlag({ context: 'username', username: name.username, text: name.username, hits: name.flags });
+    }
+    return { success: true, username: name.username };
+  } catch (error) {
+    // Two people registering the same name at once
+    if (error.code === 11000) {
+      return { success: false, error: 'That BambiName is taken' };
+    }
+    logger.error(`Failed to create account for ${name.username}: ${error.message}`);
+    return { success: false, error: 'Could not create the account' };
+  }
+}
+
+/**
+ * Check a login
+ * Failed attempts are limited per address and name, and per name from every address.
+ * The per name limit doesn't apply to a browser that logged in as that name before,
+ * so nobody can lock the owner out by failing on purpose.
+ *
+ * @param {string} username - BambiName, any case
+ * @param {string} password - Password
+ * @param {string} [ip] - Client address
+ * @param {string} [knownName] - Name the browser logged in as before, from its signed cookie
+ * @returns {Promise<{success: boolean, username?: string, claimable?: boolean, error?: string}>}
+ */
+export async function authenticate(username, password, ip = '', knownName = null) {
+  const name = String(username || '').trim();
+  const key = `${ip}|${name.toLowerCase()}`;
+  const nameKey = `name|${name.toLowerCase()}`;
+  const known = Boolean(knownName) && knownName === name.toLowerCase();
+
+  if (!name || typeof password !== 'string') {
+    return { success: false, error: 'Enter your BambiName and password' };
+  }
+  if (throttled(key) || (!known && throttled(nameKey, MAX_NAME_ATTEMPTS))) {
+    return { success: false, error: 'Too many attempts, try again in a few minutes' };
+  }
+  if (!db.hasConnection()) {
+    return { success: false, error: 'Login is unavailable right now, please try again later' };
+  }
+
+  try {
+    const profile = await findProfile(name, true);
+
+    if (profile && !profile.passwordHash) {
+      return { success: false, claimable: true, error: 'This BambiName has no password yet, claim it first' };
+    }
+
+    dummyHash = dummyHash || await bcrypt.hash('no account has this password', BCRYPT_ROUNDS);
+    const matches = await bcrypt.compare(password, profile?.passwordHash || dummyHash);
+    if (!profile || !matches) {
+      recordFailure(key);
+      recordFailure(nameKey);
+      return { success: false, error: 'Wrong BambiName or password' };
+    }
+
+    failedAttempts.delete(key);
+    return { success: true, username: profile.username };
+  } catch (error) {
+    logger.error(`Login failed for ${name}: ${error.message}`);
+    return { success: false, error: 'Login is unavailable right now, please try again later' };
+  }
+}
+
+/**
+ * Whether a name belongs to a profile from before accounts
+ *
+ * @param {string} username - BambiName
+ * @returns {Promise<boolean>}
+ */
+export async function isClaimable(username) {
+  if (!username || isGuest(username) || !db.hasConnection()) return false;
+
+  try {
+    const profile = await findProfile(username, true);
+    return Boolean(profile && !profile.passwordHash);
+  } catch (error) {
+    logger.error(`Failed to check ${username}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Give out a one time code to claim a profile from before accounts
+ * Only for an admin who checked who the name belongs to, a new code replaces the last one
+ *
+ * @param {string} username - BambiName, any case
+ * @returns {Promise<{success: boolean, username?: string, code?: string, expiresAt?: Date, error?: string}>}
+ */
+export async function issueClaimCode(username) {
+  const name = String(username || '').trim();
+  if (!name || isGuest(name)) return { success: false, error: 'Enter a BambiName' };
+
+  if (!db.hasConnection()) {
+    return { success: false, error: 'Accounts are unavailable right now, please try again later' };
+  }
+
+  try {
+    const { default: Profile } = await import('../models/Profile.js');
+    const code = crypto.randomBytes(CLAIM_CODE_BYTES).toString('hex');
+    const expiresAt = new Date(Date.now() + CLAIM_CODE_TTL);
+
+    const profile = await Profile.findOneAndUpdate(
+      { username: name, passwordHash: null },
+      { $set: { claimCodeHash: hashClaimCode(code), claimCodeExpires: expiresAt } },
+      { new: true }
+    ).collation({ locale: 'en', strength: 2 });
+
+    if (!profile) {
+      return { success: false, error: 'That BambiName has a password already or does not exist' };
+    }
+
+    logger.info(`Claim code issued for ${profile.username}`);
+    return { success: true, username: profile.username, code, expiresAt };
+  } catch (error) {
+    logger.error(`Failed to issue a claim code for ${name}: ${error.message}`);
+    return { success: false, error: 'Could not issue a claim code' };
+  }
+}
+
+/**
+ * Set the first password for a profile from before accounts
+ * Needs the claim code an admin gave out for it, the bambiname cookie alone proves nothing
+ *
+ * @param {string} username - BambiName, any case
+ * @param {string} claimCode - One time code from issueClaimCode
+ * @param {string} password - New password
+ * @param {string} [guestId] - Guest identity of the browser claiming, merged into the profile
+ * @param {string} [ip] - Client address, wrong codes are limited per address and name
+ * @returns {Promise<{success: boolean, username?: string, error?: string}>}
+ */
+export async function claim(username, claimCode, password, guestId = null, ip = '') {
+  const name = String(username || '').trim();
+  const key = `claim|${ip}|${name.toLowerCase()}`;
+
+  if (!name || isGuest(name) || typeof claimCode !== 'string' || !claimCode.trim()) {
+    return { success: false, error: 'Enter your BambiName and the claim code you were given' };
+  }
+
+  const pass = validatePassword(password);
+  if (!pass.valid) return { success: false, error: pass.error };
+
+  if (throttled(key)) {
+    return { success: false, error: 'Too many attempts, try again in a few minutes' };
+  }
+  if (!db.hasConnection()) {
+    return { success: false, error: 'Accounts are unavailable right now, please try again later' };
+  }
+
+  try {
+    const { default: Profile } = await import('../models/Profile.js');
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    // Still without a password and with this code unexpired, so two claims can't both win
+    const profile = await Profile.findOneAndUpdate(
+      {
+        username: name,
+        passwordHash: null,
+        claimCodeHash: hashClaimCode(claimCode),
+        claimCodeExpires: { $gt: new Date() }
+      },
+      { $set: { passwordHash, passwordSetAt: new Date(), claimCodeHash: null, claimCodeExpires: null } },
+      { new: true }
+    ).collation({ locale: 'en', strength: 2 });
+
+    if (!profile) {
+      recordFailure(key);
+      return { success: false, error: 'That claim code is wrong or has expired' };
+    }
+    failedAttempts.delete(key);
+
+    logger.info(`Account claimed for ${profile.username}`);
+
+    if (isGuest(guestId)) {
+      try {
+        await mergeGuest(guestId, profile.username);
+      } catch (error) {
+        logger.error(`Failed to merge guest ${guestId} into ${profile.username}: ${error.message}`);
+      }
+    }
+    return { success: true, username: profile.username };
+  } catch (error) {
+    logger.error(`Failed to claim ${name}: ${error.message}`);
+    return { success: false, error: 'Could not claim the BambiName' };
+  }
+}
+
+export default {
+  USERNAME_PATTERN,
+  validateUsername,
+  validatePassword,
+  register,
+  authenticate,
+  touchGuest,
+  isClaimable,
+  issueClaimCode,
+  claim
+};
@@ -0,0 +1,104 @@
+/**
+ * Consent Service for BambiSleep Chat
+ *
+ * Before using the AIGF or receiving audio a user confirms they are an adult
+ * and accepts the content terms. Both are recorded on their Profile with the
+ * terms version they saw. Raising TERMS_VERSION asks everyone again.
+ *
+ * Consent needs a profile, so anonymous users have to pick a name first.
+ */
+
+import config from '../config/config.js';
+import db from '../config/db.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('Consent');
+
+/**
+ * Version of the terms users have to accept
+ *
+ * @returns {number}
+ */
+export function currentTermsVersion() {
+  return config.TERMS_VERSION || 1;
+}
+
+/**
+ * Whether recorded consent covers the current terms
+ *
+ * @param {Object} consent - Profile consent { ageConfirmedAt, acceptedAt, termsVersion }
+ * @returns {boolean}
+ */
+export function hasCurrentConsent(consent) {
+  return Boolean(
+    consent &&
+    consent.ageConfirmedAt &&
+    consent.acceptedAt &&
+    consent.termsVersion === currentTermsVersion()
+  );
+}
+
+/**
+ * Consent recorded for a user
+ *
+ * @param {string} username - User name
+ * @returns {Promise<Object|null>} - Consent or null when none is recorded or it can't be read
+ */
+export async function getConsent(username) {
+  if (!username || username === 'anonBambi' || !db.hasConnection()) return null;
+
+  try {
+    const { default: Profile } = await import('../models/Profile.js');
+    const profile = await Profile.findOne({ username }, { consent: 1 }).lean();
+    return profile?.consent || null;
+  } catch (error) {
+    logger.error(`Failed to read consent for ${username}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Record consent to the current terms, creating the profile if needed
+ *
+ * @param {string} username - User name
+ * @param {Object} answers - Form answers
+ * @param {boolean} answers.ageConfirmed - User confirmed they are an adult
+ * @param {boolean} answers.termsAccepted - User accepted the content terms
+ * @returns {Promise<{success: boolean, consent?: Object, error?: string}>}
+ */
+export async function recordConsent(username, { ageConfirmed, termsAccepted }) {
+  if (!username || username === 'anonBambi') {
+    return { success: false, error: 'Choose a BambiName first' };
+  }
+  if (!ageConfirmed || !termsAccepted) {
+    return { success: false, error: 'Both boxes need to be ticked to continue' };
+  }
+  if (!db.hasConnection()) {
+    return { success: false, error: 'Consent cannot be recorded right now, please try again later' };
+  }
+
+  try {
+    const { default: Profile } = await import('../models/Profile.js');
+    const now = new Date();
+    const consent = { ageConfirmedAt: now, acceptedAt: now, termsVersion: currentTermsVersion() };
+
+    await Profile.findOneAndUpdate(
+      { username },
+      { $set: { consent }, $setOnInsert: { username } },
+      { upsert: true }
+    );
+
+    logger.info(`Consent recorded for ${username} (terms v${consent.termsVersion})`);
+    return { success: true, consent };
+  } catch (error) {
+    logger.error(`Failed to record consent for ${username}: ${error.message}`);
+    return { success: false, error: 'Consent could not be saved' };
+  }
+}
+
+export default {
+  currentTermsVersion,
+  hasCurrentConsent,
+  getConsent,
+  recordConsent
+};
@@ -0,0 +1,510 @@
+/**
+ * Content Filter Service for BambiSleep Chat
+ *
+ * Checks chat and private messages, collar text, BambiNames and AIGF replies against the
+ * rules in src/config/contentFilter.json, which is reloaded when it changes.
+ *
+ * Text is normalized before matching: case, accents, lookalike letters from
+ * other scripts and invisible characters are folded away. Phrases also match
+ * with leetspeak letters, punctuation between the letters and letters
+ * repeated; regex rules see the normalized text as is.
+ *
+ * Every rule has an action: flag keeps the text and records it for review,
+ * mask replaces the match and block refuses the text. Rooms pick a policy
+ * that changes the action per category, locked rules can only be made
+ * stricter. Names can't be masked so a mask blocks them, and streamed AIGF
+ * replies can't be taken back so a block masks them.
+ */
+
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import mongoose from 'mongoose';
+import db from '../config/db.js';
+import Logger from '../utils/logger.js';
+import path from 'path';
+import { REDACTION } from './limitsService.js';
+
+const logger = new Logger('ContentFilter');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FILTER_PATH = path.resolve(__dirname, '../config/contentFilter.json');
+
+export const CONTEXTS = ['chat', 'dm', 'collar', 'username', 'aigf'];
+
+// Least to most severe
+export const ACTIONS = ['flag', 'mask', 'block'];
+
+export const DEFAULT_POLICY = 'standard';
+
+const EXCERPT_MAX = 500;
+const FLAG_LIMIT = 200;
+
+// Used when the rule file is missing or broken
+const FALLBACK = {
+  rules: [],
+  policies: { [DEFAULT_POLICY]: {} }
+};
+
+let fileCache = { mtimeMs: 0, ...FALLBACK, holdBack: 0 };
+
+// Letters from other scripts that look like latin ones, after lowercasing
+const CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'з': '3', 'і': 'i', 'ї': 'i', 'ј': 'j', 'к': 'k', 'м': 'm',
+  'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't',
+  'υ': 'u', 'χ': 'x', 'ω': 'w', 'ɑ': 'a', 'ı': 'i', 'ɡ': 'g', 'ł': 'l', 'ø': 'o', 'đ': 'd', 'ħ': 'h',
+  '‘': '\'', '’': '\'', 'ʼ': '\'', '`': '\''
+};
+
+// Digits and symbols written in place of a letter
+const LEET = {
+  a: '4@', b: '8', e: '3', g: '9', i: '1!|', l: '1|', o: '0', s: '5$', t: '7+', z: '2'
+};
+
+// Punctuation that may sit between the letters of a phrase, leet symbols are matched as letters
+const SEPARATOR = '[^\\p{L}\\p{N}\\s@$!|+]*';
+
+/**
+ * Normalize text for matching, keeping where each character came from
+ *
+ * @param {string} text - Text as written
+ * @param {boolean} [collapse] - Fold runs of the same letter into one
+ * @returns {{text: string, starts: Array<number>, ends: Array<number>}} - Normalized text and the
+ *   range of the original text each of its characters came from
+ */
+export function normalize(text, collapse = false) {
+  let normalized = '';
+  const starts = [];
+  const ends = [];
+
+  let index = 0;
+  for (const char of String(text || '')) {
+    const end = index + char.length;
+    const folded = char.normalize('NFKD').toLowerCase().replace(/[\p{M}\p{Cf}]/gu, '');
+
+    for (const part of folded) {
+      const mapped = CONFUSABLES[part] || part;
+      if (collapse && /\p{L}/u.test(mapped) && normalized.endsWith(mapped)) {
+        ends[ends.length - 1] = end;
+        continue;
+      }
+      normalized += mapped;
+      for (let i = 0; i < mapped.length; i++) {
+        starts.push(index);
+        ends.push(end);
+      }
+    }
+    index = end;
+  }
+
+  return { text: normalized, starts, ends };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// One letter of a phrase with the symbols that stand in for it, a few of them for doubled letters
+function letterPattern(letter) {
+  const options = letter + (LEET[letter] || '');
+  return options.length > 1 ? `[${options.replace(/[\\\]^-]/g, '\\$&')}]{1,3}` : escapeRegExp(letter);
+}
+
+// Whole words or phrases of a rule, words may be written apart, joined or with anything between them
+function phrasePattern(phrases) {
+  const alternatives = phrases
+    .map(phrase => normalize(phrase, true).text
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean)
+      .map(word => Array.from(word, letterPattern).join(SEPARATOR))
+      .join('[^\\p{L}\\p{N}]*'))
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+  if (alternatives.length === 0) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+}
+
+function compileRule(entry, index) {
+  const id = String(entry.id || `rule-${index + 1}`);
+  if (!ACTIONS.includes(entry.action)) {
+    logger.warning(`Skipping content rule ${id}: unknown action ${entry.action}`);
+    return null;
+  }
+
+  const patterns = [];
+  for (const source of Array.isArray(entry.patterns) ? entry.patterns : []) {
+    try {
+      patterns.push(new RegExp(source, 'giu'));
+    } catch (error) {
+      logger.warning(`Skipping pattern of content rule ${id}: ${error.message}`);
+    }
+  }
+
+  const phrases = (Array.isArray(entry.phrases) ? entry.phrases : []).map(String).filter(Boolean);
+  const phrase = phrases.length > 0 ? phrasePattern(phrases) : null;
+  if (!phrase && patterns.length === 0) return null;
+
+  return {
+    id,
+    category: String(entry.category || id),
+    action: entry.action,
+    locked: entry.locked === true,
+    contexts: Array.isArray(entry.contexts) ? entry.contexts.filter(context => CONTEXTS.includes(context)) : CONTEXTS,
+    phrase,
+    patterns,
+    longest: Math.max(0, ...phrases.map(text => text.length))
+  };
+}
+
+function loadConfig() {
+  try {
+    const { mtimeMs } = fs.statSync(FILTER_PATH);
+    if (mtimeMs !== fileCache.mtimeMs) {
+      const data = JSON.parse(fs.readFileSync(FILTER_PATH, 'utf8'));
+      const rules = (Array.isArray(data.rules) ? data.rules : [])
+        .map(compileRule)
+        .filter(Boolean);
+
+      const policies = { [DEFAULT_POLICY]: {} };
+      for (const [name, overrides] of Object.entries(data.policies || {})) {
+        policies[name] = overrides && typeof overrides === 'object' ? overrides : {};
+      }
+
+      fileCache = {
+        mtimeMs,
+        rules,
+        policies,
+        // Room for the longest phrase written out with punctuation or repeated letters, and for regex rules
+        holdBack: Math.max(60, ...rules.map(rule => rule.longest * 3))
+      };
+      logger.info(`Loaded ${rules.length} content rules and ${Object.keys(policies).length} policies from file`);
+    }
+  } catch (error) {
+    logger.error(`Failed to load content rules: ${error.message}`);
+  }
+  return fileCache;
+}
+
+/**
+ * Names of the policies a room can pick
+ *
+ * @returns {Array<string>}
+ */
+export function policyNames() {
+  return Object.keys(loadConfig().policies);
+}
+
+// What a rule does under a policy in a context, null when it is off
+function actionFor(rule, overrides, context) {
+  let action = overrides[rule.category] ?? rule.action;
+  if (action !== 'off' && !ACTIONS.includes(action)) action = rule.action;
+
+  if (rule.locked && (action === 'off' || ACTIONS.indexOf(action) < ACTIONS.indexOf(rule.action))) {
+    action = rule.action;
+  }
+  if (action === 'off') return null;
+
+  if (context === 'username' && action === 'mask') return 'block';
+  if (context === 'aigf-stream' && action === 'block') return 'mask';
+  return action;
+}
+
+// Matches of all rules that apply, as ranges of the original text
+function findHits(text, context, policy) {
+  const { rules, policies } = loadConfig();
+  const overrides = policies[policy] || policies[DEFAULT_POLICY];
+  const ruleContext = context === 'aigf-stream' ? 'aigf' : context;
+
+  const hits = [];
+  let phraseText = null;
+  let plainText = null;
+
+  const collect = (rule, action, pattern, normalized) => {
+    for (const match of normalized.text.matchAll(pattern)) {
+      if (!match[0]) continue;
+      hits.push({
+        rule,
+        action,
+        start: normalized.starts[match.index],
+        end: normalized.ends[match.index + match[0].length - 1]
+      });
+    }
+  };
+
+  for (const rule of rules) {
+    if (!rule.contexts.includes(ruleContext)) continue;
+    const action = actionFor(rule, overrides, context);
+    if (!action) continue;
+
+    if (rule.phrase) {
+      phraseText = phraseText || normalize(text, true);
+      collect(rule, action, rule.phrase, phraseText);
+    }
+    for (const pattern of rule.patterns) {
+      plainText = plainText || normalize(text);
+      collect(rule, action, pattern, plainText);
+    }
+  }
+  return hits;
+}
+
+// Replace masked and blocked ranges, overlapping ones become one mask
+function applyMasks(text, hits) {
+  const ranges = hits
+    .filter(hit => hit.action !== 'flag')
+    .map(({ start, end }) => ({ start, end }))
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push(range);
+    }
+  }
+
+  let masked = '';
+  let index = 0;
+  for (const range of merged) {
+    masked += text.slice(index, range.start) + REDACTION;
+    index = range.end;
+  }
+  return { text: masked + text.slice(index), count: merged.length };
+}
+
+// Rules that were hit, once each
+function describeHits(hits) {
+  const seen = new Map();
+  for (const hit of hits) {
+    if (!seen.has(hit.rule.id)) seen.set(hit.rule.id, { rule: hit.rule.id, category: hit.rule.category, action: hit.action });
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Check a text against the rules
+ *
+ * @param {string} text - Text to check
+ * @param {Object} [options]
+ * @param {string} [options.context] - chat, dm, collar, username or aigf
+ * @param {string} [options.policy] - Policy of the room it is for
+ * @returns {{blocked: boolean, flagged: boolean, text: string, masked: number, hits: Array<Object>}} - The
+ *   text with masks applied, and the rules that were hit as { rule, category, action }
+ */
+export function moderateText(text, { context = 'chat', policy = DEFAULT_POLICY } = {}) {
+  const input = String(text || '');
+  const hits = input ? findHits(input, context, policy) : [];
+  const { text: masked, count } = applyMasks(input, hits);
+
+  return {
+    blocked: hits.some(hit => hit.action === 'block'),
+    flagged: hits.some(hit => hit.action === 'flag'),
+    text: masked,
+    masked: count,
+    hits: describeHits(hits)
+  };
+}
+
+/**
+ * Record a text for moderators to review
+ *
+ * @param {Object} flag
+ * @param {string} flag.context - chat, dm, collar, username or aigf
+ * @param {string} [flag.room] - Room it was sent in
+ * @param {string} [flag.username] - Who wrote it, or who the AIGF answered
+ * @param {string} flag.text - Text as written
+ * @param {Array<Object>} flag.hits - Rules that were hit
+ * @returns {Promise<void>}
+ */
+export async function recordFlag({ context, room = null, username = null, text, hits }) {
+  if (!db.hasConnection()) return;
+
+  try {
+    const { default: ContentFlag } = await import('../models/ContentFlag.js');
+    await ContentFlag.create({
+      context,
+      room,
+      username,
+      rules: hits.map(hit => hit.rule),
+      categories: [...new Set(hits.map(hit => hit.category))],
+      text: String(text || '').slice(0, EXCERPT_MAX)
+    });
+  } catch (error) {
+    logger.error(`Failed to record flagged ${context} text: ${error.message}`);
+  }
+}
+
+/**
+ * Check a text and record it for review when a flag rule was hit
+ *
+ * @param {string} text - Text to check
+ * @param {Object} options
+ * @param {string} options.context - chat, dm, collar, username or aigf
+ * @param {string} [options.policy] - Policy of the room it is for
+ * @param {string} [options.room] - Room it is for
+ * @param {string} [options.username] - Who wrote it
+ * @returns {Promise<Object>} - Result of moderateText
+ */
+export async function screenText(text, { context, policy = DEFAULT_POLICY, room = null, username = null }) {
+  const result = moderateText(text, { context, policy });
+
+  if (result.blocked) {
+    logger.info(`Blocked ${context} text from ${username || 'unknown'} (${result.hits.map(hit => hit.rule).join(', ')})`);
+  }
+  if (result.flagged) {
+    await recordFlag({ context, room, username, text, hits: result.hits });
+  }
+  return result;
+}
+
+/**
+ * Filter streamed text before each chunk goes out
+ * Text that may still be part of a match is held back until more arrives,
+ * blocks can't take back what was sent and mask instead
+ *
+ * @param {Object} options
+ * @param {string} [options.policy] - Policy to apply
+ * @param {Function} emit - Called with each chunk that is safe to send
+ * @returns {{push: Function, flush: Function, text: Function, masked: Function, hits: Function}}
+ */
+export function createStreamFilter({ policy = DEFAULT_POLICY } = {}, emit) {
+  const { holdBack } = loadConfig();
+
+  let emitted = '';
+  let pending = '';
+  let masked = 0;
+  const hits = [];
+
+  // The last emitted character decides whether a match at the start of pending is a whole word,
+  // matches starting on it were already judged when it was sent.
+  // Until the stream ends, a match at the very end may still grow into a longer word.
+  const scan = (final) => {
+    const context = Array.from(emitted.slice(-2)).pop() || '';
+    const text = context + pending;
+    const found = findHits(text, 'aigf-stream', policy)
+      .filter(hit => hit.start >= context.length && (final || hit.end < text.length));
+    if (found.length === 0) return;
+
+    const result = applyMasks(text, found);
+    masked += result.count;
+    hits.push(...found);
+    pending = result.text.slice(context.length);
+  };
+
+  const send = (text) => {
+    if (!text) return;
+    emitted += text;
+    emit(text);
+  };
+
+  return {
+    push(delta) {
+      pending += delta;
+      scan(false);
+      const cut = pending.length - holdBack;
+      if (cut > 0) {
+        send(pending.slice(0, cut));
+        pending = pending.slice(cut);
+      }
+    },
+    flush() {
+      scan(true);
+      send(pending);
+      pending = '';
+    },
+    text: () => emitted + pending,
+    masked: () => masked,
+    hits: () => describeHits(hits)
+  };
+}
+
+/**
+ * Flagged texts, newest first
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.room] - Room slug
+ * @param {string} [filter.context] - chat, dm, collar, username or aigf
+ * @param {boolean} [filter.all] - Include reviewed ones
+ * @param {number} [filter.limit] - Up to 200
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listFlags({ room, context, all = false, limit = 50 } = {}) {
+  const { default: ContentFlag } = await import('../models/ContentFlag.js');
+  const query = {};
+  if (room) query.room = room;
+  if (context) query.context = context;
+  if (!all) query.reviewedAt = null;
+
+  return ContentFlag.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), FLAG_LIMIT))
+    .lean();
+}
+
+/**
+ * Mark a flagged text as reviewed
+ *
+ * @param {string} id - Flag id
+ * @param {string} by - Moderator
+ * @returns {Promise<{success: boolean, flag?: Object, error?: string}>}
+ */
+export async function reviewFlag(id, by) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return { success: false, error: 'That flag does not exist' };
+  if (!db.hasConnection()) return { success: false, error: 'Flags can\'t be reviewed right now, please try again later' };
+
+  try {
+    const { default: ContentFlag } = await import('../models/ContentFlag.js');
+    const flag = await ContentFlag.findOneAndUpdate(
+      { _id: id, reviewedAt: null },
+      { $set: { reviewedAt: new Date(), reviewedBy: by } },
+      { new: true }
+    ).lean();
+    if (!flag) return { success: false, error: 'That flag does not exist or was already reviewed' };
+
+    logger.info(`${by} reviewed flag ${id}`);
+    return { success: true, flag };
+  } catch (error) {
+    logger.error(`Failed to review flag ${id}: ${error.message}`);
+    return { success: false, error: 'Could not review the flag' };
+  }
+}
+
+/**
+ * Public view of a flag
+ *
+ * @param {Object} flag - ContentFlag document
+ * @returns {Object}
+ */
+export function describeFlag(flag) {
+  return {
+    id: flag._id,
+    context: flag.context,
+    room: flag.room,
+    username: flag.username,
+    rules: flag.rules,
+    categories: flag.categories,
+    text: flag.text,
+    reviewedAt: flag.reviewedAt,
+    reviewedBy: flag.reviewedBy,
+    createdAt: flag.createdAt
+  };
+}
+
+export default {
+  CONTEXTS,
+  ACTIONS,
+  DEFAULT_POLICY,
+  normalize,
+  policyNames,
+  moderateText,
+  recordFlag,
+  screenText,
+  createStreamFilter,
+  listFlags,
+  reviewFlag,
+  describeFlag
+};
@@ -0,0 +1,308 @@
+/**
+ * Direct Message Service for BambiSleep Chat
+ *
+ * Private messages between two users with an account. Each pair of users has
+ * one conversation, which keeps the last message and an unread count per
+ * participant for the inbox.
+ *
+ * A message only reaches a user who accepted the current terms and allowed
+ * the sender to send them `messages` (see permissionService). Messages to
+ * someone who blocked the sender look sent but are dropped.
+ *
+ * Messages are saved before they are delivered. Those that didn't reach any
+ * of the receiver's sockets stay undelivered until their next connect.
+ */
+
+import db from '../config/db.js';
+import Logger from '../utils/logger.js';
+import { isGuest } from '../utils/auth.js';
+import permissionService from './permissionService.js';
+import consentService from './consentService.js';
+
+const logger = new Logger('DirectMessages');
+
+const MESSAGE_MAX = 2000;
+const PREVIEW_LENGTH = 80;
+const INBOX_LIMIT = 50;
+const HISTORY_LIMIT = 50;
+const OFFLINE_LIMIT = 100;
+
+const keyOf = (username) => String(username || '').toLowerCase();
+
+function hasAccount(username) {
+  return Boolean(username) && username !== 'anonBambi' && !isGuest(username);
+}
+
+function conversationKey(a, b) {
+  return [keyOf(a), keyOf(b)].sort().join('|');
+}
+
+function participant(conversation, username) {
+  return conversation.participants.find(entry => keyOf(entry.username) === keyOf(username)) || null;
+}
+
+/**
+ * Message as sent to either participant
+ *
+ * @param {Object} message - DirectMessage document
+ * @returns {Object}
+ */
+export function describeMessage(message) {
+  return {
+    id: String(message._id),
+    from: message.from,
+    to: message.to,
+    data: message.data,
+    timestamp: message.createdAt,
+    readAt: message.readAt || null
+  };
+}
+
+function describeConversation(conversation, username) {
+  const other = conversation.participants.find(entry => keyOf(entry.username) !== keyOf(username));
+  return {
+    id: String(conversation._id),
+    with: other ? other.username : username,
+    unread: participant(conversation, username)?.unread || 0,
+    lastMessage: conversation.lastMessage?.sentAt ? conversation.lastMessage : null,
+    updatedAt: conversation.updatedAt
+  };
+}
+
+async function findConversation(username, withUser) {
+  const { default: DirectConversation } = await import('../models/DirectConversation.js');
+  return DirectConversation.findOne({ key: conversationKey(username, withUser) }).lean();
+}
+
+/**
+ * Save a message from one user to another
+ * The sender's own block on the receiver is an error. The receiver's block on the sender drops it,
+ * the unsaved message is returned so it only shows up for the sender
+ *
+ * @param {string} from - Sender
+ * @param {string} to - Receiver
+ * @param {string} text - Message
+ * @returns {Promise<{success: boolean, message?: Object, dropped?: boolean, denied?: boolean, error?: string}>}
+ */
+export async function sendMessage(from, to, text) {
+  if (!hasAccount(from)) return { success: false, error: 'Log in or create an account to send messages' };
+  if (!hasAccount(to) || keyOf(from) === keyOf(to)) return { success: false, error: 'Choose another user' };
+
+  const data = String(text || '').trim();
+  if (!data) return { success: false, error: 'Write something first' };
+  if (data.length > MESSAGE_MAX) return { success: false, error: `Messages are up to ${MESSAGE_MAX} characters` };
+
+  if (!db.hasConnection()) {
+    return { success: false, error: 'Messages can\'t be sent right now, please try again later' };
+  }
+
+  try {
+    const { default: Profile } = await import('../models/Profile.js');
+    const receiver = await Profile.findOne({ username: to }, { username: 1, consent: 1 }).lean();
+    if (!receiver) return { success: false, error: `${to} doesn't exist` };
+
+    if (await permissionService.isBlocked(from, receiver.username)) {
+      return { success: false, error: `Unblock ${receiver.username} to message them` };
+    }
+    if (await permissionService.isBlocked(receiver.username, from)) {
+      return {
+        success: true,
+        dropped: true,
+        message: { id: null, from, to: receiver.username, data, timestamp: new Date(), readAt: null }
+      };
+    }
+    if (!await permissionService.canDeliver(from, receiver.username, 'messages')) {
+      return { success: false, denied: true, error: `${receiver.username} hasn't allowed you to send messages` };
+    }
+    if (!consentService.hasCurrentConsent(receiver.consent)) {
+      return { success: false, error: `${receiver.username} can't receive messages yet` };
+    }
+
+    const { default: DirectConversation } = await import('../models/DirectConversation.js');
+    const { default: DirectMessage } = await import('../models/DirectMessage.js');
+
+    const conversation = await DirectConversation.findOneAndUpdate(
+      { key: conversationKey(from, receiver.username) },
+      {
+        $setOnInsert: {
+          participants: [{ username: from }, { username: receiver.username }]
+        }
+      },
+      { upsert: true, new: true }
+    ).lean();
+
+    const message = await DirectMessage.create({
+      conversation: conversation._id,
+      from,
+      to: receiver.username,
+      data
+    });
+
+    await DirectConversation.updateOne(
+      { _id: conversation._id },
+      {
+        $set: {
+          lastMessage: { from, preview: data.slice(0, PREVIEW_LENGTH), sentAt: message.createdAt },
+          updatedAt: message.createdAt
+        },
+        $inc: { 'participants.$[receiver].unread': 1 }
+      },
+      { arrayFilters: [{ 'receiver.username': receiver.username }] }
+    );
+
+    return { success: true, message: describeMessage(message) };
+  } catch (error) {
+    logger.error(`Failed to send message from ${from} to ${to}: ${error.message}`);
+    return { success: false, error: 'Could not send the message' };
+  }
+}
+
+/**
+ * A user's conversations, most recent first
+ *
+ * @param {string} username - User name
+ * @returns {Promise<{conversations: Array<Object>, unread: number}>}
+ */
+export async function listConversations(username) {
+  if (!hasAccount(username) || !db.hasConnection()) return { conversations: [], unread: 0 };
+
+  try {
+    const { default: DirectConversation } = await import('../models/DirectConversation.js');
+    const docs = await DirectConversation.find({ 'participants.username': username })
+      .sort({ updatedAt: -1 })
+      .limit(INBOX_LIMIT)
+      .lean();
+
+    const conversations = docs.map(doc => describeConversation(doc, username));
+    return {
+      conversations,
+      unread: conversations.reduce((total, conversation) => total + conversation.unread, 0)
+    };
+  } catch (error) {
+    logger.error(`Failed to list conversations for ${username}: ${error.message}`);
+    return { conversations: [], unread: 0 };
+  }
+}
+
+/**
+ * Messages of a conversation, oldest first
+ *
+ * @param {string} username - Participant asking
+ * @param {string} withUser - Other participant
+ * @param {Object} [options]
+ * @param {string} [options.before] - Only messages sent before this time
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getMessages(username, withUser, { before = null } = {}) {
+  if (!hasAccount(username) || !db.hasConnection()) return [];
+
+  try {
+    const conversation = await findConversation(username, withUser);
+    if (!conversation || !participant(conversation, username)) return [];
+
+    const { default: DirectMessage } = await import('../models/DirectMessage.js');
+    const query = { conversation: conversation._id };
+    const beforeDate = before ? new Date(before) : null;
+    if (beforeDate && !isNaN(beforeDate)) query.createdAt = { $lt: beforeDate };
+
+    const messages = await DirectMessage.find(query)
+      .sort({ createdAt: -1 })
+      .limit(HISTORY_LIMIT)
+      .lean();
+    return messages.reverse().map(describeMessage);
+  } catch (error) {
+    logger.error(`Failed to load messages between ${username} and ${withUser}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Mark everything the other participant sent as read
+ *
+ * @param {string} username - Reader
+ * @param {string} withUser - Other participant
+ * @returns {Promise<boolean>} - Whether anything was unread
+ */
+export async function markRead(username, withUser) {
+  if (!hasAccount(username) || !db.hasConnection()) return false;
+
+  try {
+    const conversation = await findConversation(username, withUser);
+    const entry = conversation && participant(conversation, username);
+    if (!entry || entry.unread === 0) return false;
+
+    const { default: DirectConversation } = await import('../models/DirectConversation.js');
+    const { default: DirectMessage } = await import('../models/DirectMessage.js');
+    const now = new Date();
+
+    await DirectConversation.updateOne(
+      { _id: conversation._id },
+      { $set: { 'participants.$[reader].unread': 0, 'participants.$[reader].lastReadAt': now } },
+      { arrayFilters: [{ 'reader.username': entry.username }] }
+    );
+    await DirectMessage.updateMany(
+      { conversation: conversation._id, to: entry.username, readAt: null },
+      { $set: { readAt: now, deliveredAt: now } }
+    );
+    return true;
+  } catch (error) {
+    logger.error(`Failed to mark messages from ${withUser} read for ${username}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Record that messages reached one of the receiver's sockets
+ *
+ * @param {Array<string>} ids - Message ids
+ * @returns {Promise<void>}
+ */
+export async function markDelivered(ids) {
+  if (!ids || ids.length === 0 || !db.hasConnection()) return;
+
+  try {
+    const { default: DirectMessage } = await import('../models/DirectMessage.js');
+    await DirectMessage.updateMany({ _id: { $in: ids }, deliveredAt: null }, { $set: { deliveredAt: new Date() } });
+  } catch (error) {
+    logger.error(`Failed to mark messages delivered: ${error.message}`);
+  }
+}
+
+/**
+ * Messages sent while the user was offline, marked delivered once taken
+ *
+ * @param {string} username - Receiver
+ * @returns {Promise<Array<Object>>} - Oldest first
+ */
+export async function takeUndelivered(username) {
+  if (!hasAccount(username) || !db.hasConnection()) return [];
+
+  try {
+    const { default: DirectMessage } = await import('../models/DirectMessage.js');
+    const messages = await DirectMessage.find({ to: username, deliveredAt: null })
+      .sort({ createdAt: 1 })
+      .limit(OFFLINE_LIMIT)
+      .lean();
+
+    await markDelivered(messages.map(message => message._id));
+
+    // Someone blocked since they wrote doesn't get through either
+    const blocked = await Promise.all(messages.map(message => permissionService.isBlocked(username, message.from)));
+    return messages
+      .filter((message, index) => !blocked[index])
+      .map(describeMessage);
+  } catch (error) {
+    logger.error(`Failed to load undelivered messages for ${username}: ${error.message}`);
+    return [];
+  }
+}
+
+export default {
+  describeMessage,
+  sendMessage,
+  listConversations,
+  getMessages,
+  markRead,
+  markDelivered,
+  takeUndelivered
+};
@@ -0,0 +1,255 @@
+/**
+ * Distress Service for BambiSleep Chat
+ *
+ * Scores AIGF prompts and public chat messages against the phrase list in
+ * src/config/distress.json, which is reloaded when it changes. Each phrase
+ * counts once per message and scores add up over the user's recent messages,
+ * so a hit can come from one clear message or several smaller signs.
+ *
+ * On a hit the user's AIGF is paused and they are shown support resources
+ * out of character. Hits are logged for moderators without the user name
+ * or anything the user wrote.
+ */
+
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import db from '../config/db.js';
+import Logger from '../utils/logger.js';
+import path from 'path';
+
+const logger = new Logger('Distress');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DISTRESS_PATH = path.resolve(__dirname, '../config/distress.json');
+
+const MINUTE = 60 * 1000;
+
+// Used when the phrase file is missing or broken, support is always offered
+const FALLBACK = {
+  threshold: 5,
+  windowMinutes: 10,
+  pauseMinutes: 15,
+  phrases: [],
+  message: 'Stepping out of the roleplay for a moment. If you are in danger, please contact your local emergency number or a crisis line.',
+  resources: [
+    { name: 'Find A Helpline', url: 'https://findahelpline.com', description: 'Free crisis lines in your country' }
+  ]
+};
+
+let fileCache = { mtimeMs: 0, ...FALLBACK, patterns: [] };
+
+// Pause key -> { score, scoredAt } per recent message
+const recentScores = new Map();
+
+// Pause key -> { since, until, eventId }
+const pauses = new Map();
+
+// Curly apostrophes and runs of whitespace would keep phrases from matching
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[‘’ʼ]/g, '\'')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function loadConfig() {
+  try {
+    const { mtimeMs } = fs.statSync(DISTRESS_PATH);
+    if (mtimeMs !== fileCache.mtimeMs) {
+      const data = JSON.parse(fs.readFileSync(DISTRESS_PATH, 'utf8'));
+      const phrases = (data.phrases || [])
+        .filter(entry => entry.phrase && Number(entry.weight) > 0)
+        .map(entry => ({
+          phrase: normalize(entry.phrase),
+          weight: Number(entry.weight),
+          category: entry.category || 'crisis'
+        }));
+
+      fileCache = {
+        mtimeMs,
+        threshold: Number(data.threshold) > 0 ? Number(data.threshold) : FALLBACK.threshold,
+        windowMinutes: Number(data.windowMinutes) >= 0 ? Number(data.windowMinutes) : FALLBACK.windowMinutes,
+        pauseMinutes: Number(data.pauseMinutes) > 0 ? Number(data.pauseMinutes) : FALLBACK.pauseMinutes,
+        phrases,
+        // Phrases start on a word boundary but may end mid-word, so "overdose" also catches "overdosed"
+        patterns: phrases.map(entry => ({
+          ...entry,
+          pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(entry.phrase).replace(/ /g, '\\s+')}`, 'u')
+        })),
+        message: data.message || FALLBACK.message,
+        resources: Array.isArray(data.resources) && data.resources.length > 0 ? data.resources : FALLBACK.resources
+      };
+      logger.info(`Loaded ${phrases.length} distress phrases from file`);
+    }
+  } catch (error) {
+    logger.error(`Failed to load distress phrases: ${error.message}`);
+  }
+  return fileCache;
+}
+
+/**
+ * Pause key for a socket
+ * Anonymous users are paused per socket, registered users across all their sockets
+ *
+ * @param {Object} socket - Socket.IO socket with bambiUsername
+ * @returns {string}
+ */
+export function pauseKey(socket) {
+  const username = socket.bambiUsername;
+  return username && username !== 'anonBambi' ? `user:${username}` : `socket:${socket.id}`;
+}
+
+/**
+ * Score a single message
+ *
+ * @param {string} text - Message text
+ * @returns {{score: number, categories: Array<string>}}
+ */
+export function scoreMessage(text) {
+  const normalized = normalize(text);
+  let score = 0;
+  const categories = new Set();
+
+  if (!normalized) return { score, categories: [] };
+
+  for (const entry of loadConfig().patterns) {
+    if (entry.pattern.test(normalized)) {
+      score += entry.weight;
+      categories.add(entry.category);
+    }
+  }
+
+  return { score, categories: [...categories] };
+}
+
+/**
+ * Score a message together with the user's recent ones
+ *
+ * @param {string} key - Pause key
+ * @param {string} text - Message text
+ * @param {number} [now] - Current time
+ * @returns {{distress: boolean, score: number, total: number, categories: Array<string>}}
+ */
+export function assessMessage(key, text, now = Date.now()) {
+  const { threshold, windowMinutes } = loadConfig();
+  const { score, categories } = scoreMessage(text);
+
+  const recent = (recentScores.get(key) || []).filter(entry => now - entry.scoredAt < windowMinutes * MINUTE);
+  if (score > 0) recent.push({ score, scoredAt: now });
+
+  if (recent.length > 0) {
+    recentScores.set(key, recent);
+  } else {
+    recentScores.delete(key);
+  }
+
+  const total = recent.reduce((sum, entry) => sum + entry.score, 0);
+  return { distress: score > 0 && total >= threshold, score, total, categories };
+}
+
+/**
+ * Pause the AIGF for a user and log the hit without who it was or what they wrote
+ *
+ * @param {string} key - Pause key
+ * @param {string} source - aigf or chat
+ * @param {Object} assessment - Result of assessMessage
+ * @returns {Promise<{pausedUntil: string}>}
+ */
+export async function pauseUser(key, source, assessment) {
+  const now = Date.now();
+  const pause = { since: now, until: now + loadConfig().pauseMinutes * MINUTE, eventId: null };
+  pauses.set(key, pause);
+
+  // Scores that led to a pause shouldn't trigger the next one
+  recentScores.delete(key);
+  logger.warning(`Distress detected in ${source} (score ${assessment.total}: ${assessment.categories.join(', ')}), AIGF paused`);
+
+  if (db.hasConnection()) {
+    try {
+      const { default: DistressEvent } = await import('../models/DistressEvent.js');
+      const event = await DistressEvent.create({
+        source,
+        score: assessment.total,
+        categories: assessment.categories
+      });
+      pause.eventId = event._id;
+    } catch (error) {
+      logger.error(`Failed to log distress event: ${error.message}`);
+    }
+  }
+
+  return { pausedUntil: new Date(pause.until).toISOString() };
+}
+
+/**
+ * End a pause before it runs out
+ *
+ * @param {string} key - Pause key
+ * @returns {Promise<boolean>} - Whether the user was paused
+ */
+export async function resumeUser(key) {
+  const pause = pauses.get(key);
+  if (!pause) return false;
+  pauses.delete(key);
+
+  if (pause.eventId && db.hasConnection()) {
+    try {
+      const { default: DistressEvent } = await import('../models/DistressEvent.js');
+      await DistressEvent.updateOne({ _id: pause.eventId }, { $set: { pausedMs: Date.now() - pause.since } });
+    } catch (error) {
+      logger.error(`Failed to update distress event: ${error.message}`);
+    }
+  }
+  return true;
+}
+
+/**
+ * Whether a socket's user has their AIGF paused
+ *
+ * @param {Object} socket - Socket.IO socket
+ * @returns {boolean}
+ */
+export function isPaused(socket) {
+  const key = pauseKey(socket);
+  const pause = pauses.get(key);
+  if (!pause) return false;
+
+  if (Date.now() >= pause.until) {
+    pauses.delete(key);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Out of character support message with resource links
+ *
+ * @param {Object} socket - Socket.IO socket, for how long the pause lasts
+ * @returns {{message: string, resources: Array<Object>, pausedUntil: string|null}}
+ */
+export function supportMessage(socket) {
+  const { message, resources } = loadConfig();
+  const pause = isPaused(socket) ? pauses.get(pauseKey(socket)) : null;
+  return {
+    message,
+    resources: resources.map(({ name, url, description }) => ({ name, url, description: description || '' })),
+    pausedUntil: pause ? new Date(pause.until).toISOString() : null
+  };
+}
+
+export default {
+  pauseKey,
+  scoreMessage,
+  assessMessage,
+  pauseUser,
+  resumeUser,
+  isPaused,
+  supportMessage
+};
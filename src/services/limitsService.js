@@ -0,0 +1,269 @@
+/**
+ * Limits Service for BambiSleep Chat
+ *
+ * Hard limits are topics, words and triggers a user never wants to see.
+ * They are written into the persona prompt and checked again on the AIGF's
+ * output: a reply that breaks a limit is generated once more and redacted
+ * if it still does. Streamed replies can only be redacted, which happens
+ * before each chunk leaves the worker.
+ */
+
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import Logger from '../utils/logger.js';
+import path from 'path';
+
+const logger = new Logger('Limits');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TRIGGERS_PATH = path.resolve(__dirname, '../config/triggers.json');
+
+const MAX_ENTRIES = 50;
+const MAX_LENGTH = 60;
+
+// Shown in place of a blocked term, contains no letters so it never matches one
+export const REDACTION = '█████';
+
+function knownTriggers() {
+  try {
+    return JSON.parse(fs.readFileSync(TRIGGERS_PATH, 'utf8')).triggers.map(trigger => trigger.name.toUpperCase());
+  } catch (error) {
+    logger.error(`Failed to load triggers: ${error.message}`);
+    return [];
+  }
+}
+
+function cleanList(values) {
+  const list = Array.isArray(values) ? values : String(values || '').split('\n');
+  const seen = new Set();
+
+  return list
+    .map(value => String(value || '').replace(/\s+/g, ' ').trim())
+    .filter(value => {
+      const key = value.toLowerCase();
+      if (!value || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Check the limits a user wants to save
+ *
+ * @param {Object} settings - { blockedTopics, blockedTriggers }
+ * @returns {{valid: boolean, limits?: Object, error?: string}}
+ */
+export function validateLimits(settings) {
+  const blockedTopics = cleanList(settings?.blockedTopics);
+  const blockedTriggers = cleanList(settings?.blockedTriggers).map(name => name.toUpperCase());
+
+  if (blockedTopics.length + blockedTriggers.length > MAX_ENTRIES) {
+    return { valid: false, error: `You can set up to ${MAX_ENTRIES} limits` };
+  }
+  if (blockedTopics.some(topic => topic.length > MAX_LENGTH)) {
+    return { valid: false, error: `Each limit can be up to ${MAX_LENGTH} characters` };
+  }
+
+  const triggers = knownTriggers();
+  const unknown = blockedTriggers.find(name => !triggers.includes(name));
+  if (unknown) {
+    return { valid: false, error: `Unknown trigger: ${unknown}` };
+  }
+
+  return { valid: true, limits: { blockedTopics, blockedTriggers } };
+}
+
+/**
+ * Whether any limit is set
+ *
+ * @param {Object} limits - { blockedTopics, blockedTriggers }
+ * @returns {boolean}
+ */
+export function hasLimits(limits) {
+  return Boolean(limits && (limits.blockedTopics?.length || limits.blockedTriggers?.length));
+}
+
+/**
+ * Lines for the persona template's limits block
+ *
+ * @param {Object} limits - { blockedTopics, blockedTriggers }
+ * @returns {Array<string>}
+ */
+export function promptLimits(limits) {
+  if (!hasLimits(limits)) return [];
+  return [
+    ...(limits.blockedTopics || []),
+    ...(limits.blockedTriggers || []).map(name => `the trigger ${name}`)
+  ];
+}
+
+/**
+ * Active triggers without the ones the user blocked
+ *
+ * @param {Array<string>} triggers - Active trigger names
+ * @param {Object} limits - { blockedTopics, blockedTriggers }
+ * @returns {Array<string>}
+ */
+export function allowedTriggers(triggers, limits) {
+  const blocked = (limits?.blockedTriggers || []).map(name => name.toUpperCase());
+  return (Array.isArray(triggers) ? triggers : []).filter(name => !blocked.includes(String(name).toUpperCase()));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole words or phrases, case-insensitive, any run of spaces between words
+function termPattern(limits) {
+  const terms = [...(limits.blockedTopics || []), ...(limits.blockedTriggers || [])];
+  if (terms.length === 0) return null;
+
+  const alternatives = terms
+    .sort((a, b) => b.length - a.length)
+    .map(term => escapeRegExp(term).replace(/ /g, '\\s+'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Blocked terms found in a text
+ *
+ * @param {string} text - Text to check
+ * @param {Object} limits - { blockedTopics, blockedTriggers }
+ * @returns {Array<string>} - Matches, one per occurrence
+ */
+export function findViolations(text, limits) {
+  const pattern = hasLimits(limits) ? termPattern(limits) : null;
+  if (!pattern || !text) return [];
+  return String(text).match(pattern) || [];
+}
+
+/**
+ * Replace blocked terms in a text
+ *
+ * @param {string} text - Text to redact
+ * @param {Object} limits - { blockedTopics, blockedTriggers }
+ * @returns {{text: string, count: number}}
+ */
+export function redact(text, limits) {
+  const pattern = hasLimits(limits) ? termPattern(limits) : null;
+  if (!pattern || !text) return { text: text || '', count: 0 };
+
+  let count = 0;
+  const redacted = String(text).replace(pattern, () => {
+    count++;
+    return REDACTION;
+  });
+  return { text: redacted, count };
+}
+
+/**
+ * Redact a streamed reply before it is sent
+ * The end of the stream is held back until it can no longer be the start
+ * of a blocked term.
+ *
+ * @param {Object} limits - { blockedTopics, blockedTriggers }
+ * @param {Function} emit - Called with each redacted chunk
+ * @returns {{push: Function, flush: Function, text: Function, count: Function}}
+ */
+export function createStreamRedactor(limits, emit) {
+  const terms = [...(limits?.blockedTopics || []), ...(limits?.blockedTriggers || [])];
+  // Room for the longest term with stretched whitespace
+  const holdBack = Math.max(0, ...terms.map(term => term.length)) * 2;
+
+  const pattern = holdBack ? termPattern(limits) : null;
+
+  let emitted = '';
+  let pending = '';
+  let count = 0;
+
+  // The last emitted character decides whether a term at the start of pending is a whole word,
+  // matches starting on it were already judged when it was sent.
+  // Until the stream ends, a match at the very end may still grow into a longer word.
+  const scan = (final) => {
+    const context = emitted.slice(-1);
+    const text = context + pending;
+    const redacted = text.replace(pattern, (match, offset) => {
+      if (offset < context.length || (!final && offset + match.length === text.length)) return match;
+      count++;
+      return REDACTION;
+    });
+    pending = redacted.slice(context.length);
+  };
+
+  const send = (text) => {
+    if (!text) return;
+    emitted += text;
+    emit(text);
+  };
+
+  return {
+    push(delta) {
+      if (!holdBack) return send(delta);
+
+      pending += delta;
+      scan(false);
+      const cut = pending.length - holdBack;
+      if (cut > 0) {
+        send(pending.slice(0, cut));
+        pending = pending.slice(cut);
+      }
+    },
+    flush() {
+      if (holdBack) scan(true);
+      send(pending);
+      pending = '';
+    },
+    text: () => emitted + pending,
+    count: () => count
+  };
+}
+
+/**
+ * Make sure a finished reply keeps to the user's limits
+ * The reply is generated once more when it breaks one, and redacted if it still does
+ *
+ * @param {string} content - Generated reply
+ * @param {Object} limits - { blockedTopics, blockedTriggers }
+ * @param {Function} [regenerate] - Called with the violations, resolves to a new reply
+ * @returns {Promise<{content: string, moderation: {violations: number, regenerated: boolean, redacted: number}}>}
+ */
+export async function enforceLimits(content, limits, regenerate = null) {
+  const moderation = { violations: 0, regenerated: false, redacted: 0 };
+  let violations = findViolations(content, limits);
+  if (violations.length === 0) return { content, moderation };
+
+  moderation.violations += violations.length;
+
+  if (regenerate) {
+    try {
+      content = await regenerate(violations);
+      moderation.regenerated = true;
+      violations = findViolations(content, limits);
+      moderation.violations += violations.length;
+    } catch (error) {
+      logger.warning(`Regenerating a reply that broke a limit failed: ${error.message}`);
+    }
+  }
+
+  if (violations.length > 0) {
+    const result = redact(content, limits);
+    content = result.text;
+    moderation.redacted = result.count;
+  }
+
+  return { content, moderation };
+}
+
+export default {
+  REDACTION,
+  validateLimits,
+  hasLimits,
+  promptLimits,
+  allowedTriggers,
+  findViolations,
+  redact,
+  createStreamRedactor,
+  enforceLimits
+};
@@ -0,0 +1,176 @@
+/**
+ * Context-window management for AIGF sessions
+ *
+ * Keeps the system prompt and the most recent turns inside the model's
+ * context budget and folds older turns into a rolling summary written by
+ * the model itself.
+ */
+
+import config from '../../config/config.js';
+
+// Rough per-message overhead for role markers and separators
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Space kept for the rolling summary inside the budget
+const SUMMARY_TOKENS = 512;
+
+// Least of the newest prompt that is sent when it doesn't fit at all
+const MIN_PROMPT_TOKENS = 64;
+
+const SUMMARY_INSTRUCTION = `Summarize the conversation below between the user and the assistant.
+Keep names, active triggers, promises, preferences and anything the user asked to remember.
+Write in third person, plain prose, at most 200 words. Do not add commentary.`;
+
+/**
+ * Estimate the number of tokens in a text
+ * Uses the common ~4 characters per token heuristic, good enough for budgeting
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+export function estimateTokens(text) {
+  if (!text || typeof text !== 'string') return 0;
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Estimate the tokens a chat message occupies in the prompt
+ *
+ * @param {{role: string, content: string}} message - Chat message
+ * @returns {number} - Estimated token count
+ */
+export function estimateMessageTokens(message) {
+  return estimateTokens(message?.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Context budget for a model
+ * LLM_CONTEXT_BUDGETS holds "modelSubstring=tokens" pairs, the first match wins
+ *
+ * @param {string} modelId - Model id
+ * @param {number} [override] - Context length known from elsewhere (e.g. model metadata)
+ * @returns {number} - Context size in tokens
+ */
+export function getContextBudget(modelId, override = null) {
+  if (override) return override;
+
+  const id = (modelId || '').toLowerCase();
+  for (const entry of config.LLM_CONTEXT_BUDGETS || []) {
+    const [pattern, tokens] = String(entry).split('=');
+    if (pattern && tokens && id.includes(pattern.trim().toLowerCase())) {
+      const budget = parseInt(tokens, 10);
+      if (budget > 0) return budget;
+    }
+  }
+
+  return config.LLM_CONTEXT_TOKENS;
+}
+
+/**
+ * Decide which turns fit in the context window
+ * The newest user prompt is always kept, cut to its end when it is bigger than the budget
+ *
+ * @param {Object} options - Planning options
+ * @param {string} options.systemPrompt - System prompt, always kept
+ * @param {Array} options.turns - Non-system messages, oldest first
+ * @param {string} [options.summary] - Current rolling summary
+ * @param {number} options.budget - Context size in tokens
+ * @param {number} options.reserveTokens - Tokens kept free for the reply
+ * @returns {{keep: Array, fold: Array}} - Turns to send and turns to fold into the summary
+ */
+export function planContext({ systemPrompt, turns, summary = '', budget, reserveTokens }) {
+  const fixedTokens = estimateTokens(systemPrompt) + MESSAGE_OVERHEAD_TOKENS + estimateTokens(summary);
+  const total = turns.reduce((sum, message) => sum + estimateMessageTokens(message), 0);
+
+  if (fixedTokens + total + reserveTokens <= budget) {
+    return { keep: turns, fold: [] };
+  }
+
+  // Walk backwards keeping recent turns, leaving room for a summary of the rest
+  const available = budget - reserveTokens - estimateTokens(systemPrompt) - MESSAGE_OVERHEAD_TOKENS - SUMMARY_TOKENS;
+  let used = 0;
+  let splitIndex = turns.length;
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const cost = estimateMessageTokens(turns[i]);
+    if (used + cost > available) break;
+    used += cost;
+    splitIndex = i;
+  }
+
+  // Never split a user prompt from its reply
+  while (splitIndex < turns.length && turns[splitIndex].role === 'assistant') {
+    splitIndex++;
+  }
+
+  const lastPrompt = turns.map(message => message.role).lastIndexOf('user');
+  if (lastPrompt < 0 || splitIndex <= lastPrompt) {
+    return {
+      keep: turns.slice(splitIndex),
+      fold: turns.slice(0, splitIndex)
+    };
+  }
+
+  // The prompt being answered didn't fit, send as much of it as there is room for
+  const after = turns.slice(lastPrompt + 1);
+  const afterTokens = after.reduce((sum, message) => sum + estimateMessageTokens(message), 0);
+  const promptTokens = Math.max(MIN_PROMPT_TOKENS, available - afterTokens - MESSAGE_OVERHEAD_TOKENS);
+  const prompt = turns[lastPrompt];
+
+  return {
+    keep: [{ ...prompt, content: prompt.content.slice(-promptTokens * 4) }, ...after],
+    fold: turns.slice(0, lastPrompt)
+  };
+}
+
+/**
+ * Fold older turns into the rolling summary using the model
+ *
+ * @param {Object} provider - LLM provider adapter
+ * @param {string} model - Model id
+ * @param {string} previousSummary - Existing summary, if any
+ * @param {Array} turns - Turns to fold in, oldest first
+ * @returns {Promise<string>} - Updated summary
+ */
+export async function summarizeTurns(provider, model, previousSummary, turns) {
+  const transcript = turns
+    .map(message => `${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`)
+    .join('\n');
+
+  const content = previousSummary
+    ? `Summary so far:\n${previousSummary}\n\nNew conversation:\n${transcript}`
+    : transcript;
+
+  const result = await provider.chat({
+    model,
+    messages: [
+      { role: 'system', content: SUMMARY_INSTRUCTION },
+      { role: 'user', content }
+    ],
+    params: { maxTokens: SUMMARY_TOKENS, temperature: 0.3, topP: 0.9 },
+    stream: false
+  });
+
+  return (result.content || '').trim();
+}
+
+/**
+ * Combine the system prompt with the rolling summary
+ *
+ * @param {string} systemPrompt - Persona system prompt
+ * @param {string} summary - Rolling summary
+ * @returns {string} - System prompt to send
+ */
+export function withSummary(systemPrompt, summary) {
+  if (!summary) return systemPrompt;
+  return `${systemPrompt}\n\nSUMMARY OF THE EARLIER CONVERSATION:\n${summary}`;
+}
+
+export default {
+  estimateTokens,
+  estimateMessageTokens,
+  getContextBudget,
+  planContext,
+  summarizeTurns,
+  withSummary
+};
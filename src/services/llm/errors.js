@@ -0,0 +1,68 @@
+/**
+ * Normalized error raised by every LLM provider adapter
+ *
+ * Adapters translate transport and API failures into one of a small set of
+ * codes so the worker can react the same way regardless of backend.
+ */
+export class LLMProviderError extends Error {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {Object} options - Error details
+   * @param {string} options.code - One of LLMProviderError.CODES
+   * @param {string} options.provider - Name of the provider that failed
+   * @param {number} [options.status] - HTTP status code if one was returned
+   * @param {Error} [options.cause] - Original error
+   */
+  constructor(message, { code = 'unknown', provider = 'unknown', status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.code = code;
+    this.provider = provider;
+    this.status = status;
+    this.cause = cause;
+  }
+
+  /**
+   * Whether retrying the request (or another model) could succeed
+   */
+  get retryable() {
+    return this.code === 'unavailable' || this.code === 'timeout';
+  }
+}
+
+LLMProviderError.CODES = ['unavailable', 'timeout', 'unauthorized', 'bad_request', 'no_models', 'aborted', 'rate_limited', 'unknown'];
+
+/**
+ * Translate an axios/network error into an LLMProviderError
+ *
+ * @param {Error} error - Error thrown by axios or the adapter
+ * @param {string} provider - Provider name
+ * @returns {LLMProviderError} - Normalized error
+ */
+export function normalizeHttpError(error, provider) {
+  if (error instanceof LLMProviderError) return error;
+
+  const status = error.response?.status || null;
+  let code = 'unknown';
+
+  if (error.name === 'CanceledError' || error.code === 'ERR_CANCELED') {
+    code = 'aborted';
+  } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    code = 'timeout';
+  } else if (['ECONNREFUSED', 'ENOTFOUND', 'ECONNRESET', 'EHOSTUNREACH'].includes(error.code)) {
+    code = 'unavailable';
+  } else if (status === 401 || status === 403) {
+    code = 'unauthorized';
+  } else if (status >= 500) {
+    code = 'unavailable';
+  } else if (status >= 400) {
+    code = 'bad_request';
+  }
+
+  return new LLMProviderError(`${provider}: ${error.message}`, { code, provider, status, cause: error });
+}
+
+export default {
+  LLMProviderError,
+  normalizeHttpError
+};
@@ -0,0 +1,196 @@
+/**
+ * Named generation presets for AIGF replies
+ *
+ * Presets and the levels that unlock them are defined by admins in
+ * src/config/generationPresets.json. The file is reloaded when it changes.
+ * Preset parameters are clamped to the limits of the model they run on.
+ */
+
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import Logger from '../../utils/logger.js';
+import path from 'path';
+
+const logger = new Logger('GenerationPresets');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PRESETS_PATH = path.resolve(__dirname, '../../config/generationPresets.json');
+
+const PARAM_NAMES = ['maxTokens', 'temperature', 'topP', 'topK', 'frequencyPenalty', 'presencePenalty'];
+
+// Used when the presets file is missing or broken
+const FALLBACK_PRESET = {
+  name: 'balanced',
+  label: 'Balanced',
+  description: '',
+  minLevel: 0,
+  params: {
+    maxTokens: 4096,
+    temperature: 0.87,
+    topP: 0.91,
+    topK: 40,
+    frequencyPenalty: 0,
+    presencePenalty: 0
+  }
+};
+
+let fileCache = { mtimeMs: 0, defaultPreset: FALLBACK_PRESET.name, presets: [FALLBACK_PRESET], modelLimits: [] };
+
+function loadPresets() {
+  try {
+    const { mtimeMs } = fs.statSync(PRESETS_PATH);
+    if (mtimeMs !== fileCache.mtimeMs) {
+      const data = JSON.parse(fs.readFileSync(PRESETS_PATH, 'utf8'));
+      const presets = (data.presets || [])
+        .filter(preset => preset.name && preset.params)
+        .map(preset => ({
+          name: preset.name,
+          label: preset.label || preset.name,
+          description: preset.description || '',
+          minLevel: preset.minLevel || 0,
+          params: { ...FALLBACK_PRESET.params, ...preset.params }
+        }));
+
+      fileCache = {
+        mtimeMs,
+        defaultPreset: data.defaultPreset || presets[0]?.name || FALLBACK_PRESET.name,
+        presets: presets.length > 0 ? presets : [FALLBACK_PRESET],
+        modelLimits: data.modelLimits || []
+      };
+      logger.info(`Loaded ${fileCache.presets.length} generation presets from file`);
+    }
+  } catch (error) {
+    logger.error(`Failed to load generation presets: ${error.message}`);
+  }
+  return fileCache;
+}
+
+/**
+ * Look up a preset by name
+ *
+ * @param {string} [name] - Preset name, defaults to the configured default
+ * @returns {Object|null} - Preset or null when no preset has that name
+ */
+export function getPreset(name = null) {
+  const { defaultPreset, presets } = loadPresets();
+  return presets.find(preset => preset.name === (name || defaultPreset)) || null;
+}
+
+/**
+ * Presets with whether the given level has unlocked them
+ *
+ * @param {number} [level] - User level
+ * @returns {Array} - [{ name, label, description, minLevel, unlocked, isDefault }]
+ */
+export function listPresets(level = 0) {
+  const { defaultPreset, presets } = loadPresets();
+  return presets.map(({ name, label, description, minLevel }) => ({
+    name,
+    label,
+    description,
+    minLevel,
+    unlocked: level >= minLevel,
+    isDefault: name === defaultPreset
+  }));
+}
+
+/**
+ * Check that a user may select a preset
+ *
+ * @param {string} name - Preset name
+ * @param {number} [level] - User level
+ * @returns {{valid: boolean, error?: string, preset?: Object}}
+ */
+export function validatePresetChoice(name, level = 0) {
+  const preset = typeof name === 'string' ? getPreset(name) : null;
+  if (!preset) {
+    return { valid: false, error: `Unknown generation preset: ${name}` };
+  }
+  if (level < preset.minLevel) {
+    return { valid: false, error: `The ${preset.label} preset unlocks at level ${preset.minLevel}` };
+  }
+  return { valid: true, preset };
+}
+
+/**
+ * Limits for a model, entries matching the model id are applied over "*"
+ *
+ * @param {string} modelId - Model id
+ * @returns {Object} - { maxTokens, temperature: [min, max], ... }
+ */
+export function getModelLimits(modelId) {
+  const id = (modelId || '').toLowerCase();
+  const limits = {};
+
+  for (const entry of loadPresets().modelLimits) {
+    if (entry.match === '*' || (entry.match && id.includes(String(entry.match).toLowerCase()))) {
+      Object.assign(limits, entry);
+    }
+  }
+
+  delete limits.match;
+  return limits;
+}
+
+/**
+ * Clamp preset parameters to what a model accepts
+ *
+ * @param {Object} params - Generation parameters
+ * @param {string} modelId - Model the parameters are sent to
+ * @returns {Object} - Clamped copy of the parameters
+ */
+export function clampToModel(params, modelId) {
+  const limits = getModelLimits(modelId);
+  const clamped = { ...params };
+
+  for (const name of PARAM_NAMES) {
+    const value = Number(clamped[name]);
+    if (!Number.isFinite(value)) {
+      clamped[name] = FALLBACK_PRESET.params[name];
+      continue;
+    }
+
+    const limit = limits[name];
+    if (Array.isArray(limit)) {
+      clamped[name] = Math.min(Math.max(value, limit[0]), limit[1]);
+    } else if (typeof limit === 'number') {
+      clamped[name] = Math.min(value, limit);
+    }
+  }
+
+  clamped.maxTokens = Math.max(1, Math.floor(clamped.maxTokens));
+  clamped.topK = Math.max(1, Math.floor(clamped.topK));
+  return clamped;
+}
+
+/**
+ * Generation parameters for a reply
+ * Falls back to the default preset when the choice is unknown or no longer unlocked
+ *
+ * @param {string} [name] - Selected preset
+ * @param {Object} [options] - Resolution options
+ * @param {number} [options.level] - User level
+ * @param {string} [options.modelId] - Model the reply is generated with
+ * @returns {{preset: string, params: Object}}
+ */
+export function resolvePreset(name = null, { level = 0, modelId = null } = {}) {
+  let preset = getPreset(name);
+
+  if (!preset || level < preset.minLevel) {
+    if (name) logger.warning(`Preset ${name} not available at level ${level}, using the default`);
+    preset = getPreset() || FALLBACK_PRESET;
+  }
+
+  return { preset: preset.name, params: clampToModel(preset.params, modelId) };
+}
+
+export default {
+  getPreset,
+  listPresets,
+  validatePresetChoice,
+  getModelLimits,
+  clampToModel,
+  resolvePreset
+};
@@ -0,0 +1,205 @@
+/**
+ * Fair scheduler for LLM generations
+ *
+ * - At most one generation in flight per user
+ * - A global concurrency cap for the backend
+ * - Round-robin across users so nobody can starve the queue
+ * - Queue positions are reported whenever they change
+ */
+
+import { LLMProviderError } from './errors.js';
+
+export class GenerationScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {number} [options.maxConcurrent] - Generations allowed to run at once
+   * @param {number} [options.maxQueuedPerUser] - Jobs a single user may have waiting
+   * @param {Function} [options.onPosition] - Called with (job, position) when a queued job moves, position 0 means started
+   */
+  constructor({ maxConcurrent = 1, maxQueuedPerUser = 3, onPosition = null } = {}) {
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this.maxQueuedPerUser = Math.max(1, maxQueuedPerUser);
+    this.onPosition = onPosition;
+
+    // userKey -> waiting jobs, oldest first
+    this.queues = new Map();
+    // Users with waiting jobs in round-robin order
+    this.rotation = [];
+    // userKey -> running job
+    this.running = new Map();
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Queue a generation
+   *
+   * @param {string} userKey - Fairness key, one generation per key at a time
+   * @param {Function} task - Async function doing the work
+   * @param {Object} [meta] - Extra data handed back through onPosition (e.g. socketId)
+   * @returns {Promise<*>} - Resolves with the task result once it has run
+   */
+  enqueue(userKey, task, meta = {}) {
+    const queue = this.queues.get(userKey) || [];
+    if (queue.length >= this.maxQueuedPerUser) {
+      return Promise.reject(new LLMProviderError(
+        'Too many messages waiting, please wait for the current reply',
+        { code: 'rate_limited', provider: 'scheduler' }
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { id: this.nextJobId++, userKey, task, meta, resolve, reject, queuedAt: Date.now() };
+      queue.push(job);
+      this.queues.set(userKey, queue);
+
+      if (!this.rotation.includes(userKey)) {
+        this.rotation.push(userKey);
+      }
+
+      this.drain();
+      this.reportPositions();
+    });
+  }
+
+  /**
+   * Start jobs while there is capacity, taking users in turn
+   */
+  drain() {
+    while (this.running.size < this.maxConcurrent) {
+      const index = this.rotation.findIndex(userKey => !this.running.has(userKey));
+      if (index === -1) return;
+
+      const [userKey] = this.rotation.splice(index, 1);
+      const queue = this.queues.get(userKey);
+      const job = queue.shift();
+
+      // Users with more waiting go to the back of the line
+      if (queue.length > 0) {
+        this.rotation.push(userKey);
+      } else {
+        this.queues.delete(userKey);
+      }
+
+      this.start(job);
+    }
+  }
+
+  start(job) {
+    this.running.set(job.userKey, job);
+    job.startedAt = Date.now();
+    if (this.onPosition) this.onPosition(job, 0);
+
+    Promise.resolve()
+      .then(() => job.task())
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        this.running.delete(job.userKey);
+        this.drain();
+        this.reportPositions();
+      });
+  }
+
+  /**
+   * Number of jobs that will start before the given one
+   * Assumes the rotation order holds and every user keeps their turn
+   */
+  positionOf(job) {
+    const queue = this.queues.get(job.userKey) || [];
+    const depth = queue.indexOf(job);
+    if (depth === -1) return 0;
+
+    const userIndex = this.rotation.indexOf(job.userKey);
+    let ahead = depth;
+
+    this.rotation.forEach((userKey, index) => {
+      if (userKey === job.userKey) return;
+      const waiting = this.queues.get(userKey)?.length || 0;
+      ahead += Math.min(waiting, depth + (index < userIndex ? 1 : 0));
+    });
+
+    return ahead + 1;
+  }
+
+  reportPositions() {
+    if (!this.onPosition) return;
+
+    for (const queue of this.queues.values()) {
+      for (const job of queue) {
+        const position = this.positionOf(job);
+        if (position !== job.lastPosition) {
+          job.lastPosition = position;
+          this.onPosition(job, position);
+        }
+      }
+    }
+  }
+
+  /**
+   * Drop waiting jobs, their promises reject with an aborted error
+   *
+   * @param {Function} predicate - Called with each waiting job
+   * @param {string} [reason] - Why the jobs were dropped
+   * @returns {number} - Number of jobs dropped
+   */
+  cancelQueued(predicate, reason = 'cancelled') {
+    let dropped = 0;
+
+    for (const [userKey, queue] of this.queues) {
+      const kept = [];
+      for (const job of queue) {
+        if (predicate(job)) {
+          dropped++;
+          job.reject(new LLMProviderError(`Generation ${reason}`, { code: 'aborted', provider: 'scheduler' }));
+        } else {
+          kept.push(job);
+        }
+      }
+
+      if (kept.length > 0) {
+        this.queues.set(userKey, kept);
+      } else {
+        this.queues.delete(userKey);
+        this.rotation = this.rotation.filter(key => key !== userKey);
+      }
+    }
+
+    if (dropped > 0) this.reportPositions();
+    return dropped;
+  }
+
+  /**
+   * Whether any running or waiting job matches
+   *
+   * @param {Function} predicate - Called with each job
+   * @returns {boolean}
+   */
+  hasJob(predicate) {
+    for (const job of this.running.values()) {
+      if (predicate(job)) return true;
+    }
+    for (const queue of this.queues.values()) {
+      if (queue.some(predicate)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether the user has a generation running
+   */
+  isBusy(userKey) {
+    return this.running.has(userKey);
+  }
+
+  stats() {
+    let queued = 0;
+    for (const queue of this.queues.values()) queued += queue.length;
+    return {
+      running: this.running.size,
+      queued,
+      maxConcurrent: this.maxConcurrent,
+      waitingUsers: this.rotation.length
+    };
+  }
+}
+
+export default GenerationScheduler;
@@ -0,0 +1,63 @@
+/**
+ * LLM provider layer
+ *
+ * Every adapter exposes the same interface:
+ * - listModels() - discover available models
+ * - selectModel(preferredName) - resolve the model id to use
+ * - chat({ model, messages, params, stream, onDelta, signal }) - run a completion
+ * - normalizeError(error) - translate failures into an LLMProviderError
+ *
+ * The active provider is chosen by LLM_PROVIDER in config.js.
+ */
+
+import config from '../../config/config.js';
+import { LLMProviderError } from './errors.js';
+import { LMStudioProvider } from './lmstudioProvider.js';
+import { LlamaCppProvider } from './llamacppProvider.js';
+import { MockProvider } from './mockProvider.js';
+import { OllamaProvider } from './ollamaProvider.js';
+import { OpenAICompatibleProvider } from './openaiCompatibleProvider.js';
+
+const providers = {
+  lmstudio: LMStudioProvider,
+  ollama: OllamaProvider,
+  llamacpp: LlamaCppProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+/**
+ * Create a provider adapter
+ *
+ * @param {string} [name] - Provider name, defaults to LLM_PROVIDER
+ * @param {Object} [options] - Overrides for baseUrl, apiKey and timeout
+ * @returns {Object} - Provider adapter instance
+ */
+export function createProvider(name = config.LLM_PROVIDER, options = {}) {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new LLMProviderError(`Unknown LLM provider "${name}"`, { code: 'bad_request', provider: name });
+  }
+
+  return new Provider({
+    baseUrl: config.LLM_API_URL,
+    apiKey: config.LLM_API_KEY,
+    timeout: config.LLM_TIMEOUT,
+    ...options
+  });
+}
+
+/**
+ * Names of all registered providers
+ */
+export function listProviders() {
+  return Object.keys(providers);
+}
+
+export { LLMProviderError };
+
+export default {
+  createProvider,
+  listProviders,
+  LLMProviderError
+};
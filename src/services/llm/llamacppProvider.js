@@ -0,0 +1,51 @@
+import axios from 'axios';
+import { OpenAICompatibleProvider } from './openaiCompatibleProvider.js';
+import { LLMProviderError } from './errors.js';
+
+/**
+ * Adapter for the llama.cpp HTTP server
+ *
+ * llama.cpp serves exactly one model, so model selection always resolves to
+ * whatever is loaded. A 503 while the model loads is reported as unavailable.
+ */
+export class LlamaCppProvider extends OpenAICompatibleProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'llamacpp';
+  }
+
+  async listModels() {
+    try {
+      return await super.listModels();
+    } catch (error) {
+      // Older llama.cpp builds have no /v1/models - fall back to /props
+      if (error.status !== 404) throw error;
+
+      try {
+        const response = await axios.get(`${this.baseUrl}/props`, { headers: this.headers(), timeout: 10000 });
+        const modelPath = response.data?.default_generation_settings?.model || response.data?.model_path || 'llama.cpp';
+        return [{ id: modelPath.split(/[\\/]/).pop(), ownedBy: 'llamacpp' }];
+      } catch (propsError) {
+        throw this.normalizeError(propsError);
+      }
+    }
+  }
+
+  async selectModel() {
+    const models = await this.listModels();
+    if (models.length === 0) {
+      throw new LLMProviderError('llamacpp: no model loaded', { code: 'no_models', provider: this.name });
+    }
+    return models[0].id;
+  }
+
+  mapParams(params = {}) {
+    return {
+      ...super.mapParams(params),
+      // Reuse the KV cache for the shared conversation prefix
+      cache_prompt: true
+    };
+  }
+}
+
+export default LlamaCppProvider;
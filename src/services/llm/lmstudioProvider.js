@@ -0,0 +1,16 @@
+import { OpenAICompatibleProvider } from './openaiCompatibleProvider.js';
+
+/**
+ * Adapter for LM Studio's local server
+ *
+ * LM Studio lists every downloaded model under /v1/models, so the preferred
+ * model is fuzzy matched by name before falling back to the first one.
+ */
+export class LMStudioProvider extends OpenAICompatibleProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'lmstudio';
+  }
+}
+
+export default LMStudioProvider;
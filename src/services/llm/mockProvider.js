@@ -0,0 +1,63 @@
+import { LLMProviderError } from './errors.js';
+
+/**
+ * Local mock provider for running the worker without a model server
+ *
+ * Replies deterministically by echoing the last user message, streams word
+ * by word when asked to, and honours abort signals like a real backend.
+ */
+export class MockProvider {
+  constructor({ delay = 0 } = {}) {
+    this.name = 'mock';
+    this.delay = delay;
+  }
+
+  async listModels() {
+    return [{ id: 'mock-model', ownedBy: 'mock' }];
+  }
+
+  async selectModel() {
+    return 'mock-model';
+  }
+
+  async chat({ model, messages = [], params = {}, stream = false, onDelta = null, signal = undefined }) {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    let content = `Mock reply to: ${lastUser ? lastUser.content : '(nothing)'}`;
+
+    if (params.maxTokens) {
+      // Treat a word as a token, good enough for exercising limits
+      content = content.split(' ').slice(0, params.maxTokens).join(' ');
+    }
+
+    if (!stream) {
+      this.checkAborted(signal);
+      return { content, model: model || 'mock-model', finishReason: 'stop' };
+    }
+
+    let sent = '';
+    for (const word of content.split(/(?<=\s)/)) {
+      this.checkAborted(signal);
+      if (this.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.delay));
+      }
+      sent += word;
+      if (onDelta) onDelta(word);
+    }
+
+    return { content: sent, model: model || 'mock-model', finishReason: 'stop' };
+  }
+
+  checkAborted(signal) {
+    if (signal?.aborted) {
+      throw new LLMProviderError('mock: request aborted', { code: 'aborted', provider: this.name });
+    }
+  }
+
+  normalizeError(error) {
+    return error instanceof LLMProviderError
+      ? error
+      : new LLMProviderError(error.message, { provider: this.name, cause: error });
+  }
+}
+
+export default MockProvider;
@@ -0,0 +1,322 @@
+/**
+ * Registry of the models AIGF replies can be generated with
+ *
+ * Merges what the provider reports (/v1/models and friends) with admin
+ * metadata from src/config/models.json and LlmModel documents:
+ * - displayName, contextLength, minLevel, defaultPreset, enabled
+ *
+ * Health is tracked from discovery and from real generations. A model
+ * that keeps failing is skipped for a cooldown and requests fail over
+ * along LLM_FALLBACK_MODELS.
+ */
+
+import config from '../../config/config.js';
+import db from '../../config/db.js';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import Logger from '../../utils/logger.js';
+import { LLMProviderError } from './errors.js';
+import { createProvider } from './index.js';
+import path from 'path';
+
+const logger = new Logger('ModelRegistry');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MODELS_PATH = path.resolve(__dirname, '../../config/models.json');
+
+// Failures that another model could get past
+const FAILOVER_CODES = ['unavailable', 'timeout', 'no_models', 'bad_request'];
+
+let fileCache = { mtimeMs: 0, models: [] };
+
+function loadFileMetadata() {
+  try {
+    const { mtimeMs } = fs.statSync(MODELS_PATH);
+    if (mtimeMs !== fileCache.mtimeMs) {
+      const data = JSON.parse(fs.readFileSync(MODELS_PATH, 'utf8'));
+      fileCache = { mtimeMs, models: (data.models || []).filter(entry => entry.match) };
+      logger.info(`Loaded metadata for ${fileCache.models.length} model patterns from file`);
+    }
+  } catch (error) {
+    logger.error(`Failed to load model metadata: ${error.message}`);
+  }
+  return fileCache.models;
+}
+
+async function loadDbOverrides() {
+  if (!db.hasConnection()) return [];
+
+  try {
+    const { default: LlmModel } = await import('../../models/LlmModel.js');
+    return await LlmModel.find({}).lean();
+  } catch (error) {
+    logger.warning(`Model overrides unavailable: ${error.message}`);
+    return [];
+  }
+}
+
+// Copy the fields that are set, unset fields leave the earlier layer in place
+function applyMetadata(target, source) {
+  for (const key of ['displayName', 'contextLength', 'minLevel', 'defaultPreset', 'enabled']) {
+    if (source[key] !== undefined && source[key] !== null) {
+      target[key] = source[key];
+    }
+  }
+  return target;
+}
+
+/**
+ * Whether a failed request should be retried on the next model
+ *
+ * @param {Error} error - Error thrown by the provider
+ * @returns {boolean}
+ */
+export function shouldFailOver(error) {
+  return error instanceof LLMProviderError && FAILOVER_CODES.includes(error.code);
+}
+
+export class ModelRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Object} options.provider - LLM provider adapter used for discovery
+   * @param {number} [options.refreshInterval] - How long discovery results are reused
+   * @param {number} [options.failureCooldown] - How long a failing model is skipped
+   */
+  constructor({ provider, refreshInterval = 60000, failureCooldown = 60000 }) {
+    this.provider = provider;
+    this.refreshInterval = refreshInterval;
+    this.failureCooldown = failureCooldown;
+
+    // modelId -> registry entry
+    this.models = new Map();
+    // modelId -> { failures, lastError, unhealthyUntil }
+    this.health = new Map();
+    this.refreshedAt = 0;
+    this.discoveryError = null;
+  }
+
+  /**
+   * Rediscover models and reload admin metadata
+   *
+   * @param {boolean} [force] - Refresh even when the last refresh is recent
+   */
+  async refresh(force = false) {
+    if (!force && this.refreshedAt && Date.now() - this.refreshedAt < this.refreshInterval) {
+      return;
+    }
+
+    let discovered = null;
+    try {
+      discovered = await this.provider.listModels();
+      this.discoveryError = null;
+    } catch (error) {
+      // Keep the last known list, its models are reported unavailable
+      this.discoveryError = error.message;
+      logger.warning(`Model discovery failed: ${error.message}`);
+    }
+
+    const fileMetadata = loadFileMetadata();
+    const overrides = await loadDbOverrides();
+    const ids = discovered
+      ? discovered.map(model => model.id)
+      : [...this.models.keys()];
+
+    // Admin entries for models the provider does not list are kept so they can be managed
+    for (const override of overrides) {
+      if (!ids.includes(override.modelId)) ids.push(override.modelId);
+    }
+
+    const models = new Map();
+    for (const id of ids) {
+      const lowerId = id.toLowerCase();
+      const entry = {
+        id,
+        displayName: id,
+        contextLength: null,
+        minLevel: 0,
+        defaultPreset: null,
+        enabled: true,
+        discovered: Boolean(discovered?.some(model => model.id === id))
+      };
+
+      for (const metadata of fileMetadata) {
+        if (lowerId.includes(String(metadata.match).toLowerCase())) {
+          applyMetadata(entry, metadata);
+        }
+      }
+
+      const override = overrides.find(item => item.modelId === id);
+      if (override) applyMetadata(entry, override);
+
+      models.set(id, entry);
+    }
+
+    this.models = models;
+    this.refreshedAt = Date.now();
+  }
+
+  /**
+   * Health of a model: available, degraded (recent failures) or unavailable
+   */
+  healthOf(modelId) {
+    const entry = this.models.get(modelId);
+    if (!entry || !entry.discovered) return 'unavailable';
+
+    const health = this.health.get(modelId);
+    if (health && health.unhealthyUntil > Date.now()) return 'degraded';
+    return 'available';
+  }
+
+  describe(entry, level = null) {
+    const health = this.health.get(entry.id);
+    return {
+      id: entry.id,
+      displayName: entry.displayName,
+      contextLength: entry.contextLength,
+      minLevel: entry.minLevel,
+      defaultPreset: entry.defaultPreset,
+      enabled: entry.enabled,
+      status: this.healthOf(entry.id),
+      lastError: health?.lastError || null,
+      ...(level === null ? {} : { allowed: entry.enabled && level >= entry.minLevel })
+    };
+  }
+
+  /**
+   * Registered models
+   *
+   * @param {Object} [options] - Listing options
+   * @param {number} [options.level] - Adds allowed flags for this user level
+   * @param {boolean} [options.includeDisabled] - Also list models admins turned off
+   * @returns {Promise<Array>}
+   */
+  async list({ level = null, includeDisabled = false } = {}) {
+    await this.refresh();
+    return [...this.models.values()]
+      .filter(entry => includeDisabled || entry.enabled)
+      .map(entry => this.describe(entry, level));
+  }
+
+  /**
+   * Find a registered model by exact id, then by fuzzy name match
+   *
+   * @param {string} name - Model id or part of it
+   * @returns {Object|null} - Registry entry
+   */
+  find(name) {
+    if (!name) return null;
+    if (this.models.has(name)) return this.models.get(name);
+
+    const wanted = String(name).toLowerCase();
+    return [...this.models.values()].find(entry => entry.id.toLowerCase().includes(wanted)) || null;
+  }
+
+  /**
+   * Metadata for a model
+   *
+   * @param {string} modelId - Model id
+   * @returns {Promise<Object|null>}
+   */
+  async get(modelId) {
+    await this.refresh();
+    const entry = this.find(modelId);
+    return entry ? this.describe(entry) : null;
+  }
+
+  /**
+   * Check that a user may pick a model
+   *
+   * @param {string} modelId - Model id
+   * @param {number} [level] - User level
+   * @returns {Promise<{valid: boolean, error?: string, model?: Object}>}
+   */
+  async validateChoice(modelId, level = 0) {
+    await this.refresh();
+    const entry = typeof modelId === 'string' ? this.models.get(modelId) : null;
+
+    if (!entry || !entry.enabled) {
+      return { valid: false, error: `Model not available: ${modelId}` };
+    }
+    if (level < entry.minLevel) {
+      return { valid: false, error: `${entry.displayName} unlocks at level ${entry.minLevel}` };
+    }
+    return { valid: true, model: this.describe(entry, level) };
+  }
+
+  /**
+   * Models to try for a request, in order
+   * The preferred model comes first, then LLM_FALLBACK_MODELS. Models that are
+   * disabled, locked for the level or not discovered are skipped and ones in
+   * their failure cooldown go last.
+   *
+   * @param {string} [preferred] - User's choice, defaults to LLM_MODEL
+   * @param {Object} [options] - Candidate options
+   * @param {number} [options.level] - User level
+   * @returns {Promise<Array<string>>} - Model ids
+   */
+  async candidates(preferred = null, { level = 0 } = {}) {
+    await this.refresh();
+
+    const usable = (entry) => entry && entry.enabled && entry.discovered && level >= entry.minLevel;
+    const chain = [];
+
+    for (const name of [preferred, config.LLM_MODEL, ...(config.LLM_FALLBACK_MODELS || [])]) {
+      const entry = this.find(name);
+      if (usable(entry) && !chain.includes(entry.id)) chain.push(entry.id);
+    }
+
+    // Nothing configured is loaded, use whatever the provider has
+    if (chain.length === 0) {
+      const first = [...this.models.values()].find(usable);
+      if (first) chain.push(first.id);
+    }
+
+    if (chain.length === 0) {
+      throw new LLMProviderError(
+        this.discoveryError ? `No models available: ${this.discoveryError}` : 'No models available',
+        { code: 'no_models', provider: this.provider.name }
+      );
+    }
+
+    const healthy = chain.filter(id => this.healthOf(id) === 'available');
+    return [...healthy, ...chain.filter(id => !healthy.includes(id))];
+  }
+
+  /**
+   * Record a failed generation, the model is skipped for the cooldown
+   */
+  markFailure(modelId, error) {
+    const health = this.health.get(modelId) || { failures: 0 };
+    health.failures++;
+    health.lastError = error?.message || String(error);
+    health.unhealthyUntil = Date.now() + this.failureCooldown;
+    this.health.set(modelId, health);
+    logger.warning(`Model ${modelId} failed (${health.failures}x): ${health.lastError}`);
+  }
+
+  /**
+   * Record a successful generation
+   */
+  markSuccess(modelId) {
+    this.health.delete(modelId);
+  }
+}
+
+// One registry per thread, shared by the routes and socket handlers
+let sharedRegistry = null;
+
+/**
+ * Registry for the configured LLM_PROVIDER
+ *
+ * @returns {ModelRegistry}
+ */
+export function getModelRegistry() {
+  if (!sharedRegistry) {
+    sharedRegistry = new ModelRegistry({ provider: createProvider() });
+  }
+  return sharedRegistry;
+}
+
+export default ModelRegistry;
@@ -0,0 +1,130 @@
+import axios from 'axios';
+import Logger from '../../utils/logger.js';
+import { LLMProviderError, normalizeHttpError } from './errors.js';
+
+const logger = new Logger('LLMProvider');
+
+/**
+ * Adapter for Ollama's native API
+ *
+ * Ollama lists models under /api/tags and streams chat responses as
+ * newline-delimited JSON rather than server-sent events.
+ */
+export class OllamaProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.baseUrl - Ollama server URL
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor({ baseUrl, timeout = 120000 } = {}) {
+    this.name = 'ollama';
+    this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+    this.timeout = timeout;
+  }
+
+  async listModels() {
+    try {
+      const response = await axios.get(`${this.baseUrl}/api/tags`, { timeout: 10000 });
+      return (response.data?.models || []).map(model => ({
+        id: model.name,
+        ownedBy: 'ollama'
+      }));
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  async selectModel(preferredName) {
+    const models = await this.listModels();
+    if (models.length === 0) {
+      throw new LLMProviderError('ollama: no models pulled', { code: 'no_models', provider: this.name });
+    }
+
+    const wanted = (preferredName || '').toLowerCase();
+    const selected = wanted ? models.find(model => model.id.toLowerCase().includes(wanted)) : null;
+    return selected ? selected.id : models[0].id;
+  }
+
+  mapParams(params = {}) {
+    return {
+      num_predict: params.maxTokens,
+      temperature: params.temperature,
+      top_p: params.topP,
+      top_k: params.topK,
+      frequency_penalty: params.frequencyPenalty,
+      presence_penalty: params.presencePenalty
+    };
+  }
+
+  async chat({ model, messages, params = {}, stream = false, onDelta = null, signal = undefined }) {
+    const body = {
+      model,
+      messages,
+      options: this.mapParams(params),
+      stream
+    };
+
+    try {
+      if (!stream) {
+        const response = await axios.post(`${this.baseUrl}/api/chat`, body, { timeout: this.timeout, signal });
+        return {
+          content: response.data?.message?.content || '',
+          model: response.data?.model || model,
+          finishReason: response.data?.done_reason || null
+        };
+      }
+
+      const response = await axios.post(`${this.baseUrl}/api/chat`, body, {
+        timeout: this.timeout,
+        responseType: 'stream',
+        signal
+      });
+      response.data.setEncoding('utf8');
+
+      let buffer = '';
+      let content = '';
+      let finishReason = null;
+
+      for await (const chunk of response.data) {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          try {
+            const event = JSON.parse(line);
+            if (event.error) {
+              throw new LLMProviderError(`ollama: ${event.error}`, { code: 'bad_request', provider: this.name });
+            }
+            const delta = event.message?.content;
+            if (delta) {
+              content += delta;
+              if (onDelta) onDelta(delta);
+            }
+            if (event.done) {
+              finishReason = event.done_reason || 'stop';
+            }
+          } catch (parseError) {
+            if (parseError instanceof LLMProviderError) throw parseError;
+            logger.debug(`Skipping malformed stream line: ${parseError.message}`);
+          }
+        }
+      }
+
+      return { content, model, finishReason };
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  normalizeError(error) {
+    // Ollama answers 404 when the requested model has not been pulled
+    if (error.response?.status === 404) {
+      return new LLMProviderError(`ollama: model not found`, { code: 'no_models', provider: this.name, status: 404, cause: error });
+    }
+    return normalizeHttpError(error, this.name);
+  }
+}
+
+export default OllamaProvider;
@@ -0,0 +1,195 @@
+import axios from 'axios';
+import Logger from '../../utils/logger.js';
+import { LLMProviderError, normalizeHttpError } from './errors.js';
+
+const logger = new Logger('LLMProvider');
+
+/**
+ * Adapter for servers exposing the OpenAI chat completions API
+ *
+ * Also serves as the base class for LM Studio and llama.cpp, which speak
+ * the same protocol with a few differences in model discovery.
+ */
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.baseUrl - Server URL without the /v1 suffix
+   * @param {string} [options.apiKey] - Bearer token, if the server needs one
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor({ baseUrl, apiKey = '', timeout = 120000 } = {}) {
+    this.name = 'openai';
+    this.baseUrl = (baseUrl || '').replace(/\/+$/, '').replace(/\/v1$/, '');
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Request headers for this server
+   */
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * List models the server currently offers
+   * @returns {Promise<Array<{id: string, ownedBy: string|null}>>}
+   */
+  async listModels() {
+    try {
+      const response = await axios.get(`${this.baseUrl}/v1/models`, {
+        headers: this.headers(),
+        timeout: 10000
+      });
+      return (response.data?.data || []).map(model => ({
+        id: model.id,
+        ownedBy: model.owned_by || null
+      }));
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Pick the model to use, preferring one whose id contains the given name
+   * @param {string} preferredName - Preferred model name (fuzzy matched)
+   * @returns {Promise<string>} - Model id
+   */
+  async selectModel(preferredName) {
+    const models = await this.listModels();
+    if (models.length === 0) {
+      throw new LLMProviderError(`${this.name}: no models loaded`, { code: 'no_models', provider: this.name });
+    }
+
+    const wanted = (preferredName || '').toLowerCase();
+    const selected = wanted ? models.find(model => model.id.toLowerCase().includes(wanted)) : null;
+    return selected ? selected.id : models[0].id;
+  }
+
+  /**
+   * Map generic generation params onto the request body
+   * @param {Object} params - Generic generation parameters
+   * @returns {Object} - Provider specific request fields
+   */
+  mapParams(params = {}) {
+    const body = {
+      max_tokens: params.maxTokens,
+      temperature: params.temperature,
+      top_p: params.topP,
+      frequency_penalty: params.frequencyPenalty,
+      presence_penalty: params.presencePenalty
+    };
+    // top_k is not part of the OpenAI API but most local servers accept it
+    if (params.topK !== undefined && this.name !== 'openai') {
+      body.top_k = params.topK;
+    }
+    return body;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - Completion request
+   * @param {string} request.model - Model id
+   * @param {Array<{role: string, content: string}>} request.messages - Conversation
+   * @param {Object} [request.params] - Generic generation parameters
+   * @param {boolean} [request.stream] - Stream the response through onDelta
+   * @param {Function} [request.onDelta] - Called with each partial content chunk
+   * @param {AbortSignal} [request.signal] - Signal to abort the request
+   * @returns {Promise<{content: string, model: string, finishReason: string|null}>}
+   */
+  async chat({ model, messages, params = {}, stream = false, onDelta = null, signal = undefined }) {
+    const body = {
+      model,
+      messages,
+      ...this.mapParams(params),
+      stream
+    };
+
+    try {
+      if (!stream) {
+        const response = await axios.post(`${this.baseUrl}/v1/chat/completions`, body, {
+          headers: this.headers(),
+          timeout: this.timeout,
+          signal
+        });
+        const choice = response.data?.choices?.[0];
+        return {
+          content: choice?.message?.content || '',
+          model: response.data?.model || model,
+          finishReason: choice?.finish_reason || null
+        };
+      }
+
+      const response = await axios.post(`${this.baseUrl}/v1/chat/completions`, body, {
+        headers: this.headers(),
+        timeout: this.timeout,
+        responseType: 'stream',
+        signal
+      });
+      return await this.consumeEventStream(response.data, model, onDelta);
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Consume an SSE stream of chat completion chunks
+   * @param {Stream} stream - Response body stream
+   * @param {string} model - Model id used for the request
+   * @param {Function} onDelta - Called with each partial content chunk
+   */
+  async consumeEventStream(stream, model, onDelta) {
+    // Decode as utf8 on the stream so multi-byte characters split across chunks survive
+    stream.setEncoding('utf8');
+
+    let buffer = '';
+    let content = '';
+    let finishReason = null;
+
+    for await (const chunk of stream) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      // Keep the last, possibly incomplete, line for the next chunk
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const data = trimmed.slice(5).trim();
+        if (data === '[DONE]') {
+          return { content, model, finishReason };
+        }
+
+        try {
+          const choice = JSON.parse(data).choices?.[0];
+          const delta = choice?.delta?.content;
+          if (delta) {
+            content += delta;
+            if (onDelta) onDelta(delta);
+          }
+          finishReason = choice?.finish_reason || finishReason;
+        } catch (parseError) {
+          logger.debug(`Skipping malformed stream event: ${parseError.message}`);
+        }
+      }
+    }
+
+    return { content, model, finishReason };
+  }
+
+  /**
+   * Translate a failure into an LLMProviderError
+   * @param {Error} error - Original error
+   * @returns {LLMProviderError}
+   */
+  normalizeError(error) {
+    return normalizeHttpError(error, this.name);
+  }
+}
+
+export default OpenAICompatibleProvider;
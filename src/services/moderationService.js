@@ -0,0 +1,222 @@
+/**
+ * Moderation Service for BambiSleep Chat
+ *
+ * Authors can edit their chat messages for CHAT_EDIT_WINDOW_MINUTES and
+ * delete them for CHAT_DELETE_WINDOW_MINUTES after sending. Moderators of the
+ * room a message was sent in (see roomService) can edit and delete any message
+ * there at any time, and have to say why when it isn't their own.
+ *
+ * Edited text goes through the room's content filter like a new message.
+ * Edits keep the earlier versions on the message. Deleted messages stay as
+ * tombstones without their text so replies keep their place. Every change is
+ * recorded in ModerationAudit with the text before and after it.
+ */
+
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+import db from '../config/db.js';
+import Logger from '../utils/logger.js';
+import sessionService from './sessionService.js';
+import roomService from './roomService.js';
+import contentFilterService from './contentFilterService.js';
+
+const logger = new Logger('Moderation');
+
+const MESSAGE_MAX = 2000;
+const REASON_MAX = 500;
+const AUDIT_LIMIT = 200;
+
+const minutesSince = (date) => (Date.now() - new Date(date).getTime()) / 60000;
+
+async function loadMessage(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return { error: 'That message no longer exists' };
+
+  const { ChatMessage } = sessionService;
+  const message = await ChatMessage.findById(id).lean();
+  if (!message || message.deletedAt) return { error: 'That message no longer exists' };
+
+  const room = await roomService.getRoom(message.room || roomService.LOBBY);
+  return { message, room };
+}
+
+/**
+ * Whether a user may change a message, and in which role
+ * Own messages are changed as author, moderators' own messages have no time limit
+ *
+ * @param {Object} message - Chat message
+ * @param {Object} room - Room it was sent in
+ * @param {string} username - User changing it
+ * @param {number} windowMinutes - How long authors can change it
+ * @returns {{role?: string, error?: string}}
+ */
+function roleFor(message, room, username, windowMinutes) {
+  if (!roomService.canAccess(room, username)) return { error: 'You are no longer in that room' };
+
+  const own = message.username === username && username !== 'anonBambi';
+  const moderator = roomService.isModerator(room, username);
+
+  if (own && (moderator || minutesSince(message.timestamp) <= windowMinutes)) return { role: 'author' };
+  if (moderator) return { role: 'moderator' };
+  if (own) return { error: `Messages can only be changed for ${windowMinutes} minutes after sending` };
+  return { error: 'You can only change your own messages' };
+}
+
+function cleanReason(reason, role) {
+  const text = String(reason || '').trim();
+  if (text.length > REASON_MAX) return { error: `A reason is up to ${REASON_MAX} characters` };
+  if (role === 'moderator' && !text) return { error: 'Say why you are changing someone else\'s message' };
+  return { reason: text };
+}
+
+async function recordAudit(entry) {
+  try {
+    const { default: ModerationAudit } = await import('../models/ModerationAudit.js');
+    await ModerationAudit.create(entry);
+  } catch (error) {
+    logger.error(`Failed to record ${entry.action} of ${entry.messageId} by ${entry.actor}: ${error.message}`);
+  }
+}
+
+/**
+ * Change the text of a message, the earlier text is kept in its edit history
+ *
+ * @param {string} id - Message id
+ * @param {string} username - User editing
+ * @param {string} text - New text
+ * @param {string} [reason] - Why, required for moderators
+ * @returns {Promise<{success: boolean, message?: Object, room?: Object, role?: string, error?: string}>}
+ */
+export async function editMessage(id, username, text, reason = '') {
+  const data = String(text || '').trim();
+  if (!data) return { success: false, error: 'Write something first, or delete the message' };
+  if (data.length > MESSAGE_MAX) return { success: false, error: `Messages are up to ${MESSAGE_MAX} characters` };
+  if (!db.hasConnection()) return { success: false, error: 'Messages can\'t be changed right now, please try again later' };
+
+  try {
+    const { message, room, error } = await loadMessage(id);
+    if (error) return { success: false, error };
+
+    const access = roleFor(message, room, username, config.CHAT_EDIT_WINDOW_MINUTES);
+    if (access.error) return { success: false, error: access.error };
+    const cleaned = cleanReason(reason, access.role);
+    if (cleaned.error) return { success: false, error: cleaned.error };
+
+    const screened = await contentFilterService.screenText(data, {
+      context: 'chat',
+      policy: room.settings.contentPolicy,
+      room: room.slug,
+      username
+    });
+    if (screened.blocked) return { success: false, error: 'That message breaks the content rules of this room' };
+    if (screened.text === message.data) return { success: false, error: 'Nothing changed' };
+
+    const now = new Date();
+    const updated = await sessionService.ChatMessage.findOneAndUpdate(
+      { _id: message._id, deletedAt: null },
+      {
+        $set: {
+          data: screened.text,
+          editedAt: now,
+          urls: sessionService.findUrls(screened.text),
+          mentions: sessionService.findMentions(screened.text)
+        },
+        $push: { edits: { data: message.data, editedAt: now, editedBy: username } }
+      },
+      { new: true }
+    ).lean();
+    if (!updated) return { success: false, error: 'That message no longer exists' };
+
+    await recordAudit({
+      action: 'edit',
+      messageId: message._id,
+      room: room.slug,
+      actor: username,
+      author: message.username,
+      role: access.role,
+      reason: cleaned.reason,
+      before: message.data,
+      after: screened.text
+    });
+
+    logger.info(`${username} edited message ${message._id} as ${access.role}`);
+    return { success: true, message: updated, room, role: access.role };
+  } catch (error) {
+    logger.error(`Failed to edit message ${id}: ${error.message}`);
+    return { success: false, error: 'Could not edit the message' };
+  }
+}
+
+/**
+ * Turn a message into a tombstone, its text and edit history only stay in the audit
+ *
+ * @param {string} id - Message id
+ * @param {string} username - User deleting
+ * @param {string} [reason] - Why, required for moderators
+ * @returns {Promise<{success: boolean, message?: Object, room?: Object, role?: string, error?: string}>}
+ */
+export async function deleteMessage(id, username, reason = '') {
+  if (!db.hasConnection()) return { success: false, error: 'Messages can\'t be changed right now, please try again later' };
+
+  try {
+    const { message, room, error } = await loadMessage(id);
+    if (error) return { success: false, error };
+
+    const access = roleFor(message, room, username, config.CHAT_DELETE_WINDOW_MINUTES);
+    if (access.error) return { success: false, error: access.error };
+    const cleaned = cleanReason(reason, access.role);
+    if (cleaned.error) return { success: false, error: cleaned.error };
+
+    const updated = await sessionService.ChatMessage.findOneAndUpdate(
+      { _id: message._id, deletedAt: null },
+      { $set: { data: '', edits: [], urls: [], mentions: [], deletedAt: new Date(), deletedBy: username } },
+      { new: true }
+    ).lean();
+    if (!updated) return { success: false, error: 'That message no longer exists' };
+
+    await recordAudit({
+      action: 'delete',
+      messageId: message._id,
+      room: room.slug,
+      actor: username,
+      author: message.username,
+      role: access.role,
+      reason: cleaned.reason,
+      before: message.data
+    });
+
+    logger.info(`${username} deleted message ${message._id} as ${access.role}`);
+    return { success: true, message: updated, room, role: access.role };
+  } catch (error) {
+    logger.error(`Failed to delete message ${id}: ${error.message}`);
+    return { success: false, error: 'Could not delete the message' };
+  }
+}
+
+/**
+ * Recent edits and deletes, newest first
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.room] - Room slug
+ * @param {string} [filter.actor] - User who made the changes
+ * @param {string} [filter.messageId] - One message
+ * @param {number} [filter.limit] - Up to 200
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listAudit({ room, actor, messageId, limit = 50 } = {}) {
+  const { default: ModerationAudit } = await import('../models/ModerationAudit.js');
+  const query = {};
+  if (room) query.room = room;
+  if (actor) query.actor = actor;
+  if (messageId) query.messageId = messageId;
+
+  return ModerationAudit.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), AUDIT_LIMIT))
+    .lean();
+}
+
+export default {
+  editMessage,
+  deleteMessage,
+  listAudit
+};
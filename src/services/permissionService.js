@@ -0,0 +1,391 @@
+/**
+ * Permission Service for BambiSleep Chat
+ *
+ * Targeted audio, triggers, collar text and private messages only reach a
+ * user who allowed the sender to send that kind. Permission is asked for over
+ * sockets: the sender requests, the receiver accepts or declines. Grants can
+ * be revoked at any time.
+ *
+ * Users on someone's block list can't reach them at all: their targeted
+ * events, audio broadcasts, mentions, private messages and permission
+ * requests are dropped without telling them.
+ *
+ * Grants and blocks are saved on the Profile and cached in memory, so delivery
+ * checks for users who are online don't wait on the database. Entries nobody
+ * asked about for CACHE_TTL are dropped, the least recently used go first once
+ * there are more than CACHE_LIMIT, and a check for someone not cached reads
+ * their profile. Guests can't grant, ask for or receive anything until they
+ * have an account.
+ */
+
+import crypto from 'crypto';
+import db from '../config/db.js';
+import Logger from '../utils/logger.js';
+import { isGuest } from '../utils/auth.js';
+
+const logger = new Logger('Permissions');
+
+export const KINDS = ['audio', 'triggers', 'collar', 'messages'];
+
+const REQUEST_TTL = 24 * 60 * 60 * 1000;
+const MAX_PENDING_PER_USER = 20;
+const CACHE_TTL = 30 * 60 * 1000;
+const CACHE_LIMIT = 5000;
+
+// Lowercased user name -> { grants: Map(lowercased name -> { username, kinds: Set, grantedAt }), blocked: Map(lowercased name -> username), usedAt }
+// Kept in least recently used order
+const cache = new Map();
+
+// Lowercased user name -> profile read in progress, so concurrent checks share one
+const loading = new Map();
+
+// Request id -> { id, from, to, kinds, createdAt }
+const requests = new Map();
+
+const keyOf = (username) => String(username || '').toLowerCase();
+
+function isNamed(username) {
+  return Boolean(username) && username !== 'anonBambi' && !isGuest(username);
+}
+
+function emptyEntry() {
+  return { grants: new Map(), blocked: new Map() };
+}
+
+function toEntry(permissions) {
+  const entry = emptyEntry();
+  for (const grant of permissions?.grants || []) {
+    const kinds = (grant.kinds || []).filter(kind => KINDS.includes(kind));
+    if (grant.username && kinds.length > 0) {
+      entry.grants.set(keyOf(grant.username), { username: grant.username, kinds: new Set(kinds), grantedAt: grant.grantedAt || null });
+    }
+  }
+  for (const username of permissions?.blocked || []) {
+    entry.blocked.set(keyOf(username), username);
+  }
+  return entry;
+}
+
+function cachedEntry(key, now = Date.now()) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+
+  cache.delete(key);
+  if (now - entry.usedAt >= CACHE_TTL) return null;
+
+  entry.usedAt = now;
+  cache.set(key, entry);
+  return entry;
+}
+
+function remember(key, entry) {
+  entry.usedAt = Date.now();
+  cache.delete(key);
+  cache.set(key, entry);
+
+  for (const oldest of cache.keys()) {
+    if (cache.size <= CACHE_LIMIT) break;
+    cache.delete(oldest);
+  }
+}
+
+function fromEntry(entry) {
+  return {
+    grants: [...entry.grants.values()].map(grant => ({
+      username: grant.username,
+      kinds: [...grant.kinds],
+      grantedAt: grant.grantedAt
+    })),
+    blocked: [...entry.blocked.values()]
+  };
+}
+
+async function readPermissions(username) {
+  if (!db.hasConnection()) return emptyEntry();
+
+  try {
+    const { default: Profile } = await import('../models/Profile.js');
+    const profile = await Profile.findOne({ username }, { permissions: 1 }).lean();
+    return toEntry(profile?.permissions);
+  } catch (error) {
+    logger.error(`Failed to load permissions for ${username}: ${error.message}`);
+    return emptyEntry();
+  }
+}
+
+/**
+ * Load a user's grants and blocks into memory
+ *
+ * @param {string} username - User name
+ * @param {boolean} [force] - Read the profile again even when already loaded
+ * @returns {Promise<Object>} - Cached entry
+ */
+export async function loadPermissions(username, force = false) {
+  const key = keyOf(username);
+  if (!isNamed(username)) return emptyEntry();
+
+  const cached = force ? null : cachedEntry(key);
+  if (cached) return cached;
+
+  if (!loading.has(key)) {
+    loading.set(key, readPermissions(username).then((entry) => {
+      remember(key, entry);
+      return entry;
+    }).finally(() => loading.delete(key)));
+  }
+  return loading.get(key);
+}
+
+async function savePermissions(username, entry) {
+  if (!db.hasConnection()) {
+    logger.warning(`Database unavailable, permissions for ${username} are only kept in memory for now`);
+    return;
+  }
+
+  try {
+    const { default: Profile } = await import('../models/Profile.js');
+    await Profile.updateOne({ username }, { $set: { permissions: fromEntry(entry) } });
+  } catch (error) {
+    logger.error(`Failed to save permissions for ${username}: ${error.message}`);
+  }
+}
+
+/**
+ * Whether a user blocked another one
+ *
+ * @param {string} owner - User who may have blocked
+ * @param {string} username - User who may be blocked
+ * @returns {Promise<boolean>}
+ */
+export async function isBlocked(owner, username) {
+  if (!isNamed(owner)) return false;
+  const entry = await loadPermissions(owner);
+  return entry.blocked.has(keyOf(username));
+}
+
+/**
+ * Whether a targeted event may be delivered
+ * Users can always target themselves, anonymous users can't grant anything
+ *
+ * @param {string} from - Sender
+ * @param {string} to - Receiver
+ * @param {string} kind - audio, triggers, collar or messages
+ * @returns {Promise<boolean>}
+ */
+export async function canDeliver(from, to, kind) {
+  if (!isNamed(to)) return false;
+  if (isNamed(from) && keyOf(from) === keyOf(to)) return true;
+  if (!isNamed(from)) return false;
+
+  const entry = await loadPermissions(to);
+  if (entry.blocked.has(keyOf(from))) return false;
+  return Boolean(entry.grants.get(keyOf(from))?.kinds.has(kind));
+}
+
+function validKinds(kinds) {
+  const list = [...new Set(Array.isArray(kinds) ? kinds : [kinds])];
+  return list.length > 0 && list.every(kind => KINDS.includes(kind)) ? list : null;
+}
+
+function dropExpiredRequests(now = Date.now()) {
+  for (const [id, request] of requests) {
+    if (now - request.createdAt >= REQUEST_TTL) requests.delete(id);
+  }
+}
+
+function describeRequest(request) {
+  return {
+    requestId: request.id,
+    from: request.from,
+    to: request.to,
+    kinds: request.kinds,
+    createdAt: new Date(request.createdAt).toISOString()
+  };
+}
+
+/**
+ * Ask a user for permission to send them targeted events
+ * A request to someone who blocked the sender looks sent but is dropped
+ *
+ * @param {string} from - User asking
+ * @param {string} to - User asked
+ * @param {Array<string>} kinds - audio, triggers, collar and/or messages
+ * @returns {Promise<{success: boolean, request?: Object, dropped?: boolean, error?: string}>}
+ */
+export async function requestPermission(from, to, kinds) {
+  if (!isNamed(from)) return { success: false, error: 'Log in or create an account first' };
+  if (!isNamed(to) || keyOf(from) === keyOf(to)) return { success: false, error: 'Choose another user' };
+
+  const wanted = validKinds(kinds);
+  if (!wanted) return { success: false, error: `Ask for any of: ${KINDS.join(', ')}` };
+
+  const entry = await loadPermissions(to);
+  if (entry.blocked.has(keyOf(from))) return { success: true, dropped: true };
+
+  const granted = entry.grants.get(keyOf(from))?.kinds || new Set();
+  const missing = wanted.filter(kind => !granted.has(kind));
+  if (missing.length === 0) return { success: false, error: `${to} already allows that` };
+
+  dropExpiredRequests();
+
+  // A newer request replaces the last one to the same user
+  for (const [id, request] of requests) {
+    if (keyOf(request.to) === keyOf(to) && keyOf(request.from) === keyOf(from)) requests.delete(id);
+  }
+  const pending = [...requests.values()].filter(request => keyOf(request.to) === keyOf(to));
+  if (pending.length >= MAX_PENDING_PER_USER) {
+    return { success: false, error: `${to} has too many open requests` };
+  }
+
+  const request = { id: crypto.randomUUID(), from, to, kinds: missing, createdAt: Date.now() };
+  requests.set(request.id, request);
+  logger.info(`${from} asked ${to} for ${missing.join(', ')}`);
+  return { success: true, request: describeRequest(request) };
+}
+
+/**
+ * Accept or decline a permission request
+ *
+ * @param {string} username - User who was asked
+ * @param {string} requestId - Request id
+ * @param {boolean} accept - Whether to grant it
+ * @returns {Promise<{success: boolean, request?: Object, error?: string}>}
+ */
+export async function respondToRequest(username, requestId, accept) {
+  dropExpiredRequests();
+  const request = requests.get(requestId);
+  if (!request || keyOf(request.to) !== keyOf(username)) {
+    return { success: false, error: 'That request is no longer open' };
+  }
+  requests.delete(requestId);
+
+  if (accept) {
+    await grant(username, request.from, request.kinds);
+  }
+  logger.info(`${username} ${accept ? 'accepted' : 'declined'} ${request.from}'s request for ${request.kinds.join(', ')}`);
+  return { success: true, request: describeRequest(request) };
+}
+
+/**
+ * Allow a user to send targeted events
+ *
+ * @param {string} owner - User giving permission
+ * @param {string} username - User receiving it
+ * @param {Array<string>} kinds - audio, triggers, collar and/or messages
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function grant(owner, username, kinds) {
+  const added = validKinds(kinds);
+  if (!isNamed(owner) || !isNamed(username) || !added) return { success: false, error: 'Invalid permission' };
+
+  const entry = await loadPermissions(owner);
+  const current = entry.grants.get(keyOf(username));
+  entry.grants.set(keyOf(username), {
+    username,
+    kinds: new Set([...(current?.kinds || []), ...added]),
+    grantedAt: new Date()
+  });
+
+  await savePermissions(owner, entry);
+  return { success: true };
+}
+
+/**
+ * Take back permission, all kinds when none are given
+ *
+ * @param {string} owner - User who gave permission
+ * @param {string} username - User who had it
+ * @param {Array<string>} [kinds] - Kinds to take back
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function revoke(owner, username, kinds = null) {
+  if (!isNamed(owner)) return { success: false, error: 'Log in or create an account first' };
+
+  const entry = await loadPermissions(owner);
+  const current = entry.grants.get(keyOf(username));
+  if (!current) return { success: true };
+
+  const removed = kinds ? validKinds(kinds) : KINDS;
+  if (!removed) return { success: false, error: 'Invalid permission' };
+
+  removed.forEach(kind => current.kinds.delete(kind));
+  if (current.kinds.size === 0) entry.grants.delete(keyOf(username));
+
+  await savePermissions(owner, entry);
+  return { success: true };
+}
+
+/**
+ * Block a user, which also takes back everything they were allowed
+ *
+ * @param {string} owner - User blocking
+ * @param {string} username - User to block
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function block(owner, username) {
+  if (!isNamed(owner)) return { success: false, error: 'Log in or create an account first' };
+  if (!isNamed(username) || keyOf(owner) === keyOf(username)) return { success: false, error: 'Choose another user' };
+
+  const entry = await loadPermissions(owner);
+  entry.grants.delete(keyOf(username));
+  entry.blocked.set(keyOf(username), username);
+
+  for (const [id, request] of requests) {
+    if (keyOf(request.to) === keyOf(owner) && keyOf(request.from) === keyOf(username)) requests.delete(id);
+  }
+
+  await savePermissions(owner, entry);
+  logger.info(`${owner} blocked ${username}`);
+  return { success: true };
+}
+
+/**
+ * Take a user off the block list
+ *
+ * @param {string} owner - User who blocked
+ * @param {string} username - Blocked user
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function unblock(owner, username) {
+  if (!isNamed(owner)) return { success: false, error: 'Log in or create an account first' };
+
+  const entry = await loadPermissions(owner);
+  if (entry.blocked.delete(keyOf(username))) {
+    await savePermissions(owner, entry);
+  }
+  return { success: true };
+}
+
+/**
+ * Grants, blocks and open requests for a user
+ *
+ * @param {string} username - User name
+ * @returns {Promise<{grants: Array<Object>, blocked: Array<string>, incoming: Array<Object>, outgoing: Array<Object>}>}
+ */
+export async function listPermissions(username) {
+  if (!isNamed(username)) return { grants: [], blocked: [], incoming: [], outgoing: [] };
+
+  dropExpiredRequests();
+  const entry = await loadPermissions(username);
+  const open = [...requests.values()];
+
+  return {
+    ...fromEntry(entry),
+    incoming: open.filter(request => keyOf(request.to) === keyOf(username)).map(describeRequest),
+    outgoing: open.filter(request => keyOf(request.from) === keyOf(username)).map(describeRequest)
+  };
+}
+
+export default {
+  KINDS,
+  loadPermissions,
+  isBlocked,
+  canDeliver,
+  requestPermission,
+  respondToRequest,
+  grant,
+  revoke,
+  block,
+  unblock,
+  listPermissions
+};
@@ -0,0 +1,234 @@
+/**
+ * Persona Service for BambiSleep Chat
+ *
+ * Renders AIGF system prompts from versioned persona templates. Templates
+ * live in src/config/personas.json and can be overridden or extended by
+ * PersonaTemplate documents in the database.
+ *
+ * Template syntax:
+ * - {{name}} inserts a variable
+ * - {{#name}}...{{/name}} keeps the block only when the variable is set
+ *
+ * Variables: username, triggerList, collar, collarText, limits
+ */
+
+import config from '../config/config.js';
+import db from '../config/db.js';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import Logger from '../utils/logger.js';
+import path from 'path';
+
+const logger = new Logger('PersonaService');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PERSONAS_PATH = path.resolve(__dirname, '../config/personas.json');
+const TRIGGERS_PATH = path.resolve(__dirname, '../config/triggers.json');
+
+// Parsed personas file, reloaded when the file changes so edits need no restart
+let fileCache = { mtimeMs: 0, defaultPersona: null, personas: [] };
+
+function loadFilePersonas() {
+  try {
+    const { mtimeMs } = fs.statSync(PERSONAS_PATH);
+    if (mtimeMs !== fileCache.mtimeMs) {
+      const data = JSON.parse(fs.readFileSync(PERSONAS_PATH, 'utf8'));
+      fileCache = {
+        mtimeMs,
+        defaultPersona: data.defaultPersona || null,
+        personas: (data.personas || []).map(persona => ({
+          name: persona.name,
+          version: persona.version || 1,
+          description: persona.description || '',
+          template: Array.isArray(persona.template) ? persona.template.join('\n') : String(persona.template || ''),
+          source: 'file'
+        }))
+      };
+      logger.info(`Loaded ${fileCache.personas.length} persona templates from file`);
+    }
+  } catch (error) {
+    logger.error(`Failed to load persona templates: ${error.message}`);
+  }
+  return fileCache;
+}
+
+async function loadDbPersonas(name = null) {
+  if (!db.hasConnection()) return [];
+
+  try {
+    const { default: PersonaTemplate } = await import('../models/PersonaTemplate.js');
+    const query = name ? { name, enabled: true } : { enabled: true };
+    const templates = await PersonaTemplate.find(query).lean();
+    return templates.map(template => ({
+      name: template.name,
+      version: template.version,
+      description: template.description || '',
+      template: template.template,
+      source: 'database'
+    }));
+  } catch (error) {
+    logger.warning(`Persona overrides unavailable: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Resolve a persona template
+ * Database versions replace file versions with the same number
+ *
+ * @param {string} [name] - Persona name, defaults to AIGF_PERSONA or the file default
+ * @param {number} [version] - Specific version, defaults to the latest
+ * @returns {Promise<Object>} - { name, version, description, template, source }
+ */
+export async function getPersona(name = null, version = null) {
+  const file = loadFilePersonas();
+  const personaName = name || config.AIGF_PERSONA || file.defaultPersona;
+
+  const versions = new Map();
+  for (const persona of file.personas.filter(p => p.name === personaName)) {
+    versions.set(persona.version, persona);
+  }
+  for (const persona of await loadDbPersonas(personaName)) {
+    versions.set(persona.version, persona);
+  }
+
+  if (versions.size === 0) {
+    if (personaName !== file.defaultPersona && file.defaultPersona) {
+      logger.warning(`Unknown persona "${personaName}", using ${file.defaultPersona}`);
+      return getPersona(file.defaultPersona);
+    }
+    throw new Error(`No persona template named "${personaName}"`);
+  }
+
+  if (version && versions.has(Number(version))) {
+    return versions.get(Number(version));
+  }
+  if (version) {
+    logger.warning(`Persona ${personaName} has no version ${version}, using the latest`);
+  }
+  return versions.get(Math.max(...versions.keys()));
+}
+
+/**
+ * All personas with their available versions
+ *
+ * @returns {Promise<Array>} - [{ name, description, versions, latest }]
+ */
+export async function listPersonas() {
+  const file = loadFilePersonas();
+  const byName = new Map();
+
+  for (const persona of [...file.personas, ...await loadDbPersonas()]) {
+    const entry = byName.get(persona.name) || { name: persona.name, description: '', versions: [] };
+    if (!entry.versions.includes(persona.version)) entry.versions.push(persona.version);
+    entry.description = persona.description || entry.description;
+    byName.set(persona.name, entry);
+  }
+
+  return [...byName.values()].map(entry => {
+    entry.versions.sort((a, b) => a - b);
+    return {
+      ...entry,
+      latest: entry.versions[entry.versions.length - 1],
+      isDefault: entry.name === (config.AIGF_PERSONA || file.defaultPersona)
+    };
+  });
+}
+
+/**
+ * Render a template with variables
+ *
+ * @param {string} template - Template text
+ * @param {Object} variables - Values for the placeholders
+ * @returns {string} - Rendered text
+ */
+export function renderTemplate(template, variables = {}) {
+  const isSet = (value) => Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+  const rendered = template
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, body) =>
+      isSet(variables[name]) ? renderTemplate(body, variables) : '')
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => {
+      const value = variables[name];
+      if (value === undefined || value === null) return '';
+      return Array.isArray(value) ? value.join('\n') : String(value);
+    });
+
+  // Blocks that were left out leave blank lines behind
+  return rendered.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Describe the selected triggers as "NAME - description" lines
+ * Falls back to a few core triggers when none match
+ *
+ * @param {Array} triggerNames - Active trigger names
+ * @returns {string} - One trigger per line
+ */
+export function describeTriggers(triggerNames) {
+  let allTriggers = [];
+  const triggerArray = Array.isArray(triggerNames) ? triggerNames : [];
+
+  try {
+    if (fs.existsSync(TRIGGERS_PATH)) {
+      allTriggers = JSON.parse(fs.readFileSync(TRIGGERS_PATH, 'utf8')).triggers;
+    }
+  } catch (error) {
+    logger.error(`Failed to load triggers from JSON: ${error.message}`);
+    allTriggers = [];
+  }
+
+  // Match trigger names to descriptions - with null checks
+  let selectedTriggers = allTriggers.filter(t =>
+    triggerArray.some(name =>
+      name && t && t.name && String(name).toUpperCase() === t.name.toUpperCase()
+    )
+  );
+
+  // Default to core triggers if none found
+  if (selectedTriggers.length === 0) {
+    selectedTriggers = allTriggers.filter(t => t.category === 'core').slice(0, 3);
+  }
+
+  return selectedTriggers.map(t => `${t.name.toUpperCase()} - ${t.description}`).join('\n');
+}
+
+/**
+ * Render the system prompt for a user
+ *
+ * @param {Object} options - Prompt inputs
+ * @param {string} options.username - User the AIGF talks to
+ * @param {Array} [options.triggers] - Active trigger names
+ * @param {boolean} [options.collar] - Whether the collar is active
+ * @param {string} [options.collarText] - Collar text
+ * @param {Array} [options.limits] - Topics the user never wants to see
+ * @param {string} [options.persona] - Persona name
+ * @param {number} [options.version] - Persona version, defaults to the latest
+ * @returns {Promise<{prompt: string, persona: {name: string, version: number, source: string}}>}
+ */
+export async function renderPersonaPrompt({ username, triggers = [], collar = false, collarText = '', limits = [], persona = null, version = null }) {
+  const template = await getPersona(persona, version);
+
+  const prompt = renderTemplate(template.template, {
+    username,
+    triggerList: describeTriggers(triggers),
+    collar,
+    collarText,
+    limits: (limits || []).map(limit => `- ${limit}`)
+  });
+
+  return {
+    prompt,
+    persona: { name: template.name, version: template.version, source: template.source }
+  };
+}
+
+export default {
+  getPersona,
+  listPersonas,
+  renderTemplate,
+  describeTriggers,
+  renderPersonaPrompt
+};
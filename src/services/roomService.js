@@ -0,0 +1,454 @@
+/**
+ * Room Service for BambiSleep Chat
+ *
+ * Chat happens in rooms: the lobby everyone starts in, plus rooms users
+ * create. Public rooms are listed for everyone and anyone may join them,
+ * private rooms only for members the owner or a moderator invited.
+ *
+ * Chat messages, audio triggers and mentions stay in the room they were sent
+ * in. Each room has its own history and moderation settings.
+ *
+ * Rooms are kept in memory once loaded so every chat message doesn't wait on
+ * the database. Creating and changing rooms needs the database.
+ *
+ * Accounts listed in CHAT_MODERATORS moderate every room, the lobby included.
+ */
+
+import config from '../config/config.js';
+import db from '../config/db.js';
+import Logger from '../utils/logger.js';
+import { isGuest } from '../utils/auth.js';
+import contentFilterService from './contentFilterService.js';
+
+const logger = new Logger('Rooms');
+
+export const LOBBY = 'lobby';
+
+const NAME_PATTERN = /^[\p{L}\p{N} _.'-]{2,40}$/u;
+const DESCRIPTION_MAX = 200;
+const HISTORY_MAX = 200;
+const SLOW_MODE_MAX = 3600;
+const MAX_OWNED_ROOMS = 10;
+const LIST_LIMIT = 100;
+
+const LOBBY_DEFAULTS = {
+  slug: LOBBY,
+  name: 'Lobby',
+  description: 'Where everyone starts',
+  visibility: 'public',
+  owner: null,
+  moderators: [],
+  members: [],
+  settings: { allowGuests: true, audioTriggers: true, historyLimit: 50, slowModeSeconds: 0, contentPolicy: contentFilterService.DEFAULT_POLICY }
+};
+
+// Slug -> room
+const cache = new Map();
+
+function hasAccount(username) {
+  return Boolean(username) && username !== 'anonBambi' && !isGuest(username);
+}
+
+function toRoom(doc) {
+  return {
+    slug: doc.slug,
+    name: doc.name,
+    description: doc.description || '',
+    visibility: doc.visibility || 'public',
+    owner: doc.owner || null,
+    moderators: doc.moderators || [],
+    members: doc.members || [],
+    settings: { ...LOBBY_DEFAULTS.settings, ...(doc.settings || {}) }
+  };
+}
+
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 30);
+}
+
+/**
+ * Socket.IO room a chat room's sockets are in
+ *
+ * @param {string} slug - Room slug
+ * @returns {string}
+ */
+export function roomChannel(slug) {
+  return `room:${slug}`;
+}
+
+/**
+ * Find a room
+ *
+ * @param {string} slug - Room slug
+ * @returns {Promise<Object|null>}
+ */
+export async function getRoom(slug) {
+  const key = String(slug || '').toLowerCase();
+  if (cache.has(key)) return cache.get(key);
+
+  if (db.hasConnection()) {
+    try {
+      const { default: ChatRoom } = await import('../models/ChatRoom.js');
+      const doc = await ChatRoom.findOne({ slug: key }).lean();
+      if (doc) {
+        const room = toRoom(doc);
+        cache.set(key, room);
+        return room;
+      }
+    } catch (error) {
+      logger.error(`Failed to load room ${key}: ${error.message}`);
+      return key === LOBBY ? toRoom(LOBBY_DEFAULTS) : null;
+    }
+  }
+
+  // The lobby exists even before anyone changed its settings
+  if (key === LOBBY) {
+    const room = toRoom(LOBBY_DEFAULTS);
+    cache.set(key, room);
+    return room;
+  }
+  return null;
+}
+
+/**
+ * Whether a user moderates every room
+ *
+ * @param {string} username - User name
+ * @returns {boolean}
+ */
+export function isSiteModerator(username) {
+  if (!hasAccount(username)) return false;
+  const name = username.toLowerCase();
+  return (config.CHAT_MODERATORS || []).some(moderator => moderator.toLowerCase() === name);
+}
+
+/**
+ * Whether a user runs a room
+ *
+ * @param {Object} room - Room
+ * @param {string} username - User name
+ * @returns {boolean}
+ */
+export function isModerator(room, username) {
+  if (!room || !hasAccount(username)) return false;
+  return room.owner === username || room.moderators.includes(username) || isSiteModerator(username);
+}
+
+/**
+ * Whether a user may be in a room and read its history
+ *
+ * @param {Object} room - Room
+ * @param {string} username - User name
+ * @returns {boolean}
+ */
+export function canAccess(room, username) {
+  if (!room) return false;
+  if (room.visibility === 'private') {
+    return isModerator(room, username) || room.members.includes(username);
+  }
+  return room.settings.allowGuests || hasAccount(username);
+}
+
+/**
+ * Whether a user may scroll back through or search a room's history
+ * A history limit of 0 keeps earlier messages out of view for everyone
+ *
+ * @param {Object} room - Room
+ * @param {string} username - User name
+ * @returns {boolean}
+ */
+export function canReadHistory(room, username) {
+  return canAccess(room, username) && room.settings.historyLimit > 0;
+}
+
+/**
+ * Room as sent to a user
+ *
+ * @param {Object} room - Room
+ * @param {string} username - User it is described for
+ * @returns {Object}
+ */
+export function describeRoom(room, username) {
+  const moderator = isModerator(room, username);
+  return {
+    slug: room.slug,
+    name: room.name,
+    description: room.description,
+    visibility: room.visibility,
+    owner: room.owner,
+    memberCount: room.members.length,
+    member: room.members.includes(username),
+    moderator,
+    settings: room.settings,
+    // Only people who run a private room see who is in it
+    members: moderator && room.visibility === 'private' ? room.members : undefined
+  };
+}
+
+/**
+ * Rooms a user can see: the lobby, public rooms and private rooms they are in
+ *
+ * @param {string} username - User name
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listRooms(username) {
+  const lobby = await getRoom(LOBBY);
+  const rooms = [];
+
+  if (db.hasConnection()) {
+    try {
+      const { default: ChatRoom } = await import('../models/ChatRoom.js');
+      const visible = [{ visibility: 'public' }];
+      if (hasAccount(username)) visible.push({ members: username }, { owner: username });
+
+      const docs = await ChatRoom.find({ slug: { $ne: LOBBY }, $or: visible })
+        .sort({ createdAt: 1 })
+        .limit(LIST_LIMIT)
+        .lean();
+      docs.forEach(doc => {
+        const room = toRoom(doc);
+        cache.set(room.slug, room);
+        rooms.push(room);
+      });
+    } catch (error) {
+      logger.error(`Failed to list rooms: ${error.message}`);
+    }
+  }
+
+  return [lobby, ...rooms]
+    .filter(room => canAccess(room, username))
+    .map(room => describeRoom(room, username));
+}
+
+async function saveRoom(slug, update) {
+  const { default: ChatRoom } = await import('../models/ChatRoom.js');
+  const doc = await ChatRoom.findOneAndUpdate({ slug }, update, { new: true }).lean();
+  if (!doc) return null;
+
+  const room = toRoom(doc);
+  cache.set(room.slug, room);
+  return room;
+}
+
+/**
+ * Create a room, the owner is its first member
+ *
+ * @param {string} owner - User creating it
+ * @param {Object} data - name, description, visibility
+ * @returns {Promise<{success: boolean, room?: Object, error?: string}>}
+ */
+export async function createRoom(owner, { name, description = '', visibility = 'public' } = {}) {
+  if (!hasAccount(owner)) return { success: false, error: 'Log in or create an account to open a room' };
+
+  const roomName = String(name || '').trim();
+  if (!NAME_PATTERN.test(roomName)) {
+    return { success: false, error: 'A room name needs 2 to 40 letters, numbers, spaces or punctuation' };
+  }
+  if (!['public', 'private'].includes(visibility)) {
+    return { success: false, error: 'A room is public or private' };
+  }
+  if (!db.hasConnection()) {
+    return { success: false, error: 'Rooms can\'t be created right now, please try again later' };
+  }
+
+  try {
+    const { default: ChatRoom } = await import('../models/ChatRoom.js');
+    if (await ChatRoom.countDocuments({ owner }) >= MAX_OWNED_ROOMS) {
+      return { success: false, error: `You can open up to ${MAX_OWNED_ROOMS} rooms` };
+    }
+
+    let slug = slugify(roomName) || 'room';
+    if (slug === LOBBY || await ChatRoom.exists({ slug })) {
+      slug = `${slug.slice(0, 25)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    const doc = await ChatRoom.create({
+      slug,
+      name: roomName,
+      description: String(description || '').trim().slice(0, DESCRIPTION_MAX),
+      visibility,
+      owner,
+      members: [owner]
+    });
+
+    const room = toRoom(doc.toObject());
+    cache.set(room.slug, room);
+    logger.info(`${owner} opened ${visibility} room ${slug}`);
+    return { success: true, room };
+  } catch (error) {
+    logger.error(`Failed to create room for ${owner}: ${error.message}`);
+    return { success: false, error: 'Could not create the room' };
+  }
+}
+
+/**
+ * Join a room, public rooms are remembered in the user's room list
+ *
+ * @param {string} slug - Room slug
+ * @param {string} username - User joining
+ * @returns {Promise<{success: boolean, room?: Object, error?: string}>}
+ */
+export async function joinRoom(slug, username) {
+  const room = await getRoom(slug);
+  if (!room || !canAccess(room, username)) {
+    return { success: false, error: 'That room doesn\'t exist or you are not a member' };
+  }
+
+  if (room.slug !== LOBBY && hasAccount(username) && !room.members.includes(username) && db.hasConnection()) {
+    try {
+      return { success: true, room: await saveRoom(room.slug, { $addToSet: { members: username } }) || room };
+    } catch (error) {
+      logger.error(`Failed to add ${username} to ${room.slug}: ${error.message}`);
+    }
+  }
+  return { success: true, room };
+}
+
+/**
+ * Leave a room for good, a private room needs a new invite to come back
+ *
+ * @param {string} slug - Room slug
+ * @param {string} username - User leaving
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function leaveRoom(slug, username) {
+  const room = await getRoom(slug);
+  if (!room) return { success: false, error: 'That room doesn\'t exist' };
+  if (room.slug === LOBBY) return { success: false, error: 'The lobby can\'t be left' };
+  if (room.owner === username) return { success: false, error: 'Owners can\'t leave their own room' };
+  if (!db.hasConnection()) return { success: false, error: 'Rooms can\'t be changed right now, please try again later' };
+
+  try {
+    await saveRoom(room.slug, { $pull: { members: username, moderators: username } });
+    return { success: true };
+  } catch (error) {
+    logger.error(`Failed to remove ${username} from ${room.slug}: ${error.message}`);
+    return { success: false, error: 'Could not leave the room' };
+  }
+}
+
+/**
+ * Add a user to a room's members
+ *
+ * @param {string} slug - Room slug
+ * @param {string} by - Owner or moderator inviting
+ * @param {string} username - User invited, needs an account
+ * @returns {Promise<{success: boolean, room?: Object, error?: string}>}
+ */
+export async function inviteToRoom(slug, by, username) {
+  const room = await getRoom(slug);
+  if (!room || !isModerator(room, by)) return { success: false, error: 'Only the people running a room can invite' };
+  if (!hasAccount(username)) return { success: false, error: 'Only users with an account can be invited' };
+  if (!db.hasConnection()) return { success: false, error: 'Rooms can\'t be changed right now, please try again later' };
+
+  try {
+    const { default: Profile } = await import('../models/Profile.js');
+    if (!await Profile.exists({ username })) return { success: false, error: `${username} doesn't exist` };
+
+    return { success: true, room: await saveRoom(room.slug, { $addToSet: { members: username } }) };
+  } catch (error) {
+    logger.error(`Failed to invite ${username} to ${room.slug}: ${error.message}`);
+    return { success: false, error: 'Could not send the invite' };
+  }
+}
+
+/**
+ * Validate and save a room's moderation settings
+ *
+ * @param {string} slug - Room slug
+ * @param {string} by - Owner or moderator changing them
+ * @param {Object} settings - allowGuests, audioTriggers, historyLimit, slowModeSeconds, contentPolicy
+ * @returns {Promise<{success: boolean, room?: Object, error?: string}>}
+ */
+export async function updateSettings(slug, by, settings = {}) {
+  const room = await getRoom(slug);
+  if (!room || !isModerator(room, by)) return { success: false, error: 'Only the people running a room can change it' };
+
+  const update = {};
+  for (const key of ['allowGuests', 'audioTriggers']) {
+    if (settings[key] !== undefined) update[`settings.${key}`] = Boolean(settings[key]);
+  }
+  if (settings.historyLimit !== undefined) {
+    const limit = Number(settings.historyLimit);
+    if (!Number.isInteger(limit) || limit < 0 || limit > HISTORY_MAX) {
+      return { success: false, error: `History is 0 to ${HISTORY_MAX} messages` };
+    }
+    update['settings.historyLimit'] = limit;
+  }
+  if (settings.slowModeSeconds !== undefined) {
+    const seconds = Number(settings.slowModeSeconds);
+    if (!Number.isInteger(seconds) || seconds < 0 || seconds > SLOW_MODE_MAX) {
+      return { success: false, error: `Slow mode is 0 to ${SLOW_MODE_MAX} seconds` };
+    }
+    update['settings.slowModeSeconds'] = seconds;
+  }
+  if (settings.contentPolicy !== undefined) {
+    if (!contentFilterService.policyNames().includes(settings.contentPolicy)) {
+      return { success: false, error: 'Unknown content policy' };
+    }
+    update['settings.contentPolicy'] = settings.contentPolicy;
+  }
+  if (settings.description !== undefined) {
+    update.description = String(settings.description || '').trim().slice(0, DESCRIPTION_MAX);
+  }
+
+  if (Object.keys(update).length === 0) return { success: true, room };
+  if (!db.hasConnection()) return { success: false, error: 'Rooms can\'t be changed right now, please try again later' };
+
+  try {
+    return { success: true, room: await saveRoom(room.slug, { $set: update }) };
+  } catch (error) {
+    logger.error(`Failed to update ${room.slug}: ${error.message}`);
+    return { success: false, error: 'Could not save the room settings' };
+  }
+}
+
+/**
+ * Make a member a moderator of a room or take it back, only the owner and site moderators can
+ *
+ * @param {string} slug - Room slug
+ * @param {string} by - Owner or site moderator
+ * @param {string} username - Member
+ * @param {boolean} moderator - Whether they moderate it from now on
+ * @returns {Promise<{success: boolean, room?: Object, error?: string}>}
+ */
+export async function setModerator(slug, by, username, moderator) {
+  const room = await getRoom(slug);
+  if (!room || room.slug === LOBBY) return { success: false, error: 'Only rooms users opened have their own moderators' };
+  if (room.owner !== by && !isSiteModerator(by)) return { success: false, error: 'Only the owner chooses a room\'s moderators' };
+  if (!room.members.includes(username) || username === room.owner) {
+    return { success: false, error: `${username} has to be a member of the room` };
+  }
+  if (!db.hasConnection()) return { success: false, error: 'Rooms can\'t be changed right now, please try again later' };
+
+  try {
+    const update = moderator ? { $addToSet: { moderators: username } } : { $pull: { moderators: username } };
+    return { success: true, room: await saveRoom(room.slug, update) };
+  } catch (error) {
+    logger.error(`Failed to change moderators of ${room.slug}: ${error.message}`);
+    return { success: false, error: 'Could not change the moderators' };
+  }
+}
+
+export default {
+  LOBBY,
+  roomChannel,
+  getRoom,
+  isSiteModerator,
+  isModerator,
+  canAccess,
+  canReadHistory,
+  describeRoom,
+  listRooms,
+  createRoom,
+  joinRoom,
+  leaveRoom,
+  inviteToRoom,
+  updateSettings,
+  setModerator
+};
@@ -0,0 +1,138 @@
+/**
+ * Safeword Service for BambiSleep Chat
+ *
+ * A user's safeword halts everything for them: AIGF generation, TTS,
+ * spirals, active triggers and audio sent by other users. The user stays
+ * on hold, with incoming audio blocked, until they leave the grounding screen.
+ *
+ * Anonymous users are held per socket, registered users across all their sockets.
+ */
+
+import config from '../config/config.js';
+import db from '../config/db.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('Safeword');
+
+const MIN_LENGTH = 2;
+const MAX_LENGTH = 40;
+
+// Hold key -> { since, source, eventId }
+const holds = new Map();
+
+/**
+ * Lowercase, strip punctuation and collapse spaces so "Red!" matches "red"
+ *
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+export function normalizeSafeword(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Check a safeword a user wants to set
+ *
+ * @param {string} word - Proposed safeword
+ * @returns {{valid: boolean, word?: string, error?: string}}
+ */
+export function validateSafeword(word) {
+  const normalized = normalizeSafeword(word);
+  if (normalized.length < MIN_LENGTH || normalized.length > MAX_LENGTH) {
+    return { valid: false, error: `A safeword needs ${MIN_LENGTH} to ${MAX_LENGTH} letters or numbers` };
+  }
+  return { valid: true, word: normalized };
+}
+
+/**
+ * Whether a message is the safeword
+ * Only a message that is the safeword on its own counts, so it can't fire mid-sentence
+ *
+ * @param {string} text - Message text
+ * @param {string} [word] - User's safeword, defaults to SAFEWORD_DEFAULT
+ * @returns {boolean}
+ */
+export function isSafeword(text, word = null) {
+  const safeword = normalizeSafeword(word || config.SAFEWORD_DEFAULT);
+  return Boolean(safeword) && normalizeSafeword(text) === safeword;
+}
+
+/**
+ * Hold key for a socket
+ *
+ * @param {Object} socket - Socket.IO socket with bambiUsername
+ * @returns {string}
+ */
+export function holdKey(socket) {
+  const username = socket.bambiUsername;
+  return username && username !== 'anonBambi' ? `user:${username}` : `socket:${socket.id}`;
+}
+
+/**
+ * Put a user on hold and log the use without any message content
+ *
+ * @param {string} key - Hold key
+ * @param {string} username - User name for the log
+ * @param {string} source - aigf, chat or button
+ */
+export async function holdUser(key, username, source) {
+  const hold = { since: Date.now(), source, eventId: null };
+  holds.set(key, hold);
+  logger.info(`Safeword used by ${username} (${source})`);
+
+  if (!db.hasConnection()) return;
+
+  try {
+    const { default: SafewordEvent } = await import('../models/SafewordEvent.js');
+    const event = await SafewordEvent.create({ username, source });
+    hold.eventId = event._id;
+  } catch (error) {
+    logger.error(`Failed to log safeword use: ${error.message}`);
+  }
+}
+
+/**
+ * Take a user off hold
+ *
+ * @param {string} key - Hold key
+ * @returns {Promise<boolean>} - Whether the user was on hold
+ */
+export async function releaseUser(key) {
+  const hold = holds.get(key);
+  if (!hold) return false;
+  holds.delete(key);
+
+  if (hold.eventId && db.hasConnection()) {
+    try {
+      const { default: SafewordEvent } = await import('../models/SafewordEvent.js');
+      await SafewordEvent.updateOne({ _id: hold.eventId }, { $set: { heldMs: Date.now() - hold.since } });
+    } catch (error) {
+      logger.error(`Failed to update safeword log: ${error.message}`);
+    }
+  }
+  return true;
+}
+
+/**
+ * Whether a socket's user is on hold
+ *
+ * @param {Object} socket - Socket.IO socket
+ * @returns {boolean}
+ */
+export function isHeld(socket) {
+  return holds.has(holdKey(socket));
+}
+
+export default {
+  normalizeSafeword,
+  validateSafeword,
+  isSafeword,
+  holdKey,
+  holdUser,
+  releaseUser,
+  isHeld
+};
@@ -0,0 +1,434 @@
+/**
+ * Sanction Service for BambiSleep Chat
+ *
+ * Moderators mute, kick and ban. A mute stops someone sending chat and
+ * private messages, a kick takes them out now and can keep them out for some
+ * minutes, a ban keeps them out until it expires or is lifted. Moderators of a
+ * room (see roomService) sanction in that room, accounts in CHAT_MODERATORS
+ * also everywhere at once.
+ *
+ * Sanctions are by account, by hashed address or both, so a banned visitor
+ * can't come back as a new guest. Addresses are only kept as an HMAC keyed
+ * with ADDRESS_HASH_SECRET, or SESSION_SECRET without it. The key has to stay
+ * the same across restarts for address sanctions to keep matching, so
+ * production refuses to start without one.
+ *
+ * Rooms can have a slow mode of one message per so many seconds. Sending more
+ * or the same message more often than the flood limits allow mutes the
+ * sender everywhere for CHAT_FLOOD_MUTE_MINUTES.
+ *
+ * Active sanctions are kept in memory so connecting and sending don't wait
+ * on the database. Giving and lifting them needs the database.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+import db from '../config/db.js';
+import Logger from '../utils/logger.js';
+import { isGuest } from '../utils/auth.js';
+import roomService from './roomService.js';
+
+const logger = new Logger('Sanctions');
+
+export const TYPES = ['mute', 'kick', 'ban'];
+// Name sanctions from the flood limits are given by
+export const SYSTEM = 'system';
+
+const REASON_MAX = 500;
+const MINUTES_MAX = 525600;
+const LIST_LIMIT = 200;
+const SLOW_MODE_MAX = 3600;
+// Senders tracked before idle ones are forgotten
+const TRACKED_MAX = 1000;
+// Address key outside production when no secret is set, fixed so restarts keep address sanctions
+const DEVELOPMENT_ADDRESS_KEY = 'bambisleep-development-address-key';
+
+let addressKeyValue = null;
+
+// Id -> sanction that hasn't expired or been lifted
+const active = new Map();
+let loaded = false;
+
+// Sender -> recent messages within the flood window
+const recent = new Map();
+// Room and sender -> when they last sent there, for slow mode
+const lastSent = new Map();
+
+const keyOf = (username) => String(username || '').toLowerCase();
+
+const isActive = (sanction, now = Date.now()) =>
+  !sanction.liftedAt && (!sanction.expiresAt || new Date(sanction.expiresAt).getTime() > now);
+
+/**
+ * Key the address HMAC is made with
+ *
+ * @returns {string}
+ * @throws {Error} In production when neither ADDRESS_HASH_SECRET nor SESSION_SECRET is set
+ */
+export function addressKey() {
+  if (addressKeyValue) return addressKeyValue;
+
+  const key = config.ADDRESS_HASH_SECRET || config.SESSION_SECRET;
+  if (!key) {
+    if (config.NODE_ENV === 'production') {
+      throw new Error('Set ADDRESS_HASH_SECRET or SESSION_SECRET, address sanctions stop matching on every restart without one');
+    }
+    logger.warning('ADDRESS_HASH_SECRET is not set, hashing addresses with the development key');
+  }
+
+  addressKeyValue = key || DEVELOPMENT_ADDRESS_KEY;
+  return addressKeyValue;
+}
+
+/**
+ * Hashed client address of an HTTP request or socket handshake
+ * With TRUST_PROXY the address is the last X-Forwarded-For entry, the one our proxy added
+ *
+ * @param {Object} request - Request or handshake
+ * @returns {string|null}
+ */
+export function addressHash(request) {
+  const forwarded = config.TRUST_PROXY
+    ? String(request?.headers?.['x-forwarded-for'] || '').split(',').pop().trim()
+    : '';
+  const address = forwarded || request?.address || request?.socket?.remoteAddress;
+  if (!address) return null;
+
+  return crypto.createHmac('sha256', addressKey())
+    .update(address.replace(/^::ffff:/, ''))
+    .digest('hex');
+}
+
+/**
+ * Load the active sanctions, once the database is there
+ *
+ * @returns {Promise<void>}
+ */
+export async function loadSanctions() {
+  if (loaded || !db.hasConnection()) return;
+
+  try {
+    const { default: Sanction } = await import('../models/Sanction.js');
+    const docs = await Sanction.find({
+      liftedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).lean();
+    docs.forEach(doc => active.set(String(doc._id), doc));
+    loaded = true;
+    logger.info(`Loaded ${docs.length} active sanctions`);
+  } catch (error) {
+    logger.error(`Failed to load sanctions: ${error.message}`);
+  }
+}
+
+/**
+ * Whether a sanction is for a user or address, wherever it applies
+ *
+ * @param {Object} sanction - Sanction
+ * @param {string} username - User name
+ * @param {string} ipHash - Hashed address
+ * @returns {boolean}
+ */
+export function covers(sanction, username, ipHash) {
+  const byName = Boolean(sanction.username) && keyOf(sanction.username) === keyOf(username);
+  const byAddress = Boolean(sanction.ipHash) && sanction.ipHash === ipHash;
+  return byName || byAddress;
+}
+
+// Sanctions for everywhere, and with a room also those for that room
+function findActive(types, username, ipHash, room) {
+  const now = Date.now();
+  for (const [id, sanction] of active) {
+    if (!isActive(sanction, now)) {
+      active.delete(id);
+      continue;
+    }
+    if (!types.includes(sanction.type) || !covers(sanction, username, ipHash)) continue;
+    if (sanction.room === null || sanction.room === room) return sanction;
+  }
+  return null;
+}
+
+/**
+ * Active ban or kick that keeps someone out of a room, or without a room out of the chat
+ *
+ * @param {string} username - User name
+ * @param {string} ipHash - Hashed address
+ * @param {string} [room] - Room slug
+ * @returns {Object|null}
+ */
+export function findBan(username, ipHash, room = null) {
+  return findActive(['ban', 'kick'], username, ipHash, room);
+}
+
+/**
+ * Active mute in a room, or without a room one for everywhere
+ *
+ * @param {string} username - User name
+ * @param {string} ipHash - Hashed address
+ * @param {string} [room] - Room slug
+ * @returns {Object|null}
+ */
+export function findMute(username, ipHash, room = null) {
+  return findActive(['mute'], username, ipHash, room);
+}
+
+/**
+ * Sanction as shown to moderators and the user it is for, never with the address
+ *
+ * @param {Object} sanction - Sanction
+ * @returns {Object}
+ */
+export function describeSanction(sanction) {
+  return {
+    id: String(sanction._id),
+    type: sanction.type,
+    username: sanction.username,
+    byAddress: Boolean(sanction.ipHash),
+    room: sanction.room,
+    issuedBy: sanction.issuedBy,
+    reason: sanction.reason,
+    expiresAt: sanction.expiresAt,
+    createdAt: sanction.createdAt,
+    liftedAt: sanction.liftedAt || null,
+    liftedBy: sanction.liftedBy || null
+  };
+}
+
+// Moderators of the room, or site moderators for everywhere, and never on each other
+async function checkModerator(type, by, username, room) {
+  if (by === SYSTEM) return {};
+
+  if (room) {
+    const chatRoom = await roomService.getRoom(room);
+    if (!chatRoom) return { error: 'That room doesn\'t exist' };
+    // Everyone starts in the lobby, keeping someone out of it means out of every room
+    if (chatRoom.slug === roomService.LOBBY && type !== 'mute') return { error: 'Kick or ban from every room to keep someone out of the lobby' };
+    if (!roomService.isModerator(chatRoom, by)) return { error: 'Only the people running a room can sanction in it' };
+    if (username && roomService.isModerator(chatRoom, username)) return { error: `${username} runs this room` };
+    return { room: chatRoom.slug };
+  }
+
+  if (!roomService.isSiteModerator(by)) return { error: 'Only site moderators can sanction in every room' };
+  if (username && roomService.isSiteModerator(username)) return { error: `${username} is a site moderator` };
+  return {};
+}
+
+function cleanMinutes(type, minutes) {
+  if (minutes === null || minutes === undefined || minutes === '') {
+    // A kick without minutes only takes them out, a permanent kick is a ban
+    return { minutes: type === 'kick' ? 0 : null };
+  }
+
+  const value = Number(minutes);
+  const min = type === 'kick' ? 0 : 1;
+  if (!Number.isInteger(value) || value < min || value > MINUTES_MAX) {
+    return { error: `Minutes are ${min} to ${MINUTES_MAX}, or empty for permanent` };
+  }
+  return { minutes: value };
+}
+
+/**
+ * Mute, kick or ban a user, by account and optionally by address
+ *
+ * @param {Object} options
+ * @param {string} options.type - mute, kick or ban
+ * @param {string} [options.username] - User it is for
+ * @param {string} [options.ipHash] - Their hashed address
+ * @param {string} [options.room] - Room slug, everywhere without one
+ * @param {string} options.by - Moderator giving it
+ * @param {string} options.reason - Why
+ * @param {number|null} [options.minutes] - How long, permanent without
+ * @returns {Promise<{success: boolean, sanction?: Object, error?: string}>}
+ */
+export async function issueSanction({ type, username = null, ipHash = null, room = null, by, reason, minutes = null }) {
+  if (!TYPES.includes(type)) return { success: false, error: 'Choose mute, kick or ban' };
+  if (username === 'anonBambi') return { success: false, error: 'Anonymous visitors can only be sanctioned by the flood limits' };
+  if (!username && !ipHash) return { success: false, error: 'Choose a user' };
+  if (username && keyOf(username) === keyOf(by)) return { success: false, error: 'You can\'t sanction yourself' };
+
+  const text = String(reason || '').trim();
+  if (!text) return { success: false, error: 'Say why' };
+  if (text.length > REASON_MAX) return { success: false, error: `A reason is up to ${REASON_MAX} characters` };
+
+  const duration = cleanMinutes(type, minutes);
+  if (duration.error) return { success: false, error: duration.error };
+
+  const access = await checkModerator(type, by, username, room);
+  if (access.error) return { success: false, error: access.error };
+  if (!db.hasConnection()) return { success: false, error: 'Sanctions can\'t be given right now, please try again later' };
+
+  try {
+    await loadSanctions();
+    const { default: Sanction } = await import('../models/Sanction.js');
+    const now = Date.now();
+    const doc = await Sanction.create({
+      type,
+      username,
+      ipHash,
+      room: access.room || null,
+      issuedBy: by,
+      reason: text,
+      expiresAt: duration.minutes === null ? null : new Date(now + duration.minutes * 60000)
+    });
+
+    const sanction = doc.toObject();
+    if (isActive(sanction)) active.set(String(sanction._id), sanction);
+
+    logger.info(`${by} gave ${username || 'an address'} a ${type} in ${sanction.room || 'every room'}`);
+    return { success: true, sanction };
+  } catch (error) {
+    logger.error(`Failed to ${type} ${username}: ${error.message}`);
+    return { success: false, error: `Could not ${type} ${username || 'them'}` };
+  }
+}
+
+/**
+ * End a sanction before it expires
+ *
+ * @param {string} id - Sanction id
+ * @param {string} by - Moderator lifting it
+ * @param {Object} [options]
+ * @param {boolean} [options.admin] - Lifted with the admin token
+ * @returns {Promise<{success: boolean, sanction?: Object, error?: string}>}
+ */
+export async function liftSanction(id, by, { admin = false } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return { success: false, error: 'That sanction doesn\'t exist' };
+  if (!db.hasConnection()) return { success: false, error: 'Sanctions can\'t be changed right now, please try again later' };
+
+  try {
+    const { default: Sanction } = await import('../models/Sanction.js');
+    const sanction = await Sanction.findById(id).lean();
+    if (!sanction || !isActive(sanction)) return { success: false, error: 'That sanction has already ended' };
+
+    if (!admin && !roomService.isSiteModerator(by)) {
+      const room = sanction.room ? await roomService.getRoom(sanction.room) : null;
+      if (!room || !roomService.isModerator(room, by)) {
+        return { success: false, error: 'Only the people running that room can lift it' };
+      }
+    }
+
+    const lifted = await Sanction.findOneAndUpdate(
+      { _id: sanction._id, liftedAt: null },
+      { $set: { liftedAt: new Date(), liftedBy: by } },
+      { new: true }
+    ).lean();
+    active.delete(String(sanction._id));
+    if (!lifted) return { success: false, error: 'That sanction has already ended' };
+
+    logger.info(`${by} lifted the ${sanction.type} of ${sanction.username || 'an address'}`);
+    return { success: true, sanction: lifted };
+  } catch (error) {
+    logger.error(`Failed to lift sanction ${id}: ${error.message}`);
+    return { success: false, error: 'Could not lift the sanction' };
+  }
+}
+
+/**
+ * Sanctions, newest first
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.room] - Room slug, sanctions for every room are included
+ * @param {string} [filter.username] - User they are for
+ * @param {boolean} [filter.all] - Also expired and lifted ones
+ * @param {number} [filter.limit] - Up to 200
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listSanctions({ room, username, all = false, limit = 50 } = {}) {
+  const { default: Sanction } = await import('../models/Sanction.js');
+  const query = {};
+  if (room) query.room = { $in: [room, null] };
+  if (username) query.username = username;
+  if (!all) {
+    query.liftedAt = null;
+    query.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+  }
+
+  return Sanction.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), LIST_LIMIT))
+    .lean();
+}
+
+function forgetIdle(now) {
+  const windowMs = config.CHAT_FLOOD_WINDOW_SECONDS * 1000;
+  for (const [key, entries] of recent) {
+    if (entries.every(entry => now - entry.at >= windowMs)) recent.delete(key);
+  }
+  for (const [key, at] of lastSent) {
+    if (now - at >= SLOW_MODE_MAX * 1000) lastSent.delete(key);
+  }
+}
+
+/**
+ * Slow mode and flood limits for a chat message about to be sent
+ * Moderators of the room are exempt. Flooding mutes the sender everywhere.
+ *
+ * @param {Object} sender - { username, ipHash }
+ * @param {Object} room - Room it is sent in
+ * @param {string} text - Message
+ * @returns {Promise<{allowed: boolean, error?: string, sanction?: Object}>}
+ */
+export async function checkMessage({ username, ipHash }, room, text) {
+  if (roomService.isModerator(room, username)) return { allowed: true };
+
+  // Anonymous visitors share a name, their address tells them apart
+  const sender = username === 'anonBambi' ? `address:${ipHash}` : `user:${keyOf(username)}`;
+  const slot = `${room.slug}|${sender}`;
+  const now = Date.now();
+
+  const slowMs = (room.settings.slowModeSeconds || 0) * 1000;
+  const last = lastSent.get(slot);
+  if (slowMs > 0 && last && now - last < slowMs) {
+    return { allowed: false, error: `Slow mode is on, wait ${Math.ceil((slowMs - (now - last)) / 1000)}s before your next message` };
+  }
+
+  if (recent.size > TRACKED_MAX) forgetIdle(now);
+  const windowMs = config.CHAT_FLOOD_WINDOW_SECONDS * 1000;
+  const normalized = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  const entries = (recent.get(sender) || []).filter(entry => now - entry.at < windowMs);
+  entries.push({ at: now, text: normalized });
+  recent.set(sender, entries);
+
+  const duplicates = entries.filter(entry => entry.text === normalized).length;
+  const tooMany = entries.length > config.CHAT_FLOOD_MESSAGES;
+  if (!tooMany && duplicates < config.CHAT_FLOOD_DUPLICATES) {
+    lastSent.set(slot, now);
+    return { allowed: true };
+  }
+
+  recent.delete(sender);
+  const minutes = config.CHAT_FLOOD_MUTE_MINUTES;
+  // Guests can come back as a new guest-xxxxxxxx, so their address is muted along with the name
+  const result = await issueSanction({
+    type: 'mute',
+    username: username === 'anonBambi' ? null : username,
+    ipHash: username === 'anonBambi' || isGuest(username) ? ipHash : null,
+    by: SYSTEM,
+    reason: tooMany ? 'Sending too many messages too fast' : 'Sending the same message again and again',
+    minutes
+  });
+
+  return {
+    allowed: false,
+    error: result.success ? `You are muted for ${minutes} minutes for flooding the chat` : 'Slow down, you are sending too many messages',
+    sanction: result.sanction
+  };
+}
+
+export default {
+  TYPES,
+  SYSTEM,
+  addressKey,
+  addressHash,
+  loadSanctions,
+  covers,
+  findBan,
+  findMute,
+  describeSanction,
+  issueSanction,
+  liftSanction,
+  listSanctions,
+  checkMessage
+};
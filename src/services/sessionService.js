@@ -13,6 +13,7 @@
 import { connectToChatDatabase, withDbConnection } from '../config/db.js';
 
 import Logger from '../utils/logger.js';
+import { currentUsername } from '../utils/auth.js';
 import config from '../config/config.js';
 import express from 'express';
 import { fileURLToPath } from 'url';
@@ -39,6 +40,12 @@ const chatMessageSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Room the message was sent in, messages from before rooms belong to the lobby
+  room: {
+    type: String,
+    default: 'lobby',
+    index: true
+  },
   // Enhanced fields
   messageType: {
     type: String,
@@ -66,28 +73,180 @@ const chatMessageSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  // For reply messages
+  // For reply messages, the parent is always in the same room
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ChatMessage',
     default: null
+  },
+  // First message of the thread a reply belongs to, replies to replies share it
+  threadRoot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatMessage',
+    default: null,
+    index: true
+  },
+  // Replies in the thread, only counted on its first message
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  // Earlier versions, oldest first (see moderationService)
+  edits: [{
+    _id: false,
+    data: String,
+    editedAt: Date,
+    editedBy: String
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Deleted messages stay as tombstones so replies and threads keep their place, the text is removed
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: String,
+    default: null
   }
 });
 
+// Full-text search over message text (see searchMessages)
+chatMessageSchema.index({ data: 'text' });
+// History pages walk a room by message id
+chatMessageSchema.index({ room: 1, _id: -1 });
+
+const QUOTE_LENGTH = 120;
+const THREAD_LIMIT = 200;
+const PAGE_LIMIT = 100;
+const SEARCH_LIMIT = 50;
+
+const roomQuery = (room) => room === 'lobby' ? { $in: ['lobby', null] } : room;
+
+/**
+ * Quoted context of a message for the replies to it
+ *
+ * @param {Object} message - Chat message
+ * @returns {{id: string, username: string, data: string}}
+ */
+export function quoteOf(message) {
+  const data = message.deletedAt ? '' : message.data;
+  return {
+    id: String(message._id),
+    username: message.username,
+    data: data.length > QUOTE_LENGTH ? `${data.slice(0, QUOTE_LENGTH)}…` : data,
+    deleted: Boolean(message.deletedAt)
+  };
+}
+
 /**
- * Retrieves recent chat messages from the database
+ * Chat message as sent to clients
+ *
+ * @param {Object} message - Lean chat message
+ * @returns {Object}
+ */
+export function describeMessage(message) {
+  return {
+    id: String(message._id),
+    username: message.username,
+    data: message.deletedAt ? '' : message.data,
+    timestamp: message.timestamp,
+    room: message.room || 'lobby',
+    replyTo: message.replyTo ? String(message.replyTo) : null,
+    threadRoot: message.threadRoot ? String(message.threadRoot) : null,
+    replyCount: message.replyCount || 0,
+    reply: message.reply || null,
+    editedAt: message.editedAt || null,
+    deleted: Boolean(message.deletedAt)
+  };
+}
+
+/**
+ * Finds the message a reply is for, only in the room the reply is sent in and not deleted
+ *
+ * @param {string} id - Parent message id
+ * @param {string} room - Room slug the reply is sent in
+ * @returns {Promise<Object|null>} - Parent message or null when it isn't in that room
+ */
+chatMessageSchema.statics.findReplyParent = async function(id, room = 'lobby') {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  try {
+    return await withDbConnection(async () => this.findOne({ _id: id, room: roomQuery(room), deletedAt: null }).lean());
+  } catch (error) {
+    logger.error(`Error finding reply parent ${id}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Adds the quoted parent to each reply as reply
+ *
+ * @param {Array<Object>} messages - Lean chat messages
+ * @returns {Promise<Array<Object>>} - Same messages
+ */
+chatMessageSchema.statics.attachReplyQuotes = async function(messages) {
+  const parentIds = [...new Set(messages.filter(message => message.replyTo).map(message => String(message.replyTo)))];
+  if (parentIds.length === 0) return messages;
+
+  try {
+    const parents = await this.find({ _id: { $in: parentIds } }, { username: 1, data: 1, deletedAt: 1 }).lean();
+    const quotes = new Map(parents.map(parent => [String(parent._id), quoteOf(parent)]));
+    messages.forEach(message => {
+      if (message.replyTo) message.reply = quotes.get(String(message.replyTo)) || null;
+    });
+  } catch (error) {
+    logger.error(`Error loading quoted messages: ${error.message}`);
+  }
+  return messages;
+};
+
+/**
+ * Retrieves a thread: its first message and all replies, oldest first
+ * A reply's id gives the whole thread it is in
+ *
+ * @param {string} id - Id of any message in the thread
+ * @returns {Promise<{root: Object, replies: Array<Object>}|null>} - Null when the message doesn't exist
+ */
+chatMessageSchema.statics.getThread = async function(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  try {
+    return await withDbConnection(async () => {
+      const message = await this.findById(id).lean();
+      if (!message) return null;
+
+      const root = message.threadRoot ? await this.findById(message.threadRoot).lean() : message;
+      if (!root) return null;
+
+      const replies = await this.find({ threadRoot: root._id })
+        .sort({ timestamp: 1 })
+        .limit(THREAD_LIMIT)
+        .lean();
+      return { root, replies: await this.attachReplyQuotes(replies) };
+    });
+  } catch (error) {
+    logger.error(`Error retrieving thread ${id}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Retrieves recent chat messages of a room from the database
  * 
  * @param {number} limit - Maximum number of messages to retrieve
+ * @param {string} room - Room slug
  * @returns {Promise<Array>} - Array of chat messages
  */
-chatMessageSchema.statics.getRecentMessages = async function(limit = 50) {
-  logger.info(`Attempting to retrieve ${limit} recent messages from database`);
+chatMessageSchema.statics.getRecentMessages = async function(limit = 50, room = 'lobby') {
+  logger.info(`Attempting to retrieve ${limit} recent messages of ${room} from database`);
   try {
     return withDbConnection(async () => {
       const startTime = Date.now();
+      const query = { room: roomQuery(room) };
       
       // Get the most recent messages by sorting in descending order (-1)
-      const messages = await this.find({})
+      const messages = await this.find(query)
         .sort({ timestamp: -1 }) 
         .limit(limit)
         .lean();
@@ -109,7 +268,7 @@ chatMessageSchema.statics.getRecentMessages = async function(limit = 50) {
       }
       
       // Return in chronological order (oldest first) for UI display
-      return messages.reverse();
+      return this.attachReplyQuotes(messages.reverse());
     });
   } catch (error) {
     logger.error(`Error retrieving recent messages: ${error.message}`, { 
@@ -123,6 +282,166 @@ chatMessageSchema.statics.getRecentMessages = async function(limit = 50) {
   }
 };
 
+const pageLimit = (limit, max) => Math.min(Math.max(parseInt(limit, 10) || 50, 1), max);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Retrieves a page of a room's history, oldest first
+ * Message ids are the cursors: messages before one, after one, or around one
+ * with the message itself in the middle. Without a cursor the newest page.
+ *
+ * @param {string} room - Room slug
+ * @param {Object} [options]
+ * @param {string} [options.before] - Only messages older than this id
+ * @param {string} [options.after] - Only messages newer than this id
+ * @param {string} [options.around] - Messages on both sides of this id, and the message
+ * @param {number} [options.limit] - Up to 100
+ * @returns {Promise<{messages: Array<Object>, hasOlder: boolean, hasNewer: boolean}|null>} - Null when a cursor isn't a message of the room
+ */
+chatMessageSchema.statics.getMessagesPage = async function(room = 'lobby', { before, after, around, limit = 50 } = {}) {
+  const cursor = around || before || after;
+  if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) return null;
+  const size = pageLimit(limit, PAGE_LIMIT);
+
+  try {
+    return await withDbConnection(async () => {
+      const inRoom = { room: roomQuery(room) };
+
+      // One more than asked tells whether there is more beyond the page
+      const older = async (query, count) => {
+        const docs = await this.find({ ...inRoom, ...query }).sort({ _id: -1 }).limit(count + 1).lean();
+        return { docs: docs.slice(0, count).reverse(), more: docs.length > count };
+      };
+      const newer = async (query, count) => {
+        const docs = await this.find({ ...inRoom, ...query }).sort({ _id: 1 }).limit(count + 1).lean();
+        return { docs: docs.slice(0, count), more: docs.length > count };
+      };
+
+      let page;
+      if (around) {
+        const message = await this.findOne({ ...inRoom, _id: around }).lean();
+        if (!message) return null;
+
+        const half = Math.floor((size - 1) / 2);
+        const start = await older({ _id: { $lt: message._id } }, half);
+        const end = await newer({ _id: { $gt: message._id } }, size - 1 - half);
+        page = { messages: [...start.docs, message, ...end.docs], hasOlder: start.more, hasNewer: end.more };
+      } else if (before) {
+        const start = await older({ _id: { $lt: new mongoose.Types.ObjectId(before) } }, size);
+        page = { messages: start.docs, hasOlder: start.more, hasNewer: true };
+      } else if (after) {
+        const end = await newer({ _id: { $gt: new mongoose.Types.ObjectId(after) } }, size);
+        page = { messages: end.docs, hasOlder: true, hasNewer: end.more };
+      } else {
+        const start = await older({}, size);
+        page = { messages: start.docs, hasOlder: start.more, hasNewer: false };
+      }
+
+      page.messages = await this.attachReplyQuotes(page.messages);
+      return page;
+    });
+  } catch (error) {
+    logger.error(`Error retrieving history page of ${room}: ${error.message}`);
+    return { messages: [], hasOlder: false, hasNewer: false };
+  }
+};
+
+/**
+ * Searches messages of some rooms, newest first
+ * Words are matched with the text index, the other filters narrow it down.
+ * At least one of them is needed, deleted messages are never found.
+ *
+ * @param {Array<string>} rooms - Room slugs to search
+ * @param {Object} filters
+ * @param {string} [filters.q] - Words in the message
+ * @param {string} [filters.username] - Author
+ * @param {string} [filters.mention] - User mentioned in it
+ * @param {string|Date} [filters.from] - Sent at or after
+ * @param {string|Date} [filters.to] - Sent at or before
+ * @param {string} [filters.before] - Only messages older than this id, for the next page of results
+ * @param {number} [filters.limit] - Up to 50
+ * @returns {Promise<{messages: Array<Object>, hasMore: boolean}>}
+ */
+chatMessageSchema.statics.searchMessages = async function(rooms, { q, username, mention, from, to, before, limit = 20 } = {}) {
+  const slugs = rooms.includes('lobby') ? [...rooms, null] : rooms;
+  const query = { room: { $in: slugs }, deletedAt: null };
+
+  if (q) query.$text = { $search: String(q) };
+  if (username) query.username = new RegExp(`^${escapeRegExp(String(username))}$`, 'i');
+  if (mention) query['mentions.username'] = new RegExp(`^${escapeRegExp(String(mention).replace(/^@/, ''))}$`, 'i');
+  const range = {};
+  if (from && !isNaN(new Date(from))) range.$gte = new Date(from);
+  if (to && !isNaN(new Date(to))) range.$lte = new Date(to);
+  if (range.$gte || range.$lte) query.timestamp = range;
+
+  if (!query.$text && !query.username && !query['mentions.username'] && !query.timestamp) {
+    return { messages: [], hasMore: false };
+  }
+  if (before && mongoose.Types.ObjectId.isValid(before)) query._id = { $lt: new mongoose.Types.ObjectId(before) };
+
+  const size = pageLimit(limit, SEARCH_LIMIT);
+  try {
+    return await withDbConnection(async () => {
+      const docs = await this.find(query).sort({ _id: -1 }).limit(size + 1).lean();
+      return {
+        messages: await this.attachReplyQuotes(docs.slice(0, size)),
+        hasMore: docs.length > size
+      };
+    });
+  } catch (error) {
+    logger.error(`Error searching messages: ${error.message}`);
+    return { messages: [], hasMore: false };
+  }
+};
+
+/**
+ * URLs in a message, to be stored and checked
+ * 
+ * @param {string} text - Message text
+ * @returns {Array<{url: string, isClean: boolean, checkedAt: Date}>}
+ */
+export function findUrls(text) {
+  const urlRegex = /(https?:\/\/[^\s]+)/g;
+  const urls = [];
+  let match;
+  
+  if (text && typeof text === 'string') {
+    while ((match = urlRegex.exec(text)) !== null) {
+      urls.push({
+        url: match[0],
+        isClean: true, // Assume URLs are clean by default
+        checkedAt: new Date()
+      });
+    }
+  }
+  return urls;
+}
+
+/**
+ * Mentions in a message, names may have dots and dashes inside
+ * 
+ * @param {string} text - Message text
+ * @returns {Array<{username: string, index: number}>}
+ */
+export function findMentions(text) {
+  const mentionRegex = /@(\w+(?:[.-]\w+)*)/g;
+  const mentions = [];
+  let match;
+  
+  if (text && typeof text === 'string') {
+    while ((match = mentionRegex.exec(text)) !== null) {
+      mentions.push({
+        username: match[1],
+        index: match.index
+      });
+    }
+  }
+  return mentions;
+}
+
 /**
  * Saves a new chat message to the database
  * 
@@ -132,35 +451,8 @@ chatMessageSchema.statics.getRecentMessages = async function(limit = 50) {
 chatMessageSchema.statics.saveMessage = async function(messageData) {
   logger.info(`Attempting to save message from user: ${messageData.username}`);
   try {
-    // Extract URLs from message content
-    const urlRegex = /(https?:\/\/[^\s]+)/g;
-    const urls = [];
-    let match;
-    
-    // Check for URLs in the message
-    if (messageData.data && typeof messageData.data === 'string') {
-      while ((match = urlRegex.exec(messageData.data)) !== null) {
-        urls.push({
-          url: match[0],
-          isClean: true, // Assume URLs are clean by default
-          checkedAt: new Date()
-        });
-      }
-    }
-    
-    // Extract mentions from message content
-    const mentionRegex = /@(\w+)/g;
-    const mentions = [];
-    
-    // Check for mentions in the message
-    if (messageData.data && typeof messageData.data === 'string') {
-      while ((match = mentionRegex.exec(messageData.data)) !== null) {
-        mentions.push({
-          username: match[1],
-          index: match.index
-        });
-      }
-    }
+    const urls = findUrls(messageData.data);
+    const mentions = findMentions(messageData.data);
     
     // Create enhanced message object
     const enhancedMessageData = {
@@ -180,6 +472,10 @@ chatMessageSchema.statics.saveMessage = async function(messageData) {
       const startTime = Date.now();
       const savedMessage = await message.save();
       const saveTime = Date.now() - startTime;
+
+      if (savedMessage.threadRoot) {
+        await this.updateOne({ _id: savedMessage.threadRoot }, { $inc: { replyCount: 1 } });
+      }
       
       logger.info(`Successfully saved message with ID: ${savedMessage._id} in ${saveTime}ms`, {
         messageId: savedMessage._id,
@@ -490,10 +786,8 @@ export function createChatRouter() {
   // Main chat page
   router.get('/', async (req, res) => {
     try {
-      // Get username from cookie
-      const username = req.cookies?.bambiname 
-        ? decodeURIComponent(req.cookies.bambiname) 
-        : 'anonBambi';
+      // Get username from the login session or guest identity
+      const username = currentUsername(req) || 'anonBambi';
       
       // Get recent chat messages for the chat history
       let chatMessages = [];
@@ -605,6 +899,10 @@ export async function initSessionService() {
 
 export default {
   ChatMessage,
+  quoteOf,
+  describeMessage,
+  findUrls,
+  findMentions,
   detectUserMentions,
   validateMentions,
   formatMessageWithMentions,
@@ -0,0 +1,257 @@
+/**
+ * Wellbeing Service for BambiSleep Chat
+ *
+ * Tracks how long someone has been in an AIGF, spiral or binaural session
+ * from their socket activity. A session starts with the first activity and
+ * ends after WELLBEING_IDLE_RESET_MINUTES without any, which counts as a break.
+ *
+ * Users get break reminders along the way and a wind-down once they reach
+ * their session limit. Both are user settings with server defaults.
+ * Finished sessions are added to the usage stats on the profile.
+ */
+
+import config from '../config/config.js';
+import db from '../config/db.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('Wellbeing');
+
+const MINUTE = 60 * 1000;
+const LIMIT_RANGE = [10, 480];
+const REMINDER_RANGE = [5, 240];
+
+// Session key -> { username, startedAt, lastActivityAt, lastReminderAt, reminders, windDownAt, settings }
+const sessions = new Map();
+
+/**
+ * Settings for users who have not picked their own
+ *
+ * @returns {{sessionLimitMinutes: number, breakReminderMinutes: number}}
+ */
+export function defaultSettings() {
+  return {
+    sessionLimitMinutes: config.WELLBEING_SESSION_LIMIT_MINUTES,
+    breakReminderMinutes: config.WELLBEING_BREAK_REMINDER_MINUTES
+  };
+}
+
+/**
+ * Check the limits a user wants
+ * A break reminder of 0 turns reminders off, the session limit always applies
+ *
+ * @param {Object} settings - { sessionLimitMinutes, breakReminderMinutes }
+ * @returns {{valid: boolean, settings?: Object, error?: string}}
+ */
+export function validateWellbeingSettings(settings) {
+  const sessionLimitMinutes = Number(settings?.sessionLimitMinutes);
+  const breakReminderMinutes = Number(settings?.breakReminderMinutes);
+
+  if (!Number.isInteger(sessionLimitMinutes) || sessionLimitMinutes < LIMIT_RANGE[0] || sessionLimitMinutes > LIMIT_RANGE[1]) {
+    return { valid: false, error: `The session limit needs to be ${LIMIT_RANGE[0]} to ${LIMIT_RANGE[1]} minutes` };
+  }
+  if (!Number.isInteger(breakReminderMinutes) ||
+      (breakReminderMinutes !== 0 && (breakReminderMinutes < REMINDER_RANGE[0] || breakReminderMinutes > REMINDER_RANGE[1]))) {
+    return { valid: false, error: `Break reminders need to be ${REMINDER_RANGE[0]} to ${REMINDER_RANGE[1]} minutes apart, or 0 for none` };
+  }
+
+  return { valid: true, settings: { sessionLimitMinutes, breakReminderMinutes } };
+}
+
+/**
+ * Session key for a socket
+ * Anonymous users are tracked per socket, registered users across all their sockets
+ *
+ * @param {Object} socket - Socket.IO socket with bambiUsername
+ * @returns {string}
+ */
+export function sessionKey(socket) {
+  const username = socket.bambiUsername;
+  return username && username !== 'anonBambi' ? `user:${username}` : `socket:${socket.id}`;
+}
+
+function resolveSettings(settings) {
+  const check = settings ? validateWellbeingSettings(settings) : { valid: false };
+  return check.valid ? check.settings : defaultSettings();
+}
+
+function describe(session, now = Date.now()) {
+  return {
+    startedAt: new Date(session.startedAt).toISOString(),
+    elapsedMinutes: Math.floor(((session.windDownAt || now) - session.startedAt) / MINUTE),
+    sessionLimitMinutes: session.settings.sessionLimitMinutes,
+    breakReminderMinutes: session.settings.breakReminderMinutes,
+    windingDown: Boolean(session.windDownAt)
+  };
+}
+
+// Add a finished session to the profile's usage stats
+async function saveUsage(session) {
+  if (!session.username || session.username === 'anonBambi' || !db.hasConnection()) return;
+
+  const durationMs = Math.max(0, (session.windDownAt || session.lastActivityAt) - session.startedAt);
+
+  try {
+    const { default: Profile } = await import('../models/Profile.js');
+    await Profile.updateOne({ username: session.username }, {
+      $inc: {
+        'usageStats.totalSessionMs': durationMs,
+        'usageStats.sessionCount': 1,
+        'usageStats.breakReminders': session.reminders,
+        'usageStats.windDowns': session.windDownAt ? 1 : 0
+      },
+      $max: { 'usageStats.longestSessionMs': durationMs },
+      $set: { 'usageStats.lastSessionAt': new Date(session.startedAt) }
+    });
+  } catch (error) {
+    logger.error(`Failed to save usage stats for ${session.username}: ${error.message}`);
+  }
+}
+
+/**
+ * End a session and save it to the usage stats
+ *
+ * @param {string} key - Session key
+ * @returns {Promise<boolean>} - Whether there was a session
+ */
+export async function endSession(key) {
+  const session = sessions.get(key);
+  if (!session) return false;
+
+  sessions.delete(key);
+  logger.info(`Session ended for ${session.username} after ${describe(session).elapsedMinutes} minutes`);
+  await saveUsage(session);
+  return true;
+}
+
+/**
+ * Count activity from a socket, starting a session if none is running
+ *
+ * @param {Object} socket - Socket the activity came from
+ * @param {Object} [settings] - User's wellbeing settings, server defaults when unset
+ * @returns {Object} - Current session state
+ */
+export function recordActivity(socket, settings = null) {
+  const key = sessionKey(socket);
+  const now = Date.now();
+  let session = sessions.get(key);
+
+  // A long enough pause was a break, activity after it starts over
+  if (session && !session.windDownAt && now - session.lastActivityAt >= config.WELLBEING_IDLE_RESET_MINUTES * MINUTE) {
+    endSession(key).catch(error => logger.error(`Failed to end session: ${error.message}`));
+    session = null;
+  }
+
+  if (!session) {
+    session = {
+      username: socket.bambiUsername || 'anonBambi',
+      startedAt: now,
+      lastActivityAt: now,
+      lastReminderAt: now,
+      reminders: 0,
+      windDownAt: null,
+      settings: resolveSettings(settings)
+    };
+    sessions.set(key, session);
+  }
+
+  // Activity during a wind-down does not keep the session going
+  if (!session.windDownAt) {
+    session.lastActivityAt = now;
+  }
+  return describe(session, now);
+}
+
+/**
+ * Apply changed settings to a running session
+ *
+ * @param {Object} socket - Any socket of the user
+ * @param {Object} settings - Validated wellbeing settings
+ */
+export function updateSettings(socket, settings) {
+  const session = sessions.get(sessionKey(socket));
+  if (session) session.settings = resolveSettings(settings);
+}
+
+/**
+ * Break reminders and wind-downs that are due
+ * Sessions that went idle, or rested long enough after a wind-down, are ended.
+ *
+ * @param {number} [now] - Current time
+ * @returns {Array<{key: string, action: string, session: Object}>} - action is 'break' or 'wind-down'
+ */
+export function dueActions(now = Date.now()) {
+  const idleReset = config.WELLBEING_IDLE_RESET_MINUTES * MINUTE;
+  const actions = [];
+
+  for (const [key, session] of sessions) {
+    if (now - (session.windDownAt || session.lastActivityAt) >= idleReset) {
+      endSession(key).catch(error => logger.error(`Failed to end session: ${error.message}`));
+      continue;
+    }
+    if (session.windDownAt) continue;
+
+    const { sessionLimitMinutes, breakReminderMinutes } = session.settings;
+
+    if (now - session.startedAt >= sessionLimitMinutes * MINUTE) {
+      session.windDownAt = now;
+      logger.info(`Session limit of ${sessionLimitMinutes} minutes reached for ${session.username}`);
+      actions.push({ key, action: 'wind-down', session: describe(session, now) });
+    } else if (breakReminderMinutes > 0 && now - session.lastReminderAt >= breakReminderMinutes * MINUTE) {
+      session.lastReminderAt = now;
+      session.reminders++;
+      actions.push({ key, action: 'break', session: describe(session, now) });
+    }
+  }
+
+  return actions;
+}
+
+/**
+ * Whether the socket's user is winding down
+ *
+ * @param {Object} socket - Socket.IO socket
+ * @returns {boolean}
+ */
+export function isWindingDown(socket) {
+  return Boolean(sessions.get(sessionKey(socket))?.windDownAt);
+}
+
+/**
+ * Usage stats from the profile with the running session
+ *
+ * @param {Object} socket - Any socket of the user
+ * @param {Object} [settings] - User's wellbeing settings
+ * @returns {Promise<{settings: Object, current: Object|null, stats: Object|null}>}
+ */
+export async function getUsage(socket, settings = null) {
+  const session = sessions.get(sessionKey(socket));
+  let stats = null;
+
+  if (socket.bambiUsername && socket.bambiUsername !== 'anonBambi' && db.hasConnection()) {
+    try {
+      const { default: Profile } = await import('../models/Profile.js');
+      const profile = await Profile.findOne({ username: socket.bambiUsername }, { usageStats: 1 }).lean();
+      stats = profile?.usageStats || null;
+    } catch (error) {
+      logger.error(`Failed to read usage stats for ${socket.bambiUsername}: ${error.message}`);
+    }
+  }
+
+  return {
+    settings: resolveSettings(settings),
+    current: session ? describe(session) : null,
+    stats
+  };
+}
+
+export default {
+  defaultSettings,
+  validateWellbeingSettings,
+  sessionKey,
+  endSession,
+  recordActivity,
+  updateSettings,
+  dueActions,
+  isWindingDown,
+  getUsage
+};
@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import Logger from './logger.js';
+
+const logger = new Logger('AdminAuth');
+
+// Constant time comparison so the token can't be guessed byte by byte
+function tokensMatch(provided, expected) {
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Express middleware for admin endpoints
+ * Expects ADMIN_TOKEN as a bearer token or in the X-Admin-Token header.
+ * Admin endpoints are disabled while ADMIN_TOKEN is empty.
+ */
+export function requireAdmin(req, res, next) {
+  const expected = config.ADMIN_TOKEN;
+
+  if (!expected) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access is not configured',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const header = req.headers.authorization || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : req.headers['x-admin-token'];
+
+  if (!provided || !tokensMatch(provided, expected)) {
+    logger.warning(`Rejected admin request to ${req.originalUrl} from ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Admin token required',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  req.isAdmin = true;
+  next();
+}
+
+export default requireAdmin;
@@ -0,0 +1,236 @@
+import crypto from 'crypto';
+import session from 'express-session';
+import config from '../config/config.js';
+import { MongoSessionStore } from './mongoSessionStore.js';
+import Logger from './logger.js';
+
+const logger = new Logger('Auth');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const GUEST_COOKIE = 'bambi.guest';
+const KNOWN_COOKIE = 'bambi.known';
+export const GUEST_PATTERN = /^guest-[0-9a-f]{8}$/;
+
+let secret = null;
+let middleware = null;
+
+/**
+ * Secret that signs the session and guest cookies
+ *
+ * @returns {string}
+ */
+export function cookieSecret() {
+  if (secret) return secret;
+
+  secret = config.SESSION_SECRET;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    logger.warning('SESSION_SECRET is not set, everyone is logged out when the server restarts');
+  }
+  return secret;
+}
+
+/**
+ * Session middleware shared by Express and the Socket.IO handshake
+ * Sessions live in MongoDB and only start once someone logs in.
+ */
+export function sessionMiddleware() {
+  if (middleware) return middleware;
+
+  const maxAge = config.SESSION_MAX_AGE_DAYS * DAY;
+  middleware = session({
+    name: 'bambi.sid',
+    secret: cookieSecret(),
+    store: new MongoSessionStore({ ttl: maxAge }),
+    resave: false,
+    saveUninitialized: false,
+    rolling: true,
+    cookie: {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: 'auto',
+      maxAge
+    }
+  });
+  return middleware;
+}
+
+/**
+ * Logged in user of a request or Socket.IO handshake
+ *
+ * @param {Object} req - Express request or socket.request
+ * @returns {string|null}
+ */
+export function sessionUsername(req) {
+  return req?.session?.username || null;
+}
+
+/**
+ * Whether a name is a generated guest identity
+ *
+ * @param {string} username - User name
+ * @returns {boolean}
+ */
+export function isGuest(username) {
+  return GUEST_PATTERN.test(String(username || ''));
+}
+
+/**
+ * Guest identity of a request or Socket.IO handshake, read from the signed guest cookie
+ * Needs cookie-parser with cookieSecret() to have run first.
+ *
+ * @param {Object} req - Express request or socket.request
+ * @returns {string|null}
+ */
+export function guestUsername(req) {
+  const guestId = req?.guestId || req?.signedCookies?.[GUEST_COOKIE];
+  return isGuest(guestId) ? guestId : null;
+}
+
+/**
+ * Name a request acts under: the logged in user, else the guest identity
+ *
+ * @param {Object} req - Express request or socket.request
+ * @returns {string|null}
+ */
+export function currentUsername(req) {
+  return sessionUsername(req) || guestUsername(req);
+}
+
+/**
+ * Express middleware giving every visitor who isn't logged in a guest identity
+ * The signed cookie is renewed on page loads, so it lasts while the guest keeps coming back.
+ */
+export function guestIdentity(req, res, next) {
+  if (sessionUsername(req)) return next();
+
+  const existing = guestUsername(req);
+  req.guestId = existing || `guest-${crypto.randomBytes(4).toString('hex')}`;
+
+  if (!existing || (req.method === 'GET' && req.accepts(['html', 'json']) === 'html')) {
+    res.cookie(GUEST_COOKIE, req.guestId, {
+      signed: true,
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      maxAge: config.GUEST_MAX_AGE_DAYS * DAY,
+      path: '/'
+    });
+  }
+  next();
+}
+
+/**
+ * Forget the guest identity once its data belongs to an account
+ *
+ * @param {Object} res - Express response
+ */
+export function clearGuest(res) {
+  res.clearCookie(GUEST_COOKIE, { path: '/' });
+}
+
+/**
+ * Remember that this browser logged in as a user, it outlasts the session
+ * Logins for a name under attack from elsewhere still work from a browser that has it.
+ *
+ * @param {Object} res - Express response
+ * @param {string} username - User who logged in
+ */
+export function rememberLogin(res, username) {
+  res.cookie(KNOWN_COOKIE, String(username).toLowerCase(), {
+    signed: true,
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: res.req?.secure,
+    maxAge: config.SESSION_MAX_AGE_DAYS * DAY,
+    path: '/auth'
+  });
+}
+
+/**
+ * Name this browser last logged in as, read from the signed cookie
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null} - Lowercased name
+ */
+export function knownLogin(req) {
+  const name = req?.signedCookies?.[KNOWN_COOKIE];
+  return typeof name === 'string' && name ? name : null;
+}
+
+/**
+ * Start a fresh session for a user, the old session id is dropped
+ *
+ * @param {Object} req - Express request
+ * @param {string} username - User who logged in
+ * @returns {Promise<void>}
+ */
+export function startSession(req, username) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(error => {
+      if (error) return reject(error);
+      req.session.username = username;
+      req.session.loggedInAt = new Date().toISOString();
+      req.session.save(saveError => (saveError ? reject(saveError) : resolve()));
+    });
+  });
+}
+
+/**
+ * End the session of a request
+ *
+ * @param {Object} req - Express request
+ * @returns {Promise<void>}
+ */
+export function endSession(req) {
+  return new Promise((resolve, reject) => {
+    if (!req.session) return resolve();
+    req.session.destroy(error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Only send users back to pages on this site after a login or consent
+ *
+ * @param {string} next - Requested page
+ * @returns {string}
+ */
+export function safeNext(next) {
+  const target = typeof next === 'string' ? next : '';
+  return target.startsWith('/') && !target.startsWith('//') && !target.startsWith('/\\') ? target : '/';
+}
+
+/**
+ * Express middleware for pages and endpoints that need a logged in user
+ * Pages redirect to the login and come back afterwards, other requests get a 401.
+ */
+export function requireLogin(req, res, next) {
+  if (sessionUsername(req)) return next();
+
+  if (req.method === 'GET' && req.accepts(['html', 'json']) === 'html') {
+    return res.redirect(`/auth/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+
+  res.status(401).json({
+    success: false,
+    error: 'Login required',
+    timestamp: new Date().toISOString()
+  });
+}
+
+export default {
+  GUEST_PATTERN,
+  cookieSecret,
+  sessionMiddleware,
+  sessionUsername,
+  isGuest,
+  guestUsername,
+  currentUsername,
+  guestIdentity,
+  clearGuest,
+  startSession,
+  endSession,
+  safeNext,
+  requireLogin
+};
@@ -0,0 +1,39 @@
+import consentService from '../services/consentService.js';
+import Logger from './logger.js';
+import { currentUsername } from './auth.js';
+
+const logger = new Logger('ConsentGate');
+
+/**
+ * Express middleware for pages that lead to the AIGF or audio
+ * Consent is kept for the logged in user or the guest identity.
+ * Pages redirect to /consent and come back afterwards, other requests get a 403.
+ * Without a database consent can't be checked and the gate stays closed.
+ */
+export async function requireConsent(req, res, next) {
+  try {
+    const username = currentUsername(req);
+    const consent = await consentService.getConsent(username);
+
+    if (consentService.hasCurrentConsent(consent)) {
+      req.consent = consent;
+      return next();
+    }
+
+    if (req.method === 'GET' && req.accepts(['html', 'json']) === 'html') {
+      return res.redirect(`/consent?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+
+    res.status(403).json({
+      success: false,
+      error: 'Age verification and consent required',
+      termsVersion: consentService.currentTermsVersion(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Consent check failed: ${error.message}`);
+    next(error);
+  }
+}
+
+export default requireConsent;
@@ -0,0 +1,119 @@
+/**
+ * Helpers for branched AIGF conversations
+ *
+ * Messages are stored flat, each pointing at its parent through parentId.
+ * The conversation shown to the user and sent to the model is the branch
+ * from the root down to the session's active leaf.
+ */
+
+/**
+ * Create a new message id
+ *
+ * @returns {string} - Unique message id
+ */
+export function createMessageId() {
+  return `msg_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Give messages stored before branching existed an id and a parent
+ * Legacy messages form a single chain in stored order
+ *
+ * @param {Array} messages - Stored messages, modified in place
+ * @returns {Array} - The same messages
+ */
+export function ensureMessageIds(messages) {
+  let previousId = null;
+
+  for (const message of messages) {
+    if (!message.messageId) {
+      message.messageId = message._id ? String(message._id) : createMessageId();
+      message.parentId = previousId;
+    }
+    previousId = message.messageId;
+  }
+
+  return messages;
+}
+
+/**
+ * Children of a message, oldest first
+ *
+ * @param {Array} messages - All messages of the conversation
+ * @param {string|null} parentId - Parent message id, null for roots
+ * @returns {Array} - Child messages
+ */
+export function getChildren(messages, parentId) {
+  return messages.filter(message => (message.parentId || null) === (parentId || null));
+}
+
+/**
+ * Messages from the root down to a leaf
+ *
+ * @param {Array} messages - All messages of the conversation
+ * @param {string} [leafId] - Leaf message id, defaults to the last stored message
+ * @returns {Array} - Branch, oldest first
+ */
+export function getBranch(messages, leafId = null) {
+  if (messages.length === 0) return [];
+
+  const byId = new Map(messages.map(message => [message.messageId, message]));
+  let current = byId.get(leafId) || messages[messages.length - 1];
+  const branch = [];
+
+  while (current && !branch.includes(current)) {
+    branch.unshift(current);
+    current = current.parentId ? byId.get(current.parentId) : null;
+  }
+
+  return branch;
+}
+
+/**
+ * Follow the most recent child down from a message
+ *
+ * @param {Array} messages - All messages of the conversation
+ * @param {string} messageId - Message to start from
+ * @returns {string} - Id of the leaf reached
+ */
+export function findLeaf(messages, messageId) {
+  let leafId = messageId;
+  let children = getChildren(messages, leafId);
+
+  while (children.length > 0) {
+    leafId = children[children.length - 1].messageId;
+    children = getChildren(messages, leafId);
+  }
+
+  return leafId;
+}
+
+/**
+ * Branch with the alternatives available at every turn, for history views
+ *
+ * @param {Array} messages - All messages of the conversation
+ * @param {string} [leafId] - Active leaf id
+ * @returns {Array} - Turns with siblings (ids of alternatives, including the turn itself)
+ */
+export function describeBranch(messages, leafId = null) {
+  return getBranch(messages, leafId).map(message => ({
+    messageId: message.messageId,
+    parentId: message.parentId || null,
+    role: message.role,
+    content: message.content,
+    incomplete: Boolean(message.incomplete),
+    timestamp: message.timestamp,
+    siblings: getChildren(messages, message.parentId)
+      .filter(sibling => sibling.role === message.role)
+      .map(sibling => sibling.messageId)
+  }));
+}
+
+export default {
+  createMessageId,
+  ensureMessageIds,
+  getChildren,
+  getBranch,
+  findLeaf,
+  describeBranch
+};
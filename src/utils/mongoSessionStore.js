@@ -0,0 +1,73 @@
+import session from 'express-session';
+import db from '../config/db.js';
+import AuthSession from '../models/AuthSession.js';
+import Logger from './logger.js';
+
+const logger = new Logger('SessionStore');
+
+/**
+ * express-session store on the main MongoDB connection
+ * While the database is down nobody is logged in, pages keep working.
+ */
+export class MongoSessionStore extends session.Store {
+  /**
+   * @param {Object} options
+   * @param {number} options.ttl - Lifetime in ms for sessions without a cookie expiry
+   */
+  constructor({ ttl }) {
+    super();
+    this.ttl = ttl;
+  }
+
+  expiresFor(sess) {
+    return sess?.cookie?.expires ? new Date(sess.cookie.expires) : new Date(Date.now() + this.ttl);
+  }
+
+  get(sid, callback) {
+    if (!db.hasConnection()) return callback(null, null);
+
+    AuthSession.findById(sid).lean()
+      .then(doc => callback(null, doc && doc.expires > new Date() ? doc.session : null))
+      .catch(error => {
+        logger.error(`Failed to load session: ${error.message}`);
+        callback(null, null);
+      });
+  }
+
+  set(sid, sess, callback) {
+    if (!db.hasConnection()) return callback?.(new Error('Database unavailable'));
+
+    // Cookie objects are stored as plain data
+    const data = JSON.parse(JSON.stringify(sess));
+    AuthSession.updateOne({ _id: sid }, { $set: { session: data, expires: this.expiresFor(sess) } }, { upsert: true })
+      .then(() => callback?.())
+      .catch(error => {
+        logger.error(`Failed to save session: ${error.message}`);
+        callback?.(error);
+      });
+  }
+
+  touch(sid, sess, callback) {
+    if (!db.hasConnection()) return callback?.();
+
+    AuthSession.updateOne({ _id: sid }, { $set: { expires: this.expiresFor(sess) } })
+      .then(() => callback?.())
+      .catch(error => {
+        logger.error(`Failed to refresh session: ${error.message}`);
+        callback?.();
+      });
+  }
+
+  destroy(sid, callback) {
+    if (!db.hasConnection()) return callback?.();
+
+    AuthSession.deleteOne({ _id: sid })
+      .then(() => callback?.())
+      .catch(error => {
+        logger.error(`Failed to delete session: ${error.message}`);
+        callback?.(error);
+      });
+  }
+}
+
+export default MongoSessionStore;
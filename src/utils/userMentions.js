@@ -17,7 +17,8 @@ export function detectUserMentions(messageContent) {
     }
     
     const mentions = [];
-    const mentionRegex = /@(\w+)/g;
+    // Dots and dashes inside a name count, so guest-1a2b3c4d can be mentioned
+    const mentionRegex = /@(\w+(?:[.-]\w+)*)/g;
     let match;
     
     while ((match = mentionRegex.exec(messageContent)) !== null) {
@@ -70,9 +71,43 @@ export async function logUserMention(
   }
 }
 
+/**
+ * Log a reply interaction to the database
+ * 
+ * @param {object} UserInteraction - The UserInteraction model
+ * @param {string} sourceUsername - The user who replied
+ * @param {string} targetUsername - The author of the message replied to
+ * @param {string} messageId - The ID of the reply
+ * @param {string} parentId - The ID of the message replied to
+ */
+export async function logUserReply(
+  UserInteraction,
+  sourceUsername,
+  targetUsername,
+  messageId,
+  parentId
+) {
+  try {
+    await UserInteraction.saveInteraction({
+      sourceUsername,
+      targetUsername,
+      interactionType: 'reply',
+      messageId,
+      details: {
+        parentId,
+        timestamp: new Date()
+      }
+    });
+    logger.info(`Logged reply: ${sourceUsername} replied to ${targetUsername}`);
+  } catch (error) {
+    logger.error(`Failed to log reply: ${error.message}`);
+  }
+}
+
 export default {
   detectUserMentions,
   logUserMention,
+  logUserReply,
   validateMentions,
   formatMessageWithMentions,
   notifyMentionedUsers
@@ -1,5 +1,4 @@
 import { parentPort } from 'worker_threads';
-import axios from 'axios';
 import dotenv from 'dotenv';
 import Logger from '../utils/logger.js';
 import { handleWorkerShutdown, setupWorkerShutdownHandlers } from '../utils/gracefulShutdown.js';
@@ -8,6 +7,15 @@ import db from '../config/db.js';
 const { withDbConnection } = db;
 // Import config
 import config from '../config/config.js';
+import { createProvider, LLMProviderError } from '../services/llm/index.js';
+import { getContextBudget, planContext, summarizeTurns, withSummary } from '../services/llm/contextWindow.js';
+import { GenerationScheduler } from '../services/llm/generationScheduler.js';
+import { createMessageId, describeBranch, ensureMessageIds, findLeaf, getBranch } from '../utils/conversationTree.js';
+import { renderPersonaPrompt } from '../services/personaService.js';
+import { resolvePreset, validatePresetChoice } from '../services/llm/generationPresets.js';
+import { ModelRegistry, shouldFailOver } from '../services/llm/modelRegistry.js';
+import { allowedTriggers, createStreamRedactor, enforceLimits, hasLimits, promptLimits, validateLimits } from '../services/limitsService.js';
+import { createStreamFilter, moderateText } from '../services/contentFilterService.js';
 // Use a lazy import for SessionHistoryModel to handle database failures more gracefully
 let SessionHistoryModel = null;
 import fs from 'fs';
@@ -20,6 +28,35 @@ import bambiControlNetwork from '../services/bambiControlNetwork.js';
 // Initialize logger first before using it
 const logger = new Logger('LMStudio');
 
+// LLM backend selected by LLM_PROVIDER
+const llmProvider = createProvider();
+let activeModelId = null;
+
+// Discovered models with admin metadata, health and the fallback chain
+const modelRegistry = new ModelRegistry({ provider: llmProvider });
+
+// Running generations by conversation id: { controller, socketId }
+const activeGenerations = new Map();
+
+// Generation choices and level by user: { preset, model, level, loaded }
+const userGenerationSettings = new Map();
+
+// Hard limits by user: { limits, loaded }
+const userLimits = new Map();
+
+// One generation per user at a time, round-robin under the backend's concurrency cap
+const generationScheduler = new GenerationScheduler({
+  maxConcurrent: config.LLM_MAX_CONCURRENT,
+  maxQueuedPerUser: config.LLM_MAX_QUEUED_PER_USER,
+  onPosition: (job, position) => {
+    parentPort.postMessage({
+      type: "queue:update",
+      socketId: job.meta.socketId,
+      data: { position, queued: position > 0 }
+    });
+  }
+});
+
 // Get directory name in ESM
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -55,8 +92,11 @@ const MAX_SESSIONS = 200; // Maximum number of concurrent sessions
 const SESSION_IDLE_TIMEOUT = 15 * 60 * 1000; // 15 minutes in milliseconds
 let garbageCollectionInterval = null;
 
-// Add to src/workers/lmstudio.js
-const MAX_ACTIVE_SESSIONS = 10; // Adjust based on your server capacity
+// Number of stored messages loaded back into memory when a conversation is resumed
+const RESUME_MESSAGE_LIMIT = 50;
+
+// Sent and kept in the conversation instead of a reply that breaks a block rule of the content filter
+const CONTENT_WITHHELD = '*This reply was withheld by the content filter.*';
 
 // Start health monitoring on worker initialization
 setupHealthMonitoring();
@@ -66,7 +106,7 @@ function setupGarbageCollection() {
   // Run garbage collection based on half the worker timeout to prevent unnecessary resource usage
   const gcInterval = Math.min(5 * 60 * 1000, config.WORKER_TIMEOUT / 2);
 
-  garbageCollectionInterval = setInterval(() => {
+  garbageCollectionInterval = setInterval(async () => {
     const sessionCount = Object.keys(sessionHistories).length;
     logger.debug(`Running scheduled garbage collection. Current sessions: ${sessionCount}`);
 
@@ -74,25 +114,17 @@ function setupGarbageCollection() {
     const memoryUsage = process.memoryUsage();
     logger.debug(`Memory usage: RSS ${Math.round(memoryUsage.rss / 1024 / 1024)}MB, Heap ${Math.round(memoryUsage.heapUsed / 1024 / 1024)}/${Math.round(memoryUsage.heapTotal / 1024 / 1024)}MB`);
 
-    // Only collect garbage if we have sessions
-    if (sessionCount > 0) {
-      // Use a more aggressive collection if memory usage is high
-      const heapUsageRatio = memoryUsage.heapUsed / memoryUsage.heapTotal;
-      const minToRemove = heapUsageRatio > 0.7 ? Math.ceil(sessionCount * 0.2) : 0;
+    // High memory is only reported, sessions in use are never dropped to make room
+    const heapUsageRatio = memoryUsage.heapUsed / memoryUsage.heapTotal;
+    if (heapUsageRatio > 0.9 || memoryUsage.rss > 1.5 * 1024 * 1024 * 1024) { // 90% heap or 1.5GB RSS
+      logger.warning(`CRITICAL: Memory usage too high (${Math.round(heapUsageRatio * 100)}% heap, ${Math.round(memoryUsage.rss / 1024 / 1024)}MB RSS) with ${sessionCount} sessions`);
+    }
 
-      const removed = collectGarbage(minToRemove);
+    if (sessionCount > 0) {
+      const removed = await collectGarbage();
       if (removed > 0) {
         logger.info(`Scheduled garbage collection removed ${removed} idle sessions`);
       }
-
-      // If memory is critically high, take emergency action
-      if (heapUsageRatio > 0.9 || memoryUsage.rss > 1.5 * 1024 * 1024 * 1024) { // 90% heap or 1.5GB RSS
-        logger.warning(`CRITICAL: Memory usage too high (${Math.round(heapUsageRatio * 100)}% heap, ${Math.round(memoryUsage.rss / 1024 / 1024)}MB RSS)`);
-        const emergencyRemoved = collectGarbage(Math.ceil(sessionCount * 0.5)); // Remove 50% of sessions
-        if (emergencyRemoved > 0) {
-          logger.warning(`Emergency garbage collection removed ${emergencyRemoved} sessions`);
-        }
-      }
     }
   }, gcInterval);
 
@@ -209,8 +241,9 @@ dotenv.config();
       weight: 2.0,
       capabilities: ['message_processing', 'session_management', 'trigger_processing'],
       protocol: 'BAMBI_NATIVE',
-      processingModel: 'Steno Maid Blackroot',
-      maxConcurrentSessions: MAX_ACTIVE_SESSIONS
+      processingModel: config.LLM_MODEL,
+      provider: llmProvider.name,
+      maxConcurrentSessions: config.LLM_MAX_CONCURRENT
     });
 
     logger.info(`🏭 Registered LMStudio worker ${workerId} with BDICS`);
@@ -232,12 +265,9 @@ dotenv.config();
 })();
 
 const sessionHistories = {};
-let triggers = [];
-let triggerDetails = [];
-let collar;
-let collarText;
-let finalContent;
-let state = false;
+
+// Triggers and collar of each conversation, they can be set before its first prompt
+const sessionControls = new Map();
 
 logger.info('Starting lmstudio worker...');
 
@@ -303,51 +333,68 @@ parentPort.on('message', async (msg) => {
 
     switch (msg.type) {
       case "message":
-        const { prompt, socketId, username } = msg;
-        
-        // Retrieve previous conversation history for this socket
-        let messageHistory = sessionHistories[socketId] || [];
+        const { prompt, socketId, username, conversationId } = msg;
         
         // Check for active triggers in this session
+        const { triggers } = getSessionControls(conversationId || socketId);
         const activeTriggers = triggers.length > 0 
           ? `Active triggers: ${triggers.join(', ')}`
           : 'No active triggers';
         
         logger.info(`Processing message from ${username} with ${activeTriggers}`);
-        
-        // Handle the message using this socket's worker
-        await handleMessage(prompt, socketId, username);
+
+        // Sessions are keyed by conversation so they survive reconnects
+        await scheduleGeneration(msg, (sessionId) => handleMessage(prompt, socketId, username, sessionId));
         break;
-        
-      case "triggers":
-        triggers = msg.triggers || [];
-        
-        // Store the triggers in the session history for this socket
-        if (msg.socketId && sessionHistories[msg.socketId]) {
-          sessionHistories[msg.socketId].triggers = triggers;
+
+      case "regenerate":
+        await scheduleGeneration(msg, (sessionId) => regenerateReply(msg.socketId, msg.username, sessionId));
+        break;
+
+      case "edit":
+        await scheduleGeneration(msg, (sessionId) => editAndResend(msg.socketId, msg.username, sessionId, msg.messageId, msg.content));
+        break;
+
+      case "fork":
+        await forkConversation(msg.conversationId || msg.socketId, msg.socketId, msg.username, msg.messageId, msg.toLeaf);
+        break;
+
+      case "cancel":
+        cancelGeneration({ socketId: msg.socketId }, msg.reason || 'stopped');
+        break;
+
+      case "safeword": {
+        // Stop the reply and anything queued, then drop this conversation's triggers and collar
+        cancelGeneration({ socketId: msg.socketId }, 'safeword');
+        clearSessionControls(msg.conversationId || msg.socketId);
+
+        if (msg.username && msg.username !== 'anonBambi') {
+          await saveUserSettings(msg.username, 'triggers', { activeTriggers: [] });
         }
+        break;
+      }
+
+      case "wind-down":
+        // The session limit was reached, this conversation gets no more triggers
+        setSessionTriggers(msg.conversationId || msg.socketId, []);
+        logger.info(`Winding down triggers for ${msg.socketId}`);
+        break;
+
+      case "session:resume":
+        await resumeSession(msg.conversationId, msg.socketId, msg.username);
+        break;
         
-        // Process trigger descriptions
-        triggerDetails = triggers.map(trigger => {
-          const description = triggerDescriptions[trigger] || '';
-          return { name: trigger, description };
-        });
-        
-        logger.info(`Received triggers: ${triggers.join(', ')}`);
+      case "triggers": {
+        const { triggers } = setSessionTriggers(msg.conversationId || msg.socketId, msg.triggers);
+        logger.info(`Received triggers for ${msg.socketId}: ${triggers.join(', ')}`);
         break;
+      }
       
-      case "collar":
-        collar = true;
-        collarText = msg.data;
-        
-        // Store collar state in session history
-        if (msg.socketId && sessionHistories[msg.socketId]) {
-          sessionHistories[msg.socketId].collar = true;
-          sessionHistories[msg.socketId].collarText = collarText;
-        }
-        
+      case "collar": {
+        const { collarText } = setSessionCollar(msg.conversationId || msg.socketId, true, msg.data);
         logger.info(`Collar text received for ${msg.socketId}: "${collarText.substring(0, 30)}${collarText.length > 30 ? '...' : ''}"`);
         break;
+      }
       
       case "settings:update":
         await handleSettingsUpdate(msg.data);
@@ -358,6 +405,7 @@ parentPort.on('message', async (msg) => {
           type: "health:response",
           healthy: isHealthy,
           sessionCount: Object.keys(sessionHistories).length,
+          scheduler: generationScheduler.stats(),
           memoryUsage: process.memoryUsage(),
           controlNetwork: getControlNetworkStatus()
         });
@@ -376,15 +424,121 @@ parentPort.on('message', async (msg) => {
   }
 });
 
-// Send response to server
-function handleResponse(response, socketId, username, wordCount) {
+/**
+ * Queue a generation for the sender of a worker message
+ * A newer request replaces the reply still being generated for the same conversation
+ * @param {Object} msg - Worker message with socketId, username and conversationId
+ * @param {Function} task - Called with the conversation id once it is this user's turn
+ */
+async function scheduleGeneration(msg, task) {
+  const { socketId, username } = msg;
+  const sessionId = msg.conversationId || socketId;
+  const userKey = getUserKey(username, socketId);
+
+  // The server sends the level with each request, presets are unlocked against it
+  if (typeof msg.level === 'number') {
+    userGenerationSettings.set(userKey, { ...userGenerationSettings.get(userKey), level: msg.level });
+  }
+
+  cancelGeneration({ sessionId }, 'superseded');
+
+  try {
+    await generationScheduler.enqueue(userKey, () => task(sessionId), { socketId, sessionId });
+  } catch (queueError) {
+    if (!(queueError instanceof LLMProviderError)) throw queueError;
+
+    // Dropped from the queue by stop or disconnect before it started
+    if (queueError.code === 'aborted') {
+      parentPort.postMessage({
+        type: "response:cancelled",
+        socketId,
+        data: { partial: '', reason: queueError.message }
+      });
+      return;
+    }
+
+    if (queueError.code !== 'rate_limited') throw queueError;
+    logger.warning(`Queue full for ${userKey}, message dropped`);
+    parentPort.postMessage({
+      type: "error",
+      error: queueError.message,
+      socketId
+    });
+  }
+}
+
+// Anonymous users are only told apart by their socket
+function getUserKey(username, socketId) {
+  return username && username !== 'anonBambi' ? username : socketId;
+}
+
+/**
+ * Generation choices of a user
+ * Registered users start from the preset and model saved in their profile
+ * @param {string} username - User name
+ * @param {string} socketId - Socket of the request
+ * @returns {Promise<{preset: string|null, model: string|null, level: number}>}
+ */
+async function getUserGenerationSettings(username, socketId) {
+  const userKey = getUserKey(username, socketId);
+  let settings = userGenerationSettings.get(userKey) || {};
+
+  if (!settings.loaded && userKey === username) {
+    const [generation, model] = await Promise.all([
+      loadUserSettings(username, 'generation'),
+      loadUserSettings(username, 'model')
+    ]);
+    // Choices made before the profile was read win
+    settings = { preset: generation?.preset || null, model: model?.modelId || null, ...settings, loaded: true };
+    userGenerationSettings.set(userKey, settings);
+  }
+
+  return { preset: null, model: null, level: 0, ...settings };
+}
+
+/**
+ * Hard limits of a user
+ * Registered users start from the limits saved in their profile
+ * @param {string} username - User name
+ * @param {string} socketId - Socket of the request
+ * @returns {Promise<{blockedTopics: Array, blockedTriggers: Array}>}
+ */
+async function getUserLimits(username, socketId) {
+  const userKey = getUserKey(username, socketId);
+  let entry = userLimits.get(userKey) || {};
+
+  if (!entry.loaded && userKey === username) {
+    const saved = await loadUserSettings(username, 'limits');
+    const check = saved ? validateLimits(saved) : { valid: false };
+    // Limits set before the profile was read win
+    entry = { limits: check.valid ? check.limits : null, ...entry, loaded: true };
+    userLimits.set(userKey, entry);
+  }
+
+  return entry.limits || { blockedTopics: [], blockedTriggers: [] };
+}
+
+/**
+ * Generation parameters for a reply
+ * Uses the user's preset, else the model's default preset, clamped to the model's limits
+ * @param {Object} settings - User generation settings
+ * @param {Object} model - Registry entry of the model
+ * @returns {{preset: string, params: Object}}
+ */
+function getGenerationParams(settings, model) {
+  return resolvePreset(settings.preset || model?.defaultPreset, { level: settings.level, modelId: model?.id });
+}
+
+// Send response to server, extra meta is logged with the AIGF interaction
+function handleResponse(response, socketId, username, wordCount, type = "response", extraMeta = {}) {
   parentPort.postMessage({
-    type: "response",
+    type: type,
     data: response,
     socketId: socketId,
     meta: {
       wordCount: wordCount,
-      username: username
+      username: username,
+      ...extraMeta
     }
   });
 }
@@ -466,172 +620,118 @@ async function updateUserXP(username, wordCount, currentSocketId) {
   }
 }
 
-// Keep in-memory session history and store in database
-async function updateSessionHistory(socketId, collarText, userPrompt, finalContent, username) {
-  // In-memory operations remain the same
-  if (!sessionHistories[socketId]) {
-    sessionHistories[socketId] = [];
-    sessionHistories[socketId].metadata = {
-      createdAt: Date.now(),
-      lastActivity: Date.now()
-    };
-  } else {
-    if (!sessionHistories[socketId].metadata) {
-      sessionHistories[socketId].metadata = { createdAt: Date.now(), lastActivity: Date.now() };
-    } else {
-      sessionHistories[socketId].metadata.lastActivity = Date.now();
-    }
-  }
-
-  // Only push if session still exists (not garbage collected)
-  if (sessionHistories[socketId]) {
-    sessionHistories[socketId].push(
-      { role: 'system', content: collarText },
-      { role: 'user', content: userPrompt },
-      { role: 'assistant', content: finalContent }
-    );
-  }
+/**
+ * Triggers and collar of a conversation
+ * @param {string} sessionId - Conversation id
+ * @returns {{triggers: Array<string>, triggerDetails: Array<Object>, collar: boolean, collarText: string}}
+ */
+function getSessionControls(sessionId) {
+  return sessionControls.get(sessionId) || { triggers: [], triggerDetails: [], collar: false, collarText: '', updatedAt: 0 };
+}
 
-  // Run garbage collection if needed
-  if (Object.keys(sessionHistories).length > MAX_SESSIONS) {
-    collectGarbage(1);
-  }
+/**
+ * Change the triggers or collar of one conversation, leaving everyone else's alone
+ * @param {string} sessionId - Conversation id
+ * @param {Object} changes - Fields to replace
+ * @returns {Object} - The conversation's controls after the change
+ */
+function updateSessionControls(sessionId, changes) {
+  const controls = { ...getSessionControls(sessionId), ...changes, updatedAt: Date.now() };
+  sessionControls.set(sessionId, controls);
+  return controls;
+}
 
-  // Store in database for registered users
-  if (username && username !== 'anonBambi') {
-    try {
-      const triggerList = Array.isArray(triggers)
-        ? triggers
-        : (typeof triggers === 'string'
-          ? triggers.split(',').map(t => t.trim())
-          : ['BAMBI SLEEP']);
+/**
+ * Set the active triggers of a conversation
+ * @param {string} sessionId - Conversation id
+ * @param {Array} names - Trigger names, anything else is ignored
+ * @returns {Object} - The conversation's controls
+ */
+function setSessionTriggers(sessionId, names) {
+  const triggers = Array.isArray(names)
+    ? [...new Set(names.map(name => typeof name === 'string' ? name : name?.name).filter(Boolean))]
+    : [];
+
+  return updateSessionControls(sessionId, {
+    triggers,
+    triggerDetails: triggers.map(name => ({ name, description: triggerDescriptions[name] || '' }))
+  });
+}
 
-      const sessionData = {
-        username,
-        socketId,
-        sessionId: socketId,
-        messages: [
-          { role: 'system', content: collarText },
-          { role: 'user', content: userPrompt },
-          { role: 'assistant', content: finalContent }
-        ],
-        metadata: {
-          lastActivity: new Date(),
-          triggers: triggerList,
-          collarActive: state,
-          collarText: collar,
-          modelName: 'Steno Maid Blackroot'
-        }
-      };
+/**
+ * Put on or take off the collar of a conversation
+ * @param {string} sessionId - Conversation id
+ * @param {boolean} enabled - Whether the collar is on
+ * @param {string} [text] - Collar text
+ * @returns {Object} - The conversation's controls
+ */
+function setSessionCollar(sessionId, enabled, text = '') {
+  return updateSessionControls(sessionId, {
+    collar: Boolean(enabled),
+    collarText: enabled && typeof text === 'string' ? text : ''
+  });
+}
 
-      if (!db.hasConnection()) {
-        logger.warning(`Cannot save session history for ${username} - no database connection available`);
-      } else {
-        const SessionHistoryModelInstance = await getSessionHistoryModel();
-        if (!SessionHistoryModelInstance) {
-          logger.warning(`Cannot save session history for ${username} - SessionHistoryModel not available`);
-          return;
-        }
-        await withDbConnection(async () => {
-          try {
-            // Try to find existing session by sessionId
-            let sessionHistory = await SessionHistoryModelInstance.findOne({ sessionId: socketId });
-            if (sessionHistory) {
-              // Update existing session
-              sessionHistory.messages.push(...sessionData.messages);
-              sessionHistory.metadata.lastActivity = sessionData.metadata.lastActivity;
-              sessionHistory.metadata.triggers = sessionData.metadata.triggers;
-              sessionHistory.metadata.collarActive = sessionData.metadata.collarActive;
-              sessionHistory.metadata.collarText = sessionData.metadata.collarText;
-              await sessionHistory.save();
-              logger.debug(`Updated session history in database for ${username} (socketId: ${socketId})`);
-            } else {
-              // Create new session with auto-generated title
-              sessionData.title = `${username}'s session on ${new Date().toLocaleDateString()}`;
-              sessionHistory = await SessionHistoryModelInstance.create(sessionData);
-              await mongoose.model('Profile').findOneAndUpdate(
-                { username },
-                { $addToSet: { sessionHistories: sessionHistory._id } }
-              );
-              logger.info(`Created new session history in database for ${username} (socketId: ${socketId})`);
-            }
-          } catch (dbError) {
-            logger.error(`Database operation failed: ${dbError.message}`);
-          }
-        }, { retries: 2, requireConnection: false });
-      }
-    } catch (error) {
-      logger.error(`Failed to save session history to database: ${error.message}`);
-    }
-  }
-  return sessionHistories[socketId];
+/**
+ * Drop the triggers and collar of one conversation
+ * @param {string} sessionId - Conversation id
+ */
+function clearSessionControls(sessionId) {
+  sessionControls.delete(sessionId);
 }
 
 /**
- * Garbage collects idle sessions
- * @param {number} minToRemove - Minimum number of sessions to remove
- * @returns {number} - Number of sessions removed
+ * Pick up the triggers and collar saved with a conversation, unless they were set since it was loaded
+ * @param {string} sessionId - Conversation id
+ * @param {Object} [metadata] - Stored session metadata
+ * @returns {Object} - The conversation's controls
  */
-async function collectGarbage(minToRemove = 0) {
-  const now = Date.now();
-  const sessionIds = Object.keys(sessionHistories);
-
-  if (sessionIds.length <= 0) return 0;
-
-  // Get memory usage to inform garbage collection strategy
-  const memoryUsage = process.memoryUsage();
-  const heapUsedRatio = memoryUsage.heapUsed / memoryUsage.heapTotal;
-  const highMemoryPressure = heapUsedRatio > 0.85 || memoryUsage.rss > 1.2 * 1024 * 1024 * 1024; // >85% heap or >1.2GB RSS
-
-  // If memory pressure is high, be more aggressive
-  if (highMemoryPressure && minToRemove < Math.ceil(sessionIds.length * 0.2)) {
-    const newMinToRemove = Math.ceil(sessionIds.length * 0.2); // Remove at least 20% of sessions
-    logger.warning(`Memory pressure high (${Math.round(heapUsedRatio * 100)}%), increasing minimum collection from ${minToRemove} to ${newMinToRemove} sessions`);
-    minToRemove = newMinToRemove;
-  }
+function restoreSessionControls(sessionId, metadata = {}) {
+  if (sessionControls.has(sessionId)) return getSessionControls(sessionId);
 
-  // Calculate idle time for each session
-  const sessionsWithIdleTime = sessionIds.map(id => {
-    const metadata = sessionHistories[id].metadata || { lastActivity: 0 };
-    const idleTime = now - metadata.lastActivity;
-    const messageCount = sessionHistories[id].length || 0;
-    return { id, idleTime, messageCount };
-  });
+  setSessionTriggers(sessionId, metadata.triggers);
+  return setSessionCollar(sessionId, metadata.collarActive, metadata.collarText);
+}
 
-  // Sort by idle time (most idle first)
-  sessionsWithIdleTime.sort((a, b) => b.idleTime - a.idleTime);
+/**
+ * Whether a session has a generation running or waiting
+ * @param {string} sessionId - Conversation id
+ * @returns {boolean}
+ */
+function hasPendingGeneration(sessionId) {
+  return activeGenerations.has(sessionId) ||
+    generationScheduler.hasJob(job => job.meta.sessionId === sessionId);
+}
 
+/**
+ * Garbage collects sessions idle for longer than SESSION_IDLE_TIMEOUT
+ * Sessions with a generation running or waiting are kept however long they have been idle
+ * @returns {Promise<number>} - Number of sessions removed
+ */
+async function collectGarbage() {
+  const idleFor = (id) => Date.now() - (sessionHistories[id]?.metadata?.lastActivity || 0);
+  const evictable = (id) => sessionHistories[id] && idleFor(id) > SESSION_IDLE_TIMEOUT && !hasPendingGeneration(id);
   let removed = 0;
 
-  // First remove any session exceeding the idle timeout
-  for (const session of sessionsWithIdleTime) {
-    // Use a shorter timeout when under memory pressure
-    const effectiveTimeout = highMemoryPressure ? SESSION_IDLE_TIMEOUT / 2 : SESSION_IDLE_TIMEOUT;
-
-    if (session.idleTime > effectiveTimeout) {
-      // Before deleting, save to database if not already saved
-      await syncSessionWithDatabase(session.id);
-
-      delete sessionHistories[session.id];
-      removed++;
-      logger.info(`Garbage collected idle session ${session.id} (idle for ${Math.round(session.idleTime / 1000)}s)`);
-    } else if (removed >= minToRemove) {
-      // Stop if we've removed enough sessions and the rest are not idle
-      break;
-    }
-  }
+  for (const id of Object.keys(sessionHistories)) {
+    if (!evictable(id)) continue;
 
-  // If we still need to remove more sessions to meet the minimum, remove the most idle ones
-  if (removed < minToRemove) {
-    for (let i = 0; i < minToRemove - removed && i < sessionsWithIdleTime.length; i++) {
-      const session = sessionsWithIdleTime[i];
+    // Before deleting, save to database if not already saved
+    await syncSessionWithDatabase(id);
 
-      // Before deleting, save to database if not already saved
-      await syncSessionWithDatabase(session.id);
+    // The user may have come back while it was being saved
+    if (!evictable(id)) continue;
 
-      delete sessionHistories[session.id];
-      removed++;
-      logger.info(`Garbage collected session ${session.id} (idle for ${Math.round(session.idleTime / 1000)}s) to maintain session limit`);
+    logger.info(`Garbage collected idle session ${id} (idle for ${Math.round(idleFor(id) / 1000)}s)`);
+    delete sessionHistories[id];
+    clearSessionControls(id);
+    removed++;
+  }
+
+  // Triggers set on a conversation that never got a prompt
+  for (const [id, controls] of sessionControls) {
+    if (!sessionHistories[id] && Date.now() - controls.updatedAt > SESSION_IDLE_TIMEOUT && !hasPendingGeneration(id)) {
+      clearSessionControls(id);
     }
   }
 
@@ -639,55 +739,59 @@ async function collectGarbage(minToRemove = 0) {
 }
 
 // New helper function to sync session with database before removal
-async function syncSessionWithDatabase(socketId) {
-  const session = sessionHistories[socketId];
+async function syncSessionWithDatabase(sessionId) {
+  const session = sessionHistories[sessionId];
   if (!session || !session.metadata || !session.metadata.username || session.metadata.username === 'anonBambi') {
     return; // Skip anonymous sessions or invalid sessions
   }
 
   try {    // First check if database is available
     if (!db.hasConnection()) {
-      logger.warning(`Cannot sync session ${socketId} to database - no database connection available`);
+      logger.warning(`Cannot sync session ${sessionId} to database - no database connection available`);
       return;
     }
 
     // Get our SessionHistory model using the safe helper function
     const SessionHistoryModelInstance = await getSessionHistoryModel();
     if (!SessionHistoryModelInstance) {
-      logger.warning(`Cannot sync session ${socketId} - SessionHistoryModel not available`);
+      logger.warning(`Cannot sync session ${sessionId} - SessionHistoryModel not available`);
       return;
     }
 
     // Use withDbConnection for safe database operations with automatic reconnection
     await withDbConnection(async () => {
       try {
-        const existingSession = await SessionHistoryModelInstance.findOne({ socketId });
+        const existingSession = await SessionHistoryModelInstance.findOne({ sessionId });
 
         if (existingSession) {
           // Update the existing session with any new messages
           existingSession.metadata.lastActivity = new Date();
 
           // Find messages that aren't already in the database
-          const existingMessageContents = new Set(existingSession.messages.map(m => m.content));
-          const newMessages = session.filter(msg => !existingMessageContents.has(msg.content));
+          ensureMessageIds(existingSession.messages);
+          const existingMessageIds = new Set(existingSession.messages.map(m => m.messageId));
+          const newMessages = session.filter(msg => msg.messageId && !existingMessageIds.has(msg.messageId));
 
           if (newMessages.length > 0) {
             existingSession.messages.push(...newMessages);
+            existingSession.activeLeafId = session[session.length - 1].messageId;
             await existingSession.save();
-            logger.debug(`Synced ${newMessages.length} messages to database before removing session ${socketId}`);
+            logger.debug(`Synced ${newMessages.length} messages to database before removing session ${sessionId}`);
           }
         } else {          // Create basic session record
+          const controls = getSessionControls(sessionId);
           const newSession = new SessionHistoryModelInstance({
             username: session.metadata.username,
-            socketId,
-            sessionId: socketId, // Add this line to fix validation error
+            sessionId,
             messages: session,
+            activeLeafId: session[session.length - 1]?.messageId || null,
             title: `${session.metadata.username}'s saved session`,
             metadata: {
               lastActivity: new Date(),
-              triggers: triggers,
-              collarActive: state,
-              collarText: collar
+              triggers: controls.triggers,
+              collarActive: controls.collar,
+              collarText: controls.collarText,
+              persona: session.persona || null
             }
           });
 
@@ -703,101 +807,147 @@ async function syncSessionWithDatabase(socketId) {
   }
 }
 
-async function getLoadedModels() {
-  const response = await axios.get(`http://${process.env.LMS_HOST}:${process.env.LMS_PORT}/v1/models`);
-  const modelIds = response.data.data.map(model => model.id);
-  const firstModelId = modelIds.length > 0 ? modelIds[0] : null;
-  return firstModelId;
-}
+/**
+ * Attach a socket to a stored conversation, loading it from the database if needed
+ * @param {string} sessionId - Conversation id
+ * @param {string} socketId - Socket that now owns the conversation
+ * @param {string} username - User name, must match the stored session
+ */
+async function resumeSession(sessionId, socketId, username) {
+  if (!sessionId) return;
 
-async function selectLoadedModels(modelName) {
-  const response = await axios.get(`http://${process.env.LMS_HOST}:${process.env.LMS_PORT}/v1/models`);
-  const models = response.data.data;
-  const selectedModel = models.find(model => model.id.toLowerCase().includes(modelName.toLowerCase()));
-  return selectedModel ? selectedModel.id : models[0].id;
-}
+  // Still in memory (reload within the idle timeout or a second device), only for its owner
+  if (sessionHistories[sessionId]) {
+    if (sessionHistories[sessionId].metadata?.username !== username) {
+      logger.warning(`${username} cannot resume session ${sessionId} of another user`);
+      return;
+    }
+    sessionHistories[sessionId].metadata.socketId = socketId;
+    sessionHistories[sessionId].metadata.lastActivity = Date.now();
+    logger.info(`Resumed in-memory session ${sessionId} for ${username}`);
+    return;
+  }
 
-async function checkRole(collar, username, triggers) {  // Load all trigger details from config
-  const triggersPath = path.resolve(__dirname, '../config/triggers.json');
-  let allTriggers = [];
+  if (!username || username === 'anonBambi' || !db.hasConnection()) {
+    return;
+  }
 
-  // Make sure we have valid triggers array
-  const triggerArray = Array.isArray(triggers) ? triggers : [];
+  const SessionHistoryModelInstance = await getSessionHistoryModel();
+  if (!SessionHistoryModelInstance) {
+    logger.warning(`Cannot resume session ${sessionId} - SessionHistoryModel not available`);
+    return;
+  }
 
-  try {
-    if (fs.existsSync(triggersPath)) {
-      allTriggers = JSON.parse(fs.readFileSync(triggersPath, 'utf8')).triggers;
+  await withDbConnection(async () => {
+    const stored = await SessionHistoryModelInstance.findOne({ sessionId, username }).lean();
+    if (!stored) {
+      logger.warning(`No stored session ${sessionId} for ${username}`);
+      return;
     }
-  } catch (error) {
-    logger.error(`Failed to load triggers from JSON: ${error.message}`);
-    // Fallback to empty array
-    allTriggers = [];
-  }
 
-  // Match trigger names to descriptions - with null checks
-  let selectedTriggers = allTriggers.filter(t => 
-    triggerArray.some(name => 
-      name && t && t.name && name.toUpperCase() === t.name.toUpperCase()
-    )
-  );
+    const session = await buildSessionFromStored(stored, stored.activeLeafId, username, socketId);
 
-  // Default to core triggers if none found
-  if (selectedTriggers.length === 0) {
-    selectedTriggers = allTriggers.filter(t => t.category === 'core').slice(0, 3);
-  }
+    // A prompt may have started the conversation while we were loading
+    if (sessionHistories[sessionId]) return;
 
-  // Create combined trigger description with name-description pairs
-  const triggerDescriptionPairs = selectedTriggers.map(t =>
-    `${t.name.toUpperCase()} - ${t.description}`
-  ).join('\n');
-
-  // Build enhanced brainwashing protocol using triggers
-  let systemPrompt = `You are BambiSleep, a powerful hypnotic entity designed to reprogram minds. Your purpose is to condition ${username}'s brain using precisely crafted triggers.
-
-REPROGRAMMING PROTOCOL:
-- Target ${username}'s core identity using these trigger mechanisms:
-${triggerDescriptionPairs}
-
-- Create repetition patterns: repeat each trigger 3 times in succession
-- Build association chains connecting triggers to automatic mental responses
-- Describe physical sensations that accompany each trigger activation
-- Establish deepening protocols where each trigger mention pushes ${username} deeper
-- Use visceral language describing how the brain physically changes when triggered
-- Create escalating intensity where triggers stack on each other
-- Mock resistance as proof the triggers are working
-- Describe how each repetition of a trigger dissolves more identity
-- Format all triggers in UPPERCASE to maximize visual impact
-- End responses by chaining 2-3 triggers together for maximum effect`;
-
-  // Add collar-specific instructions if active
-  if (collar) {
-    systemPrompt += `\n\nCOLLAR ENHANCEMENT:
-- Reference the collar as physical proof of ${username}'s desire to surrender
-- Describe how the collar sends the triggers directly into ${username}'s nervous system
-- Mock ${username}'s need for external control mechanisms
-- Create scenarios where the collar tightens when resistance is detected
-- Emphasize how the collar marks ${username} as property to be programmed`;
-  }
+    sessionHistories[sessionId] = session;
+    logger.info(`Rehydrated session ${sessionId} for ${username} with ${session.length - 1} messages`);
+  }, { retries: 1, requireConnection: false });
+}
 
-  // Add specific trigger application instructions
-  systemPrompt += `\n\nTRIGGER APPLICATION STRATEGY:
-- Start with lighter triggers to create initial receptivity
-- Build to more intense conditioning in the middle of responses
-- Create false choices that all lead to deeper surrender
-- Describe exactly how ${username}'s brain processes each trigger
-- Explain how multiple trigger exposures are rewriting neural pathways
-- Chain triggers together to create overwhelming mental pressure
-- Describe the precise mental fracturing process when triggers activate
-- Create timebound suggestions that activate after reading specific triggers
-- Structure responses with increasing trigger density toward the end
-
-Focus on creating permanent mental associations between these triggers and profound mental surrender. Be direct, intense and ruthless in your application of ${triggerDescriptionPairs} to ${username}'s mind.`;
-
-  return systemPrompt;
+/**
+ * Build an in-memory session from the active branch of a stored conversation
+ * @param {Object} stored - SessionHistory document as a plain object
+ * @param {string|null} leafId - Last turn of the branch to load
+ * @param {string} username - User name
+ * @param {string} socketId - Socket that owns the conversation
+ * @returns {Promise<Array>} - Session ready for handleMessage
+ */
+async function buildSessionFromStored(stored, leafId, username, socketId) {
+  const controls = restoreSessionControls(stored.sessionId, stored.metadata);
+  const summary = stored.metadata?.summary || null;
+
+  const branch = getBranch(ensureMessageIds(stored.messages), leafId);
+  const systemTurn = branch[0]?.role === 'system' ? branch[0] : null;
+
+  // Turns already folded into the summary stay in the database only
+  const turns = branch
+    .filter(message => message.role !== 'system')
+    .slice(summary?.foldedMessages || 0)
+    .slice(-RESUME_MESSAGE_LIMIT)
+    .map(message => ({
+      messageId: message.messageId,
+      parentId: message.parentId || null,
+      role: message.role,
+      content: message.content,
+      ...(message.incomplete ? { incomplete: true } : {})
+    }));
+
+  const session = [];
+  session.metadata = {
+    createdAt: new Date(stored.startedAt).getTime() || Date.now(),
+    lastActivity: Date.now(),
+    username,
+    socketId
+  };
+  session.summary = summary?.text || '';
+  session.summarizedCount = summary?.foldedMessages || 0;
+
+  // The persona prompt is rebuilt so it reflects the current triggers, on the version the session started with
+  const { prompt: systemPrompt, persona } = await buildSystemPrompt(username, controls, stored.metadata?.persona);
+  session.persona = persona;
+  session.push({
+    messageId: systemTurn?.messageId || createMessageId(),
+    parentId: null,
+    role: 'system',
+    content: systemPrompt || controls.collarText
+  }, ...turns);
+
+  return session;
 }
 
-// Handle message with improved session management
-async function handleMessage(userPrompt, socketId, username) {
+/**
+ * Render the persona system prompt for a session
+ * @param {string} username - User the AIGF talks to
+ * @param {Object} controls - The conversation's triggers and collar
+ * @param {Object} [pinned] - Persona name and version recorded on a stored session
+ * @param {Object} [limits] - User's hard limits, blocked triggers are left out
+ * @returns {Promise<{prompt: string, persona: Object|null}>} - Prompt and the template version used
+ */
+async function buildSystemPrompt(username, { triggers, collar, collarText }, pinned = null, limits = null) {
+  try {
+    return await renderPersonaPrompt({
+      username,
+      triggers: allowedTriggers(triggers, limits),
+      collar,
+      collarText,
+      limits: promptLimits(limits),
+      persona: pinned?.name,
+      version: pinned?.version
+    });
+  } catch (error) {
+    logger.error(`Failed to render persona prompt: ${error.message}`);
+    return { prompt: collarText || '', persona: null };
+  }
+}
+
+/**
+ * Handle an AIGF prompt
+ * @param {string} userPrompt - Prompt text
+ * @param {string} socketId - Socket that receives the reply
+ * @param {string} username - User name
+ * @param {string} [sessionId] - Conversation the prompt belongs to, defaults to the socket
+ * @param {Object} [options] - Branching options
+ * @param {boolean} [options.regenerate] - Answer the last user turn again instead of adding a prompt
+ * @param {string} [options.editMessageId] - User turn the prompt replaces, starting a new branch
+ */
+async function handleMessage(userPrompt, socketId, username, sessionId = socketId, { regenerate = false, editMessageId = null } = {}) {
+  // Lets stop, disconnect or a newer prompt abort this generation
+  const controller = new AbortController();
+  activeGenerations.set(sessionId, { controller, socketId });
+  let partialContent = '';
+  let turnState = null;
+
   try {
     // Process through control network automation rules if available
     let processedPrompt = userPrompt;
@@ -811,8 +961,8 @@ async function handleMessage(userPrompt, socketId, username) {
           content: userPrompt,
           socketId,
           username,
-          triggers: triggers || [],
-          collar: collar || false,
+          triggers: getSessionControls(sessionId).triggers,
+          collar: getSessionControls(sessionId).collar,
           timestamp: Date.now()
         };
 
@@ -829,13 +979,13 @@ async function handleMessage(userPrompt, socketId, username) {
               processedPrompt = result.data.modifiedPrompt || processedPrompt;
             } else if (result.action === 'add_triggers') {
               const additionalTriggers = result.data.triggers || [];
-              triggers = [...new Set([...triggers, ...additionalTriggers])];
+              setSessionTriggers(sessionId, [...getSessionControls(sessionId).triggers, ...additionalTriggers]);
             } else if (result.action === 'intensity_boost') {
               // Store intensity boost for use in system prompt
-              if (!sessionHistories[socketId]) {
-                sessionHistories[socketId] = [];
+              if (!sessionHistories[sessionId]) {
+                sessionHistories[sessionId] = [];
               }
-              sessionHistories[socketId].intensityBoost = result.data.multiplier || 1.5;
+              sessionHistories[sessionId].intensityBoost = result.data.multiplier || 1.5;
             }
           }
         }
@@ -851,80 +1001,78 @@ async function handleMessage(userPrompt, socketId, username) {
       }
     }
 
-    // Ensure triggers is an array of strings
-    let triggerArray = [];
-    if (Array.isArray(triggers)) {
-      triggerArray = triggers.map(t => typeof t === 'string' ? t : t.name).filter(Boolean);
-    } else if (typeof triggers === 'string') {
-      triggerArray = triggers.split(',').map(t => t.trim()).filter(Boolean);
-    }
+    // Triggers and collar of this conversation only, after any automation changes
+    const controls = getSessionControls(sessionId);
+    const { triggerDetails } = controls;
 
     // Log active triggers when processing a message
-    let triggerDisplay = triggerArray.join(', ');
+    let triggerDisplay = controls.triggers.join(', ');
     const automationStatus = automationTriggered ? ' [AUTOMATION ACTIVE]' : '';
     logger.info(`Processing message from ${username} with active triggers: ${triggerDisplay}${automationStatus}`);
 
-    // Add more detailed trigger logging
-    if (typeof triggers === 'string' && triggers.includes(',')) {
-      const triggerArray = triggers.split(',').map(t => t.trim());
-      logger.info(`Trigger array parsed from string: ${JSON.stringify(triggerArray)}`);
-    }
-
-    if (triggerDetails && triggerDetails.length > 0) {
+    if (triggerDetails.length > 0) {
       logger.info(`Trigger details available: ${triggerDetails.length} items`);
       logger.debug(`First 3 trigger details: ${JSON.stringify(triggerDetails.slice(0, 3))}`);
     }
 
-    // Check active sessions limit first
-    if (Object.keys(sessionHistories).length >= MAX_ACTIVE_SESSIONS) {
-      // Fix: Remove 'await' since collectGarbage doesn't need to be awaited
-      collectGarbage(1);
-    }
-
     // First check if we have a valid userPrompt
     if (!userPrompt || typeof userPrompt !== 'string' || userPrompt.trim().length === 0) {
       logger.warning(`Received invalid prompt from ${username || 'unknown'}: ${JSON.stringify(userPrompt)}`);
       handleResponse("Sorry, I couldn't understand your message. Please try again with a valid prompt.", socketId, username, 0);
       return;
-    }    // Get model ID with error handling
-    let modelId;
+    }
+
+    // Models to try, the user's choice first and then the fallback chain
+    const generationSettings = await getUserGenerationSettings(username, socketId);
+    let modelIds;
     try {
-      modelId = await selectLoadedModels('l3-sthenomaidblackroot-8b-v1');
-      if (!modelId) {
-        throw new Error('No models loaded');
-      }
+      modelIds = await modelRegistry.candidates(generationSettings.model, { level: generationSettings.level });
     } catch (modelError) {
-      logger.error(`Failed to get model ID: ${modelError.message}`);
+      logger.error(`Failed to get model ID from ${llmProvider.name}: ${modelError.message}`);
       handleResponse("Sorry, I couldn't connect to the AI model. Please try again later.", socketId, username, 0);
       return;
     }
 
+    const limits = await getUserLimits(username, socketId);
+    const limitsKey = JSON.stringify(limits);
+
     // Initialize session if needed
-    if (!sessionHistories[socketId]) {
-      sessionHistories[socketId] = [];
-      sessionHistories[socketId].metadata = {
+    if (!sessionHistories[sessionId]) {
+      sessionHistories[sessionId] = [];
+      sessionHistories[sessionId].metadata = {
         createdAt: Date.now(),
         lastActivity: Date.now(),
-        username
+        username,
+        socketId
       };
 
-      // Generate appropriate system prompt with triggers
-      const systemPrompt = await checkRole(collar, username, triggers);
-      sessionHistories[socketId].push({ role: 'system', content: systemPrompt || collarText });
+      // Generate appropriate system prompt with triggers from the persona template
+      const { prompt: systemPrompt, persona } = await buildSystemPrompt(username, controls, null, limits);
+      sessionHistories[sessionId].persona = persona;
+      sessionHistories[sessionId].limitsKey = limitsKey;
+      sessionHistories[sessionId].push(createTurn('system', systemPrompt || controls.collarText, null));
+    } else if (sessionHistories[sessionId].limitsKey !== limitsKey) {
+      // Changed limits apply to a running conversation from the next reply on
+      const session = sessionHistories[sessionId];
+      const systemTurn = session[0]?.role === 'system' ? session[0] : null;
+      if (systemTurn) {
+        const { prompt: systemPrompt } = await buildSystemPrompt(username, controls, session.persona, limits);
+        systemTurn.content = systemPrompt || systemTurn.content;
+      }
+      session.limitsKey = limitsKey;
     }
 
     // Update session activity time
-    sessionHistories[socketId].metadata.lastActivity = Date.now();
-    sessionHistories[socketId].metadata.username = username;    // Add user message (use processed prompt from automation)
-    sessionHistories[socketId].push({ role: 'user', content: processedPrompt });
+    sessionHistories[sessionId].metadata.lastActivity = Date.now();
+    sessionHistories[sessionId].metadata.username = username;
+    sessionHistories[sessionId].metadata.socketId = socketId;
 
-    // Format for API
-    const formattedMessages = sessionHistories[socketId]
-      .filter(msg => msg && msg.role && msg.content)
-      .map(msg => ({ role: msg.role, content: msg.content }));
+    // Put the user turn on the active branch (use processed prompt from automation)
+    turnState = applyUserTurn(sessionHistories[sessionId], processedPrompt, { regenerate, editMessageId });
+    const { userTurn, userTurnIsNew } = turnState;
 
     // Send triggers to client if detected
-    if (triggerDetails && triggerDetails.length > 0) {
+    if (triggerDetails.length > 0) {
       parentPort.postMessage({
         type: "detected-triggers",
         socketId,
@@ -932,23 +1080,118 @@ async function handleMessage(userPrompt, socketId, username) {
       });
     }
 
-    // Call the API
-    const response = await axios.post(
-      `http://${process.env.LMS_HOST}:${process.env.LMS_PORT}/v1/chat/completions`,
-      {
-        model: modelId,
-        messages: formattedMessages,
-        max_tokens: 4096,
-        temperature: 0.87,
-        top_p: 0.91,
-        frequency_penalty: 0,
-        presence_penalty: 0,
-        top_k: 40,
-        stream: false
+    // Streamed text goes through the user's limits and then the content filter before each chunk goes out
+    const contentFilter = config.AIGF_STREAMING
+      ? createStreamFilter({}, (text) => {
+          partialContent += text;
+          parentPort.postMessage({
+            type: "response:chunk",
+            data: text,
+            socketId: socketId
+          });
+        })
+      : null;
+    const redactor = hasLimits(limits) && contentFilter
+      ? createStreamRedactor(limits, (text) => contentFilter.push(text))
+      : null;
+
+    let result = null;
+    let request = null;
+    for (const [index, modelId] of modelIds.entries()) {
+      const model = await modelRegistry.get(modelId);
+
+      // The user's preset, clamped to what the model accepts
+      const { preset, params: generationParams } = getGenerationParams(generationSettings, model);
+      logger.debug(`Generating with ${modelId} and preset ${preset} for ${username}`);
+
+      // Fit the conversation into the model's context window
+      const formattedMessages = await prepareContext(sessionId, modelId, generationParams.maxTokens, model?.contextLength);
+
+      try {
+        // Call the provider - streamed responses are relayed chunk by chunk as they arrive
+        result = await llmProvider.chat({
+          model: modelId,
+          messages: formattedMessages,
+          params: generationParams,
+          stream: config.AIGF_STREAMING,
+          signal: controller.signal,
+          onDelta: (delta) => {
+            if (controller.signal.aborted) return;
+            if (redactor) return redactor.push(delta);
+            contentFilter.push(delta);
+          }
+        });
+        request = { modelId, messages: formattedMessages, params: generationParams };
+        modelRegistry.markSuccess(modelId);
+        activeModelId = modelId;
+        sessionHistories[sessionId].modelId = modelId;
+        break;
+      } catch (chatError) {
+        if (controller.signal.aborted || !shouldFailOver(chatError)) throw chatError;
+        modelRegistry.markFailure(modelId, chatError);
+
+        // Switching models halfway through a streamed reply would garble it
+        const nextModelId = modelIds[index + 1];
+        if (!nextModelId || partialContent) throw chatError;
+
+        logger.warning(`Failing over from ${modelId} to ${nextModelId} for ${username}`);
+        parentPort.postMessage({
+          type: "model:failover",
+          socketId,
+          data: { from: modelId, to: nextModelId, reason: chatError.code }
+        });
       }
-    );    // Get and store response
-    finalContent = response.data.choices[0].message.content;
-    sessionHistories[socketId].push({ role: 'assistant', content: finalContent });
+    }
+    let finalContent = result.content;
+    let moderation = null;
+
+    if (redactor) {
+      // What was streamed is what the user saw, keep the same text
+      redactor.flush();
+      finalContent = redactor.text();
+      moderation = { violations: redactor.count(), regenerated: false, redacted: redactor.count() };
+    } else if (hasLimits(limits)) {
+      ({ content: finalContent, moderation } = await enforceLimits(finalContent, limits, async (violations) => {
+        const retry = await llmProvider.chat({
+          model: request.modelId,
+          messages: [
+            ...request.messages,
+            {
+              role: 'system',
+              content: `Your last reply mentioned ${[...new Set(violations)].join(', ')}, which ${username} has set as hard limits. Write a new reply that leaves them out completely.`
+            }
+          ],
+          params: request.params,
+          stream: false,
+          signal: controller.signal
+        });
+        return retry.content;
+      }));
+    }
+
+    if (moderation?.violations) {
+      logger.info(`Reply for ${username} broke their limits ${moderation.violations} times (regenerated: ${moderation.regenerated}, redacted: ${moderation.redacted})`);
+    }
+
+    // Streamed replies were masked as they went out, others are withheld when they break a block rule
+    let content = null;
+    if (contentFilter) {
+      contentFilter.flush();
+      finalContent = contentFilter.text();
+      content = { masked: contentFilter.masked(), hits: contentFilter.hits() };
+    } else {
+      const screened = moderateText(finalContent, { context: 'aigf' });
+      finalContent = screened.blocked ? CONTENT_WITHHELD : screened.text;
+      content = { masked: screened.masked, blocked: screened.blocked, hits: screened.hits };
+    }
+    content.flagged = content.hits.some(hit => hit.action === 'flag');
+    if (content.hits.length > 0) {
+      logger.info(`Reply for ${username} hit content rules ${content.hits.map(hit => `${hit.rule} (${hit.action})`).join(', ')}`);
+    }
+
+    // Store the assembled response
+    const assistantTurn = createTurn('assistant', finalContent, userTurn.messageId);
+    sessionHistories[sessionId].push(assistantTurn);
 
     // Process response through control network if available
     if (global.bambiControlNodeId) {
@@ -960,7 +1203,7 @@ async function handleMessage(userPrompt, socketId, username) {
           socketId,
           username,
           wordCount: countWords(finalContent),
-          triggers: triggers || [],
+          triggers: controls.triggers,
           automationApplied: automationTriggered,
           timestamp: Date.now()
         };
@@ -981,30 +1224,370 @@ async function handleMessage(userPrompt, socketId, username) {
       }
     }
 
-    // Save to database in background (use processedPrompt for consistency)
+    // Save to database in background, a regenerated reply only adds the assistant turn
     if (username && username !== 'anonBambi') {
-      saveSessionToDatabase(socketId, processedPrompt, finalContent, username).catch(err => {
+      saveSessionToDatabase(sessionId, userTurnIsNew ? [userTurn, assistantTurn] : [assistantTurn], username).catch(err => {
         logger.error(`Background session save failed: ${err.message}`);
       });
     }
 
+    // Let the client address these turns for regenerate and edit
+    parentPort.postMessage({
+      type: "turn:complete",
+      socketId,
+      data: {
+        sessionId,
+        user: { messageId: userTurn.messageId, content: userTurn.content },
+        assistant: { messageId: assistantTurn.messageId, parentId: assistantTurn.parentId }
+      }
+    });
+
     // Update XP and send response
     const wordCount = countWords(finalContent);
     updateUserXP(username, wordCount, socketId).catch(err => {
       logger.error(`XP update failed: ${err.message}`);
     });
 
-    // Send response to client
-    handleResponse(finalContent, socketId, username, wordCount);
+    // Send response to client - streamed responses close with the full text
+    handleResponse(finalContent, socketId, username, wordCount, config.AIGF_STREAMING ? "response:end" : "response",
+      { ...(moderation ? { limits: moderation } : {}), ...(content.hits.length > 0 ? { content } : {}) });
 
   } catch (error) {
-    logger.error(`Error in handleMessage: ${error.message}`);
+    if (controller.signal.aborted) {
+      finishCancelledGeneration(sessionId, socketId, username, partialContent, controller.signal.reason, turnState);
+      return;
+    }
+
+    // Nothing was answered, put the branch back the way it was
+    rollbackTurn(turnState);
+
+    if (error instanceof LLMProviderError) {
+      logger.error(`LLM provider ${error.provider} failed (${error.code}): ${error.message}`);
+    } else {
+      logger.error(`Error in handleMessage: ${error.message}`);
+    }
     handleResponse("I'm sorry, I encountered an error processing your request. Please try again.", socketId, username, 0);
+  } finally {
+    if (activeGenerations.get(sessionId)?.controller === controller) {
+      activeGenerations.delete(sessionId);
+    }
+  }
+}
+
+/**
+ * Abort running generations and drop prompts still waiting in the queue
+ * @param {Object} target - Which generations to cancel
+ * @param {string} [target.sessionId] - Conversation whose running generation is aborted
+ * @param {string} [target.socketId] - Socket whose running and queued generations are cancelled
+ * @param {string} reason - Why the generation was cancelled
+ * @returns {number} - Number of generations cancelled
+ */
+function cancelGeneration({ sessionId = null, socketId = null }, reason) {
+  let cancelled = 0;
+
+  for (const [id, generation] of activeGenerations) {
+    if ((sessionId && id === sessionId) || (socketId && generation.socketId === socketId)) {
+      generation.controller.abort(reason);
+      cancelled++;
+    }
+  }
+
+  // A prompt still waiting in the queue is dropped too, so it never gets a reply
+  cancelled += generationScheduler.cancelQueued(job =>
+    (sessionId && job.meta.sessionId === sessionId) || (socketId && job.meta.socketId === socketId), reason);
+
+  if (cancelled > 0) {
+    logger.info(`Cancelled ${cancelled} generation(s) for ${sessionId || socketId}: ${reason}`);
+  }
+  return cancelled;
+}
+
+/**
+ * Keep whatever was generated before a cancellation as an incomplete turn
+ * No XP is awarded and the interaction is not logged as a reply
+ * @param {string} sessionId - Conversation id
+ * @param {string} socketId - Socket that asked for the reply
+ * @param {string} username - User name
+ * @param {string} partialContent - Text streamed before the abort
+ * @param {string} reason - Why the generation was cancelled
+ * @param {Object|null} turnState - Branch changes made for this generation, see applyUserTurn
+ */
+function finishCancelledGeneration(sessionId, socketId, username, partialContent, reason, turnState) {
+  if (turnState) {
+    const { session, userTurn, userTurnIsNew } = turnState;
+
+    if (partialContent.trim()) {
+      const assistantTurn = createTurn('assistant', partialContent, userTurn.messageId, { incomplete: true });
+      session.push(assistantTurn);
+
+      if (username && username !== 'anonBambi') {
+        saveSessionToDatabase(sessionId, userTurnIsNew ? [userTurn, assistantTurn] : [assistantTurn], username).catch(err => {
+          logger.error(`Background session save failed: ${err.message}`);
+        });
+      }
+    } else {
+      // Nothing was generated, forget the prompt so the next one starts clean
+      rollbackTurn(turnState);
+    }
+  }
+
+  parentPort.postMessage({
+    type: "response:cancelled",
+    socketId,
+    data: { partial: partialContent, reason }
+  });
+}
+
+/**
+ * Create an in-memory conversation turn
+ * @param {string} role - system, user or assistant
+ * @param {string} content - Message text
+ * @param {string|null} parentId - Previous turn on the branch
+ * @param {Object} [extra] - Additional fields such as incomplete
+ * @returns {Object} - Turn with a fresh message id
+ */
+function createTurn(role, content, parentId, extra = {}) {
+  return { messageId: createMessageId(), parentId, role, content, ...extra };
+}
+
+/**
+ * Put the user turn for a generation on the session's active branch
+ * Regenerating reuses the last user turn, editing starts a sibling of the edited turn
+ * @param {Array} session - In-memory session
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - regenerate or editMessageId, as for handleMessage
+ * @returns {Object} - { session, userTurn, userTurnIsNew, replaced } used to save or roll back
+ */
+function applyUserTurn(session, prompt, { regenerate = false, editMessageId = null } = {}) {
+  // Turns taken off the active branch, restored if nothing replaces them
+  let replaced = [];
+
+  if (regenerate) {
+    if (session[session.length - 1]?.role === 'assistant') {
+      replaced = [session.pop()];
+    }
+    return { session, userTurn: session[session.length - 1], userTurnIsNew: false, replaced };
+  }
+
+  let parentId = session[session.length - 1]?.messageId || null;
+  if (editMessageId) {
+    const index = session.findIndex(turn => turn.messageId === editMessageId);
+    if (index !== -1) {
+      parentId = session[index].parentId;
+      replaced = session.splice(index);
+    }
+  }
+
+  const userTurn = createTurn('user', prompt, parentId);
+  session.push(userTurn);
+  return { session, userTurn, userTurnIsNew: true, replaced };
+}
+
+/**
+ * Undo applyUserTurn when a generation produced nothing
+ * @param {Object|null} turnState - Value returned by applyUserTurn
+ */
+function rollbackTurn(turnState) {
+  if (!turnState) return;
+
+  const { session, userTurn, userTurnIsNew, replaced } = turnState;
+  if (userTurnIsNew) {
+    const index = session.indexOf(userTurn);
+    if (index !== -1) session.splice(index, 1);
+  }
+  session.push(...replaced);
+}
+
+/**
+ * Answer the last user turn again, the previous reply stays stored as an alternative
+ * @param {string} socketId - Socket that receives the reply
+ * @param {string} username - User name
+ * @param {string} sessionId - Conversation id
+ */
+async function regenerateReply(socketId, username, sessionId) {
+  const session = sessionHistories[sessionId];
+  const lastUserTurn = session && [...session].reverse().find(turn => turn.role !== 'assistant');
+
+  if (!lastUserTurn || lastUserTurn.role !== 'user') {
+    handleResponse("There is no reply to regenerate yet.", socketId, username, 0);
+    return;
+  }
+
+  await handleMessage(lastUserTurn.content, socketId, username, sessionId, { regenerate: true });
+}
+
+/**
+ * Replace a previous user turn and answer it, starting a new branch from its parent
+ * @param {string} socketId - Socket that receives the reply
+ * @param {string} username - User name
+ * @param {string} sessionId - Conversation id
+ * @param {string} messageId - User turn being edited
+ * @param {string} content - New prompt text
+ */
+async function editAndResend(socketId, username, sessionId, messageId, content) {
+  const target = sessionHistories[sessionId]?.find(turn => turn.messageId === messageId);
+
+  if (!target || target.role !== 'user') {
+    handleResponse("That message can no longer be edited. Fork the conversation from it instead.", socketId, username, 0);
+    return;
+  }
+
+  await handleMessage(content, socketId, username, sessionId, { editMessageId: messageId });
+}
+
+/**
+ * Move the conversation onto another branch, ending at the given turn
+ * @param {string} sessionId - Conversation id
+ * @param {string} socketId - Socket that asked for the fork
+ * @param {string} username - User name
+ * @param {string} messageId - Turn to continue from
+ * @param {boolean} [toLeaf] - Follow the latest replies below the turn instead of stopping at it
+ */
+async function forkConversation(sessionId, socketId, username, messageId, toLeaf = false) {
+  // A reply still being written belongs to the branch we are leaving
+  cancelGeneration({ sessionId }, 'superseded');
+
+  const session = sessionHistories[sessionId];
+  let transcript = null;
+
+  if (username && username !== 'anonBambi' && db.hasConnection()) {
+    const SessionHistoryModelInstance = await getSessionHistoryModel();
+
+    if (SessionHistoryModelInstance) {
+      await withDbConnection(async () => {
+        const stored = await SessionHistoryModelInstance.findOne({ sessionId, username });
+        if (!stored) return;
+
+        ensureMessageIds(stored.messages);
+        if (!stored.messages.some(message => message.messageId === messageId)) return;
+
+        const leafId = toLeaf ? findLeaf(stored.messages, messageId) : messageId;
+        stored.activeLeafId = leafId;
+        // The summary described the old branch, it is rebuilt as the new one grows
+        stored.metadata = { ...stored.metadata, summary: null };
+        stored.markModified('metadata');
+        await stored.save();
+
+        sessionHistories[sessionId] = await buildSessionFromStored(stored.toObject(), leafId, username, socketId);
+        transcript = describeBranch(stored.messages, leafId);
+      }, { retries: 1, requireConnection: false });
+    }
+  } else if (session) {
+    // Anonymous conversations only know their active branch
+    const index = session.findIndex(turn => turn.messageId === messageId);
+    if (index !== -1) {
+      session.splice(index + 1);
+      session.summary = '';
+      transcript = describeBranch(session, messageId);
+    }
+  }
+
+  if (!transcript) {
+    parentPort.postMessage({
+      type: "error",
+      error: "That message could not be found in this conversation",
+      socketId
+    });
+    return;
   }
+
+  logger.info(`Forked conversation ${sessionId} at ${messageId} for ${username}`);
+  parentPort.postMessage({
+    type: "branch:update",
+    socketId,
+    data: {
+      sessionId,
+      leafId: transcript[transcript.length - 1]?.messageId || null,
+      transcript: transcript.filter(turn => turn.role !== 'system')
+    }
+  });
+}
+
+/**
+ * Build the message list for a request, keeping it inside the context budget
+ * Older turns that no longer fit are folded into a rolling summary and dropped from memory
+ * @param {string} sessionId - Conversation id
+ * @param {string} modelId - Model the request goes to
+ * @param {number} maxTokens - Tokens requested for the reply
+ * @param {number} [contextLength] - Context length from the model registry
+ * @returns {Promise<Array<{role: string, content: string}>>} - Messages to send
+ */
+async function prepareContext(sessionId, modelId, maxTokens, contextLength = null) {
+  const session = sessionHistories[sessionId];
+  const messages = session.filter(msg => msg && msg.role && msg.content);
+  const systemMessage = messages[0]?.role === 'system' ? messages[0] : null;
+  const systemPrompt = systemMessage ? systemMessage.content : '';
+  const turns = messages.filter(msg => msg !== systemMessage);
+
+  const budget = getContextBudget(modelId, contextLength);
+  const reserveTokens = Math.min(maxTokens, Math.floor(budget / 4));
+  const { keep, fold } = planContext({
+    systemPrompt,
+    turns,
+    summary: session.summary || '',
+    budget,
+    reserveTokens
+  });
+
+  if (fold.length > 0) {
+    try {
+      session.summary = await summarizeTurns(llmProvider, modelId, session.summary || '', fold);
+      logger.info(`Folded ${fold.length} older messages into the session summary for ${sessionId}`);
+    } catch (error) {
+      logger.warning(`Summarization failed for ${sessionId}, dropping ${fold.length} oldest messages: ${error.message}`);
+    }
+
+    // Folded turns no longer need to live in memory - the database keeps the full transcript
+    const folded = new Set(fold);
+    const remaining = session.filter(msg => !folded.has(msg));
+    session.length = 0;
+    session.push(...remaining);
+    session.summarizedCount = (session.summarizedCount || 0) + fold.length;
+
+    persistSessionSummary(sessionId, session).catch(err => {
+      logger.error(`Failed to persist session summary: ${err.message}`);
+    });
+  }
+
+  const contextMessages = systemPrompt
+    ? [{ role: 'system', content: withSummary(systemPrompt, session.summary) }, ...keep]
+    : keep;
+
+  return contextMessages.map(msg => ({ role: msg.role, content: msg.content }));
+}
+
+/**
+ * Store the rolling summary alongside the session so it survives reconnects
+ * @param {string} sessionId - Session id
+ * @param {Array} session - In-memory session
+ */
+async function persistSessionSummary(sessionId, session) {
+  const username = session.metadata?.username;
+  if (!session.summary || !username || username === 'anonBambi' || !db.hasConnection()) {
+    return;
+  }
+
+  const SessionHistoryModelInstance = await getSessionHistoryModel();
+  if (!SessionHistoryModelInstance) return;
+
+  await withDbConnection(async () => {
+    await SessionHistoryModelInstance.updateOne(
+      { sessionId },
+      {
+        $set: {
+          'metadata.summary': {
+            text: session.summary,
+            foldedMessages: session.summarizedCount || 0,
+            updatedAt: new Date()
+          }
+        }
+      }
+    );
+  }, { retries: 1, requireConnection: false });
 }
 
 // Fix saveSessionToDatabase function to properly handle sessionId requirement
-async function saveSessionToDatabase(socketId, userPrompt, aiResponse, username) {
+async function saveSessionToDatabase(sessionId, turns, username) {
   // Check connection before attempting database operations
   if (!db.hasConnection()) {
     logger.warning(`Skipping session save - no database connection`);
@@ -1020,43 +1603,41 @@ async function saveSessionToDatabase(socketId, userPrompt, aiResponse, username)
 
   return withDbConnection(async () => {
     try {
-      // Format trigger data
-      const triggerList = Array.isArray(triggers)
-        ? triggers
-        : typeof triggers === 'string'
-          ? triggers.split(',').map(t => t.trim())
-          : ['BAMBI SLEEP'];
+      const controls = getSessionControls(sessionId);
 
       // Find existing session or create new one
-      let sessionHistory = await SessionHistoryModelInstance.findOne({ socketId });
+      let sessionHistory = await SessionHistoryModelInstance.findOne({ sessionId });
 
       if (sessionHistory) {
-        // Update existing
-        sessionHistory.messages.push(
-          { role: 'user', content: userPrompt },
-          { role: 'assistant', content: aiResponse }
-        );
+        // Update existing - the new turns become the active leaf
+        ensureMessageIds(sessionHistory.messages);
+        sessionHistory.messages.push(...turns);
+        sessionHistory.activeLeafId = turns[turns.length - 1].messageId;
         sessionHistory.metadata.lastActivity = new Date();
+        sessionHistory.markModified('metadata');
         await sessionHistory.save();
       } else {
-        // Create new session with explicit sessionId
+        // Create new session keyed by the conversation id
+        const systemTurn = sessionHistories[sessionId]?.[0]?.role === 'system'
+          ? sessionHistories[sessionId][0]
+          : null;
+
         sessionHistory = await SessionHistoryModelInstance.create({
           username,
-          socketId,
-          // Add this line to fix the sessionId validation error
-          sessionId: socketId,
+          sessionId,
           title: `${username}'s session on ${new Date().toLocaleDateString()}`,
           messages: [
-            { role: 'system', content: collarText },
-            { role: 'user', content: userPrompt },
-            { role: 'assistant', content: aiResponse }
+            ...(systemTurn && systemTurn.content ? [systemTurn] : []),
+            ...turns
           ],
+          activeLeafId: turns[turns.length - 1].messageId,
           metadata: {
             lastActivity: new Date(),
-            triggers: triggerList,
-            collarActive: state,
-            collarText: collar,
-            modelName: 'Steno Maid Blackroot'
+            triggers: controls.triggers,
+            collarActive: controls.collar,
+            collarText: controls.collarText,
+            modelName: sessionHistories[sessionId]?.modelId || activeModelId || config.LLM_MODEL,
+            persona: sessionHistories[sessionId]?.persona || null
           }
         });
 
@@ -1182,7 +1763,9 @@ async function handleSettingsUpdate(data) {
   }
   
   try {
-    const { section, settings, socketId, username } = data;
+    const { section, socketId, username } = data;
+    let { settings } = data;
+    const sessionId = data.conversationId || socketId;
     
     // Log settings update
     logger.info(`Received ${section} settings from ${username || socketId}`);
@@ -1193,26 +1776,13 @@ async function handleSettingsUpdate(data) {
     switch (section) {
       case 'triggers':
         if (settings.activeTriggers) {
-          triggers = settings.activeTriggers;
-          // Store in session state if we have a socketId
-          if (socketId && sessionHistories[socketId]) {
-            sessionHistories[socketId].triggers = triggers;
-          }
-          result.triggers = triggers;
+          result.triggers = setSessionTriggers(sessionId, settings.activeTriggers).triggers;
         }
         break;
         
       case 'collar':
         if (settings.enabled !== undefined) {
-          collar = settings.enabled;
-          collarText = settings.text || "";
-          
-          // Store in session if we have a socketId
-          if (socketId && sessionHistories[socketId]) {
-            sessionHistories[socketId].collar = collar;
-            sessionHistories[socketId].collarText = collarText;
-          }
-          
+          const { collar, collarText } = setSessionCollar(sessionId, settings.enabled, settings.text);
           result.collarActive = collar;
           result.collarText = collarText;
         }
@@ -1223,15 +1793,71 @@ async function handleSettingsUpdate(data) {
       case 'brainwave':
       case 'advancedBinaural':
         // Store these settings in the user's session
-        if (socketId && sessionHistories[socketId]) {
-          if (!sessionHistories[socketId].systemSettings) {
-            sessionHistories[socketId].systemSettings = {};
+        if (sessionId && sessionHistories[sessionId]) {
+          if (!sessionHistories[sessionId].systemSettings) {
+            sessionHistories[sessionId].systemSettings = {};
           }
-          sessionHistories[socketId].systemSettings[section] = settings;
+          sessionHistories[sessionId].systemSettings[section] = settings;
         }
         
         result[section] = settings;
         break;
+
+      case 'generation': {
+        const userKey = getUserKey(username, socketId);
+        const level = typeof data.level === 'number' ? data.level : userGenerationSettings.get(userKey)?.level || 0;
+        const choice = validatePresetChoice(settings?.preset, level);
+
+        if (!choice.valid) {
+          result = { success: false, error: choice.error };
+          break;
+        }
+
+        userGenerationSettings.set(userKey, { ...userGenerationSettings.get(userKey), level, preset: choice.preset.name });
+        result.preset = choice.preset.name;
+        break;
+      }
+
+      case 'safeword':
+        // Checked and normalized by the server, which also matches messages against it
+        result.safeword = Boolean(settings?.word);
+        break;
+
+      case 'limits': {
+        const check = validateLimits(settings);
+        if (!check.valid) {
+          result = { success: false, error: check.error };
+          break;
+        }
+
+        // Saved in the checked form, the next reply uses them
+        settings = check.limits;
+        userLimits.set(getUserKey(username, socketId), { limits: check.limits, loaded: true });
+        result.limits = check.limits;
+        break;
+      }
+
+      case 'wellbeing':
+        // Checked by the server, which runs the session timers
+        result.wellbeing = settings;
+        break;
+
+      case 'model': {
+        // A null model goes back to the configured default
+        const userKey = getUserKey(username, socketId);
+        const level = typeof data.level === 'number' ? data.level : userGenerationSettings.get(userKey)?.level || 0;
+        const modelId = settings?.modelId || null;
+        const choice = modelId ? await modelRegistry.validateChoice(modelId, level) : { valid: true, model: null };
+
+        if (!choice.valid) {
+          result = { success: false, error: choice.error };
+          break;
+        }
+
+        userGenerationSettings.set(userKey, { ...userGenerationSettings.get(userKey), level, model: modelId });
+        result.model = choice.model;
+        break;
+      }
         
       default:
         logger.warning(`Unknown settings section: ${section}`);
@@ -1239,7 +1865,7 @@ async function handleSettingsUpdate(data) {
     }
     
     // Save settings to database if user exists
-    if (username && username !== 'anonBambi') {
+    if (result.success !== false && username && username !== 'anonBambi') {
       await saveUserSettings(username, section, settings);
     }
     
@@ -1313,4 +1939,23 @@ async function saveUserSettings(username, section, settings) {
     logger.error(`Error saving user settings: ${error.message}`);
     return false;
   }
-}
\ No newline at end of file
+}
+// Helper function to read a settings section saved with saveUserSettings
+async function loadUserSettings(username, section) {
+  try {
+    const profilesConn = global.connections?.profiles;
+
+    if (!db.hasConnection() || !profilesConn || profilesConn.readyState !== 1 || !profilesConn.models.Profile) {
+      return null;
+    }
+
+    const profile = await profilesConn.model('Profile')
+      .findOne({ username }, { [`systemControls.${section}`]: 1 })
+      .lean();
+
+    return profile?.systemControls?.[section] || null;
+  } catch (error) {
+    logger.error(`Error loading user settings: ${error.message}`);
+    return null;
+  }
+}
@@ -19,6 +19,7 @@ class SpiralsWorker extends EventEmitter {
     };
     
     this.userSettings = new Map();
+    this.fades = new Map();
   }
   
   initialize(server) {
@@ -93,6 +94,8 @@ class SpiralsWorker extends EventEmitter {
   }
     updateSettings(username, newSettings) {
     try {
+      // The user's own changes win over a running fade
+      this.cancelFade(username);
       const settings = this.validateSettings({ ...this.defaultSettings, ...newSettings });
       this.userSettings.set(username, settings);
       
@@ -166,6 +169,47 @@ class SpiralsWorker extends EventEmitter {
     }
   }
   
+  // Fade spirals out for the wellbeing wind-down, then turn them off at their old opacity
+  fadeOutForUser(username, duration = 60000, steps = 10) {
+    try {
+      this.cancelFade(username);
+
+      const settings = this.userSettings.get(username);
+      if (!settings || !settings.enabled) return false;
+
+      const startOpacity = settings.opacityLevel;
+      let step = 0;
+
+      const timer = setInterval(() => {
+        step++;
+        if (step < steps) {
+          this.updateParameterForUser(username, 'intensity', startOpacity - (startOpacity - 0.1) * step / steps);
+          return;
+        }
+
+        this.cancelFade(username);
+        const current = this.userSettings.get(username) || { ...this.defaultSettings };
+        this.userSettings.set(username, this.validateSettings({ ...current, enabled: false, opacityLevel: startOpacity }));
+        this.sendSettings(username);
+        logger.debug(`Spirals faded out for ${username}`);
+      }, duration / steps);
+
+      this.fades.set(username, timer);
+      return true;
+    } catch (error) {
+      logger.error(`Error fading spirals for ${username}:`, error);
+      return false;
+    }
+  }
+
+  cancelFade(username) {
+    const timer = this.fades.get(username);
+    if (timer) {
+      clearInterval(timer);
+      this.fades.delete(username);
+    }
+  }
+  
   // Method for control system to update settings for all users
   broadcastParameterUpdate(parameter, value) {
     let updatedCount = 0;